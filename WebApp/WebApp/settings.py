@@ -134,3 +134,60 @@ STATIC_URL = 'static/'
 # https://docs.djangoproject.com/en/5.1/ref/settings/#default-auto-field
 
 DEFAULT_AUTO_FIELD = 'django.db.models.BigAutoField'
+
+
+# OGC proxy
+# Hosts the OGC proxy (/WebApp/api/proxy/) may forward requests to.
+# An entry starting with a dot also allows all subdomains, e.g. '.geoportal.gov.pl'.
+# Can be overridden with a comma-separated OGC_PROXY_ALLOWED_HOSTS environment variable.
+
+OGC_PROXY_ALLOWED_HOSTS = [
+    host.strip()
+    for host in os.environ.get(
+        'OGC_PROXY_ALLOWED_HOSTS',
+        '.geoportal.gov.pl,ahocevar.com',
+    ).split(',')
+    if host.strip()
+]
+
+# Timeout of a single upstream request, in seconds.
+OGC_PROXY_TIMEOUT = 30
+
+# Longest accepted target URL (including forwarded parameters), in characters.
+OGC_PROXY_MAX_URL_LENGTH = 8192
+
+# Largest upstream response the proxy will relay, in bytes.
+OGC_PROXY_MAX_RESPONSE_SIZE = 20 * 1024 * 1024
+
+# How long GetCapabilities responses are cached, in seconds.
+OGC_PROXY_CAPABILITIES_CACHE_TIMEOUT = 60 * 60
+
+
+# Vector tiles
+# Database tables served as Mapbox Vector Tiles by /WebApp/api/tiles/<layer>/<z>/<x>/<y>.pbf,
+# keyed by the layer name used in the URL. Only the tables listed here can be requested.
+# 'geometry_column' defaults to 'geom'; 'id_column' (optional) must be an integer column
+# and is encoded as the feature id; 'columns' (optional) limits the encoded attributes.
+
+VECTOR_TILE_LAYERS = {
+    'korytarze': {
+        'schema': 'public',
+        'table': 'KorytarzeEkologiczne',
+    },
+    'jcwprzeczne': {
+        'schema': 'public',
+        'table': 'JCWPRzeczne',
+    },
+}
+
+# Highest zoom level tiles are generated for.
+VECTOR_TILE_MAX_ZOOM = 22
+
+# How long generated tiles are cached, in seconds.
+VECTOR_TILE_CACHE_TIMEOUT = 60 * 60
+
+CACHES = {
+    'default': {
+        'BACKEND': 'django.core.cache.backends.locmem.LocMemCache',
+    }
+}
@@ -1,8 +1,10 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// The parser starts a Web Worker through `import.meta.url`, which Jest cannot load
+jest.mock('./utils/vectorParser', () => jest.fn());
+
+test('renders the map', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByLabelText('Interactive map')).toBeInTheDocument();
 });
@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import { Modal, Button, Form, Row, Col, Alert } from 'react-bootstrap';
+import { saveCustomBasemap } from '../utils/customBasemaps';
+
+/**
+ * Empty state of the basemap form.
+ * @type {Object}
+ */
+const EMPTY_FORM = {
+  name: '',
+  url: '',
+  scheme: 'xyz',
+  attribution: '',
+  minZoom: '0',
+  maxZoom: '19',
+  opacity: 100,
+};
+
+/**
+ * Modal to add a basemap from an XYZ or TMS tile URL template.
+ * The basemap is stored in the browser and listed in the basemap panel after the built-in ones.
+ * @param {Object} props - Modal properties.
+ * @param {boolean} props.show - Whether the modal is visible.
+ * @param {Function} props.onHide - Function to hide the modal.
+ * @param {Function} props.onAdd - Called with the stored basemap definition.
+ */
+const AddBasemapModal = ({ show, onHide, onAdd }) => {
+  /**
+   * State for the basemap form.
+   * @type {[Object, Function]}
+   */
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  /**
+   * State for the validation error message.
+   * @type {[string|null, Function]}
+   */
+  const [error, setError] = useState(null);
+
+  const updateForm = (field, value) => setForm({ ...form, [field]: value });
+
+  /**
+   * Closes the modal and resets the form.
+   */
+  const handleClose = () => {
+    setForm(EMPTY_FORM);
+    setError(null);
+    onHide();
+  };
+
+  /**
+   * Stores the basemap of the form and adds it to the map.
+   */
+  const handleAdd = () => {
+    try {
+      const basemap = saveCustomBasemap({
+        ...form,
+        minZoom: Number(form.minZoom),
+        maxZoom: Number(form.maxZoom),
+        opacity: form.opacity / 100,
+      });
+      onAdd(basemap);
+      handleClose();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={handleClose}>
+      <Modal.Header closeButton>
+        <Modal.Title>Add Basemap</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <Form.Group>
+          <Form.Label htmlFor="basemapNameInput">Name</Form.Label>
+          <Form.Control
+            id="basemapNameInput"
+            size="sm"
+            type="text"
+            value={form.name}
+            onChange={(e) => updateForm('name', e.target.value)}
+          />
+        </Form.Group>
+        <Form.Group className="mt-2">
+          <Form.Label htmlFor="basemapUrlInput">URL Template</Form.Label>
+          <Form.Control
+            id="basemapUrlInput"
+            size="sm"
+            type="text"
+            placeholder="e.g. https://tile.opentopomap.org/{z}/{x}/{y}.png"
+            value={form.url}
+            onChange={(e) => updateForm('url', e.target.value)}
+          />
+          <Form.Text muted>
+            Use {'{z}'}, {'{x}'} and {'{y}'}; {'{-y}'} counts rows from the
+            bottom like TMS.
+          </Form.Text>
+        </Form.Group>
+        <Form.Group className="mt-2">
+          <Form.Label>Tile Scheme</Form.Label>
+          <div>
+            {['xyz', 'tms'].map((scheme) => (
+              <Form.Check
+                inline
+                key={scheme}
+                type="radio"
+                id={`basemapScheme-${scheme}`}
+                name="basemapScheme"
+                label={scheme.toUpperCase()}
+                checked={form.scheme === scheme}
+                onChange={() => updateForm('scheme', scheme)}
+              />
+            ))}
+          </div>
+        </Form.Group>
+        <Form.Group className="mt-2">
+          <Form.Label htmlFor="basemapAttributionInput">Attribution</Form.Label>
+          <Form.Control
+            id="basemapAttributionInput"
+            size="sm"
+            type="text"
+            placeholder="e.g. © OpenStreetMap contributors"
+            value={form.attribution}
+            onChange={(e) => updateForm('attribution', e.target.value)}
+          />
+        </Form.Group>
+        <Row className="g-2 mt-1">
+          <Col sm={6}>
+            <Form.Label htmlFor="basemapMinZoomInput">Min Zoom</Form.Label>
+            <Form.Control
+              id="basemapMinZoomInput"
+              size="sm"
+              type="number"
+              min={0}
+              max={30}
+              value={form.minZoom}
+              onChange={(e) => updateForm('minZoom', e.target.value)}
+            />
+          </Col>
+          <Col sm={6}>
+            <Form.Label htmlFor="basemapMaxZoomInput">Max Zoom</Form.Label>
+            <Form.Control
+              id="basemapMaxZoomInput"
+              size="sm"
+              type="number"
+              min={0}
+              max={30}
+              value={form.maxZoom}
+              onChange={(e) => updateForm('maxZoom', e.target.value)}
+            />
+          </Col>
+        </Row>
+        <Form.Group className="mt-2">
+          <Form.Label htmlFor="basemapOpacityInput">
+            Opacity: {form.opacity}%
+          </Form.Label>
+          <Form.Range
+            id="basemapOpacityInput"
+            min={0}
+            max={100}
+            value={form.opacity}
+            onChange={(e) => updateForm('opacity', Number(e.target.value))}
+          />
+        </Form.Group>
+        {error && (
+          <Alert variant="danger" className="mt-3 mb-0">
+            {error}
+          </Alert>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button
+          variant="primary"
+          onClick={handleAdd}
+          disabled={!form.url.trim()}
+        >
+          Add
+        </Button>
+        <Button variant="secondary" onClick={handleClose}>
+          Close
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default AddBasemapModal;
@@ -1,15 +1,35 @@
 import React, { useState } from 'react';
 import { Modal, Button, Form, Table } from 'react-bootstrap';
 import SmallSpinner from './Loader';
+import LayerTree from './LayerTree';
+import ServiceCatalog from './ServiceCatalog';
+import WMSRenderOptions from './WMSRenderOptions';
+import { addRecentService } from '../utils/serviceCatalog';
+import { parseVendorParams } from '../utils/ogcUtils';
+import { DEFAULT_WMS_OPTIONS } from '../constants/wms';
+import { parseArcGISUrl } from '../handlers/ArcGISRestHandler';
+import { parseOGCApiUrl } from '../handlers/OGCFeaturesHandler';
 
 /**
- * Component for displaying a modal to add WMS/WMTS layers.
+ * Component for displaying a modal to add WMS/WMTS/WFS, OGC API - Features and ArcGIS REST layers.
  * @param {Object} props - Component props.
  * @param {boolean} props.show - Whether the modal is visible or not.
  * @param {Function} props.onHide - Function to close the modal.
  * @param {Object} props.wmsHandler - Handler for WMS interactions.
+ * @param {Object} props.wmtsHandler - Handler for WMTS interactions.
+ * @param {Object} props.wfsHandler - Handler for WFS interactions.
+ * @param {Object} props.arcgisHandler - Handler for ArcGIS REST interactions.
+ * @param {Object} props.ogcFeaturesHandler - Handler for OGC API - Features interactions.
  */
-const AddWMSLayerModal = ({ show, onHide, wmsHandler }) => {
+const AddWMSLayerModal = ({
+  show,
+  onHide,
+  wmsHandler,
+  wmtsHandler,
+  wfsHandler,
+  arcgisHandler,
+  ogcFeaturesHandler,
+}) => {
   /**
    * State for storing the WMS server URL entered by the user.
    * @type {[string, Function]}
@@ -17,7 +37,63 @@ const AddWMSLayerModal = ({ show, onHide, wmsHandler }) => {
   const [layerUrl, setLayerUrl] = useState('');
 
   /**
-   * State for storing the list of available layers fetched from the server.
+   * State for the catalog entry the URL was taken from: its name and the layers
+   * to preselect after fetching. Cleared when the URL is edited.
+   * @type {[{name: string, defaultLayers: Array<string>}|null, Function]}
+   */
+  const [catalogService, setCatalogService] = useState(null);
+
+  /**
+   * State for the service type chosen by the user ('auto', 'WMS', 'WMTS', 'WFS', 'OGCAPI' or 'ArcGIS').
+   * @type {[string, Function]}
+   */
+  const [serviceType, setServiceType] = useState('auto');
+
+  /**
+   * State for the service type of the currently listed layers, resolved after fetching.
+   * @type {[string|null, Function]}
+   */
+  const [detectedType, setDetectedType] = useState(null);
+
+  /**
+   * State for the per-layer options keyed by layer name:
+   * style for WMS, matrix set, style and format for WMTS.
+   * @type {[Object, Function]}
+   */
+  const [layerOptions, setLayerOptions] = useState({});
+
+  /**
+   * State for the rendering options of the WMS layers to add.
+   * Vendor parameters are kept as entered and parsed when the layers are added.
+   * @type {[Object, Function]}
+   */
+  const [renderOptions, setRenderOptions] = useState({
+    ...DEFAULT_WMS_OPTIONS,
+    vendorParams: '',
+  });
+
+  /**
+   * State for requesting dynamic ArcGIS MapServer images as tiles instead of single images.
+   * @type {[boolean, Function]}
+   */
+  const [arcgisTiled, setArcgisTiled] = useState(false);
+
+  /**
+   * State for the property filters of the OGC API collections to add,
+   * entered as `property=value` pairs and parsed when the layers are added.
+   * @type {[string, Function]}
+   */
+  const [featureFilters, setFeatureFilters] = useState('');
+
+  /**
+   * State for the GetMap formats advertised by the WMS server.
+   * @type {[Array<string>, Function]}
+   */
+  const [imageFormats, setImageFormats] = useState([]);
+
+  /**
+   * State for storing the layers fetched from the server:
+   * the layer tree for WMS, or the flat layer list for WMTS, WFS, OGC API and ArcGIS.
    * @type {[Array<Object>, Function]}
    */
   const [availableLayers, setAvailableLayers] = useState([]);
@@ -36,7 +112,99 @@ const AddWMSLayerModal = ({ show, onHide, wmsHandler }) => {
   const [isLoading, setIsLoading] = useState(false);
 
   /**
-   * Fetches and displays the available WMS layers based on the provided server URL.
+   * Fetches the layer tree of a WMS service and the image formats it supports.
+   * @returns {Promise<Array<Object>>} The top-level layer nodes, or an empty array if the URL is not a WMS service.
+   */
+  const fetchWMSLayers = async () => {
+    const capabilities = await wmsHandler.fetchCapabilities(layerUrl);
+    if (!capabilities) return [];
+
+    const formats = wmsHandler.getMapFormats(capabilities);
+    setImageFormats(formats);
+    setRenderOptions((prev) => ({
+      ...prev,
+      format:
+        formats.length === 0 || formats.includes(DEFAULT_WMS_OPTIONS.format)
+          ? DEFAULT_WMS_OPTIONS.format
+          : formats[0],
+    }));
+    return wmsHandler.getLayerTree(capabilities);
+  };
+
+  /**
+   * Fetches the layers of a WMTS service together with their default options.
+   * @returns {Promise<Array<Object>>} The available WMTS layers, or an empty array if the URL is not a WMTS service.
+   */
+  const fetchWMTSLayers = async () => {
+    const capabilities = await wmtsHandler.fetchCapabilities(layerUrl);
+    return capabilities ? wmtsHandler.getAvailableLayers(capabilities) : [];
+  };
+
+  /**
+   * Fetches the feature types of a WFS service.
+   * @returns {Promise<Array<Object>>} The available feature types, or an empty array if the URL is not a WFS service.
+   */
+  const fetchWFSLayers = () => wfsHandler.fetchFeatureTypes(layerUrl);
+
+  /**
+   * Fetches the layers of an ArcGIS REST MapServer or FeatureServer.
+   * @returns {Promise<Array<Object>>} The available layers, or an empty array if the URL is not an ArcGIS REST service.
+   */
+  const fetchArcGISLayers = () => arcgisHandler.fetchAvailableLayers(layerUrl);
+
+  /**
+   * Fetches the feature collections of an OGC API - Features service.
+   * @returns {Promise<Array<Object>>} The available collections, or an empty array if the URL is not an OGC API - Features service.
+   */
+  const fetchOGCApiLayers = () => ogcFeaturesHandler.fetchCollections(layerUrl);
+
+  /**
+   * Resolves the service type and fetches its layers.
+   * In auto mode, the URL is probed as the service type its path suggests first
+   * (e.g. WMTS, WFS, OGC API `/collections` or an ArcGIS `MapServer`), otherwise as WMS first, falling back
+   * to the other service types.
+   * @returns {Promise<{type: string, layers: Array<Object>}>} The detected service type and its layers.
+   */
+  const detectAndFetchLayers = async () => {
+    if (serviceType === 'WMTS') {
+      return { type: 'WMTS', layers: await fetchWMTSLayers() };
+    }
+    if (serviceType === 'WFS') {
+      return { type: 'WFS', layers: await fetchWFSLayers() };
+    }
+    if (serviceType === 'WMS') {
+      return { type: 'WMS', layers: await fetchWMSLayers() };
+    }
+    if (serviceType === 'ArcGIS') {
+      return { type: 'ArcGIS', layers: await fetchArcGISLayers() };
+    }
+    if (serviceType === 'OGCAPI') {
+      return { type: 'OGCAPI', layers: await fetchOGCApiLayers() };
+    }
+
+    const probes = [
+      { type: 'WMS', hint: /wms/i, fetch: fetchWMSLayers },
+      { type: 'WMTS', hint: /wmts/i, fetch: fetchWMTSLayers },
+      { type: 'WFS', hint: /wfs/i, fetch: fetchWFSLayers },
+      {
+        type: 'ArcGIS',
+        hint: /\/(MapServer|FeatureServer)\b/i,
+        fetch: fetchArcGISLayers,
+      },
+      { type: 'OGCAPI', hint: /\/collections\b/i, fetch: fetchOGCApiLayers },
+    ];
+    const hinted = probes.find((probe) => probe.hint.test(layerUrl));
+    if (hinted) probes.unshift(...probes.splice(probes.indexOf(hinted), 1));
+
+    for (const probe of probes) {
+      const layers = await probe.fetch();
+      if (layers.length > 0) return { type: probe.type, layers };
+    }
+    return { type: null, layers: [] };
+  };
+
+  /**
+   * Fetches and displays the available WMS/WMTS/WFS/ArcGIS layers based on the provided server URL.
    * Resets selected layers and handles loading state.
    * Logs an error if the fetch fails.
    */
@@ -44,9 +212,40 @@ const AddWMSLayerModal = ({ show, onHide, wmsHandler }) => {
     if (layerUrl) {
       setIsLoading(true);
       try {
-        const layers = await wmsHandler.fetchAvailableLayers(layerUrl);
+        const { type, layers } = await detectAndFetchLayers();
+        const layerNames = (
+          type === 'WMS' ? wmsHandler.flattenLayerTree(layers) : layers
+        ).map((layer) => layer.name);
+        setDetectedType(type);
         setAvailableLayers(layers);
-        setSelectedLayers(new Set());
+        // A layer URL (e.g. .../MapServer/3 or .../collections/rivers) preselects that layer
+        const urlLayer =
+          type === 'ArcGIS'
+            ? parseArcGISUrl(layerUrl)?.layerId
+            : type === 'OGCAPI'
+              ? parseOGCApiUrl(layerUrl).collectionId
+              : null;
+        setSelectedLayers(
+          new Set(
+            [...(catalogService?.defaultLayers || []), urlLayer].filter(
+              (name) => layerNames.includes(name)
+            )
+          )
+        );
+        setLayerOptions(
+          type === 'WMTS'
+            ? Object.fromEntries(
+                layers.map((layer) => [
+                  layer.name,
+                  {
+                    matrixSet: layer.defaultMatrixSet,
+                    style: layer.defaultStyle,
+                    format: layer.defaultFormat,
+                  },
+                ])
+              )
+            : {}
+        );
       } catch (err) {
         console.error('Error loading layers:', err);
       } finally {
@@ -64,10 +263,50 @@ const AddWMSLayerModal = ({ show, onHide, wmsHandler }) => {
     setIsLoading(true);
     try {
       const layersArray = Array.from(selectedLayers);
-      await wmsHandler.handleWMSLayers(layerUrl, layersArray);
+      if (detectedType === 'WFS') {
+        await wfsHandler.handleWFSLayers(layerUrl, layersArray);
+      } else if (detectedType === 'OGCAPI') {
+        await ogcFeaturesHandler.handleOGCFeaturesLayers(
+          layerUrl,
+          layersArray,
+          parseVendorParams(featureFilters)
+        );
+      } else if (detectedType === 'ArcGIS') {
+        await arcgisHandler.handleArcGISLayers(layerUrl, layersArray, {
+          tiled: arcgisTiled,
+        });
+      } else if (detectedType === 'WMTS') {
+        await wmtsHandler.handleWMTSLayers(
+          layerUrl,
+          layersArray.map((name) => ({ name, ...layerOptions[name] }))
+        );
+      } else {
+        const options = {
+          ...renderOptions,
+          vendorParams: parseVendorParams(renderOptions.vendorParams),
+        };
+        await wmsHandler.handleWMSLayers(
+          layerUrl,
+          layersArray,
+          Object.fromEntries(
+            layersArray.map((name) => [
+              name,
+              { ...options, ...layerOptions[name] },
+            ])
+          )
+        );
+      }
+      addRecentService({
+        name: catalogService?.name,
+        url: layerUrl,
+        type: detectedType,
+      });
       setLayerUrl('');
+      setCatalogService(null);
       setAvailableLayers([]);
       setSelectedLayers(new Set());
+      setLayerOptions({});
+      setDetectedType(null);
       onHide();
     } catch (err) {
       console.error('Error loading layers:', err);
@@ -76,6 +315,23 @@ const AddWMSLayerModal = ({ show, onHide, wmsHandler }) => {
     }
   };
 
+  /**
+   * Fills in the connection chosen in the service catalog.
+   * @param {Object} service - The service connection (name, url, type, defaultLayers).
+   */
+  const handleServiceSelect = (service) => {
+    setLayerUrl(service.url);
+    setServiceType(service.type);
+    setCatalogService({
+      name: service.name,
+      defaultLayers: service.defaultLayers || [],
+    });
+    setAvailableLayers([]);
+    setSelectedLayers(new Set());
+    setLayerOptions({});
+    setDetectedType(null);
+  };
+
   /**
    * Toggles the selection of a specific WMS layer.
    * @param {string} layerName - Name of the layer to toggle selection.
@@ -90,28 +346,69 @@ const AddWMSLayerModal = ({ show, onHide, wmsHandler }) => {
     setSelectedLayers(newSelection);
   };
 
+  /**
+   * Updates a single option of a layer.
+   * @param {string} layerName - Name of the layer.
+   * @param {string} option - Option key ('matrixSet', 'style' or 'format').
+   * @param {string} value - The new option value.
+   */
+  const updateLayerOption = (layerName, option, value) => {
+    setLayerOptions((prev) => ({
+      ...prev,
+      [layerName]: { ...prev[layerName], [option]: value },
+    }));
+  };
+
   return (
     <Modal
       show={show}
       onHide={onHide}
       size="lg"
-      aria-label="Add WMS/WMTS Layers Modal"
+      aria-label="Add WMS/WMTS/WFS/ArcGIS Layers Modal"
     >
       <Modal.Header closeButton aria-label="Close Modal">
-        <Modal.Title>Add WMS/WMTS Layers</Modal.Title>
+        <Modal.Title>Add WMS/WMTS/WFS/ArcGIS Layers</Modal.Title>
       </Modal.Header>
       <Modal.Body>
         <Form>
+          <ServiceCatalog
+            currentService={{
+              url: layerUrl,
+              type: detectedType || serviceType,
+              defaultLayers: Array.from(selectedLayers),
+            }}
+            onSelect={handleServiceSelect}
+          />
+          <Form.Group controlId="serviceType" className="mb-2">
+            <Form.Label htmlFor="serviceTypeSelect">Service Type</Form.Label>
+            <Form.Select
+              id="serviceTypeSelect"
+              value={serviceType}
+              onChange={(e) => setServiceType(e.target.value)}
+              aria-label="Service Type Select"
+              title="Choose the service type or let it be detected from the capabilities"
+            >
+              <option value="auto">Auto-detect</option>
+              <option value="WMS">WMS</option>
+              <option value="WMTS">WMTS</option>
+              <option value="WFS">WFS</option>
+              <option value="OGCAPI">OGC API - Features</option>
+              <option value="ArcGIS">ArcGIS REST</option>
+            </Form.Select>
+          </Form.Group>
           <Form.Group controlId="layerUrl">
-            <Form.Label htmlFor="layerUrlInput">WMS Server URL</Form.Label>
+            <Form.Label htmlFor="layerUrlInput">Server URL</Form.Label>
             <Form.Control
               type="text"
               id="layerUrlInput"
-              placeholder="Enter WMS Server URL"
+              placeholder="Enter WMS/WMTS/WFS Server or ArcGIS MapServer/FeatureServer URL"
               value={layerUrl}
-              onChange={(e) => setLayerUrl(e.target.value)}
-              aria-label="WMS Server URL Input"
-              title="Please enter the URL for the WMS Server"
+              onChange={(e) => {
+                setLayerUrl(e.target.value);
+                setCatalogService(null);
+              }}
+              aria-label="Server URL Input"
+              title="Please enter the URL for the WMS/WMTS/WFS Server or the ArcGIS REST service"
             />
           </Form.Group>
           <Button
@@ -120,7 +417,7 @@ const AddWMSLayerModal = ({ show, onHide, wmsHandler }) => {
             onClick={fetchAndDisplayLayers}
             disabled={!layerUrl || isLoading}
             aria-label="Fetch Layers Button"
-            title="Fetch available layers from the WMS Server"
+            title="Fetch available layers from the server"
             style={{
               backgroundColor: !layerUrl || isLoading ? '#e0e0e0' : '#17a2b8',
               color: !layerUrl || isLoading ? '#6c757d' : '#fff',
@@ -141,33 +438,242 @@ const AddWMSLayerModal = ({ show, onHide, wmsHandler }) => {
         ) : (
           availableLayers.length > 0 && (
             <div className="mt-4">
-              <Table striped bordered hover>
-                <thead>
-                  <tr>
-                    <th></th>
-                    <th>Layer Name</th>
-                    <th>Title</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {availableLayers.map((layer, index) => (
-                    <tr key={index}>
-                      <td>
-                        <Form.Check
-                          type="checkbox"
-                          id={`selectLayerCheckbox-${index}`}
-                          checked={selectedLayers.has(layer.name)}
-                          onChange={() => toggleLayerSelection(layer.name)}
-                          aria-label={`Select layer ${layer.title}`}
-                          title={`Select or deselect the layer with title: ${layer.title}`}
-                        />
-                      </td>
-                      <td>{layer.name}</td>
-                      <td>{layer.title}</td>
+              <p className="text-muted">Service type: {detectedType}</p>
+              {detectedType === 'WMS' && (
+                <WMSRenderOptions
+                  options={renderOptions}
+                  formats={imageFormats}
+                  onChange={(option, value) =>
+                    setRenderOptions((prev) => ({ ...prev, [option]: value }))
+                  }
+                />
+              )}
+              {detectedType === 'WMS' && (
+                <LayerTree
+                  nodes={availableLayers}
+                  selectedLayers={selectedLayers}
+                  onToggleLayer={toggleLayerSelection}
+                  layerOptions={layerOptions}
+                  onOptionChange={updateLayerOption}
+                />
+              )}
+              {detectedType === 'WFS' && (
+                <Table striped bordered hover>
+                  <thead>
+                    <tr>
+                      <th></th>
+                      <th>Feature Type</th>
+                      <th>Title</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {availableLayers.map((layer, index) => (
+                      <tr key={index}>
+                        <td>
+                          <Form.Check
+                            type="checkbox"
+                            id={`selectFeatureTypeCheckbox-${index}`}
+                            checked={selectedLayers.has(layer.name)}
+                            onChange={() => toggleLayerSelection(layer.name)}
+                            aria-label={`Select feature type ${layer.title}`}
+                            title={layer.abstract || layer.title}
+                          />
+                        </td>
+                        <td>{layer.name}</td>
+                        <td>{layer.title}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+              {detectedType === 'OGCAPI' && (
+                <>
+                  <Form.Group className="mb-2">
+                    <Form.Label htmlFor="featureFiltersInput">
+                      Property Filters
+                    </Form.Label>
+                    <Form.Control
+                      id="featureFiltersInput"
+                      size="sm"
+                      type="text"
+                      placeholder="e.g. country=PL&type=river"
+                      value={featureFilters}
+                      onChange={(e) => setFeatureFilters(e.target.value)}
+                      aria-label="Property Filters Input"
+                      title="Only load features whose properties have the given values, as property=value pairs separated by &"
+                    />
+                  </Form.Group>
+                  <Table striped bordered hover>
+                    <thead>
+                      <tr>
+                        <th></th>
+                        <th>Collection</th>
+                        <th>Title</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {availableLayers.map((layer, index) => (
+                        <tr key={index}>
+                          <td>
+                            <Form.Check
+                              type="checkbox"
+                              id={`selectCollectionCheckbox-${index}`}
+                              checked={selectedLayers.has(layer.name)}
+                              onChange={() => toggleLayerSelection(layer.name)}
+                              aria-label={`Select collection ${layer.title}`}
+                              title={layer.abstract || layer.title}
+                            />
+                          </td>
+                          <td>{layer.name}</td>
+                          <td>{layer.title}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                </>
+              )}
+              {detectedType === 'ArcGIS' && (
+                <>
+                  {availableLayers.some(
+                    (layer) => layer.type !== 'Tile cache'
+                  ) && (
+                    <Form.Check
+                      type="checkbox"
+                      id="arcgisTiledCheckbox"
+                      className="mb-2"
+                      label="Request dynamic layers as tiles"
+                      checked={arcgisTiled}
+                      onChange={(e) => setArcgisTiled(e.target.checked)}
+                      title="Tiled requests load faster, a single image renders labels without cuts at tile borders (MapServer only)"
+                    />
+                  )}
+                  <Table striped bordered hover>
+                    <thead>
+                      <tr>
+                        <th></th>
+                        <th>ID</th>
+                        <th>Name</th>
+                        <th>Type</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {availableLayers.map((layer, index) => (
+                        <tr key={index}>
+                          <td>
+                            <Form.Check
+                              type="checkbox"
+                              id={`selectArcGISLayerCheckbox-${index}`}
+                              checked={selectedLayers.has(layer.name)}
+                              onChange={() => toggleLayerSelection(layer.name)}
+                              aria-label={`Select layer ${layer.title}`}
+                              title={layer.abstract || layer.title}
+                            />
+                          </td>
+                          <td>{layer.name}</td>
+                          <td>{layer.title}</td>
+                          <td>{layer.type}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                </>
+              )}
+              {detectedType === 'WMTS' && (
+                <Table striped bordered hover>
+                  <thead>
+                    <tr>
+                      <th></th>
+                      <th>Layer Name</th>
+                      <th>Title</th>
+                      <th>Matrix Set</th>
+                      <th>Style</th>
+                      <th>Format</th>
                     </tr>
-                  ))}
-                </tbody>
-              </Table>
+                  </thead>
+                  <tbody>
+                    {availableLayers.map((layer, index) => (
+                      <tr key={index}>
+                        <td>
+                          <Form.Check
+                            type="checkbox"
+                            id={`selectLayerCheckbox-${index}`}
+                            checked={selectedLayers.has(layer.name)}
+                            onChange={() => toggleLayerSelection(layer.name)}
+                            aria-label={`Select layer ${layer.title}`}
+                            title={`Select or deselect the layer with title: ${layer.title}`}
+                          />
+                        </td>
+                        <td>{layer.name}</td>
+                        <td>{layer.title}</td>
+                        <td>
+                          <Form.Select
+                            size="sm"
+                            value={layerOptions[layer.name]?.matrixSet || ''}
+                            onChange={(e) =>
+                              updateLayerOption(
+                                layer.name,
+                                'matrixSet',
+                                e.target.value
+                              )
+                            }
+                            aria-label={`Tile matrix set for ${layer.title}`}
+                          >
+                            {layer.matrixSets.map((set) => (
+                              <option
+                                key={set.identifier}
+                                value={set.identifier}
+                              >
+                                {set.identifier}
+                                {set.crs ? ` (${set.crs})` : ''}
+                              </option>
+                            ))}
+                          </Form.Select>
+                        </td>
+                        <td>
+                          <Form.Select
+                            size="sm"
+                            value={layerOptions[layer.name]?.style || ''}
+                            onChange={(e) =>
+                              updateLayerOption(
+                                layer.name,
+                                'style',
+                                e.target.value
+                              )
+                            }
+                            aria-label={`Style for ${layer.title}`}
+                          >
+                            {layer.styles.map((style) => (
+                              <option key={style.name} value={style.name}>
+                                {style.title}
+                              </option>
+                            ))}
+                          </Form.Select>
+                        </td>
+                        <td>
+                          <Form.Select
+                            size="sm"
+                            value={layerOptions[layer.name]?.format || ''}
+                            onChange={(e) =>
+                              updateLayerOption(
+                                layer.name,
+                                'format',
+                                e.target.value
+                              )
+                            }
+                            aria-label={`Format for ${layer.title}`}
+                          >
+                            {layer.formats.map((format) => (
+                              <option key={format} value={format}>
+                                {format}
+                              </option>
+                            ))}
+                          </Form.Select>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
             </div>
           )
         )}
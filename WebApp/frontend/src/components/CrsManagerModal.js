@@ -0,0 +1,252 @@
+import React, { useState } from 'react';
+import { Modal, Button, Form, Row, Col, Table, Alert } from 'react-bootstrap';
+import { get as getProjection } from 'ol/proj';
+import {
+  getCustomCrsList,
+  saveCustomCrs,
+  removeCustomCrs,
+  testCrsDefinition,
+} from '../utils/customCrs';
+import { ensureProjection } from '../utils/projectionRegistry';
+
+/**
+ * Empty state of the definition form.
+ * @type {Object}
+ */
+const EMPTY_FORM = {
+  code: '',
+  name: '',
+  definition: '',
+  west: '',
+  south: '',
+  east: '',
+  north: '',
+};
+
+/**
+ * Reads the validity extent of the form.
+ * @param {Object} form - The form state.
+ * @returns {Array<number>|null} The extent, or null when all its fields are empty.
+ * @throws {Error} If only some of the fields are filled in.
+ */
+const readBbox = ({ west, south, east, north }) => {
+  const values = [west, south, east, north];
+  if (values.every((value) => value.trim() === '')) return null;
+  if (values.some((value) => value.trim() === ''))
+    throw new Error('Fill in all four bounds of the validity extent or none.');
+  return values.map(Number);
+};
+
+/**
+ * Settings panel for the user's custom coordinate reference systems.
+ * Definitions (proj4 or WKT) can be tested, added and removed; they are stored
+ * in the browser and registered on demand through `ensureProjection`, like the
+ * bundled EPSG definitions.
+ * @param {Object} props - Modal properties.
+ * @param {boolean} props.show - Whether the modal is visible.
+ * @param {Function} props.onHide - Function to hide the modal.
+ */
+const CrsManagerModal = ({ show, onHide }) => {
+  /**
+   * State for the stored custom definitions.
+   * @type {[Array<Object>, Function]}
+   */
+  const [crsList, setCrsList] = useState(getCustomCrsList);
+
+  /**
+   * State for the definition form.
+   * @type {[Object, Function]}
+   */
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  /**
+   * State for the feedback message of the test, add and remove operations.
+   * @type {[{variant: string, text: string}|null, Function]}
+   */
+  const [message, setMessage] = useState(null);
+
+  const updateForm = (field, value) => setForm({ ...form, [field]: value });
+
+  /**
+   * Tests the definition of the form and reports the transformed test point.
+   */
+  const handleTest = () => {
+    try {
+      const { lonLat, projected, roundTripError } = testCrsDefinition(
+        form.definition,
+        readBbox(form)
+      );
+      setMessage({
+        variant: roundTripError < 1e-6 ? 'success' : 'warning',
+        text:
+          `Lon/lat ${lonLat.map((value) => value.toFixed(6)).join(', ')} → ` +
+          `${projected.map((value) => value.toFixed(3)).join(', ')} ` +
+          `(round-trip error ${roundTripError.toExponential(1)}°).`,
+      });
+    } catch (error) {
+      setMessage({ variant: 'danger', text: error.message });
+    }
+  };
+
+  /**
+   * Stores the definition of the form and registers its projection.
+   */
+  const handleAdd = async () => {
+    try {
+      const replaced = Boolean(getProjection(form.code.trim()));
+      const crs = saveCustomCrs({ ...form, bbox: readBbox(form) });
+      await ensureProjection(crs.code);
+      setCrsList(getCustomCrsList());
+      setForm(EMPTY_FORM);
+      setMessage({
+        variant: 'success',
+        text: replaced
+          ? `${crs.code} saved. It was already in use, reload the page to apply the new definition.`
+          : `${crs.code} added.`,
+      });
+    } catch (error) {
+      setMessage({ variant: 'danger', text: error.message });
+    }
+  };
+
+  /**
+   * Removes a stored definition.
+   * @param {string} code - The CRS code.
+   */
+  const handleRemove = (code) => {
+    removeCustomCrs(code);
+    setCrsList(getCustomCrsList());
+    setMessage({
+      variant: 'info',
+      text: `${code} removed. Layers already using it keep working until the page is reloaded.`,
+    });
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Modal.Header closeButton>
+        <Modal.Title>Coordinate Reference Systems</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <h6>Custom Systems</h6>
+        {crsList.length > 0 ? (
+          <Table striped bordered hover size="sm">
+            <thead>
+              <tr>
+                <th>Code</th>
+                <th>Name</th>
+                <th>Validity Extent</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {crsList.map((crs) => (
+                <tr key={crs.code}>
+                  <td>{crs.code}</td>
+                  <td title={crs.definition}>{crs.name}</td>
+                  <td>{crs.bbox ? crs.bbox.join(', ') : '-'}</td>
+                  <td style={{ width: '1%' }}>
+                    <Button
+                      variant="outline-danger"
+                      size="sm"
+                      onClick={() => handleRemove(crs.code)}
+                      aria-label={`Remove ${crs.code}`}
+                      data-tooltip="Remove"
+                    >
+                      <i className="bi bi-trash"></i>
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        ) : (
+          <p className="text-muted">No custom systems defined.</p>
+        )}
+
+        <h6 className="mt-3">Add a System</h6>
+        <Row className="g-2">
+          <Col sm={4}>
+            <Form.Label htmlFor="crsCodeInput">Code</Form.Label>
+            <Form.Control
+              id="crsCodeInput"
+              size="sm"
+              type="text"
+              placeholder="e.g. LOCAL:SITE_GRID"
+              value={form.code}
+              onChange={(e) => updateForm('code', e.target.value)}
+            />
+          </Col>
+          <Col sm={8}>
+            <Form.Label htmlFor="crsNameInput">Name</Form.Label>
+            <Form.Control
+              id="crsNameInput"
+              size="sm"
+              type="text"
+              value={form.name}
+              onChange={(e) => updateForm('name', e.target.value)}
+            />
+          </Col>
+        </Row>
+        <Form.Group className="mt-2">
+          <Form.Label htmlFor="crsDefinitionInput">
+            Definition (proj4 or WKT)
+          </Form.Label>
+          <Form.Control
+            id="crsDefinitionInput"
+            as="textarea"
+            rows={3}
+            size="sm"
+            placeholder="e.g. +proj=tmerc +lat_0=0 +lon_0=19 +k=0.9993 +x_0=500000 +y_0=-5300000 +ellps=GRS80 +units=m +no_defs"
+            value={form.definition}
+            onChange={(e) => updateForm('definition', e.target.value)}
+          />
+        </Form.Group>
+        <Form.Label className="mt-2">
+          Validity Extent (WGS84 degrees, optional)
+        </Form.Label>
+        <Row className="g-2">
+          {['west', 'south', 'east', 'north'].map((bound) => (
+            <Col sm={3} key={bound}>
+              <Form.Control
+                size="sm"
+                type="number"
+                step="any"
+                placeholder={bound[0].toUpperCase() + bound.slice(1)}
+                value={form[bound]}
+                onChange={(e) => updateForm(bound, e.target.value)}
+                aria-label={`${bound} bound`}
+              />
+            </Col>
+          ))}
+        </Row>
+        {message && (
+          <Alert variant={message.variant} className="mt-3 mb-0">
+            {message.text}
+          </Alert>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button
+          variant="outline-primary"
+          onClick={handleTest}
+          disabled={!form.definition.trim()}
+        >
+          Test
+        </Button>
+        <Button
+          variant="primary"
+          onClick={handleAdd}
+          disabled={!form.code.trim() || !form.definition.trim()}
+        >
+          Add
+        </Button>
+        <Button variant="secondary" onClick={onHide}>
+          Close
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default CrsManagerModal;
@@ -0,0 +1,60 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Form } from 'react-bootstrap';
+import { getCrsOptions } from '../utils/projectionRegistry';
+
+/**
+ * Select listing the coordinate reference systems known to the app:
+ * the built-in ones, the bundled EPSG registry and the user's custom definitions.
+ * The list is reloaded on focus so that newly added custom systems show up.
+ * @param {Object} props - Component props.
+ * @param {string} props.id - Id of the select element.
+ * @param {string} props.value - The selected CRS code.
+ * @param {Function} props.onChange - Called with the selected CRS code.
+ * @param {string} [props.size='sm'] - Bootstrap size of the select.
+ * @param {string} [props.ariaLabel='CRS Select'] - Accessible label of the select.
+ */
+const CrsSelect = ({
+  id,
+  value,
+  onChange,
+  size = 'sm',
+  ariaLabel = 'CRS Select',
+}) => {
+  const [groups, setGroups] = useState([]);
+
+  const loadOptions = useCallback(() => {
+    getCrsOptions().then(setGroups);
+  }, []);
+
+  useEffect(() => {
+    loadOptions();
+  }, [loadOptions]);
+
+  const known = groups.some((group) =>
+    group.options.some((option) => option.code === value)
+  );
+
+  return (
+    <Form.Select
+      id={id}
+      size={size}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      onFocus={loadOptions}
+      aria-label={ariaLabel}
+    >
+      {!known && value && <option value={value}>{value}</option>}
+      {groups.map((group) => (
+        <optgroup key={group.label} label={group.label}>
+          {group.options.map((option) => (
+            <option key={option.code} value={option.code}>
+              {option.code} - {option.name}
+            </option>
+          ))}
+        </optgroup>
+      ))}
+    </Form.Select>
+  );
+};
+
+export default CrsSelect;
@@ -1,14 +1,46 @@
 import 'ol/ol.css';
 import { Overlay } from 'ol';
+import GeoJSON from 'ol/format/GeoJSON';
+import WMSGetFeatureInfo from 'ol/format/WMSGetFeatureInfo';
 import styles from '../styles/FeatureInfo.module.css'; // Import CSS Module
+import { fetchWithProxy } from '../utils/ogcUtils';
+
+/**
+ * GetFeatureInfo output formats in order of preference.
+ * @type {Array<string>}
+ */
+const PREFERRED_INFO_FORMATS = [
+  'application/json',
+  'application/geo+json',
+  'application/geojson',
+  'application/vnd.ogc.gml',
+  'application/vnd.ogc.gml/3.1.1',
+  'text/xml',
+  'text/plain',
+];
+
+/**
+ * Escapes a value for safe insertion into the overlay markup.
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped string.
+ */
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 
 class FeatureInfo {
   /**
    * Creates an instance of FeatureInfo.
    * @param {Object} map - The OpenLayers map object to which the overlay will be attached.
+   * @param {Array<Object>} [layers=[]] - Current layers state, used to group and name results and find queryable WMS layers.
    */
-  constructor(map) {
+  constructor(map, layers = []) {
     this.map = map;
+    this.layers = layers;
+    this.requestId = 0;
 
     /**
      * The container for displaying feature information.
@@ -57,22 +89,154 @@ class FeatureInfo {
     this.overlay.setPosition(undefined);
   }
 
+  /**
+   * Updates the layers state used to resolve layer names and WMS layers.
+   * @param {Array<Object>} layers - Current layers state.
+   */
+  updateLayers(layers) {
+    this.layers = layers;
+  }
+
+  /**
+   * Returns the entry of an OpenLayers layer in the layers state.
+   * @param {Object} olLayer - The OpenLayers layer.
+   * @returns {Object|undefined} The layer entry, or undefined if unknown.
+   */
+  getLayerEntry(olLayer) {
+    return this.layers.find((layer) => layer.layer === olLayer);
+  }
+
+  /**
+   * Collects vector features at the clicked pixel, grouped per layer.
+   * @param {Array<number>} pixel - The clicked pixel.
+   * @returns {Array<Object>} Results with the layer id and name and the feature properties.
+   */
+  getVectorFeatureInfo(pixel) {
+    const clickedFeatures = new Map();
+    this.map.forEachFeatureAtPixel(pixel, (feature, layer) => {
+      if (!clickedFeatures.has(feature)) clickedFeatures.set(feature, layer);
+    });
+
+    return Array.from(clickedFeatures).map(([feature, layer]) => {
+      const entry = this.getLayerEntry(layer);
+      return {
+        layerId: entry ? entry.id : null,
+        layerName: entry ? entry.name : '',
+        properties: feature.getProperties(),
+      };
+    });
+  }
+
+  /**
+   * Chooses the GetFeatureInfo format to request from the formats advertised by the server.
+   * @param {Array<string>} infoFormats - Formats supported by the server.
+   * @returns {string|null} The chosen format, or null if none of them can be parsed.
+   */
+  chooseInfoFormat(infoFormats = []) {
+    if (infoFormats.length === 0) return 'application/vnd.ogc.gml';
+    return (
+      PREFERRED_INFO_FORMATS.find((format) => infoFormats.includes(format)) ||
+      infoFormats.find((format) => format.includes('gml')) ||
+      null
+    );
+  }
+
+  /**
+   * Parses a GetFeatureInfo response into a list of property objects.
+   * @param {string} text - The response body.
+   * @param {string} infoFormat - The requested info format.
+   * @returns {Array<Object>} Property objects of the returned features.
+   */
+  parseFeatureInfoResponse(text, infoFormat) {
+    if (infoFormat === 'text/plain') {
+      const content = text.trim();
+      return content ? [{ info: content }] : [];
+    }
+
+    const format = infoFormat.includes('json')
+      ? new GeoJSON()
+      : new WMSGetFeatureInfo();
+    return format.readFeatures(text).map((feature) => feature.getProperties());
+  }
+
+  /**
+   * Issues GetFeatureInfo requests for the visible, queryable WMS layers at the clicked coordinate.
+   * Failed requests are logged and yield no results.
+   * @param {Array<number>} coordinate - The clicked map coordinate.
+   * @returns {Promise<Array<Object>>} Results with the layer id and name and the feature properties.
+   */
+  async getWMSFeatureInfo(coordinate) {
+    const view = this.map.getView();
+    const resolution = view.getResolution();
+    const projection = view.getProjection();
+
+    const queryableLayers = this.layers.filter(
+      (layer) =>
+        layer.type === 'wms' &&
+        layer.queryable &&
+        layer.layer &&
+        layer.layer.getVisible() &&
+        typeof layer.layer.getSource().getFeatureInfoUrl === 'function'
+    );
+
+    const responses = await Promise.all(
+      queryableLayers.map(async (layer) => {
+        const infoFormat = this.chooseInfoFormat(layer.infoFormats);
+        if (!infoFormat) return [];
+
+        const url = layer.layer
+          .getSource()
+          .getFeatureInfoUrl(coordinate, resolution, projection, {
+            INFO_FORMAT: infoFormat,
+            FEATURE_COUNT: 10,
+          });
+        if (!url) return [];
+
+        try {
+          const response = await fetchWithProxy(url);
+          const text = await response.text();
+
+          return this.parseFeatureInfoResponse(text, infoFormat).map(
+            (properties) => ({
+              layerId: layer.id,
+              layerName: layer.name,
+              properties,
+            })
+          );
+        } catch (error) {
+          console.error(`GetFeatureInfo failed for ${layer.name}:`, error);
+          return [];
+        }
+      })
+    );
+
+    return responses.flat();
+  }
+
   /**
    * Handles the map click event to display feature information overlay.
+   * Vector features and WMS GetFeatureInfo results are shown together, grouped per layer
+   * by its id, since several layers may have the same name.
    * @param {Object} event - The map click event containing the clicked pixel and other data.
    */
-  handleMapClick(event) {
-    const clickedFeatures = new Set();
-    this.map.forEachFeatureAtPixel(event.pixel, (feature) => {
-      clickedFeatures.add(feature);
-    });
+  async handleMapClick(event) {
+    const requestId = ++this.requestId;
+    const vectorInfo = this.getVectorFeatureInfo(event.pixel);
+    const wmsInfo = await this.getWMSFeatureInfo(event.coordinate);
 
-    if (clickedFeatures.size > 0) {
-      const featureInfo = Array.from(clickedFeatures).map((feature) =>
-        feature.getProperties()
-      );
+    // Ignore responses of clicks superseded by a newer one
+    if (requestId !== this.requestId) return;
 
-      this.featureInfoList = featureInfo;
+    const featureInfo = [...vectorInfo, ...wmsInfo];
+    if (featureInfo.length > 0) {
+      const layerOrder = [];
+      featureInfo.forEach(({ layerId }) => {
+        if (!layerOrder.includes(layerId)) layerOrder.push(layerId);
+      });
+
+      this.featureInfoList = layerOrder.flatMap((layerId) =>
+        featureInfo.filter((info) => info.layerId === layerId)
+      );
 
       this.currentPage = 0;
 
@@ -96,7 +260,8 @@ class FeatureInfo {
       return;
     }
 
-    const info = this.featureInfoList[this.currentPage];
+    const { layerName, properties: info } =
+      this.featureInfoList[this.currentPage];
 
     this.infoContainer.innerHTML = `
   <div style="position: relative;">
@@ -143,14 +308,15 @@ class FeatureInfo {
         </button>
       </div>
 
+      ${layerName ? `<div class="${styles.featureLayer}">Layer: ${escapeHtml(layerName)}</div>` : ''}
       <hr/>
       ${Object.keys(info)
         .filter((key) => key !== 'geometry')
         .map(
           (key) => `
             <div class="${styles.featureRow}" role="row" aria-labelledby="featureKey-${key}">
-              <span id="featureKey-${key}" class="${styles.featureKey}">${key}:</span>
-              <span class="${styles.featureValue}">${info[key]}</span>
+              <span id="featureKey-${key}" class="${styles.featureKey}">${escapeHtml(key)}:</span>
+              <span class="${styles.featureValue}">${escapeHtml(info[key])}</span>
             </div>
           `
         )
@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Button, Form, Table, Alert } from 'react-bootstrap';
+import {
+  openGeoPackage,
+  listGeoPackageTables,
+  readGeoPackageTable,
+} from '../utils/geoPackage';
+
+/**
+ * Table selection of a GeoPackage shown in the upload modal: lists the feature tables
+ * with their geometry type, CRS and row count and imports the selected ones as layers.
+ * @param {Object} props - Component props.
+ * @param {File} props.file - The GeoPackage file.
+ * @param {Function} props.onImport - Called with the layers (`{fileName, data}`) of the selected tables.
+ * @param {Function} props.onCancel - Returns to the file selection.
+ */
+const GeoPackageImport = ({ file, onImport, onCancel }) => {
+  /**
+   * Reference to the open database, closed when the file changes or the component unmounts.
+   * @type {React.MutableRefObject<Object|null>}
+   */
+  const dbRef = useRef(null);
+
+  /**
+   * State for the feature tables, null while the file is opened.
+   * @type {[Array<Object>|null, Function]}
+   */
+  const [tables, setTables] = useState(null);
+
+  /**
+   * State for the names of the selected tables.
+   * @type {[Array<string>, Function]}
+   */
+  const [selected, setSelected] = useState([]);
+
+  /**
+   * State for the opening or import error message.
+   * @type {[string|null, Function]}
+   */
+  const [error, setError] = useState(null);
+
+  /**
+   * Opens the GeoPackage and lists its feature tables.
+   */
+  useEffect(() => {
+    let cancelled = false;
+    setTables(null);
+    setError(null);
+
+    openGeoPackage(file)
+      .then((db) => {
+        if (cancelled) {
+          db.close();
+          return;
+        }
+        dbRef.current = db;
+        const featureTables = listGeoPackageTables(db);
+        setTables(featureTables);
+        setSelected(featureTables.map((table) => table.name));
+      })
+      .catch((e) => {
+        if (!cancelled) setError(e.message);
+      });
+
+    return () => {
+      cancelled = true;
+      dbRef.current?.close();
+      dbRef.current = null;
+    };
+  }, [file]);
+
+  /**
+   * Adds or removes a table from the selection.
+   * @param {string} name - The table name.
+   */
+  const toggleTable = (name) =>
+    setSelected(
+      selected.includes(name)
+        ? selected.filter((item) => item !== name)
+        : [...selected, name]
+    );
+
+  /**
+   * Reads the selected tables and passes their layers to `onImport`.
+   */
+  const handleImport = () => {
+    try {
+      onImport(
+        tables
+          .filter((table) => selected.includes(table.name))
+          .map((table) => readGeoPackageTable(dbRef.current, table))
+      );
+    } catch (e) {
+      console.error('Error reading GeoPackage tables:', e);
+      setError(`Cannot read the selected tables: ${e.message}`);
+    }
+  };
+
+  return (
+    <div>
+      <h6>{file.name}</h6>
+      {!tables && !error && <p className="text-muted">Opening...</p>}
+      {tables && tables.length === 0 && (
+        <p className="text-muted">The GeoPackage has no feature tables.</p>
+      )}
+      {tables && tables.length > 0 && (
+        <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
+          <Table striped bordered hover size="sm">
+            <thead>
+              <tr>
+                <th>
+                  <Form.Check
+                    type="checkbox"
+                    checked={selected.length === tables.length}
+                    onChange={(e) =>
+                      setSelected(
+                        e.target.checked
+                          ? tables.map((table) => table.name)
+                          : []
+                      )
+                    }
+                    aria-label="Select all tables"
+                  />
+                </th>
+                <th>Table</th>
+                <th>Geometry</th>
+                <th>CRS</th>
+                <th>Rows</th>
+              </tr>
+            </thead>
+            <tbody>
+              {tables.map((table) => (
+                <tr key={table.name}>
+                  <td>
+                    <Form.Check
+                      type="checkbox"
+                      checked={selected.includes(table.name)}
+                      onChange={() => toggleTable(table.name)}
+                      aria-label={`Select ${table.name}`}
+                    />
+                  </td>
+                  <td title={table.name}>{table.title}</td>
+                  <td>{table.geometryType}</td>
+                  <td>{table.crs}</td>
+                  <td>{table.count}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </div>
+      )}
+
+      {error && (
+        <Alert variant="danger" className="mt-3 mb-0">
+          {error}
+        </Alert>
+      )}
+
+      <div className="d-flex justify-content-end gap-2 mt-3">
+        <Button variant="outline-secondary" onClick={onCancel}>
+          Back
+        </Button>
+        <Button
+          variant="primary"
+          onClick={handleImport}
+          disabled={!tables || selected.length === 0}
+        >
+          Import
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default GeoPackageImport;
@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Form } from 'react-bootstrap';
+
+/**
+ * Expandable legend for a WMS layer shown in the layers list.
+ * @param {Object} props - Component props.
+ * @param {Object} props.layer - The WMS layer entry from the layers state.
+ * @param {string|undefined} props.legendUrl - URL of the legend graphic for the current style.
+ * @param {Function} props.onStyleChange - Called with the layer ID and the new style name.
+ */
+const LayerLegend = ({ layer, legendUrl, onStyleChange }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [hasError, setHasError] = useState(false);
+
+  /**
+   * Resets the error state whenever a new legend image is requested.
+   */
+  useEffect(() => {
+    setHasError(false);
+  }, [legendUrl]);
+
+  const styles = layer.styles || [];
+
+  return (
+    <div style={{ width: '100%', paddingLeft: '25px' }}>
+      <Button
+        variant="link"
+        size="sm"
+        onClick={() => setExpanded(!expanded)}
+        aria-expanded={expanded}
+        aria-label={`${expanded ? 'Hide' : 'Show'} legend of ${layer.name}`}
+        style={{ padding: 0, color: '#555', textDecoration: 'none' }}
+      >
+        <i
+          className={
+            expanded ? 'bi bi-caret-down-fill' : 'bi bi-caret-right-fill'
+          }
+          style={{ marginRight: '5px' }}
+        ></i>
+        Legend
+      </Button>
+
+      {expanded && (
+        <div style={{ marginTop: '5px' }}>
+          {styles.length > 1 && (
+            <Form.Select
+              size="sm"
+              value={layer.style || ''}
+              onChange={(e) => onStyleChange(layer.id, e.target.value)}
+              aria-label={`Style of ${layer.name}`}
+              style={{ marginBottom: '5px' }}
+            >
+              <option value="">Default style</option>
+              {styles.map((style) => (
+                <option key={style.name} value={style.name}>
+                  {style.title}
+                </option>
+              ))}
+            </Form.Select>
+          )}
+          {legendUrl && !hasError ? (
+            <img
+              src={legendUrl}
+              alt={`Legend of ${layer.name}`}
+              onError={() => setHasError(true)}
+              style={{ maxWidth: '100%' }}
+            />
+          ) : (
+            <small className="text-muted">Legend not available</small>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LayerLegend;
@@ -0,0 +1,220 @@
+import React, { useState } from 'react';
+import { Button, Form, Dropdown } from 'react-bootstrap';
+
+/**
+ * Three-dots menu of the non-vector (WMS, WMTS and other raster) layers in the layers panel:
+ * zoom to the extent advertised by the service, rename, opacity, metadata, refresh and removal.
+ * @param {Object} props - Component props.
+ * @param {Object} props.layer - The layer entry.
+ * @param {Function} props.onZoom - Zooms to the layer, called with the layer ID.
+ * @param {Function} props.onRename - Renames the layer, called with the layer ID and the new name.
+ * @param {Function} props.onOpacityChange - Called with the layer ID and the opacity (0-1).
+ * @param {Function} props.onRefresh - Reloads the layer, called with the layer ID.
+ * @param {Function} props.onRemove - Removes the layer, called with the layer ID.
+ */
+const LayerMenu = ({
+  layer,
+  onZoom,
+  onRename,
+  onOpacityChange,
+  onRefresh,
+  onRemove,
+}) => {
+  /**
+   * State for the name being edited, or null when not editing.
+   * @type {[string|null, Function]}
+   */
+  const [editableName, setEditableName] = useState(null);
+
+  /**
+   * State for the panel opened inside the menu (`opacity`, `info` or null).
+   * @type {[string|null, Function]}
+   */
+  const [panel, setPanel] = useState(null);
+
+  const opacity = layer.opacity ?? 1;
+
+  /**
+   * Applies the edited name and leaves the edit mode.
+   */
+  const saveName = () => {
+    const newName = (editableName || '').trim();
+    if (newName && newName !== layer.name) onRename(layer.id, newName);
+    setEditableName(null);
+  };
+
+  const togglePanel = (name) => setPanel(panel === name ? null : name);
+
+  return (
+    <Dropdown
+      align="end"
+      onToggle={(isOpen) => {
+        if (!isOpen) {
+          setEditableName(null);
+          setPanel(null);
+        }
+      }}
+    >
+      <Dropdown.Toggle
+        variant="outline-secondary"
+        size="sm"
+        id={`dropdown-${layer.id}`}
+        style={{
+          border: 'none',
+        }}
+      >
+        <i className="bi bi-three-dots"></i>
+      </Dropdown.Toggle>
+
+      <Dropdown.Menu style={{ minWidth: '230px' }}>
+        <Dropdown.Item
+          className="hover-effect"
+          onClick={() => onZoom(layer.id)}
+          disabled={!layer.active || !layer.extent}
+        >
+          <i className="bi bi-zoom-in" style={{ marginRight: '10px' }}></i>
+          Zoom to Layer
+        </Dropdown.Item>
+        {/* Edit Layer Name */}
+        {editableName !== null ? (
+          <div
+            style={{
+              padding: '10px',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '5px',
+            }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <Form.Control
+              type="text"
+              value={editableName}
+              onChange={(e) => setEditableName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && saveName()}
+              autoFocus
+              style={{ maxWidth: '150px' }}
+            />
+            <Button variant="success" size="sm" onClick={saveName}>
+              <i className="bi bi-check"></i>
+            </Button>
+            <Button
+              variant="danger"
+              size="sm"
+              onClick={() => setEditableName(null)}
+            >
+              <i className="bi bi-x"></i>
+            </Button>
+          </div>
+        ) : (
+          <Dropdown.Item
+            className="hover-effect"
+            onClick={(e) => {
+              e.stopPropagation();
+              setEditableName(layer.name);
+            }}
+          >
+            <i className="bi bi-pencil" style={{ marginRight: '10px' }}></i>
+            Edit Name
+          </Dropdown.Item>
+        )}
+        <Dropdown.Item
+          className="hover-effect"
+          onClick={(e) => {
+            e.stopPropagation();
+            togglePanel('opacity');
+          }}
+        >
+          <i className="bi bi-transparency" style={{ marginRight: '10px' }}></i>
+          Opacity
+        </Dropdown.Item>
+        {panel === 'opacity' && (
+          <div
+            style={{
+              padding: '10px',
+              borderTop: '1px solid #ddd',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '10px',
+            }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <Form.Range
+              min={0}
+              max={100}
+              value={Math.round(opacity * 100)}
+              onChange={(e) =>
+                onOpacityChange(layer.id, Number(e.target.value) / 100)
+              }
+              aria-label="Layer opacity"
+            />
+            <small style={{ minWidth: '40px', textAlign: 'right' }}>
+              {Math.round(opacity * 100)}%
+            </small>
+          </div>
+        )}
+        <Dropdown.Item
+          className="hover-effect"
+          onClick={(e) => {
+            e.stopPropagation();
+            togglePanel('info');
+          }}
+        >
+          <i className="bi bi-info-square" style={{ marginRight: '10px' }}></i>
+          Layer Info
+        </Dropdown.Item>
+        {panel === 'info' && (
+          <div
+            style={{
+              padding: '10px',
+              borderTop: '1px solid #ddd',
+              maxWidth: '300px',
+              maxHeight: '250px',
+              overflowY: 'auto',
+              fontSize: '0.875rem',
+            }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <strong>{layer.title || layer.name}</strong>
+            {layer.type && (
+              <div>
+                Service: {layer.type.toUpperCase()}
+                {layer.version ? ` ${layer.version}` : ''}
+              </div>
+            )}
+            {layer.layerName && <div>Layer: {layer.layerName}</div>}
+            {layer.url && (
+              <div style={{ wordBreak: 'break-all' }}>URL: {layer.url}</div>
+            )}
+            <p style={{ margin: '8px 0 0', whiteSpace: 'pre-wrap' }}>
+              {layer.abstract || 'No description available.'}
+            </p>
+          </div>
+        )}
+        <Dropdown.Item
+          className="hover-effect"
+          onClick={() => onRefresh(layer.id)}
+          disabled={!layer.active}
+        >
+          <i
+            className="bi bi-arrow-clockwise"
+            style={{ marginRight: '10px' }}
+          ></i>
+          Refresh
+        </Dropdown.Item>
+        <Dropdown.Item
+          className="hover-effect text-danger"
+          onClick={() => {
+            if (window.confirm(`Remove layer "${layer.name}"?`)) {
+              onRemove(layer.id);
+            }
+          }}
+        >
+          <i className="bi bi-trash" style={{ marginRight: '10px' }}></i>
+          Remove Layer
+        </Dropdown.Item>
+      </Dropdown.Menu>
+    </Dropdown>
+  );
+};
+
+export default LayerMenu;
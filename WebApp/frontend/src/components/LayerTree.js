@@ -0,0 +1,224 @@
+import React, { useState } from 'react';
+import { Button, Form } from 'react-bootstrap';
+
+/**
+ * Formats a scale denominator range for display.
+ * @param {number|null} minScale - The minimum scale denominator.
+ * @param {number|null} maxScale - The maximum scale denominator.
+ * @returns {string} The formatted range, or an empty string if the layer has no scale limits.
+ */
+const formatScaleRange = (minScale, maxScale) => {
+  if (!minScale && !maxScale) return '';
+  const format = (scale) => `1:${Math.round(scale).toLocaleString()}`;
+  return `${minScale ? format(minScale) : '∞'} – ${maxScale ? format(maxScale) : '∞'}`;
+};
+
+/**
+ * A single node of the capabilities tree, rendered with its sub-layers.
+ * @param {Object} props - Component props.
+ * @param {Object} props.node - The layer node.
+ * @param {string} props.path - Unique path of the node in the tree.
+ * @param {number} props.depth - Nesting level of the node.
+ * @param {Set<string>} props.expanded - Paths of the expanded nodes.
+ * @param {Function} props.toggleExpanded - Expands or collapses a node by its path.
+ * @param {Set<string>} props.selectedLayers - Names of the selected layers.
+ * @param {Function} props.onToggleLayer - Toggles the selection of a layer by its name.
+ * @param {Object} props.layerOptions - Per-layer options keyed by layer name.
+ * @param {Function} props.onOptionChange - Updates a per-layer option.
+ */
+const LayerTreeNode = ({
+  node,
+  path,
+  depth,
+  expanded,
+  toggleExpanded,
+  selectedLayers,
+  onToggleLayer,
+  layerOptions,
+  onOptionChange,
+}) => {
+  const [showAbstract, setShowAbstract] = useState(false);
+  const hasChildren = node.children.length > 0;
+  const isExpanded = expanded.has(path);
+  const isSelected = !!node.name && selectedLayers.has(node.name);
+  const scaleRange = formatScaleRange(node.minScale, node.maxScale);
+
+  return (
+    <li>
+      <div
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          paddingLeft: `${depth * 20}px`,
+          paddingTop: '4px',
+          paddingBottom: '4px',
+          borderBottom: '1px solid #eee',
+        }}
+      >
+        <Button
+          variant="link"
+          size="sm"
+          onClick={() => toggleExpanded(path)}
+          disabled={!hasChildren}
+          aria-label={`${isExpanded ? 'Collapse' : 'Expand'} ${node.title}`}
+          style={{
+            padding: 0,
+            width: '16px',
+            color: '#555',
+            visibility: hasChildren ? 'visible' : 'hidden',
+          }}
+        >
+          <i
+            className={
+              isExpanded ? 'bi bi-caret-down-fill' : 'bi bi-caret-right-fill'
+            }
+          ></i>
+        </Button>
+        {node.name ? (
+          <Form.Check
+            type="checkbox"
+            id={`selectLayerCheckbox-${path}`}
+            checked={isSelected}
+            onChange={() => onToggleLayer(node.name)}
+            aria-label={`Select layer ${node.title}`}
+            title={`Select or deselect the layer with title: ${node.title}`}
+          />
+        ) : (
+          <i className="bi bi-folder" aria-hidden="true"></i>
+        )}
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div>
+            {node.title}
+            {node.name && node.name !== node.title && (
+              <small className="text-muted"> ({node.name})</small>
+            )}
+          </div>
+          {scaleRange && (
+            <small className="text-muted">Visible at {scaleRange}</small>
+          )}
+        </div>
+        {node.abstract && (
+          <Button
+            variant="link"
+            size="sm"
+            onClick={() => setShowAbstract(!showAbstract)}
+            aria-label={`Show description of ${node.title}`}
+            title="Show layer description"
+            style={{ padding: 0, color: '#555' }}
+          >
+            <i className="bi bi-info-circle"></i>
+          </Button>
+        )}
+        {isSelected && node.styles.length > 0 && (
+          <Form.Select
+            size="sm"
+            value={layerOptions[node.name]?.style || ''}
+            onChange={(e) => onOptionChange(node.name, 'style', e.target.value)}
+            aria-label={`Style for ${node.title}`}
+            style={{ width: '180px' }}
+          >
+            <option value="">Default style</option>
+            {node.styles.map((style) => (
+              <option key={style.name} value={style.name}>
+                {style.title}
+              </option>
+            ))}
+          </Form.Select>
+        )}
+      </div>
+      {showAbstract && (
+        <p
+          className="text-muted"
+          style={{
+            paddingLeft: `${depth * 20 + 24}px`,
+            margin: '4px 0',
+            fontSize: '0.85em',
+          }}
+        >
+          {node.abstract}
+        </p>
+      )}
+      {hasChildren && isExpanded && (
+        <ul style={{ listStyleType: 'none', padding: 0 }}>
+          {node.children.map((child, index) => (
+            <LayerTreeNode
+              key={`${path}-${index}`}
+              node={child}
+              path={`${path}-${index}`}
+              depth={depth + 1}
+              expanded={expanded}
+              toggleExpanded={toggleExpanded}
+              selectedLayers={selectedLayers}
+              onToggleLayer={onToggleLayer}
+              layerOptions={layerOptions}
+              onOptionChange={onOptionChange}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+/**
+ * Collapsible tree of the layers advertised in WMS capabilities.
+ * Top-level nodes are expanded initially.
+ * @param {Object} props - Component props.
+ * @param {Array<Object>} props.nodes - Top-level layer nodes.
+ * @param {Set<string>} props.selectedLayers - Names of the selected layers.
+ * @param {Function} props.onToggleLayer - Toggles the selection of a layer by its name.
+ * @param {Object} props.layerOptions - Per-layer options keyed by layer name.
+ * @param {Function} props.onOptionChange - Updates a per-layer option.
+ */
+const LayerTree = ({
+  nodes,
+  selectedLayers,
+  onToggleLayer,
+  layerOptions,
+  onOptionChange,
+}) => {
+  const [expanded, setExpanded] = useState(
+    () => new Set(nodes.map((_, index) => `${index}`))
+  );
+
+  /**
+   * Expands or collapses a node.
+   * @param {string} path - Path of the node.
+   */
+  const toggleExpanded = (path) => {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(path)) {
+        next.delete(path);
+      } else {
+        next.add(path);
+      }
+      return next;
+    });
+  };
+
+  return (
+    <ul
+      style={{ listStyleType: 'none', padding: 0 }}
+      aria-label="Available layers"
+    >
+      {nodes.map((node, index) => (
+        <LayerTreeNode
+          key={index}
+          node={node}
+          path={`${index}`}
+          depth={0}
+          expanded={expanded}
+          toggleExpanded={toggleExpanded}
+          selectedLayers={selectedLayers}
+          onToggleLayer={onToggleLayer}
+          layerOptions={layerOptions}
+          onOptionChange={onOptionChange}
+        />
+      ))}
+    </ul>
+  );
+};
+
+export default LayerTree;
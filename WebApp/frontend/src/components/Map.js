@@ -1,4 +1,5 @@
 import React, { useEffect, useState, useRef } from 'react';
+import { useDropzone } from 'react-dropzone';
 import 'ol/ol.css';
 import Navigation from './Navigation';
 import Loader from './Loader';
@@ -6,9 +7,15 @@ import { basemaps } from '../constants/basemaps';
 import { layers } from '../constants/layers';
 import FeatureInfo from './FeatureInfo';
 import AttributeTable from './AttributeTable';
-import { EnableInformationButton, BasemapContainer } from './MapElements';
+import {
+  EnableInformationButton,
+  BasemapContainer,
+  DimensionControl,
+  CoordinateDisplay,
+} from './MapElements';
 import {
   ToggleLayerVisibility,
+  LayerOptionsHandler,
   reorderLayers,
   LabelHandler,
 } from '../handlers/LayerHandler';
@@ -18,6 +25,10 @@ import AttributeTableHandler from '../handlers/AttributeTableHandler';
 import { initializeMap } from '../handlers/MapInitializer';
 import AddWMSLayerModal from './AddWMSLayerModal';
 import WMSHandler from '../handlers/WMSHandler';
+import WMTSHandler from '../handlers/WMTSHandler';
+import WFSHandler from '../handlers/WFSHandler';
+import ArcGISRestHandler from '../handlers/ArcGISRestHandler';
+import OGCFeaturesHandler from '../handlers/OGCFeaturesHandler';
 import VectorSource from 'ol/source/Vector';
 import GeoJSON from 'ol/format/GeoJSON';
 import VectorLayer from 'ol/layer/Vector';
@@ -25,7 +36,10 @@ import Style from 'ol/style/Style';
 import Fill from 'ol/style/Fill';
 import Stroke from 'ol/style/Stroke';
 import UploadVectorModal from './UploadVectorModal';
+import CrsManagerModal from './CrsManagerModal';
+import AddBasemapModal from './AddBasemapModal';
 import handleVectorUpload from '../handlers/UploadVector';
+import { getVisibleTileFeatures } from '../handlers/VectorHandler';
 
 const MapComponent = () => {
   const mapRef = useRef(null);
@@ -35,9 +49,14 @@ const MapComponent = () => {
   const featureInfoRef = useRef(null);
   const toggleLayerVisibilityInstance = useRef(null);
   const LayerZoomRef = useRef(null);
+  const layerOptionsHandlerRef = useRef(null);
   const basemapHandlerRef = useRef(null);
   const attributeTableHandlerRef = useRef(null);
   const wmsHandlerRef = useRef(null);
+  const wmtsHandlerRef = useRef(null);
+  const wfsHandlerRef = useRef(null);
+  const arcgisHandlerRef = useRef(null);
+  const ogcFeaturesHandlerRef = useRef(null);
 
   const [attributeTableData, setAttributeTableData] = useState([]);
   const [showTable, setShowTable] = useState(false);
@@ -48,6 +67,9 @@ const MapComponent = () => {
   const [infoEnabled, setInfoEnabled] = useState(false);
   const labelHandlerRef = useRef(null);
   const [showUploadModal, setShowUploadModal] = useState(false);
+  const [droppedFiles, setDroppedFiles] = useState(null);
+  const [showCrsManager, setShowCrsManager] = useState(false);
+  const [showAddBasemapModal, setShowAddBasemapModal] = useState(false);
 
   /**
    * Initializes the map on the component's first render.
@@ -81,12 +103,15 @@ const MapComponent = () => {
   }, []);
 
   /**
-   * Toggles the feature info functionality based on the `infoEnabled` state.
+   * Toggles the feature info functionality based on the `infoEnabled` state
+   * and keeps it in sync with the current layers.
    */
   useEffect(() => {
     if (infoEnabled) {
       if (!featureInfoRef.current) {
-        featureInfoRef.current = new FeatureInfo(map);
+        featureInfoRef.current = new FeatureInfo(map, layersState);
+      } else {
+        featureInfoRef.current.updateLayers(layersState);
       }
     } else {
       if (featureInfoRef.current) {
@@ -94,7 +119,7 @@ const MapComponent = () => {
         featureInfoRef.current = null;
       }
     }
-  }, [infoEnabled, map]);
+  }, [infoEnabled, map, layersState]);
 
   /**
    * Initializes map handlers once the map instance is available.
@@ -107,6 +132,11 @@ const MapComponent = () => {
         setLayers
       );
       LayerZoomRef.current = new LayerZoom(map, layersState);
+      layerOptionsHandlerRef.current = new LayerOptionsHandler(
+        map,
+        layersState,
+        setLayers
+      );
       basemapHandlerRef.current = new BasemapHandler(
         map,
         basemapState,
@@ -122,6 +152,10 @@ const MapComponent = () => {
         setLayers,
         setShowAddWMSLayerModal
       );
+      wmtsHandlerRef.current = new WMTSHandler(map, setLayers);
+      wfsHandlerRef.current = new WFSHandler(map, setLayers);
+      arcgisHandlerRef.current = new ArcGISRestHandler(map, setLayers);
+      ogcFeaturesHandlerRef.current = new OGCFeaturesHandler(map, setLayers);
       labelHandlerRef.current = new LabelHandler(layersState);
       map.on('moveend', () => {
         layersState.forEach((layer) => {
@@ -158,6 +192,37 @@ const MapComponent = () => {
     }
   };
 
+  /**
+   * Changes the opacity of a layer.
+   * @param {string} layerId - The ID of the layer.
+   * @param {number} opacity - Opacity between 0 and 1.
+   */
+  const handleChangeLayerOpacity = (layerId, opacity) => {
+    if (layerOptionsHandlerRef.current) {
+      layerOptionsHandlerRef.current.setOpacity(layerId, opacity);
+    }
+  };
+
+  /**
+   * Reloads the data of a layer.
+   * @param {string} layerId - The ID of the layer to refresh.
+   */
+  const handleRefreshLayer = (layerId) => {
+    if (layerOptionsHandlerRef.current) {
+      layerOptionsHandlerRef.current.refresh(layerId);
+    }
+  };
+
+  /**
+   * Removes a layer from the map.
+   * @param {string} layerId - The ID of the layer to remove.
+   */
+  const handleRemoveLayer = (layerId) => {
+    if (layerOptionsHandlerRef.current) {
+      layerOptionsHandlerRef.current.remove(layerId);
+    }
+  };
+
   /**
    * Zooms the map to the extent of a specific feature.
    * @param {Object} featureProperties - Properties of the feature to zoom to.
@@ -178,13 +243,35 @@ const MapComponent = () => {
     }
   };
 
+  /**
+   * Adds a basemap created by the user and switches to it.
+   * @param {Object} definition - The stored basemap definition.
+   */
+  const handleAddBasemap = (definition) => {
+    if (basemapHandlerRef.current) {
+      basemapHandlerRef.current.addBasemap(definition);
+    }
+  };
+
+  /**
+   * Removes a basemap created by the user.
+   * @param {string} id - The ID of the basemap to remove.
+   */
+  const handleRemoveBasemap = (id) => {
+    if (basemapHandlerRef.current) {
+      basemapHandlerRef.current.removeBasemap(id);
+    }
+  };
+
   /**
    * Displays the attribute table for the target layer.
    * @param {Object} targetLayer - The layer whose attributes are displayed.
    */
   const handleShowAttributeTable = (targetLayer) => {
     if (attributeTableHandlerRef.current) {
-      const features = targetLayer.layer.getSource().getFeatures();
+      const features = targetLayer.isVectorTile
+        ? getVisibleTileFeatures(map, targetLayer.layer)
+        : targetLayer.layer.getSource().getFeatures();
       const attributeData = features.map((feature) => feature.getProperties());
 
       setAttributeTableData(attributeData);
@@ -202,6 +289,38 @@ const MapComponent = () => {
     }
   };
 
+  /**
+   * Returns the legend graphic URL of a WMS layer.
+   * @param {Object} layer - The WMS layer entry.
+   * @returns {string|undefined} The legend image URL.
+   */
+  const handleGetLegendUrl = (layer) =>
+    wmsHandlerRef.current
+      ? wmsHandlerRef.current.getLegendUrl(layer)
+      : undefined;
+
+  /**
+   * Changes the style of a WMS layer.
+   * @param {string} layerId - The ID of the WMS layer.
+   * @param {string} styleName - The name of the style to apply.
+   */
+  const handleChangeLayerStyle = (layerId, styleName) => {
+    if (wmsHandlerRef.current) {
+      wmsHandlerRef.current.setLayerStyle(layerId, styleName);
+    }
+  };
+
+  /**
+   * Applies a time or elevation value to the WMS layers supporting that dimension.
+   * @param {string} dimensionName - The dimension name (`time` or `elevation`).
+   * @param {string} value - The selected value.
+   */
+  const handleDimensionChange = (dimensionName, value) => {
+    if (wmsHandlerRef.current) {
+      wmsHandlerRef.current.setDimensionValue(dimensionName, value);
+    }
+  };
+
   /**
    * Tracks the source index when dragging a layer in the layer list.
    * @param {DragEvent} e - The drag event.
@@ -244,6 +363,36 @@ const MapComponent = () => {
     setShowUploadModal(true);
   };
 
+  /**
+   * Opens the upload modal with the files dropped on the map.
+   * @param {Array<File>} files - The dropped files.
+   */
+  const handleMapDrop = (files) => {
+    if (files.length === 0) return;
+    setDroppedFiles(files);
+    setShowUploadModal(true);
+  };
+
+  /**
+   * Zooms the map to the combined extent of the uploaded layers.
+   * @param {Array<number>} extent - The extent in the map projection.
+   */
+  const handleZoomToExtent = (extent) => {
+    if (LayerZoomRef.current) {
+      LayerZoomRef.current.zoomToExtent(extent);
+    }
+  };
+
+  // Files dropped anywhere on the map are uploaded; clicks and keys stay with the map.
+  // Disabled while the upload modal, whose drag events bubble up here, is open.
+  const { getRootProps: getMapDropProps, isDragActive: isDraggingOverMap } =
+    useDropzone({
+      onDrop: handleMapDrop,
+      noClick: true,
+      noKeyboard: true,
+      disabled: showUploadModal,
+    });
+
   return (
     <div style={{ display: 'flex', height: '100vh' }}>
       <Navigation
@@ -260,10 +409,35 @@ const MapComponent = () => {
         showAttributeTable={handleShowAttributeTable}
         openAddWMSLayerModal={() => setShowAddWMSLayerModal(true)}
         openUploadModal={openUploadModal}
+        openCrsManager={() => setShowCrsManager(true)}
+        changeLayerOpacity={handleChangeLayerOpacity}
+        refreshLayer={handleRefreshLayer}
+        removeLayer={handleRemoveLayer}
+        getLegendUrl={handleGetLegendUrl}
+        changeLayerStyle={handleChangeLayerStyle}
         aria-label="Layer navigation"
       />
-      <div style={{ flex: 1, position: 'relative' }}>
+      <div {...getMapDropProps({ style: { flex: 1, position: 'relative' } })}>
         <Loader loading={loading} />
+        {isDraggingOverMap && (
+          <div
+            style={{
+              position: 'absolute',
+              inset: 0,
+              zIndex: 1000,
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              border: '3px dashed #007bff',
+              backgroundColor: 'rgba(0, 123, 255, 0.1)',
+              pointerEvents: 'none',
+            }}
+          >
+            <p className="bg-white rounded px-3 py-2 m-0">
+              Drop files to add them as layers
+            </p>
+          </div>
+        )}
         <div
           ref={mapRef}
           id="map"
@@ -285,7 +459,14 @@ const MapComponent = () => {
           aria-label="Choose a basemap"
           basemapState={basemapState}
           handleBasemapChange={handleBasemapChange}
+          onAddBasemap={() => setShowAddBasemapModal(true)}
+          onRemoveBasemap={handleRemoveBasemap}
+        />
+        <DimensionControl
+          layers={layersState}
+          onDimensionChange={handleDimensionChange}
         />
+        <CoordinateDisplay map={map} />
         {showTable && (
           <AttributeTable
             data={attributeTableData}
@@ -300,13 +481,31 @@ const MapComponent = () => {
           onHide={() => setShowAddWMSLayerModal(false)}
           onSubmit={handleAddWMSLayer}
           wmsHandler={wmsHandlerRef.current}
+          wmtsHandler={wmtsHandlerRef.current}
+          wfsHandler={wfsHandlerRef.current}
+          arcgisHandler={arcgisHandlerRef.current}
+          ogcFeaturesHandler={ogcFeaturesHandlerRef.current}
         />
         <UploadVectorModal
           show={showUploadModal}
-          onHide={() => setShowUploadModal(false)}
-          onUpload={(geoJsonData, fileName) =>
-            handleVectorUpload(geoJsonData, fileName, map, setLayers)
+          onHide={() => {
+            setShowUploadModal(false);
+            setDroppedFiles(null);
+          }}
+          onUpload={(data, fileName, options) =>
+            handleVectorUpload(data, fileName, map, setLayers, options)
           }
+          onZoomToExtent={handleZoomToExtent}
+          droppedFiles={droppedFiles}
+        />
+        <CrsManagerModal
+          show={showCrsManager}
+          onHide={() => setShowCrsManager(false)}
+        />
+        <AddBasemapModal
+          show={showAddBasemapModal}
+          onHide={() => setShowAddBasemapModal(false)}
+          onAdd={handleAddBasemap}
         />
       </div>
     </div>
@@ -1,5 +1,10 @@
 import React, { useState, useEffect, useRef } from 'react';
 import styles from '../styles/MapElements.module.css';
+import { sortDimensionValues, findDefaultIndex } from '../utils/dimensionUtils';
+import { transform } from 'ol/proj';
+import { ensureProjection } from '../utils/projectionRegistry';
+import CrsSelect from './CrsSelect';
+import { NO_BASEMAP_ID } from '../constants/basemaps';
 
 /**
  * Button component to toggle the information display.
@@ -33,8 +38,15 @@ export const EnableInformationButton = ({ infoEnabled, toggleInfo }) => (
  * @param {Object} props - The component props.
  * @param {Array} props.basemapState - Array of basemaps with their states.
  * @param {function} props.handleBasemapChange - Function to handle basemap selection.
+ * @param {function} props.onAddBasemap - Opens the dialog adding a basemap from a URL template.
+ * @param {function} props.onRemoveBasemap - Removes a basemap added by the user, called with its ID.
  */
-export const BasemapContainer = ({ basemapState, handleBasemapChange }) => {
+export const BasemapContainer = ({
+  basemapState,
+  handleBasemapChange,
+  onAddBasemap,
+  onRemoveBasemap,
+}) => {
   const [showBasemaps, setShowBasemaps] = useState(false);
   const panelRef = useRef(null);
 
@@ -92,7 +104,15 @@ export const BasemapContainer = ({ basemapState, handleBasemapChange }) => {
         >
           <h4>Basemaps</h4>
           {basemapState.map((bm) => (
-            <div key={bm.id} className={styles['radio-input']}>
+            <div
+              key={bm.id}
+              className={styles['radio-input']}
+              style={
+                bm.custom
+                  ? { flexDirection: 'row', alignItems: 'center' }
+                  : undefined
+              }
+            >
               <label className={styles.label}>
                 <input
                   type="radio"
@@ -103,10 +123,292 @@ export const BasemapContainer = ({ basemapState, handleBasemapChange }) => {
                 />
                 <span className={styles['radio-input__label']}>{bm.name}</span>
               </label>
+              {bm.custom && (
+                <button
+                  className="btn btn-link btn-sm text-danger"
+                  onClick={() => {
+                    if (window.confirm(`Remove basemap "${bm.name}"?`)) {
+                      onRemoveBasemap(bm.id);
+                    }
+                  }}
+                  aria-label={`Remove ${bm.name}`}
+                  data-tooltip="Remove"
+                  data-position="left"
+                >
+                  <i className="bi bi-trash"></i>
+                </button>
+              )}
             </div>
           ))}
+          <div className={styles['radio-input']}>
+            <label className={styles.label}>
+              <input
+                type="radio"
+                name="basemap"
+                className={styles['radio-input__control']}
+                checked={!basemapState.some((bm) => bm.active)}
+                onChange={() => handleBasemapChange(NO_BASEMAP_ID)}
+              />
+              <span className={styles['radio-input__label']}>No basemap</span>
+            </label>
+          </div>
+          <button
+            className="btn btn-outline-primary btn-sm mt-2 w-100"
+            onClick={() => {
+              setShowBasemaps(false);
+              onAddBasemap();
+            }}
+          >
+            <i className="bi bi-plus-lg" style={{ marginRight: '5px' }}></i>
+            Add Basemap
+          </button>
         </div>
       )}
     </div>
   );
 };
+
+/**
+ * Collects the sorted union of the values of a dimension over the given layers.
+ * @param {Array<Object>} layers - WMS layer entries having the dimension.
+ * @param {string} name - The dimension name.
+ * @returns {Array<string>} The sorted distinct values.
+ */
+const collectDimensionValues = (layers, name) =>
+  sortDimensionValues(
+    Array.from(
+      new Set(layers.flatMap((layer) => layer.dimensions[name].values))
+    ),
+    name
+  );
+
+/**
+ * Time slider and elevation selector for time/elevation-enabled WMS layers.
+ * Rendered only when at least one visible WMS layer advertises such a dimension.
+ * @param {Object} props - The component props.
+ * @param {Array} props.layers - Current layers state.
+ * @param {function} props.onDimensionChange - Called with the dimension name and the selected value.
+ * @param {number} [props.frameDuration=1500] - Animation frame duration in milliseconds.
+ */
+export const DimensionControl = ({
+  layers,
+  onDimensionChange,
+  frameDuration = 1500,
+}) => {
+  const [timeIndex, setTimeIndex] = useState(null);
+  const [elevation, setElevation] = useState('');
+  const [playing, setPlaying] = useState(false);
+  const stepRef = useRef(null);
+
+  const dimensionLayers = (name) =>
+    layers.filter(
+      (layer) =>
+        layer.type === 'wms' && layer.active && layer.dimensions?.[name]
+    );
+  const timeLayers = dimensionLayers('time');
+  const elevationLayers = dimensionLayers('elevation');
+  const timeValues = collectDimensionValues(timeLayers, 'time');
+  const elevationValues = collectDimensionValues(elevationLayers, 'elevation');
+
+  const defaultIndex = findDefaultIndex(
+    timeValues,
+    timeLayers[0]?.dimensions.time.default,
+    'time'
+  );
+  const currentIndex =
+    timeIndex !== null && timeIndex < timeValues.length
+      ? timeIndex
+      : defaultIndex;
+
+  /**
+   * Selects a time step and applies it to the time-enabled layers.
+   * @param {number} index - Index of the time value.
+   */
+  const selectTime = (index) => {
+    setTimeIndex(index);
+    onDimensionChange('time', timeValues[index]);
+  };
+
+  stepRef.current = () => selectTime((currentIndex + 1) % timeValues.length);
+
+  /**
+   * Advances the time slider periodically while the animation is playing.
+   */
+  useEffect(() => {
+    if (!playing) return undefined;
+    const interval = setInterval(() => stepRef.current(), frameDuration);
+    return () => clearInterval(interval);
+  }, [playing, frameDuration]);
+
+  /**
+   * Stops the animation when no time-enabled layer is left.
+   */
+  useEffect(() => {
+    if (timeValues.length === 0) setPlaying(false);
+  }, [timeValues.length]);
+
+  if (timeValues.length === 0 && elevationValues.length === 0) return null;
+
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        bottom: '20px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        width: '420px',
+        backgroundColor: 'white',
+        padding: '10px 15px',
+        borderRadius: '8px',
+        boxShadow: '0 2px 5px rgba(0, 0, 0, 0.2)',
+      }}
+      aria-label="Time and elevation controls"
+    >
+      {timeValues.length > 0 && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+          <button
+            className="btn btn-primary btn-sm"
+            onClick={() => setPlaying(!playing)}
+            disabled={timeValues.length < 2}
+            aria-label={playing ? 'Pause animation' : 'Play animation'}
+            data-tooltip={playing ? 'Pause' : 'Play'}
+          >
+            <i className={playing ? 'bi bi-pause-fill' : 'bi bi-play-fill'}></i>
+          </button>
+          <input
+            type="range"
+            className="form-range"
+            min={0}
+            max={timeValues.length - 1}
+            value={currentIndex}
+            onChange={(e) => selectTime(parseInt(e.target.value, 10))}
+            aria-label="Time"
+            style={{ flex: 1 }}
+          />
+          <small style={{ minWidth: '140px', textAlign: 'right' }}>
+            {timeValues[currentIndex]}
+          </small>
+        </div>
+      )}
+      {elevationValues.length > 0 && (
+        <div
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '10px',
+            marginTop: timeValues.length > 0 ? '8px' : 0,
+          }}
+        >
+          <label htmlFor="elevationSelect" style={{ margin: 0 }}>
+            Elevation
+          </label>
+          <select
+            id="elevationSelect"
+            className="form-select form-select-sm"
+            value={elevation}
+            onChange={(e) => {
+              setElevation(e.target.value);
+              onDimensionChange('elevation', e.target.value);
+            }}
+          >
+            <option value="" disabled>
+              Default
+              {elevationLayers[0]?.dimensions.elevation.default
+                ? ` (${elevationLayers[0].dimensions.elevation.default})`
+                : ''}
+            </option>
+            {elevationValues.map((value) => (
+              <option key={value} value={value}>
+                {value} {elevationLayers[0]?.dimensions.elevation.units}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Pointer coordinates readout with a selectable coordinate reference system,
+ * including the user's custom definitions (see `CrsManagerModal`).
+ * @param {Object} props - The component props.
+ * @param {import('ol/Map').default} props.map - The map instance.
+ */
+export const CoordinateDisplay = ({ map }) => {
+  const [crs, setCrs] = useState('EPSG:4326');
+  const [projection, setProjection] = useState(null);
+  const [coordinate, setCoordinate] = useState(null);
+
+  /**
+   * Registers the selected CRS if needed.
+   */
+  useEffect(() => {
+    let cancelled = false;
+    ensureProjection(crs).then((result) => {
+      if (!cancelled) setProjection(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [crs]);
+
+  /**
+   * Tracks the pointer position in map coordinates.
+   */
+  useEffect(() => {
+    if (!map) return undefined;
+    const onPointerMove = (e) => setCoordinate(e.coordinate);
+    const onPointerOut = () => setCoordinate(null);
+    const viewport = map.getViewport();
+    map.on('pointermove', onPointerMove);
+    viewport.addEventListener('mouseout', onPointerOut);
+    return () => {
+      map.un('pointermove', onPointerMove);
+      viewport.removeEventListener('mouseout', onPointerOut);
+    };
+  }, [map]);
+
+  let text = '-';
+  if (!projection) {
+    text = 'Unknown CRS';
+  } else if (map && coordinate) {
+    const [x, y] = transform(
+      coordinate,
+      map.getView().getProjection(),
+      projection
+    );
+    const digits = projection.getUnits() === 'degrees' ? 6 : 2;
+    text = `${x.toFixed(digits)}, ${y.toFixed(digits)}`;
+  }
+
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        bottom: '10px',
+        right: '10px',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+        backgroundColor: 'white',
+        padding: '4px 8px',
+        borderRadius: '4px',
+        boxShadow: '0 2px 5px rgba(0, 0, 0, 0.2)',
+      }}
+      aria-label="Pointer coordinates"
+    >
+      <small style={{ minWidth: '170px', fontFamily: 'monospace' }}>
+        {text}
+      </small>
+      <div style={{ width: '220px' }}>
+        <CrsSelect
+          id="coordinateCrsSelect"
+          value={crs}
+          onChange={setCrs}
+          ariaLabel="Coordinates CRS Select"
+        />
+      </div>
+    </div>
+  );
+};
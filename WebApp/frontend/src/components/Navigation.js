@@ -4,6 +4,8 @@ import 'bootstrap-icons/font/bootstrap-icons.css';
 import { SmallSpinner } from './Loader';
 import { SketchPicker } from 'react-color';
 import { StyleHandler, LabelHandler } from '../handlers/LayerHandler';
+import LayerLegend from './LayerLegend';
+import LayerMenu from './LayerMenu';
 import { useEffect, useRef } from 'react';
 import '../styles/Tooltip.module.css';
 import '../styles/Hoover.css';
@@ -15,12 +17,18 @@ import '../styles/Hoover.css';
  * @param {Function} toggleLayerVisibility - Toggles the visibility of a layer by its ID.
  * @param {Function} zoomToLayer - Zooms to a selected layer by its ID.
  * @param {Function} showAttributeTable - Displays the attribute table for the selected layer.
- * @param {Function} openAddWMSLayerModal - Opens the modal for adding WMS/WMTS layers.
+ * @param {Function} openAddWMSLayerModal - Opens the modal for adding WMS/WMTS/WFS/ArcGIS layers.
  * @param {Object} dragAndDropHandlers - Contains drag-and-drop handler functions for reordering layers visually.
  * @param {Function} dragAndDropHandlers.handleDragStart - Handles dragStart event with event and index as parameters.
  * @param {Function} dragAndDropHandlers.handleDragOver - Handles dragOver event to handle reordering.
  * @param {Function} dragAndDropHandlers.handleDrop - Handles drop event with event and index for reordering.
  * @param {Function} openUploadModal - Opens the modal for uploading vector layers.
+ * @param {Function} getLegendUrl - Returns the legend graphic URL of a WMS layer.
+ * @param {Function} changeLayerStyle - Changes the style of a WMS layer by its ID.
+ * @param {Function} openCrsManager - Opens the custom coordinate reference systems manager.
+ * @param {Function} changeLayerOpacity - Changes the opacity of a layer by its ID.
+ * @param {Function} refreshLayer - Reloads the data of a layer by its ID.
+ * @param {Function} removeLayer - Removes a layer by its ID.
  * @param {Object} styleHandler - An instance of StyleHandler providing methods to manage and change layer styles.
  * @param {Object} labelHandler - An instance of LabelHandler for manipulating and assigning labels to layers.
  * @param {Object} labelHandlerRef - Mutable reference object for the LabelHandler.
@@ -35,6 +43,12 @@ const Navigation = ({
   openAddWMSLayerModal,
   dragAndDropHandlers,
   openUploadModal,
+  getLegendUrl,
+  changeLayerStyle,
+  openCrsManager,
+  changeLayerOpacity,
+  refreshLayer,
+  removeLayer,
 }) => {
   /**
    * State to manage the visibility of the layers panel.
@@ -110,7 +124,10 @@ const Navigation = ({
     setLabelPanel({ isOpen: true, layerId });
 
     const selectedLayer = layers.find((layer) => layer.id === layerId);
-    if (selectedLayer && selectedLayer.isVector) {
+    if (selectedLayer && selectedLayer.isVectorTile) {
+      // Vector tile sources have no feature collection, the attributes are read from the loaded tiles
+      setCurrentAttributes(selectedLayer.attributes || []);
+    } else if (selectedLayer && selectedLayer.isVector) {
       const source = selectedLayer.layer.getSource();
       const features = source.getFeatures();
 
@@ -171,7 +188,7 @@ const Navigation = ({
         <Button
           variant="light"
           onClick={openAddWMSLayerModal}
-          data-tooltip="Add WMS/WMTS Layer"
+          data-tooltip="Add WMS/WMTS/WFS/ArcGIS Layer"
           style={{
             width: '60px',
             height: '60px',
@@ -211,6 +228,23 @@ const Navigation = ({
         >
           <i className="bi bi-upload" style={{ fontSize: '24px' }}></i>
         </Button>
+        {/* Coordinate reference systems */}
+        <Button
+          variant="light"
+          onClick={openCrsManager}
+          data-tooltip="Coordinate Systems"
+          style={{
+            width: '60px',
+            height: '60px',
+            borderRadius: '50%',
+            marginBottom: '10px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+          }}
+        >
+          <i className="bi bi-globe2" style={{ fontSize: '24px' }}></i>
+        </Button>
       </div>
 
       {/* Layers pane */}
@@ -276,6 +310,7 @@ const Navigation = ({
                 }
                 style={{
                   display: 'flex',
+                  flexWrap: 'wrap',
                   alignItems: 'center',
                   justifyContent: 'space-between',
                   marginBottom: '10px',
@@ -607,6 +642,30 @@ const Navigation = ({
                     </Dropdown.Menu>
                   </Dropdown>
                 )}
+                {!layer.isVector && (
+                  <LayerMenu
+                    layer={layer}
+                    onZoom={zoomToLayer}
+                    onRename={(layerId, newName) =>
+                      setLayers((prev) =>
+                        prev.map((l) =>
+                          l.id === layerId ? { ...l, name: newName } : l
+                        )
+                      )
+                    }
+                    onOpacityChange={changeLayerOpacity}
+                    onRefresh={refreshLayer}
+                    onRemove={removeLayer}
+                  />
+                )}
+                {/* WMS legend */}
+                {layer.type === 'wms' && (
+                  <LayerLegend
+                    layer={layer}
+                    legendUrl={getLegendUrl(layer)}
+                    onStyleChange={changeLayerStyle}
+                  />
+                )}
               </li>
             ))}
           </ul>
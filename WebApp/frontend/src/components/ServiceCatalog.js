@@ -0,0 +1,284 @@
+import React, { useState, useRef } from 'react';
+import { Button, Form, InputGroup, Alert } from 'react-bootstrap';
+import {
+  getServiceCatalog,
+  getRecentServices,
+  saveUserService,
+  removeUserService,
+  exportServiceCatalog,
+  importServiceCatalog,
+} from '../utils/serviceCatalog';
+
+/**
+ * Catalog of saved WMS/WMTS service connections shown in the "Add WMS/WMTS Layers" modal.
+ * Lists the recently used, predefined and user-saved services, and lets the user
+ * save the current connection, remove saved ones and import/export the catalog as JSON.
+ * @param {Object} props - Component props.
+ * @param {Object} props.currentService - The connection currently entered in the modal.
+ * @param {string} props.currentService.url - The server URL.
+ * @param {string} props.currentService.type - The service type ('auto', 'WMS' or 'WMTS').
+ * @param {Array<string>} props.currentService.defaultLayers - The currently selected layers.
+ * @param {Function} props.onSelect - Called with the chosen service connection.
+ */
+const ServiceCatalog = ({ currentService, onSelect }) => {
+  /**
+   * State for the predefined and user-saved services.
+   * @type {[Array<Object>, Function]}
+   */
+  const [catalog, setCatalog] = useState(getServiceCatalog);
+
+  /**
+   * State for the recently used services.
+   * @type {[Array<Object>, Function]}
+   */
+  const [recentServices] = useState(getRecentServices);
+
+  /**
+   * State for the key of the chosen entry (`catalog:<id>` or `recent:<index>`).
+   * @type {[string, Function]}
+   */
+  const [selectedKey, setSelectedKey] = useState('');
+
+  /**
+   * State for the name entered when saving the current connection, or null when not saving.
+   * @type {[string|null, Function]}
+   */
+  const [serviceName, setServiceName] = useState(null);
+
+  /**
+   * State for the feedback message of import/export and save operations.
+   * @type {[{variant: string, text: string}|null, Function]}
+   */
+  const [message, setMessage] = useState(null);
+
+  const fileInputRef = useRef(null);
+
+  /**
+   * Finds the service connection of a select option.
+   * @param {string} key - Key of the option.
+   * @returns {Object|undefined} The service connection.
+   */
+  const findService = (key) =>
+    key.startsWith('catalog:')
+      ? catalog.find((service) => `catalog:${service.id}` === key)
+      : recentServices[Number(key.replace('recent:', ''))];
+
+  const selectedService = findService(selectedKey);
+  const canRemove =
+    selectedKey.startsWith('catalog:') &&
+    !!selectedService &&
+    !selectedService.predefined;
+
+  /**
+   * Applies the chosen catalog entry to the modal.
+   * @param {string} key - Key of the chosen entry.
+   */
+  const handleSelect = (key) => {
+    setSelectedKey(key);
+    const service = findService(key);
+    if (service) onSelect(service);
+  };
+
+  /**
+   * Saves the current connection under the entered name.
+   */
+  const handleSave = () => {
+    try {
+      const saved = saveUserService({ ...currentService, name: serviceName });
+      setCatalog(getServiceCatalog());
+      setSelectedKey(`catalog:${saved.id}`);
+      setServiceName(null);
+      setMessage({ variant: 'success', text: `Saved "${saved.name}".` });
+    } catch (error) {
+      setMessage({ variant: 'danger', text: error.message });
+    }
+  };
+
+  /**
+   * Removes the chosen user-saved connection.
+   */
+  const handleRemove = () => {
+    if (!canRemove) return;
+    removeUserService(selectedService.id);
+    setCatalog(getServiceCatalog());
+    setSelectedKey('');
+  };
+
+  /**
+   * Downloads the user-saved connections as a JSON file.
+   */
+  const handleExport = () => {
+    const blob = new Blob([exportServiceCatalog()], {
+      type: 'application/json',
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'service-catalog.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  /**
+   * Imports connections from the chosen JSON file.
+   * @param {Event} event - The change event of the file input.
+   */
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const count = importServiceCatalog(e.target.result);
+        setCatalog(getServiceCatalog());
+        setMessage({
+          variant: 'success',
+          text: `Imported ${count} service${count === 1 ? '' : 's'}.`,
+        });
+      } catch (error) {
+        console.error('Invalid service catalog file:', error);
+        setMessage({ variant: 'danger', text: error.message });
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const predefined = catalog.filter((service) => service.predefined);
+  const saved = catalog.filter((service) => !service.predefined);
+  const hasUserServices = saved.length > 0;
+
+  return (
+    <Form.Group className="mb-2">
+      <Form.Label htmlFor="serviceCatalogSelect">Saved Servers</Form.Label>
+      <InputGroup size="sm">
+        <Form.Select
+          id="serviceCatalogSelect"
+          value={selectedKey}
+          onChange={(e) => handleSelect(e.target.value)}
+          aria-label="Saved Servers Select"
+          title="Choose a saved or recently used server"
+        >
+          <option value="">Choose a server...</option>
+          {recentServices.length > 0 && (
+            <optgroup label="Recently used">
+              {recentServices.map((service, index) => (
+                <option key={`recent-${index}`} value={`recent:${index}`}>
+                  {service.name} ({service.type})
+                </option>
+              ))}
+            </optgroup>
+          )}
+          {predefined.length > 0 && (
+            <optgroup label="Predefined">
+              {predefined.map((service) => (
+                <option key={service.id} value={`catalog:${service.id}`}>
+                  {service.name} ({service.type})
+                </option>
+              ))}
+            </optgroup>
+          )}
+          {hasUserServices && (
+            <optgroup label="My servers">
+              {saved.map((service) => (
+                <option key={service.id} value={`catalog:${service.id}`}>
+                  {service.name} ({service.type})
+                </option>
+              ))}
+            </optgroup>
+          )}
+        </Form.Select>
+        <Button
+          variant="outline-secondary"
+          onClick={() => setServiceName('')}
+          disabled={!currentService.url}
+          aria-label="Save Server Button"
+          title="Save the current server in the catalog"
+        >
+          <i className="bi bi-bookmark-plus"></i>
+        </Button>
+        <Button
+          variant="outline-secondary"
+          onClick={handleRemove}
+          disabled={!canRemove}
+          aria-label="Remove Server Button"
+          title="Remove the chosen server from the catalog"
+        >
+          <i className="bi bi-trash"></i>
+        </Button>
+        <Button
+          variant="outline-secondary"
+          onClick={() => fileInputRef.current.click()}
+          aria-label="Import Catalog Button"
+          title="Import servers from a JSON file"
+        >
+          <i className="bi bi-upload"></i>
+        </Button>
+        <Button
+          variant="outline-secondary"
+          onClick={handleExport}
+          disabled={!hasUserServices}
+          aria-label="Export Catalog Button"
+          title="Export your servers to a JSON file"
+        >
+          <i className="bi bi-download"></i>
+        </Button>
+      </InputGroup>
+      <input
+        type="file"
+        ref={fileInputRef}
+        accept=".json,application/json"
+        onChange={handleImport}
+        style={{ display: 'none' }}
+        aria-label="Service Catalog File Input"
+      />
+
+      {serviceName !== null && (
+        <InputGroup size="sm" className="mt-2">
+          <Form.Control
+            type="text"
+            placeholder="Server name"
+            value={serviceName}
+            onChange={(e) => setServiceName(e.target.value)}
+            aria-label="Server Name Input"
+            title="Name under which the server is saved"
+          />
+          <Button
+            variant="primary"
+            onClick={handleSave}
+            aria-label="Confirm Save Server Button"
+          >
+            Save
+          </Button>
+          <Button
+            variant="secondary"
+            onClick={() => setServiceName(null)}
+            aria-label="Cancel Save Server Button"
+          >
+            Cancel
+          </Button>
+        </InputGroup>
+      )}
+      {currentService.defaultLayers.length > 0 && serviceName !== null && (
+        <Form.Text muted>
+          The {currentService.defaultLayers.length} selected layer(s) will be
+          preselected when the server is chosen.
+        </Form.Text>
+      )}
+
+      {message && (
+        <Alert
+          variant={message.variant}
+          dismissible
+          onClose={() => setMessage(null)}
+          className="mt-2 mb-0 py-1"
+        >
+          {message.text}
+        </Alert>
+      )}
+    </Form.Group>
+  );
+};
+
+export default ServiceCatalog;
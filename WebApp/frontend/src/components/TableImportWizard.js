@@ -0,0 +1,382 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Form, Row, Col, Table, Alert } from 'react-bootstrap';
+import CrsSelect from './CrsSelect';
+import {
+  CSV_DELIMITERS,
+  CSV_ENCODINGS,
+  readTable,
+  guessGeometryColumns,
+  guessGeometryType,
+  inferColumnTypes,
+  buildFeatureCollection,
+} from '../utils/tableImport';
+
+/**
+ * Number of rows shown in the preview.
+ * @type {number}
+ */
+const PREVIEW_ROWS = 10;
+
+/**
+ * Attribute types a column can be converted to.
+ * @type {Array<string>}
+ */
+const COLUMN_TYPES = ['string', 'number', 'boolean', 'date'];
+
+/**
+ * Geometry sources of the imported features.
+ * @type {Array<{value: string, label: string}>}
+ */
+const GEOMETRY_TYPES = [
+  { value: 'xy', label: 'X/Y columns' },
+  { value: 'wkt', label: 'WKT column' },
+  { value: 'geojson', label: 'GeoJSON column' },
+];
+
+/**
+ * Import wizard of CSV and XLSX files shown in the upload modal: previews the table,
+ * lets the user choose the delimiter and encoding (CSV) or the sheet (XLSX), the X/Y or
+ * geometry columns, the source CRS, the decimal separator and the column types, and
+ * builds a GeoJSON layer.
+ * @param {Object} props - Component props.
+ * @param {File} props.file - The CSV or XLSX file.
+ * @param {Function} props.onImport - Called with the GeoJSON data and the file name.
+ * @param {Function} props.onCancel - Returns to the file selection.
+ */
+const TableImportWizard = ({ file, onImport, onCancel }) => {
+  const isCsv = !/\.xlsx$/i.test(file.name);
+
+  /**
+   * State for the reading options (CSV delimiter and encoding, XLSX sheet).
+   * @type {[Object, Function]}
+   */
+  const [readOptions, setReadOptions] = useState({
+    delimiter: '',
+    encoding: 'utf-8',
+    sheet: '',
+  });
+
+  /**
+   * State for the table read from the file.
+   * @type {[Object|null, Function]}
+   */
+  const [table, setTable] = useState(null);
+
+  /**
+   * State for the geometry source (`xy`, `wkt` or `geojson`).
+   * @type {[string, Function]}
+   */
+  const [geometryType, setGeometryType] = useState('xy');
+
+  /**
+   * State for the X, Y and geometry column names.
+   * @type {[Object, Function]}
+   */
+  const [columns, setColumns] = useState({ x: '', y: '', geometry: '' });
+
+  /**
+   * State for the attribute type of each column.
+   * @type {[Object<string, string>, Function]}
+   */
+  const [types, setTypes] = useState({});
+
+  /**
+   * State for reading numbers with a decimal comma, set from the delimiter of the file.
+   * @type {[boolean, Function]}
+   */
+  const [decimalComma, setDecimalComma] = useState(false);
+
+  /**
+   * State for the source CRS code.
+   * @type {[string, Function]}
+   */
+  const [crs, setCrs] = useState('EPSG:4326');
+
+  /**
+   * State for the reading or import error message.
+   * @type {[string|null, Function]}
+   */
+  const [error, setError] = useState(null);
+
+  /**
+   * Reads the table whenever the file or the reading options change,
+   * and guesses the geometry columns and the column types.
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    readTable(file, readOptions)
+      .then((result) => {
+        if (cancelled) return;
+        const guessed = guessGeometryColumns(result.headers);
+        setTable(result);
+        setColumns(guessed);
+        setTypes(inferColumnTypes(result));
+        setDecimalComma(result.decimalComma);
+        setGeometryType(guessGeometryType(result, guessed));
+        setError(null);
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        setTable(null);
+        setError(e.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [file, readOptions]);
+
+  const updateReadOptions = (field, value) =>
+    setReadOptions({ ...readOptions, [field]: value });
+
+  const updateColumns = (field, value) =>
+    setColumns({ ...columns, [field]: value });
+
+  /**
+   * Switches the decimal separator and infers the column types again.
+   * @param {boolean} checked - Whether a comma is the decimal separator.
+   */
+  const updateDecimalComma = (checked) => {
+    setDecimalComma(checked);
+    setTypes(inferColumnTypes(table, checked));
+  };
+
+  const geometryColumns =
+    geometryType === 'xy' ? [columns.x, columns.y] : [columns.geometry];
+  const canImport = Boolean(table) && geometryColumns.every(Boolean);
+
+  /**
+   * Builds the layer and passes it to `onImport`.
+   */
+  const handleImport = () => {
+    const { data, skipped } = buildFeatureCollection(table, {
+      geometryType,
+      columns,
+      types,
+      crs,
+      decimalComma,
+    });
+
+    if (data.features.length === 0) {
+      setError('No row has a valid geometry in the selected columns.');
+      return;
+    }
+    if (
+      skipped > 0 &&
+      !window.confirm(
+        `${skipped} of ${table.rows.length} rows have no valid geometry and will be skipped. Continue?`
+      )
+    )
+      return;
+
+    onImport(data, file.name);
+  };
+
+  /**
+   * Renders a select of the table columns.
+   * @param {string} field - `x`, `y` or `geometry`.
+   * @param {string} label - The label of the select.
+   */
+  const renderColumnSelect = (field, label) => (
+    <Col sm={geometryType === 'xy' ? 3 : 6}>
+      <Form.Label htmlFor={`tableColumn-${field}`}>{label}</Form.Label>
+      <Form.Select
+        id={`tableColumn-${field}`}
+        size="sm"
+        value={columns[field]}
+        onChange={(e) => updateColumns(field, e.target.value)}
+      >
+        <option value="">Select a column</option>
+        {table.headers.map((header) => (
+          <option key={header} value={header}>
+            {header}
+          </option>
+        ))}
+      </Form.Select>
+    </Col>
+  );
+
+  return (
+    <div>
+      <h6>{file.name}</h6>
+      <Row className="g-2">
+        {isCsv ? (
+          <>
+            <Col sm={6}>
+              <Form.Label htmlFor="tableDelimiterSelect">Delimiter</Form.Label>
+              <Form.Select
+                id="tableDelimiterSelect"
+                size="sm"
+                value={readOptions.delimiter}
+                onChange={(e) => updateReadOptions('delimiter', e.target.value)}
+              >
+                {CSV_DELIMITERS.map(({ value, label }) => (
+                  <option key={label} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col sm={6}>
+              <Form.Label htmlFor="tableEncodingSelect">Encoding</Form.Label>
+              <Form.Select
+                id="tableEncodingSelect"
+                size="sm"
+                value={readOptions.encoding}
+                onChange={(e) => updateReadOptions('encoding', e.target.value)}
+              >
+                {CSV_ENCODINGS.map((encoding) => (
+                  <option key={encoding} value={encoding}>
+                    {encoding}
+                  </option>
+                ))}
+              </Form.Select>
+            </Col>
+          </>
+        ) : (
+          <Col sm={6}>
+            <Form.Label htmlFor="tableSheetSelect">Sheet</Form.Label>
+            <Form.Select
+              id="tableSheetSelect"
+              size="sm"
+              value={readOptions.sheet || table?.sheetNames[0] || ''}
+              onChange={(e) => updateReadOptions('sheet', e.target.value)}
+            >
+              {(table?.sheetNames || []).map((sheet) => (
+                <option key={sheet} value={sheet}>
+                  {sheet}
+                </option>
+              ))}
+            </Form.Select>
+          </Col>
+        )}
+      </Row>
+
+      {table && (
+        <>
+          <Form.Label className="mt-3">Geometry</Form.Label>
+          <div>
+            {GEOMETRY_TYPES.map(({ value, label }) => (
+              <Form.Check
+                inline
+                key={value}
+                type="radio"
+                id={`tableGeometry-${value}`}
+                name="tableGeometry"
+                label={label}
+                checked={geometryType === value}
+                onChange={() => setGeometryType(value)}
+              />
+            ))}
+          </div>
+          <Row className="g-2">
+            {geometryType === 'xy' ? (
+              <>
+                {renderColumnSelect('x', 'X / Longitude')}
+                {renderColumnSelect('y', 'Y / Latitude')}
+              </>
+            ) : (
+              renderColumnSelect('geometry', 'Geometry Column')
+            )}
+            <Col sm={6}>
+              <Form.Label htmlFor="tableCrsSelect">Source CRS</Form.Label>
+              <CrsSelect
+                id="tableCrsSelect"
+                value={crs}
+                onChange={setCrs}
+                ariaLabel="Source CRS Select"
+              />
+            </Col>
+          </Row>
+
+          <Form.Check
+            className="mt-3"
+            type="checkbox"
+            id="tableDecimalCommaCheck"
+            label="Decimal comma in numbers (1,5)"
+            checked={decimalComma}
+            onChange={(e) => updateDecimalComma(e.target.checked)}
+          />
+
+          <div
+            className="mt-2"
+            style={{ maxHeight: '300px', overflow: 'auto' }}
+          >
+            <Table striped bordered size="sm">
+              <thead>
+                <tr>
+                  {table.headers.map((header) => (
+                    <th key={header} style={{ minWidth: '110px' }}>
+                      <div>{header}</div>
+                      {geometryColumns.includes(header) ? (
+                        <small className="text-muted">geometry</small>
+                      ) : (
+                        <Form.Select
+                          size="sm"
+                          value={types[header]}
+                          onChange={(e) =>
+                            setTypes({ ...types, [header]: e.target.value })
+                          }
+                          aria-label={`Type of ${header}`}
+                        >
+                          {COLUMN_TYPES.map((type) => (
+                            <option key={type} value={type}>
+                              {type}
+                            </option>
+                          ))}
+                        </Form.Select>
+                      )}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {table.rows.slice(0, PREVIEW_ROWS).map((row, rowIndex) => (
+                  <tr key={rowIndex}>
+                    {table.headers.map((header, index) => (
+                      <td
+                        key={header}
+                        style={{
+                          maxWidth: '220px',
+                          overflow: 'hidden',
+                          textOverflow: 'ellipsis',
+                          whiteSpace: 'nowrap',
+                        }}
+                      >
+                        {row[index] instanceof Date
+                          ? row[index].toISOString()
+                          : String(row[index] ?? '')}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </div>
+          <small className="text-muted">
+            {Math.min(PREVIEW_ROWS, table.rows.length)} of {table.rows.length}{' '}
+            rows shown.
+          </small>
+        </>
+      )}
+
+      {error && (
+        <Alert variant="danger" className="mt-3 mb-0">
+          {error}
+        </Alert>
+      )}
+
+      <div className="d-flex justify-content-end gap-2 mt-3">
+        <Button variant="outline-secondary" onClick={onCancel}>
+          Back
+        </Button>
+        <Button variant="primary" onClick={handleImport} disabled={!canImport}>
+          Import
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default TableImportWizard;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { Badge, ListGroup } from 'react-bootstrap';
+
+/**
+ * Badge variant and label of each upload status.
+ * @type {Object<string, {variant: string, label: string}>}
+ */
+const STATUS_BADGES = {
+  success: { variant: 'success', label: 'Added' },
+  warning: { variant: 'warning', label: 'Added with warnings' },
+  error: { variant: 'danger', label: 'Failed' },
+};
+
+/**
+ * @typedef {Object} UploadStatus
+ * @property {string} fileName - Name of the file or layer.
+ * @property {string} status - `success`, `warning` or `error`.
+ * @property {Array<string>} messages - What was added, the warnings or the error.
+ */
+
+/**
+ * Per-file result list of an upload shown in the upload modal.
+ * @param {Object} props - Component props.
+ * @param {Array<UploadStatus>} props.statuses - The statuses.
+ */
+const UploadStatusList = ({ statuses }) => (
+  <ListGroup style={{ maxHeight: '40vh', overflowY: 'auto' }}>
+    {statuses.map(({ fileName, status, messages }, index) => (
+      <ListGroup.Item key={`${fileName}-${index}`}>
+        <div className="d-flex justify-content-between align-items-center">
+          <strong className="text-break">{fileName}</strong>
+          <Badge
+            bg={STATUS_BADGES[status].variant}
+            text={status === 'warning' ? 'dark' : undefined}
+            className="ms-2"
+          >
+            {STATUS_BADGES[status].label}
+          </Badge>
+        </div>
+        {messages.map((message) => (
+          <small
+            key={message}
+            className={`d-block ${status === 'error' ? 'text-danger' : 'text-muted'}`}
+          >
+            {message}
+          </small>
+        ))}
+      </ListGroup.Item>
+    ))}
+  </ListGroup>
+);
+
+export default UploadStatusList;
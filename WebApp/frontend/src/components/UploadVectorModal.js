@@ -1,69 +1,550 @@
-import React, { useCallback } from 'react';
-import { Modal, Button } from 'react-bootstrap';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Modal, Button, Form, Alert, ProgressBar } from 'react-bootstrap';
 import { useDropzone } from 'react-dropzone';
+import { createEmpty, extend, isEmpty } from 'ol/extent';
+import {
+  getFileExtension,
+  revokeObjectUrls,
+  VECTOR_FILE_TYPES,
+} from '../utils/vectorFileReaders';
+import { isTableFile, TABLE_FILE_TYPES } from '../utils/tableImport';
+import TableImportWizard from './TableImportWizard';
+import { GEOPACKAGE_FILE_TYPES } from '../utils/geoPackage';
+import GeoPackageImport from './GeoPackageImport';
+import {
+  PRJ_FILE_TYPES,
+  detectCrs,
+  getExtentWarning,
+} from '../utils/crsDetection';
+import VectorImportReview from './VectorImportReview';
+import {
+  validateVectorLayer,
+  resolveProblemFeatures,
+} from '../utils/vectorValidation';
+import VectorParser from '../utils/vectorParser';
+import { groupUploadFiles, readUploadFile } from '../utils/uploadFiles';
+import UploadStatusList from './UploadStatusList';
+
+/**
+ * Descriptions of the stages of the parser, see `ParserProgress`.
+ * @type {Object<string, string>}
+ */
+const PROGRESS_LABELS = {
+  reading: 'Reading',
+  parsing: 'Parsing',
+  validating: 'Validating',
+  adding: 'Adding the features of',
+};
+
+/**
+ * What happened to the problem features of a layer, by chosen action.
+ * @type {Object<string, string>}
+ */
+const PROBLEM_ACTION_RESULTS = {
+  keep: 'imported as they are',
+  fix: 'fixed, or skipped when they could not be fixed',
+  skip: 'skipped',
+};
+
+/**
+ * Collects the warnings of an imported layer: those found while reading its file,
+ * its geometry problems and mixed geometry types, and an implausible extent for its CRS.
+ * @param {Object} layer - The reviewed layer, with the chosen `crs` and `action`.
+ * @returns {Promise<Array<string>>} The warnings.
+ */
+const getImportWarnings = async ({
+  warnings = [],
+  report,
+  action,
+  detection,
+  extent,
+  crs,
+}) => {
+  const extentWarning = detection ? await getExtentWarning(extent, crs) : null;
+  return [
+    ...warnings,
+    ...(report.featureCount === 0 ? ['The layer has no features.'] : []),
+    ...(report.problems.length > 0
+      ? [
+          `${report.problems.length} features with geometry problems were ${PROBLEM_ACTION_RESULTS[action]}.`,
+        ]
+      : []),
+    ...(report.mixedTypes
+      ? ['The layer mixes points, lines and polygons.']
+      : []),
+    ...(extentWarning ? [extentWarning] : []),
+  ];
+};
 
 /**
  * Component for uploading vector data to the map.
+ * Accepts GeoJSON, zipped Shapefiles (each Shapefile becomes a layer), KML/KMZ
+ * and GPX files (split into waypoint, route and track layers); a single CSV or XLSX
+ * file opens the `TableImportWizard` and a single GeoPackage the `GeoPackageImport` table selection.
+ * Any number of files can be dropped at once, here or on the map: each becomes its own layer
+ * (tables with their guessed geometry columns, GeoPackages with all their tables), a file that
+ * cannot be read does not stop the others, and the result of each is listed once they are imported.
+ * The source CRS of GeoJSON layers is detected (see `detectCrs`), also from a `.prj` file
+ * dropped with the data file; the layers are then validated and reviewed in the
+ * `VectorImportReview` before they are added. GeoJSON is parsed, validated and reprojected
+ * in a Web Worker (see `VectorParser`), with a progress bar and a cancel button.
  * @param {Object} props - Modal properties.
  * @param {boolean} props.show - Whether the modal is visible.
  * @param {Function} props.onHide - Function to hide the modal.
- * @param {Function} props.onUpload - Function to handle GeoJSON data upload.
+ * @param {Function} props.onUpload - Function to handle the upload of a layer, called with its data
+ * (features, or a `ParsedVectorLayer`), its file name and the `onProgress` option; returns a promise
+ * of the extent of the added layer.
+ * @param {Function} props.onZoomToExtent - Called with the combined extent of the imported layers.
+ * @param {Array<File>|null} [props.droppedFiles] - Files dropped on the map, imported when the modal opens.
  */
-const UploadVectorModal = ({ show, onHide, onUpload }) => {
-  const onDrop = useCallback(
-    (acceptedFiles) => {
-      if (acceptedFiles.length > 0) {
-        const file = acceptedFiles[0];
-        const reader = new FileReader();
-        reader.onload = (e) => {
-          try {
-            const geoJsonData = JSON.parse(e.target.result);
-            onUpload(geoJsonData, file.name);
-            onHide();
-          } catch (error) {
-            console.error('Invalid GeoJSON file:', error);
-            alert(
-              'Invalid GeoJSON format. Please ensure the file is properly formatted.'
+const UploadVectorModal = ({
+  show,
+  onHide,
+  onUpload,
+  onZoomToExtent,
+  droppedFiles = null,
+}) => {
+  /**
+   * State for keeping the styles of KML placemarks instead of the default layer style.
+   * @type {[boolean, Function]}
+   */
+  const [keepKmlStyles, setKeepKmlStyles] = useState(false);
+
+  /**
+   * State for the CSV or XLSX file being imported through the wizard.
+   * @type {[File|null, Function]}
+   */
+  const [tableFile, setTableFile] = useState(null);
+
+  /**
+   * State for the GeoPackage whose tables are being selected.
+   * @type {[File|null, Function]}
+   */
+  const [geoPackageFile, setGeoPackageFile] = useState(null);
+
+  /**
+   * State for the layers being reviewed before the import.
+   * @type {[Array<Object>|null, Function]}
+   */
+  const [reviewedLayers, setReviewedLayers] = useState(null);
+
+  /**
+   * State for the error of the last drop.
+   * @type {[string|null, Function]}
+   */
+  const [error, setError] = useState(null);
+
+  /**
+   * State for the result of each file or layer of the last drop.
+   * @type {[Array<import('./UploadStatusList').UploadStatus>, Function]}
+   */
+  const [fileStatuses, setFileStatuses] = useState([]);
+
+  /**
+   * State for the progress of the parser, null when it is idle.
+   * @type {[{label: string, percent: number|null}|null, Function]}
+   */
+  const [progress, setProgress] = useState(null);
+
+  /**
+   * Reference to the parser of the current upload, started on the first GeoJSON layer.
+   * @type {React.MutableRefObject<VectorParser|null>}
+   */
+  const parserRef = useRef(null);
+
+  const getParser = () => {
+    if (!parserRef.current) parserRef.current = new VectorParser();
+    return parserRef.current;
+  };
+
+  /**
+   * Reference to the object URLs of the KMZ icons of the layers read but not added yet;
+   * the URLs of an added layer are kept with it, the others are revoked.
+   * @type {React.MutableRefObject<Set<string>>}
+   */
+  const objectUrlsRef = useRef(new Set());
+
+  /**
+   * Revokes object URLs of layers that are not added, by default all pending ones.
+   * @param {Array<string>} [objectUrls] - The object URLs.
+   */
+  const revokePendingObjectUrls = (
+    objectUrls = Array.from(objectUrlsRef.current)
+  ) => {
+    objectUrls.forEach((url) => objectUrlsRef.current.delete(url));
+    revokeObjectUrls(objectUrls);
+  };
+
+  /**
+   * Stops the parser, cancelling its pending work and dropping the layers it keeps.
+   */
+  const stopParser = () => {
+    parserRef.current?.terminate();
+    parserRef.current = null;
+    setProgress(null);
+  };
+
+  /**
+   * Creates a progress callback of the parser for a file.
+   * @param {string} fileName - Name of the file.
+   * @returns {Function} Called with the `ParserProgress`.
+   */
+  const trackProgress =
+    (fileName) =>
+    ({ stage, loaded, total }) =>
+      setProgress({
+        label: `${PROGRESS_LABELS[stage]} ${fileName}`,
+        percent: total ? Math.round((loaded / total) * 100) : null,
+      });
+
+  /**
+   * Hides the modal and leaves the import wizard, the table selection or the review.
+   */
+  const handleHide = useCallback(() => {
+    stopParser();
+    revokePendingObjectUrls();
+    setTableFile(null);
+    setGeoPackageFile(null);
+    setReviewedLayers(null);
+    setError(null);
+    setFileStatuses([]);
+    onHide();
+  }, [onHide]);
+
+  /**
+   * Cancels the parsing or the import and returns to the file selection.
+   */
+  const handleCancelProgress = () => {
+    stopParser();
+    revokePendingObjectUrls();
+    setReviewedLayers(null);
+  };
+
+  /**
+   * Validates the layers and detects the source CRS of the GeoJSON layers, then opens
+   * their review. GeoJSON data (or a GeoJSON file) is parsed and validated in the worker;
+   * the layers read by OpenLayers are already in the map projection. A layer that cannot
+   * be parsed is listed as failed and left out of the review, and its KMZ icons revoked.
+   * @param {Array<import('../utils/uploadFiles').UploadFileLayer>} fileLayers - The layers read
+   * from the files; `prjCrs`, `warnings` and `objectUrls` are optional.
+   */
+  const reviewLayers = useCallback(async (fileLayers) => {
+    const layers = [];
+    const failed = [];
+    try {
+      for (const {
+        fileName,
+        data,
+        prjCrs = null,
+        warnings,
+        objectUrls = [],
+      } of fileLayers) {
+        try {
+          if (Array.isArray(data)) {
+            layers.push({
+              fileName,
+              data,
+              warnings,
+              objectUrls,
+              detection: null,
+              report: validateVectorLayer(data),
+            });
+          } else {
+            const summary = await getParser().load(
+              data,
+              fileName,
+              trackProgress(fileName)
             );
+            layers.push({
+              fileName,
+              warnings,
+              layerId: summary.layerId,
+              extent: summary.extent,
+              report: summary.report,
+              detection: await detectCrs(summary, prjCrs),
+            });
+          }
+        } catch (e) {
+          // Cancelled: handleCancelProgress has returned to the file selection
+          if (e.name === 'AbortError') return;
+          console.error('Invalid vector file:', e);
+          revokePendingObjectUrls(objectUrls);
+          failed.push({ fileName, status: 'error', messages: [e.message] });
+        }
+      }
+    } finally {
+      setProgress(null);
+    }
+
+    setFileStatuses((statuses) => [...statuses, ...failed]);
+    setTableFile(null);
+    setGeoPackageFile(null);
+    if (layers.length > 0) setReviewedLayers(layers);
+  }, []);
+
+  /**
+   * Adds the reviewed layers to the map one after another: the features read by
+   * OpenLayers directly, with the object URLs of their KMZ icons, the layers kept by the
+   * parser in chunks. A layer that fails does not stop the others; the map is then zoomed
+   * to the added layers and the result of each file is listed, unless a single layer was
+   * added without warnings.
+   * @param {Array<Object>} layers - The layers, with the chosen `crs` and `action`.
+   */
+  const importLayers = async (layers) => {
+    const statuses = [];
+    const extent = createEmpty();
+
+    for (const layer of layers) {
+      const {
+        fileName,
+        data,
+        layerId,
+        crs,
+        action,
+        report,
+        objectUrls = [],
+      } = layer;
+      try {
+        let layerExtent = null;
+        if (layerId) {
+          layerExtent = await onUpload(
+            { parser: getParser(), layerId, crs, action },
+            fileName,
+            { onProgress: trackProgress(fileName) }
+          );
+        } else {
+          const features = resolveProblemFeatures(data, report, action);
+          if (features.length > 0) {
+            layerExtent = await onUpload(features, fileName, { objectUrls });
+            objectUrls.forEach((url) => objectUrlsRef.current.delete(url));
+          } else {
+            revokePendingObjectUrls(objectUrls);
           }
-        };
-        reader.readAsText(file);
+        }
+        if (layerExtent) extend(extent, layerExtent);
+
+        const warnings = await getImportWarnings(layer);
+        statuses.push(
+          warnings.length > 0
+            ? { fileName, status: 'warning', messages: warnings }
+            : {
+                fileName,
+                status: 'success',
+                messages: [`${report.featureCount} features added.`],
+              }
+        );
+      } catch (e) {
+        // Cancelled: the layers added so far stay on the map
+        if (e.name === 'AbortError') return;
+        console.error('Error adding the vector layer:', e);
+        revokePendingObjectUrls(objectUrls);
+        statuses.push({ fileName, status: 'error', messages: [e.message] });
+      }
+    }
+
+    if (!isEmpty(extent)) onZoomToExtent(extent);
+
+    const results = [...fileStatuses, ...statuses];
+    if (results.length === 1 && results[0].status === 'success') {
+      handleHide();
+      return;
+    }
+    stopParser();
+    setReviewedLayers(null);
+    setFileStatuses(results);
+  };
+
+  /**
+   * Imports dropped files. A single CSV, XLSX or GeoPackage file opens its interactive
+   * import; otherwise every file is read with its `.prj` file and all their layers are reviewed
+   * together, the files that cannot be read being listed as failed.
+   * @param {Array<File>} files - The dropped files.
+   */
+  const handleFiles = useCallback(
+    async (files) => {
+      if (files.length === 0) return;
+      setError(null);
+      setFileStatuses([]);
+
+      const { uploads, unmatchedPrjFiles } = groupUploadFiles(files);
+      if (uploads.length === 0) {
+        setError(
+          'Drop the .prj file together with the data file it describes.'
+        );
+        return;
+      }
+      if (uploads.length === 1) {
+        const { file } = uploads[0];
+        if (isTableFile(file.name)) {
+          setTableFile(file);
+          return;
+        }
+        if (getFileExtension(file.name) === '.gpkg') {
+          setGeoPackageFile(file);
+          return;
+        }
       }
+
+      const statuses = unmatchedPrjFiles.map((prjFile) => ({
+        fileName: prjFile.name,
+        status: 'error',
+        messages: ['No data file with the same name was dropped with it.'],
+      }));
+      const fileLayers = [];
+      for (const upload of uploads) {
+        try {
+          const layers = await readUploadFile(upload, { keepKmlStyles });
+          layers.forEach(({ objectUrls = [] }) =>
+            objectUrls.forEach((url) => objectUrlsRef.current.add(url))
+          );
+          fileLayers.push(...layers);
+        } catch (e) {
+          console.error('Invalid vector file:', e);
+          statuses.push({
+            fileName: upload.file.name,
+            status: 'error',
+            messages: [e.message],
+          });
+        }
+      }
+
+      setFileStatuses(statuses);
+      if (fileLayers.length > 0) await reviewLayers(fileLayers);
     },
-    [onUpload, onHide]
+    [reviewLayers, keepKmlStyles]
+  );
+
+  /**
+   * Reference to the files dropped on the map that have been imported, so that they
+   * are imported once even if `handleFiles` changes while the modal is open.
+   * @type {React.MutableRefObject<Array<File>|null>}
+   */
+  const handledFilesRef = useRef(null);
+
+  /**
+   * Imports the files dropped on the map when the modal opens with them.
+   */
+  useEffect(() => {
+    if (show && droppedFiles && handledFilesRef.current !== droppedFiles) {
+      handledFilesRef.current = droppedFiles;
+      handleFiles(droppedFiles);
+    }
+  }, [show, droppedFiles, handleFiles]);
+
+  const onDrop = useCallback(
+    // Rejected files are read too, so that they are listed as unsupported
+    (acceptedFiles, fileRejections) =>
+      handleFiles([
+        ...acceptedFiles,
+        ...fileRejections.map((rejection) => rejection.file),
+      ]),
+    [handleFiles]
   );
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
-    accept: '.geojson,application/geo+json',
+    accept: {
+      ...VECTOR_FILE_TYPES,
+      ...TABLE_FILE_TYPES,
+      ...GEOPACKAGE_FILE_TYPES,
+      ...PRJ_FILE_TYPES,
+    },
   });
 
   return (
-    <Modal show={show} onHide={onHide} size="lg">
+    <Modal show={show} onHide={handleHide} size="lg">
       <Modal.Header closeButton>
         <Modal.Title>Upload Vector</Modal.Title>
       </Modal.Header>
       <Modal.Body>
-        <div
-          {...getRootProps()}
-          style={{
-            border: '2px dashed #007bff',
-            borderRadius: '10px',
-            padding: '20px',
-            textAlign: 'center',
-            cursor: 'pointer',
-          }}
-        >
-          <input {...getInputProps()} />
-          {isDragActive ? (
-            <p>Drop the GeoJSON file here...</p>
-          ) : (
-            <p>Drag and drop a GeoJSON file here, or click to select one.</p>
-          )}
-        </div>
+        {progress ? (
+          <div>
+            <p className="mb-2">{progress.label}...</p>
+            <ProgressBar
+              now={progress.percent ?? 100}
+              label={progress.percent !== null ? `${progress.percent}%` : ''}
+              striped={progress.percent === null}
+              animated={progress.percent === null}
+            />
+            <div className="d-flex justify-content-end mt-3">
+              <Button variant="outline-danger" onClick={handleCancelProgress}>
+                Cancel Upload
+              </Button>
+            </div>
+          </div>
+        ) : reviewedLayers ? (
+          <>
+            {fileStatuses.length > 0 && (
+              <div className="mb-3">
+                <UploadStatusList statuses={fileStatuses} />
+              </div>
+            )}
+            <VectorImportReview
+              layers={reviewedLayers}
+              onImport={importLayers}
+              onCancel={handleCancelProgress}
+            />
+          </>
+        ) : tableFile ? (
+          <TableImportWizard
+            file={tableFile}
+            onImport={(data, fileName) => reviewLayers([{ data, fileName }])}
+            onCancel={() => setTableFile(null)}
+          />
+        ) : geoPackageFile ? (
+          <GeoPackageImport
+            file={geoPackageFile}
+            onImport={(fileLayers) => reviewLayers(fileLayers)}
+            onCancel={() => setGeoPackageFile(null)}
+          />
+        ) : (
+          <>
+            <div
+              {...getRootProps()}
+              style={{
+                border: '2px dashed #007bff',
+                borderRadius: '10px',
+                padding: '20px',
+                textAlign: 'center',
+                cursor: 'pointer',
+              }}
+            >
+              <input {...getInputProps()} />
+              {isDragActive ? (
+                <p>Drop the files here...</p>
+              ) : (
+                <p>
+                  Drag and drop GeoJSON, zipped Shapefile, KML, KMZ, GPX, CSV,
+                  XLSX or GeoPackage files here (or on the map), or click to
+                  select them. Each file becomes its own layer; a .prj file
+                  dropped with a GeoJSON file of the same name sets its source
+                  CRS.
+                </p>
+              )}
+            </div>
+            <Form.Check
+              className="mt-3"
+              type="checkbox"
+              id="keepKmlStylesCheck"
+              label="Keep KML/KMZ styles, icons and labels"
+              checked={keepKmlStyles}
+              onChange={(e) => setKeepKmlStyles(e.target.checked)}
+            />
+            {error && (
+              <Alert variant="danger" className="mt-3 mb-0">
+                {error}
+              </Alert>
+            )}
+            {fileStatuses.length > 0 && (
+              <div className="mt-3">
+                <UploadStatusList statuses={fileStatuses} />
+              </div>
+            )}
+          </>
+        )}
       </Modal.Body>
       <Modal.Footer>
-        <Button variant="secondary" onClick={onHide}>
+        <Button variant="secondary" onClick={handleHide}>
           Cancel
         </Button>
       </Modal.Footer>
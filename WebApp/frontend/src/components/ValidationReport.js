@@ -0,0 +1,80 @@
+import React from 'react';
+import { Alert, Badge, Table } from 'react-bootstrap';
+
+/**
+ * Descriptions of the geometry problems, by issue.
+ * @type {Object<string, string>}
+ */
+const ISSUE_LABELS = {
+  empty: 'empty geometries',
+  invalid: 'invalid geometries',
+  selfIntersection: 'self-intersecting polygons',
+};
+
+/**
+ * Report of the validation of an uploaded layer: the feature count by geometry type,
+ * the geometry problems and the attribute schema inferred from all features.
+ * @param {Object} props - Component props.
+ * @param {import('../utils/vectorValidation').ValidationReport} props.report - The report.
+ */
+const ValidationReport = ({ report }) => {
+  const issues = Object.entries(report.issueCounts).filter(
+    ([, count]) => count > 0
+  );
+  const attributes = Object.entries(report.schema);
+
+  return (
+    <div>
+      <div className="mb-2">
+        <strong>{report.featureCount}</strong> features
+        {Object.entries(report.geometryTypes).map(([type, count]) => (
+          <Badge key={type} bg="secondary" className="ms-2">
+            {type}: {count}
+          </Badge>
+        ))}
+      </div>
+
+      {report.featureCount === 0 && (
+        <Alert variant="warning" className="py-1 px-2 mb-2">
+          The layer has no features.
+        </Alert>
+      )}
+      {report.mixedTypes && (
+        <Alert variant="warning" className="py-1 px-2 mb-2">
+          The layer mixes points, lines and polygons; styling and editing assume
+          a single geometry type.
+        </Alert>
+      )}
+      {issues.length > 0 && (
+        <Alert variant="danger" className="py-1 px-2 mb-2">
+          {issues
+            .map(([issue, count]) => `${count} ${ISSUE_LABELS[issue]}`)
+            .join(', ')}
+        </Alert>
+      )}
+
+      {attributes.length > 0 && (
+        <div style={{ maxHeight: '160px', overflowY: 'auto' }}>
+          <Table bordered size="sm" className="mb-0">
+            <thead>
+              <tr>
+                <th>Attribute</th>
+                <th>Type</th>
+              </tr>
+            </thead>
+            <tbody>
+              {attributes.map(([name, type]) => (
+                <tr key={name}>
+                  <td>{name}</td>
+                  <td>{type}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ValidationReport;
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Form, Row, Col, Alert } from 'react-bootstrap';
+import CrsSelect from './CrsSelect';
+import ValidationReport from './ValidationReport';
+import { getExtentWarning } from '../utils/crsDetection';
+import { PROBLEM_ACTIONS } from '../utils/vectorValidation';
+
+/**
+ * Descriptions of where the CRS of a layer was detected from.
+ * @type {Object<string, string>}
+ */
+const CRS_SOURCE_LABELS = {
+  crs: 'GeoJSON crs member',
+  prj: '.prj file',
+  coordinates: 'Coordinate range',
+  default: 'Not detected, WGS 84 assumed',
+  manual: 'Selected',
+};
+
+/**
+ * Pre-import review of the uploaded layers shown in the upload modal. For each layer it
+ * shows the detected source CRS of GeoJSON data with an override select (warning when the
+ * extent of the data is implausible for the chosen CRS) and the validation report, and
+ * lets the user keep, fix or skip the features whose geometry has a problem.
+ * @param {Object} props - Component props.
+ * @param {Array<Object>} props.layers - The layers (`{fileName, detection, extent, report}`);
+ * `detection` is null for the formats read by OpenLayers, whose CRS is defined by the format
+ * (see `detectCrs` and `validateVectorLayer`).
+ * @param {Function} props.onImport - Called with the layers extended with the chosen
+ * `crs` code and the `action` on their problem features.
+ * @param {Function} props.onCancel - Returns to the file selection.
+ */
+const VectorImportReview = ({ layers, onImport, onCancel }) => {
+  /**
+   * State for the chosen CRS code of each layer.
+   * @type {[Array<string|null>, Function]}
+   */
+  const [codes, setCodes] = useState(() =>
+    layers.map((layer) => layer.detection?.code || null)
+  );
+
+  /**
+   * State for the extent warning of each layer.
+   * @type {[Array<string|null>, Function]}
+   */
+  const [warnings, setWarnings] = useState([]);
+
+  /**
+   * State for the action on the problem features of each layer.
+   * @type {[Array<string>, Function]}
+   */
+  const [actions, setActions] = useState(() => layers.map(() => 'keep'));
+
+  /**
+   * Checks the extents against the chosen systems whenever one changes.
+   */
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(
+      layers.map((layer, index) =>
+        layer.detection ? getExtentWarning(layer.extent, codes[index]) : null
+      )
+    ).then((result) => {
+      if (!cancelled) setWarnings(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [layers, codes]);
+
+  const updateAt = (values, setValues, index, value) =>
+    setValues(values.map((item, i) => (i === index ? value : item)));
+
+  /**
+   * Passes the layers with the chosen systems and actions to `onImport`.
+   */
+  const handleImport = () =>
+    onImport(
+      layers.map((layer, index) => ({
+        ...layer,
+        crs: codes[index],
+        action: actions[index],
+      }))
+    );
+
+  return (
+    <div>
+      <div style={{ maxHeight: '60vh', overflowY: 'auto' }}>
+        {layers.map((layer, index) => (
+          <div
+            key={`${layer.fileName}-${index}`}
+            className="border rounded p-2 mb-3"
+          >
+            <h6>{layer.fileName}</h6>
+            <Row className="g-2 mb-2 align-items-end">
+              <Col sm={7}>
+                <Form.Label htmlFor={`uploadCrsSelect-${index}`}>
+                  Source CRS
+                </Form.Label>
+                {layer.detection ? (
+                  <CrsSelect
+                    id={`uploadCrsSelect-${index}`}
+                    value={codes[index]}
+                    onChange={(code) => updateAt(codes, setCodes, index, code)}
+                    ariaLabel={`Source CRS of ${layer.fileName}`}
+                  />
+                ) : (
+                  <Form.Control
+                    id={`uploadCrsSelect-${index}`}
+                    size="sm"
+                    value="EPSG:4326 - WGS 84"
+                    disabled
+                  />
+                )}
+              </Col>
+              <Col sm={5}>
+                <small className="text-muted">
+                  {!layer.detection
+                    ? 'Defined by the format'
+                    : codes[index] === layer.detection.code
+                      ? `Detected from: ${CRS_SOURCE_LABELS[layer.detection.source]}`
+                      : CRS_SOURCE_LABELS.manual}
+                </small>
+              </Col>
+            </Row>
+            {warnings[index] && (
+              <Alert variant="warning" className="py-1 px-2 mb-2">
+                {warnings[index]}
+              </Alert>
+            )}
+
+            <ValidationReport report={layer.report} />
+
+            {layer.report.problems.length > 0 && (
+              <Form.Group className="mt-2">
+                <Form.Label htmlFor={`uploadProblemAction-${index}`}>
+                  Features with geometry problems
+                </Form.Label>
+                <Form.Select
+                  id={`uploadProblemAction-${index}`}
+                  size="sm"
+                  value={actions[index]}
+                  onChange={(e) =>
+                    updateAt(actions, setActions, index, e.target.value)
+                  }
+                >
+                  {PROBLEM_ACTIONS.map(({ value, label }) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="d-flex justify-content-end gap-2 mt-3">
+        <Button variant="outline-secondary" onClick={onCancel}>
+          Back
+        </Button>
+        <Button variant="primary" onClick={handleImport}>
+          Import
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default VectorImportReview;
@@ -0,0 +1,100 @@
+import React from 'react';
+import { Form, Row, Col } from 'react-bootstrap';
+import { WMS_TILE_SIZES } from '../constants/wms';
+
+/**
+ * Rendering options applied to the WMS layers added from the "Add WMS/WMTS Layers" modal:
+ * tiled or single-image requests, output format, transparency, tile size and vendor parameters.
+ * @param {Object} props - Component props.
+ * @param {Object} props.options - The current options (tiled, format, transparent, tileSize, vendorParams as text).
+ * @param {Array<string>} props.formats - The GetMap formats advertised by the server.
+ * @param {Function} props.onChange - Called with the option key and its new value.
+ */
+const WMSRenderOptions = ({ options, formats, onChange }) => {
+  const formatChoices = formats.includes(options.format)
+    ? formats
+    : [options.format, ...formats];
+
+  return (
+    <fieldset className="mb-3" aria-label="WMS Rendering Options">
+      <legend style={{ fontSize: '1rem' }}>Rendering Options</legend>
+      <Row className="g-2 align-items-end">
+        <Col sm={4}>
+          <Form.Label htmlFor="wmsRenderModeSelect">Mode</Form.Label>
+          <Form.Select
+            id="wmsRenderModeSelect"
+            size="sm"
+            value={options.tiled ? 'tiled' : 'single'}
+            onChange={(e) => onChange('tiled', e.target.value === 'tiled')}
+            aria-label="Rendering Mode Select"
+            title="Tiled requests load faster, a single image renders labels without cuts at tile borders"
+          >
+            <option value="tiled">Tiled</option>
+            <option value="single">Single image</option>
+          </Form.Select>
+        </Col>
+        <Col sm={4}>
+          <Form.Label htmlFor="wmsFormatSelect">Format</Form.Label>
+          <Form.Select
+            id="wmsFormatSelect"
+            size="sm"
+            value={options.format}
+            onChange={(e) => onChange('format', e.target.value)}
+            aria-label="Image Format Select"
+            title="Image format requested from the server"
+          >
+            {formatChoices.map((format) => (
+              <option key={format} value={format}>
+                {format}
+              </option>
+            ))}
+          </Form.Select>
+        </Col>
+        <Col sm={4}>
+          <Form.Label htmlFor="wmsTileSizeSelect">Tile Size</Form.Label>
+          <Form.Select
+            id="wmsTileSizeSelect"
+            size="sm"
+            value={options.tileSize}
+            onChange={(e) => onChange('tileSize', Number(e.target.value))}
+            disabled={!options.tiled}
+            aria-label="Tile Size Select"
+            title="Size of the requested tiles in pixels"
+          >
+            {WMS_TILE_SIZES.map((size) => (
+              <option key={size} value={size}>
+                {size} px
+              </option>
+            ))}
+          </Form.Select>
+        </Col>
+      </Row>
+      <Form.Check
+        type="checkbox"
+        id="wmsTransparentCheckbox"
+        className="mt-2"
+        label="Transparent background"
+        checked={options.transparent}
+        onChange={(e) => onChange('transparent', e.target.checked)}
+        title="Request images with a transparent background (not supported by JPEG)"
+      />
+      <Form.Group className="mt-2">
+        <Form.Label htmlFor="wmsVendorParamsInput">
+          Vendor Parameters
+        </Form.Label>
+        <Form.Control
+          id="wmsVendorParamsInput"
+          size="sm"
+          type="text"
+          placeholder="e.g. dpi=96&format_options=antialias:text"
+          value={options.vendorParams}
+          onChange={(e) => onChange('vendorParams', e.target.value)}
+          aria-label="Vendor Parameters Input"
+          title="Additional server-specific parameters as key=value pairs separated by &"
+        />
+      </Form.Group>
+    </fieldset>
+  );
+};
+
+export default WMSRenderOptions;
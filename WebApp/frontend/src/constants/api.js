@@ -0,0 +1,12 @@
+/**
+ * Base URL of the Django REST API.
+ * @type {string}
+ */
+export const API_BASE_URL = 'http://localhost:8000/WebApp/api';
+
+/**
+ * Endpoint of the backend OGC proxy, used for services that do not send CORS headers.
+ * The target URL is passed in the `url` query parameter.
+ * @type {string}
+ */
+export const OGC_PROXY_URL = `${API_BASE_URL}/proxy/`;
@@ -1,11 +1,41 @@
 import TileLayer from 'ol/layer/Tile';
 import OSM from 'ol/source/OSM';
 import XYZ from 'ol/source/XYZ';
+import { getCustomBasemapList, toXyzUrl } from '../utils/customBasemaps';
+
+/**
+ * ID selected in the basemap panel to hide all basemaps.
+ * @type {string}
+ */
+export const NO_BASEMAP_ID = 'none';
+
+/**
+ * Creates the basemap configuration of a basemap added by the user.
+ * @param {import('../utils/customBasemaps').CustomBasemap} definition - The stored definition.
+ * @returns {Object} The basemap configuration, with `custom: true`.
+ */
+export const createCustomBasemap = (definition) => ({
+  id: definition.id,
+  name: definition.name,
+  active: false,
+  custom: true,
+  definition,
+  layer: new TileLayer({
+    source: new XYZ({
+      url: toXyzUrl(definition.url, definition.scheme),
+      attributions: definition.attribution || undefined,
+      minZoom: definition.minZoom,
+      maxZoom: definition.maxZoom,
+    }),
+    opacity: definition.opacity,
+  }),
+});
 
 /**
  * Array of basemap configurations for use with OpenLayers.
  * Each basemap includes information such as id, name, active state,
  * and the OpenLayers TileLayer defining its source.
+ * The basemaps added by the user (stored in the browser) follow the built-in ones.
  */
 export const basemaps = [
   /**
@@ -40,4 +70,5 @@ export const basemaps = [
       }),
     }),
   },
+  ...getCustomBasemapList().map(createCustomBasemap),
 ];
@@ -0,0 +1,259 @@
+/**
+ * Registry of EPSG coordinate reference systems, maintained by hand from the EPSG dataset.
+ * To add a system, take from https://epsg.io/<code> (or `projinfo EPSG:<code>`):
+ * - `name`: the name of the CRS;
+ * - `proj4`: the PROJ.4 string, reusing the datum constants below where they apply;
+ * - `bbox`: the bounding box of the area of use, rounded to two decimals;
+ * - `axis`: 'neu' when the first axis of the coordinate system is north (or latitude), else 'enu'.
+ *
+ * @typedef {Object} EpsgDefinition
+ * @property {string} name - Name of the coordinate reference system.
+ * @property {string} proj4 - The proj4 definition string, always with east/north coordinates.
+ * @property {Array<number>} bbox - Area of use in WGS84 as [west, south, east, north].
+ * @property {string} axis - Axis order of the EPSG definition as an OpenLayers axis orientation,
+ *   'neu' for north/east (or lat/lon) systems, followed by WMS 1.3.0 and WFS 1.1+/2.0, else 'enu'.
+ */
+
+/**
+ * Transformation to WGS84 shared by the ETRS89-based systems.
+ * @type {string}
+ */
+const ETRS89 = '+ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs';
+
+/**
+ * Transformation to WGS84 of the Pulkovo 1942(58) based Polish systems.
+ * @type {string}
+ */
+const PULKOVO_58 =
+  '+ellps=krass +towgs84=33.4,-146.6,-76.3,-0.359,-0.053,0.844,-0.84 +units=m +no_defs';
+
+/**
+ * Transformation to WGS84 of the DHDN based German systems.
+ * @type {string}
+ */
+const DHDN =
+  '+ellps=bessel +towgs84=598.1,73.7,418.2,0.202,0.045,-2.455,6.7 +units=m +no_defs';
+
+/**
+ * Builds the definitions of the ETRS89 / UTM zones 28N-38N (EPSG:25828-25838).
+ * @returns {Object<string, EpsgDefinition>} The definitions keyed by EPSG code.
+ */
+const etrs89UtmZones = () =>
+  Object.fromEntries(
+    Array.from({ length: 11 }, (_, index) => {
+      const zone = 28 + index;
+      const west = zone * 6 - 186;
+      return [
+        `EPSG:258${zone}`,
+        {
+          name: `ETRS89 / UTM zone ${zone}N`,
+          proj4: `+proj=utm +zone=${zone} ${ETRS89}`,
+          bbox: [west, 34, west + 6, 84],
+          axis: 'enu',
+        },
+      ];
+    })
+  );
+
+/**
+ * Definitions of the coordinate reference systems missing from proj4,
+ * used to register projections on demand (see `utils/projectionRegistry`).
+ * This module is loaded lazily, only when an unknown CRS is encountered.
+ * @type {Object<string, EpsgDefinition>}
+ */
+export const epsgDefinitions = {
+  // Poland
+  'EPSG:2180': {
+    name: 'ETRF2000-PL / CS92',
+    proj4: `+proj=tmerc +lat_0=0 +lon_0=19 +k=0.9993 +x_0=500000 +y_0=-5300000 ${ETRS89}`,
+    bbox: [14.14, 49.0, 24.15, 55.93],
+    axis: 'neu',
+  },
+  'EPSG:2176': {
+    name: 'ETRF2000-PL / CS2000/15',
+    proj4: `+proj=tmerc +lat_0=0 +lon_0=15 +k=0.999923 +x_0=5500000 +y_0=0 ${ETRS89}`,
+    bbox: [14.14, 50.26, 16.5, 55.35],
+    axis: 'neu',
+  },
+  'EPSG:2177': {
+    name: 'ETRF2000-PL / CS2000/18',
+    proj4: `+proj=tmerc +lat_0=0 +lon_0=18 +k=0.999923 +x_0=6500000 +y_0=0 ${ETRS89}`,
+    bbox: [16.5, 49.39, 19.5, 55.93],
+    axis: 'neu',
+  },
+  'EPSG:2178': {
+    name: 'ETRF2000-PL / CS2000/21',
+    proj4: `+proj=tmerc +lat_0=0 +lon_0=21 +k=0.999923 +x_0=7500000 +y_0=0 ${ETRS89}`,
+    bbox: [19.5, 49.09, 22.5, 54.55],
+    axis: 'neu',
+  },
+  'EPSG:2179': {
+    name: 'ETRF2000-PL / CS2000/24',
+    proj4: `+proj=tmerc +lat_0=0 +lon_0=24 +k=0.999923 +x_0=8500000 +y_0=0 ${ETRS89}`,
+    bbox: [22.5, 49.0, 24.15, 54.41],
+    axis: 'neu',
+  },
+  'EPSG:3120': {
+    name: 'Pulkovo 1942(58) / Poland zone I',
+    proj4: `+proj=sterea +lat_0=50.625 +lon_0=21.08333333333333 +k=0.9998 +x_0=4637000 +y_0=5467000 ${PULKOVO_58}`,
+    bbox: [18.0, 49.0, 24.15, 51.5],
+    axis: 'neu',
+  },
+  'EPSG:2172': {
+    name: 'Pulkovo 1942(58) / Poland zone II',
+    proj4: `+proj=sterea +lat_0=53.00194444444445 +lon_0=21.50277777777778 +k=0.9998 +x_0=4603000 +y_0=5806000 ${PULKOVO_58}`,
+    bbox: [19.0, 51.3, 23.95, 54.5],
+    axis: 'neu',
+  },
+  'EPSG:2173': {
+    name: 'Pulkovo 1942(58) / Poland zone III',
+    proj4: `+proj=sterea +lat_0=53.58333333333334 +lon_0=17.00833333333333 +k=0.9998 +x_0=3501000 +y_0=5999000 ${PULKOVO_58}`,
+    bbox: [14.14, 52.2, 19.5, 55.0],
+    axis: 'neu',
+  },
+  'EPSG:2174': {
+    name: 'Pulkovo 1942(58) / Poland zone IV',
+    proj4: `+proj=sterea +lat_0=51.67083333333333 +lon_0=16.67222222222222 +k=0.9998 +x_0=3703000 +y_0=5627000 ${PULKOVO_58}`,
+    bbox: [14.14, 50.2, 18.9, 53.0],
+    axis: 'neu',
+  },
+  'EPSG:2175': {
+    name: 'Pulkovo 1942(58) / Poland zone V',
+    proj4: `+proj=tmerc +lat_0=0 +lon_0=18.95833333333333 +k=0.999983 +x_0=237000 +y_0=-4700000 ${PULKOVO_58}`,
+    bbox: [18.0, 49.4, 20.5, 51.0],
+    axis: 'neu',
+  },
+
+  // Europe
+  'EPSG:4258': {
+    name: 'ETRS89',
+    proj4: '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs',
+    bbox: [-16.1, 32.88, 40.18, 84.73],
+    axis: 'neu',
+  },
+  'EPSG:3035': {
+    name: 'ETRS89-extended / LAEA Europe',
+    proj4: `+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 ${ETRS89}`,
+    bbox: [-35.58, 24.6, 44.83, 84.73],
+    axis: 'neu',
+  },
+  'EPSG:3034': {
+    name: 'ETRS89-extended / LCC Europe',
+    proj4: `+proj=lcc +lat_0=52 +lon_0=10 +lat_1=35 +lat_2=65 +x_0=4000000 +y_0=2800000 ${ETRS89}`,
+    bbox: [-35.58, 24.6, 44.83, 84.73],
+    axis: 'neu',
+  },
+  ...etrs89UtmZones(),
+  'EPSG:31466': {
+    name: 'DHDN / 3-degree Gauss-Kruger zone 2',
+    proj4: `+proj=tmerc +lat_0=0 +lon_0=6 +k=1 +x_0=2500000 +y_0=0 ${DHDN}`,
+    bbox: [5.86, 49.11, 7.5, 53.75],
+    axis: 'neu',
+  },
+  'EPSG:31467': {
+    name: 'DHDN / 3-degree Gauss-Kruger zone 3',
+    proj4: `+proj=tmerc +lat_0=0 +lon_0=9 +k=1 +x_0=3500000 +y_0=0 ${DHDN}`,
+    bbox: [7.5, 47.27, 10.5, 55.09],
+    axis: 'neu',
+  },
+  'EPSG:31468': {
+    name: 'DHDN / 3-degree Gauss-Kruger zone 4',
+    proj4: `+proj=tmerc +lat_0=0 +lon_0=12 +k=1 +x_0=4500000 +y_0=0 ${DHDN}`,
+    bbox: [10.5, 47.27, 13.5, 54.74],
+    axis: 'neu',
+  },
+  'EPSG:31469': {
+    name: 'DHDN / 3-degree Gauss-Kruger zone 5',
+    proj4: `+proj=tmerc +lat_0=0 +lon_0=15 +k=1 +x_0=5500000 +y_0=0 ${DHDN}`,
+    bbox: [13.5, 46.98, 15.04, 54.72],
+    axis: 'neu',
+  },
+  'EPSG:5514': {
+    name: 'S-JTSK / Krovak East North',
+    proj4:
+      '+proj=krovak +lat_0=49.5 +lon_0=24.83333333333333 +alpha=30.28813972222222 +k=0.9999 +x_0=0 +y_0=0 +ellps=bessel +towgs84=589,76,480,0,0,0,0 +units=m +no_defs',
+    bbox: [12.09, 47.73, 22.56, 51.06],
+    axis: 'enu',
+  },
+  'EPSG:3059': {
+    name: 'LKS-92 / Latvia TM',
+    proj4: `+proj=tmerc +lat_0=0 +lon_0=24 +k=0.9996 +x_0=500000 +y_0=-6000000 ${ETRS89}`,
+    bbox: [20.86, 55.67, 28.24, 58.09],
+    axis: 'neu',
+  },
+  'EPSG:3346': {
+    name: 'LKS94 / Lithuania TM',
+    proj4: `+proj=tmerc +lat_0=0 +lon_0=24 +k=0.9998 +x_0=500000 +y_0=0 ${ETRS89}`,
+    bbox: [19.02, 53.89, 26.82, 56.45],
+    axis: 'neu',
+  },
+  'EPSG:3301': {
+    name: 'Estonian Coordinate System of 1997',
+    proj4: `+proj=lcc +lat_0=57.51755393055556 +lon_0=24 +lat_1=59.33333333333334 +lat_2=58 +x_0=500000 +y_0=6375000 ${ETRS89}`,
+    bbox: [21.74, 57.52, 28.2, 59.75],
+    axis: 'neu',
+  },
+  'EPSG:3067': {
+    name: 'ETRS89 / TM35FIN(E,N)',
+    proj4: `+proj=utm +zone=35 ${ETRS89}`,
+    bbox: [19.08, 58.84, 31.59, 70.09],
+    axis: 'enu',
+  },
+  'EPSG:3006': {
+    name: 'SWEREF99 TM',
+    proj4: `+proj=utm +zone=33 ${ETRS89}`,
+    bbox: [10.03, 54.96, 24.17, 69.07],
+    axis: 'neu',
+  },
+  'EPSG:2154': {
+    name: 'RGF93 v1 / Lambert-93',
+    proj4: `+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 ${ETRS89}`,
+    bbox: [-9.86, 41.15, 10.38, 51.56],
+    axis: 'enu',
+  },
+  'EPSG:28992': {
+    name: 'Amersfoort / RD New',
+    proj4:
+      '+proj=sterea +lat_0=52.15616055555555 +lon_0=5.38763888888889 +k=0.9999079 +x_0=155000 +y_0=463000 +ellps=bessel +towgs84=565.417,50.3319,465.552,-0.398957,0.343988,-1.8774,4.0725 +units=m +no_defs',
+    bbox: [3.2, 50.75, 7.22, 53.7],
+    axis: 'enu',
+  },
+  'EPSG:31370': {
+    name: 'Belge 1972 / Belgian Lambert 72',
+    proj4:
+      '+proj=lcc +lat_0=90 +lon_0=4.36748666666667 +lat_1=51.1666672333333 +lat_2=49.8333339 +x_0=150000.013 +y_0=5400088.438 +ellps=intl +towgs84=-106.8686,52.2978,-103.7239,0.3366,-0.457,1.8422,-1.2747 +units=m +no_defs',
+    bbox: [2.5, 49.5, 6.4, 51.51],
+    axis: 'enu',
+  },
+  'EPSG:2056': {
+    name: 'CH1903+ / LV95',
+    proj4:
+      '+proj=somerc +lat_0=46.95240555555556 +lon_0=7.439583333333333 +k_0=1 +x_0=2600000 +y_0=1200000 +ellps=bessel +towgs84=674.374,15.056,405.346,0,0,0,0 +units=m +no_defs',
+    bbox: [5.96, 45.82, 10.49, 47.81],
+    axis: 'enu',
+  },
+  'EPSG:27700': {
+    name: 'OSGB36 / British National Grid',
+    proj4:
+      '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m +no_defs',
+    bbox: [-9.01, 49.75, 2.01, 61.01],
+    axis: 'enu',
+  },
+
+  // North America
+  'EPSG:4269': {
+    name: 'NAD83',
+    proj4: '+proj=longlat +datum=NAD83 +no_defs',
+    bbox: [-172.54, 23.81, -47.74, 86.46],
+    axis: 'neu',
+  },
+
+  // World
+  'EPSG:3395': {
+    name: 'WGS 84 / World Mercator',
+    proj4:
+      '+proj=merc +lon_0=0 +k=1 +x_0=0 +y_0=0 +datum=WGS84 +units=m +no_defs',
+    bbox: [-180, -80, 180, 84],
+    axis: 'enu',
+  },
+};
@@ -1,5 +1,6 @@
-import VectorLayer from 'ol/layer/Vector';
-import VectorSource from 'ol/source/Vector';
+import VectorTileLayer from 'ol/layer/VectorTile';
+import VectorTileSource from 'ol/source/VectorTile';
+import MVT from 'ol/format/MVT';
 import Style from 'ol/style/Style';
 import Stroke from 'ol/style/Stroke';
 import Fill from 'ol/style/Fill';
@@ -10,10 +11,39 @@ import Fill from 'ol/style/Fill';
  * @property {string} name - Display name of the layer.
  * @property {boolean} active - Indicates whether the layer is currently active.
  * @property {boolean} isVector - Indicates if the layer is a vector layer.
- * @property {string} apiUrl - URL for fetching GeoJSON data of the layer.
- * @property {import('ol/layer/Vector').default} layer - OpenLayers VectorLayer instance.
+ * @property {string} [apiUrl] - URL for fetching GeoJSON data of the layer.
+ * @property {boolean} [isVectorTile] - Indicates if the layer is loaded as Mapbox Vector Tiles instead of GeoJSON.
+ * @property {string} [tileUrl] - Tile URL template of a vector tile layer, see `createVectorTileLayer`.
+ * @property {Array<number>} [extent] - Extent of a vector tile layer in EPSG:3857, used by "Zoom to Layer".
+ * @property {string} [extentUrl] - URL returning the extent of a vector tile layer (`/WebApp/api/tiles/<layer>/extent/`), used by "Zoom to Layer" when no `extent` is set.
+ * @property {import('ol/layer/Vector').default|import('ol/layer/VectorTile').default} layer - OpenLayers layer instance.
  */
 
+/**
+ * Creates a hidden vector tile layer reading the Mapbox Vector Tiles served by the backend
+ * (`/WebApp/api/tiles/<layer>/{z}/{x}/{y}.pbf`, the layer must be listed in `VECTOR_TILE_LAYERS`).
+ * Use it for large tables instead of a GeoJSON `apiUrl`, as done for the layers below.
+ * @param {string} tileUrl - The tile URL template.
+ * @returns {import('ol/layer/VectorTile').default} The vector tile layer.
+ */
+export const createVectorTileLayer = (tileUrl) =>
+  new VectorTileLayer({
+    source: new VectorTileSource({
+      format: new MVT(),
+      url: tileUrl,
+    }),
+    visible: false,
+    style: new Style({
+      stroke: new Stroke({
+        color: 'rgba(0, 123, 255, 0.5)',
+        width: 1,
+      }),
+      fill: new Fill({
+        color: 'rgba(0, 123, 255, 0.5)',
+      }),
+    }),
+  });
+
 /**
  * An array of layer configurations.
  * @type {Layer[]}
@@ -24,37 +54,24 @@ export const layers = [
     name: 'Korytarze Ekologiczne',
     active: false,
     isVector: true,
-    apiUrl: 'http://localhost:8000/WebApp/api/layers/korytarze/',
-    layer: new VectorLayer({
-      source: new VectorSource(),
-      style: new Style({
-        stroke: new Stroke({
-          color: 'rgba(0, 123, 255, 0.5)',
-          width: 1,
-        }),
-        fill: new Fill({
-          color: 'rgba(0, 123, 255, 0.5)',
-        }),
-      }),
-    }),
+    isVectorTile: true,
+    tileUrl: 'http://localhost:8000/WebApp/api/tiles/korytarze/{z}/{x}/{y}.pbf',
+    extentUrl: 'http://localhost:8000/WebApp/api/tiles/korytarze/extent/',
+    layer: createVectorTileLayer(
+      'http://localhost:8000/WebApp/api/tiles/korytarze/{z}/{x}/{y}.pbf'
+    ),
   },
   {
     id: 2,
     name: 'JCWPRzeczne',
     active: false,
     isVector: true,
-    apiUrl: 'http://localhost:8000/WebApp/api/layers/jcwprzeczne/',
-    layer: new VectorLayer({
-      source: new VectorSource(),
-      style: new Style({
-        stroke: new Stroke({
-          color: 'rgba(0, 123, 255, 0.5)',
-          width: 1,
-        }),
-        fill: new Fill({
-          color: 'rgba(0, 123, 255, 0.5)',
-        }),
-      }),
-    }),
+    isVectorTile: true,
+    tileUrl:
+      'http://localhost:8000/WebApp/api/tiles/jcwprzeczne/{z}/{x}/{y}.pbf',
+    extentUrl: 'http://localhost:8000/WebApp/api/tiles/jcwprzeczne/extent/',
+    layer: createVectorTileLayer(
+      'http://localhost:8000/WebApp/api/tiles/jcwprzeczne/{z}/{x}/{y}.pbf'
+    ),
   },
 ];
@@ -0,0 +1,37 @@
+/**
+ * @typedef {Object} ServiceConnection
+ * @property {string} id - Unique identifier for the service connection.
+ * @property {string} name - Display name of the service.
+ * @property {string} url - URL of the service endpoint.
+ * @property {string} type - Service type: 'WMS', 'WMTS', 'WFS', 'OGCAPI' (OGC API - Features), 'ArcGIS' (ArcGIS REST MapServer/FeatureServer) or 'auto' to detect it from the capabilities.
+ * @property {Array<string>} [defaultLayers] - Names of the layers preselected after fetching the capabilities.
+ */
+
+/**
+ * Service connections predefined for all users.
+ * Edit this list to provide the servers used in your organisation; users can
+ * add their own connections in the "Add WMS/WMTS Layers" dialog.
+ * @type {Array<ServiceConnection>}
+ */
+export const predefinedServices = [
+  {
+    id: 'geoportal-orto',
+    name: 'Geoportal - Orthophotomap',
+    url: 'https://mapy.geoportal.gov.pl/wss/service/PZGIK/ORTO/WMTS/StandardResolution',
+    type: 'WMTS',
+    defaultLayers: ['ORTOFOTOMAPA'],
+  },
+  {
+    id: 'ahocevar-geoserver',
+    name: 'GeoServer demo (ahocevar.com)',
+    url: 'https://ahocevar.com/geoserver/wms',
+    type: 'WMS',
+    defaultLayers: ['topp:states'],
+  },
+  {
+    id: 'esri-sampleserver-usa',
+    name: 'ArcGIS REST demo - USA (sampleserver6.arcgisonline.com)',
+    url: 'https://sampleserver6.arcgisonline.com/arcgis/rest/services/USA/MapServer',
+    type: 'ArcGIS',
+  },
+];
@@ -0,0 +1,45 @@
+/**
+ * @typedef {Object} WMSRenderOptions
+ * @property {boolean} tiled - Request tiles (`TileWMS`) or a single image per view (`ImageWMS`).
+ * @property {string} format - The GetMap output format (MIME type).
+ * @property {boolean} transparent - Whether the background of the images is transparent.
+ * @property {number} tileSize - Tile size in pixels, used in tiled mode.
+ * @property {Object<string, string>} vendorParams - Additional vendor-specific GetMap parameters.
+ */
+
+/**
+ * Rendering options used for new WMS layers unless chosen otherwise.
+ * @type {WMSRenderOptions}
+ */
+export const DEFAULT_WMS_OPTIONS = {
+  tiled: true,
+  format: 'image/png',
+  transparent: true,
+  tileSize: 256,
+  vendorParams: {},
+};
+
+/**
+ * Tile sizes offered for tiled WMS layers.
+ * @type {Array<number>}
+ */
+export const WMS_TILE_SIZES = [256, 512, 1024];
+
+/**
+ * GetMap parameters set by the application, which vendor parameters cannot override.
+ * @type {Array<string>}
+ */
+export const RESERVED_WMS_PARAMS = [
+  'SERVICE',
+  'REQUEST',
+  'VERSION',
+  'LAYERS',
+  'STYLES',
+  'FORMAT',
+  'TRANSPARENT',
+  'CRS',
+  'SRS',
+  'BBOX',
+  'WIDTH',
+  'HEIGHT',
+];
@@ -0,0 +1,520 @@
+import TileLayer from 'ol/layer/Tile';
+import ImageLayer from 'ol/layer/Image';
+import VectorLayer from 'ol/layer/Vector';
+import TileArcGISRest from 'ol/source/TileArcGISRest';
+import ImageArcGISRest from 'ol/source/ImageArcGISRest';
+import XYZ from 'ol/source/XYZ';
+import VectorSource from 'ol/source/Vector';
+import TileGrid from 'ol/tilegrid/TileGrid';
+import EsriJSON from 'ol/format/EsriJSON';
+import { bbox as bboxStrategy } from 'ol/loadingstrategy';
+import { transformExtent } from 'ol/proj';
+import { extend as extendExtent } from 'ol/extent';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  buildRequestUrl,
+  fetchWithProxy,
+  resolveServiceUrl,
+} from '../utils/ogcUtils';
+import { ensureProjection } from '../utils/projectionRegistry';
+import { baseVectorStyle } from '../styles/VectorStyles';
+
+/**
+ * Maximum number of features loaded per extent from a FeatureServer layer.
+ * @type {number}
+ */
+const ARCGIS_MAX_FEATURES = 5000;
+
+/**
+ * Esri well-known IDs of Web Mercator, used by ArcGIS instead of EPSG:3857.
+ * @type {Array<number>}
+ */
+const WEB_MERCATOR_WKIDS = [102100, 102113, 900913];
+
+/**
+ * Identifier of the pseudo-layer adding the whole tile cache of a cached MapServer.
+ * @type {string}
+ */
+const CACHE_LAYER_ID = 'cache';
+
+/**
+ * Splits an ArcGIS REST URL into the service URL and an optional layer ID,
+ * e.g. `.../rest/services/Roads/MapServer/3?f=json` into `.../rest/services/Roads/MapServer` and `3`.
+ * @param {string} url - The URL entered by the user.
+ * @returns {{serviceUrl: string, serviceType: string, layerId: string|null}|null} The parts, or null if the URL is not an ArcGIS REST service.
+ */
+const parseArcGISUrl = (url) => {
+  const match = (url || '')
+    .trim()
+    .split(/[?#]/)[0]
+    .match(/^(.*\/(MapServer|FeatureServer))(?:\/(\d+))?\/?$/i);
+  if (!match) return null;
+
+  return {
+    serviceUrl: match[1],
+    serviceType:
+      match[2].toLowerCase() === 'mapserver' ? 'MapServer' : 'FeatureServer',
+    layerId: match[3] ?? null,
+  };
+};
+
+/**
+ * Converts an ArcGIS spatial reference to a CRS code.
+ * @param {Object} spatialReference - The `spatialReference` of a service, layer or extent.
+ * @returns {string|null} The code in the `EPSG:XXXX` form, or null if there is no well-known ID.
+ */
+const toCrsCode = (spatialReference) => {
+  const wkid = spatialReference?.latestWkid || spatialReference?.wkid;
+  if (!wkid) return null;
+  return WEB_MERCATOR_WKIDS.includes(wkid) ? 'EPSG:3857' : `EPSG:${wkid}`;
+};
+
+/**
+ * Handles the integration of ArcGIS REST services on a map:
+ * MapServer layers as dynamic (single image or tiled) or cached image layers,
+ * FeatureServer layers as vector layers loaded by extent with paged queries.
+ * @class
+ */
+class ArcGISRestHandler {
+  /**
+   * @param {Object} map - The map instance to which ArcGIS layers will be added.
+   * @param {Function} setLayers - A setter function to manage the state of map layers.
+   */
+  constructor(map, setLayers) {
+    this.map = map;
+    this.setLayers = setLayers;
+  }
+
+  /**
+   * Fetches a JSON resource of an ArcGIS REST service.
+   * @param {string} url - The resource URL, without the `f` parameter.
+   * @param {Object} [params={}] - Additional query parameters.
+   * @returns {Promise<Object>} The parsed response.
+   * @throws {Error} If the request fails or the server returns an error object.
+   */
+  async fetchJson(url, params = {}) {
+    const response = await fetchWithProxy(
+      buildRequestUrl(url, { ...params, f: 'json' })
+    );
+    const json = await response.json();
+    if (json.error) {
+      throw new Error(
+        `ArcGIS REST error ${json.error.code}: ${json.error.message}`
+      );
+    }
+    return json;
+  }
+
+  /**
+   * Fetches the service description together with the details of all its layers.
+   * @param {string} url - The service URL (`.../MapServer` or `.../FeatureServer`).
+   * @returns {Promise<Object|null>} The description with `serviceUrl`, `serviceType`,
+   * `layerId` (from the URL) and `layerDetails`, or null if the URL is not an ArcGIS REST service.
+   */
+  async fetchServiceInfo(url) {
+    const parsed = parseArcGISUrl(url);
+    if (!parsed) return null;
+
+    try {
+      const [service, details] = await Promise.all([
+        this.fetchJson(parsed.serviceUrl),
+        this.fetchJson(`${parsed.serviceUrl}/layers`),
+      ]);
+      return {
+        ...service,
+        ...parsed,
+        layerDetails: details.layers || [],
+      };
+    } catch (error) {
+      console.error('Error fetching ArcGIS REST service description:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Lists the layers of a service description for the layer selection.
+   * Cached MapServers get an additional entry adding the whole tile cache.
+   * @param {Object} serviceInfo - The description returned by `fetchServiceInfo`.
+   * @returns {Array<Object>} Layers with their name (the layer ID as string), title, type and abstract.
+   */
+  getAvailableLayers(serviceInfo) {
+    const layers = (
+      serviceInfo.layerDetails.length
+        ? serviceInfo.layerDetails
+        : serviceInfo.layers || []
+    ).map((layer) => ({
+      name: String(layer.id),
+      title: layer.name,
+      type: layer.subLayerIds?.length
+        ? 'Group'
+        : (layer.geometryType || layer.type || '').replace(/^esriGeometry/, ''),
+      abstract: layer.description || '',
+    }));
+
+    if (serviceInfo.serviceType === 'MapServer' && serviceInfo.tileInfo) {
+      layers.unshift({
+        name: CACHE_LAYER_ID,
+        title: `${serviceInfo.mapName || 'Map'} (cached tiles)`,
+        type: 'Tile cache',
+        abstract: serviceInfo.serviceDescription || '',
+      });
+    }
+    return layers;
+  }
+
+  /**
+   * Fetches the layers of an ArcGIS REST service.
+   * @param {string} url - The service or layer URL.
+   * @returns {Promise<Array<Object>>} A promise resolving to the layers, or an empty array if the URL is not an ArcGIS REST service.
+   */
+  async fetchAvailableLayers(url) {
+    const serviceInfo = await this.fetchServiceInfo(url);
+    return serviceInfo ? this.getAvailableLayers(serviceInfo) : [];
+  }
+
+  /**
+   * Transforms an ArcGIS extent to the map projection.
+   * @param {Object} extent - The extent (xmin, ymin, xmax, ymax, spatialReference).
+   * @returns {Promise<Array<number>|null>} The extent, or null if its CRS is unknown.
+   */
+  async toMapExtent(extent) {
+    if (!extent || ![extent.xmin, extent.ymin].every(isFinite)) return null;
+
+    const crs = toCrsCode(extent.spatialReference);
+    if (!crs || !(await ensureProjection(crs))) return null;
+
+    return transformExtent(
+      [extent.xmin, extent.ymin, extent.xmax, extent.ymax],
+      crs,
+      this.map.getView().getProjection()
+    );
+  }
+
+  /**
+   * Restricts the visibility of a layer to the scale range of the ArcGIS layer.
+   * @param {Object} layer - The OpenLayers layer.
+   * @param {number} minScale - The minimum scale (the most zoomed-out), 0 for none.
+   * @param {number} maxScale - The maximum scale (the most zoomed-in), 0 for none.
+   */
+  applyScaleRange(layer, minScale, maxScale) {
+    // ArcGIS scales use 96 dpi, i.e. 0.0254 / 96 m per pixel
+    const metersPerUnit =
+      this.map.getView().getProjection().getMetersPerUnit() || 1;
+    const toResolution = (scale) => (scale * 0.0254) / 96 / metersPerUnit;
+
+    if (minScale) layer.setMaxResolution(toResolution(minScale));
+    if (maxScale) layer.setMinResolution(toResolution(maxScale));
+  }
+
+  /**
+   * Creates a tile layer reading the tile cache of a MapServer.
+   * @param {Object} serviceInfo - The description returned by `fetchServiceInfo`.
+   * @returns {Promise<TileLayer>} The created layer.
+   * @throws {Error} If the projection of the cache is unknown.
+   */
+  async createCacheLayer(serviceInfo) {
+    const { tileInfo, fullExtent, serviceUrl } = serviceInfo;
+    const crs = toCrsCode(
+      tileInfo.spatialReference || serviceInfo.spatialReference
+    );
+    if (!(await ensureProjection(crs)))
+      throw new Error(`Projection ${crs} of the tile cache is not supported.`);
+
+    return new TileLayer({
+      source: new XYZ({
+        url: resolveServiceUrl(`${serviceUrl}/tile/{z}/{y}/{x}`),
+        projection: crs,
+        crossOrigin: 'anonymous',
+        tileGrid: new TileGrid({
+          origin: [tileInfo.origin.x, tileInfo.origin.y],
+          resolutions: tileInfo.lods.map((lod) => lod.resolution),
+          tileSize: [tileInfo.cols, tileInfo.rows],
+          ...(fullExtent && {
+            extent: [
+              fullExtent.xmin,
+              fullExtent.ymin,
+              fullExtent.xmax,
+              fullExtent.ymax,
+            ],
+          }),
+        }),
+      }),
+    });
+  }
+
+  /**
+   * Creates an image layer rendering MapServer layers with dynamic `export` requests.
+   * The server renders the images in the map projection.
+   * @param {string} serviceUrl - The MapServer URL.
+   * @param {string} layerId - The ID of the layer to show.
+   * @param {boolean} tiled - Request tiles instead of a single image.
+   * @returns {TileLayer|ImageLayer} The created layer.
+   */
+  createDynamicLayer(serviceUrl, layerId, tiled) {
+    const sourceOptions = {
+      url: resolveServiceUrl(serviceUrl),
+      params: { LAYERS: `show:${layerId}`, FORMAT: 'png32', TRANSPARENT: true },
+      crossOrigin: 'anonymous',
+    };
+
+    return tiled
+      ? new TileLayer({ source: new TileArcGISRest(sourceOptions) })
+      : new ImageLayer({
+          source: new ImageArcGISRest({ ...sourceOptions, ratio: 1 }),
+        });
+  }
+
+  /**
+   * Builds a query request URL of a FeatureServer layer for an extent.
+   * @param {string} layerUrl - The URL of the FeatureServer layer.
+   * @param {string} wkid - The spatial reference ID of the extent and of the returned features.
+   * @param {Array<number>} extent - The extent.
+   * @param {Object} [paging] - Paging parameters, omitted if the layer does not support pagination.
+   * @param {number} paging.offset - Index of the first feature.
+   * @param {number} paging.count - Number of features per page.
+   * @returns {string} The request URL.
+   */
+  buildQueryUrl(layerUrl, wkid, extent, paging) {
+    return buildRequestUrl(`${layerUrl}/query`, {
+      where: '1=1',
+      outFields: '*',
+      geometry: extent.join(','),
+      geometryType: 'esriGeometryEnvelope',
+      spatialRel: 'esriSpatialRelIntersects',
+      inSR: wkid,
+      outSR: wkid,
+      ...(paging && {
+        resultOffset: paging.offset,
+        resultRecordCount: paging.count,
+      }),
+      f: 'json',
+    });
+  }
+
+  /**
+   * Creates a vector source loading the features of a FeatureServer layer for the visible extent.
+   * Results are paged when the layer supports pagination; loading stops at `ARCGIS_MAX_FEATURES`.
+   * The layer entry is updated with the feature attributes after each load.
+   * @param {string} layerUrl - The URL of the FeatureServer layer.
+   * @param {Object} layerDetails - The layer details from the service description.
+   * @param {string} layerId - The ID of the layer entry.
+   * @returns {VectorSource} The vector source.
+   */
+  createFeatureSource(layerUrl, layerDetails, layerId) {
+    const format = new EsriJSON();
+    const pageSize = Math.min(
+      layerDetails.maxRecordCount || 1000,
+      ARCGIS_MAX_FEATURES
+    );
+    const supportsPagination =
+      layerDetails.advancedQueryCapabilities?.supportsPagination ?? false;
+
+    const source = new VectorSource({
+      strategy: bboxStrategy,
+      loader: async (extent, resolution, projection, success, failure) => {
+        this.updateEntry(layerId, { loading: true });
+        // EPSG codes are valid ArcGIS wkids, other projections are requested in WGS84
+        const code = projection.getCode();
+        const crs = /^EPSG:\d+$/.test(code) ? code : 'EPSG:4326';
+        const wkid = crs.split(':')[1];
+        const requestExtent = transformExtent(extent, projection, crs);
+
+        try {
+          const features = [];
+          let page;
+          do {
+            const url = this.buildQueryUrl(
+              layerUrl,
+              wkid,
+              requestExtent,
+              supportsPagination && {
+                offset: features.length,
+                count: pageSize,
+              }
+            );
+            const response = await fetchWithProxy(url);
+            page = await response.json();
+            if (page.error) throw new Error(page.error.message);
+
+            features.push(
+              ...format.readFeatures(page, {
+                dataProjection: crs,
+                featureProjection: projection,
+              })
+            );
+          } while (
+            supportsPagination &&
+            page.exceededTransferLimit &&
+            page.features?.length > 0 &&
+            features.length < ARCGIS_MAX_FEATURES
+          );
+
+          if (page.exceededTransferLimit) {
+            console.warn(
+              `ArcGIS layer ${layerDetails.name}: feature limit reached, zoom in to load all features.`
+            );
+          }
+          source.addFeatures(features);
+
+          const attributes = Object.keys(
+            source.getFeatures()[0]?.getProperties() || {}
+          ).filter((attribute) => attribute !== 'geometry');
+          this.updateEntry(layerId, {
+            loading: false,
+            hasAttributes: attributes.length > 0,
+            attributes,
+          });
+          success(features);
+        } catch (error) {
+          console.error('Error loading ArcGIS features:', error);
+          source.removeLoadedExtent(extent);
+          this.updateEntry(layerId, { loading: false });
+          failure();
+        }
+      },
+    });
+    return source;
+  }
+
+  /**
+   * Updates properties of a layer entry in the layers state.
+   * @param {string} layerId - The ID of the layer entry.
+   * @param {Object} changes - The properties to update.
+   */
+  updateEntry(layerId, changes) {
+    this.setLayers((prev) =>
+      prev.map((layer) =>
+        layer.id === layerId ? { ...layer, ...changes } : layer
+      )
+    );
+  }
+
+  /**
+   * Creates the layer of a MapServer or FeatureServer layer, adds it to the map
+   * and appends its entry to the layers state.
+   * @param {Object} serviceInfo - The description returned by `fetchServiceInfo`.
+   * @param {string} layerId - The ArcGIS layer ID, or `CACHE_LAYER_ID` for the tile cache.
+   * @param {Object} [options={}] - Layer options.
+   * @param {boolean} [options.tiled=false] - Request dynamic MapServer images as tiles.
+   * @returns {Promise<Object>} A promise resolving to the created layer entry.
+   * @throws {Error} If the layer does not exist or cannot be displayed.
+   */
+  async addArcGISLayer(serviceInfo, layerId, { tiled = false } = {}) {
+    const { serviceUrl, serviceType } = serviceInfo;
+    const isCache = layerId === CACHE_LAYER_ID;
+    const details = isCache
+      ? null
+      : (serviceInfo.layerDetails.length
+          ? serviceInfo.layerDetails
+          : serviceInfo.layers || []
+        ).find((layer) => String(layer.id) === String(layerId));
+    if (!isCache && !details)
+      throw new Error(`Layer ${layerId} not found in ${serviceUrl}.`);
+
+    const id = uuidv4();
+    const isVector = serviceType === 'FeatureServer';
+    let newLayer;
+    if (isCache) {
+      newLayer = await this.createCacheLayer(serviceInfo);
+    } else if (isVector) {
+      newLayer = new VectorLayer({
+        source: this.createFeatureSource(
+          `${serviceUrl}/${layerId}`,
+          details,
+          id
+        ),
+        style: baseVectorStyle(),
+      });
+    } else {
+      newLayer = this.createDynamicLayer(serviceUrl, layerId, tiled);
+    }
+
+    if (details) {
+      this.applyScaleRange(newLayer, details.minScale, details.maxScale);
+    }
+    newLayer.setZIndex(1);
+    this.map.addLayer(newLayer);
+
+    const title = isCache
+      ? serviceInfo.mapName || serviceUrl.split('/').slice(-2, -1)[0]
+      : details.name;
+    const entry = {
+      id,
+      name: title,
+      layer: newLayer,
+      isVector,
+      active: true,
+      type: 'arcgis',
+      serviceType,
+      url: serviceUrl,
+      layerName: String(layerId),
+      title,
+      abstract:
+        details?.description ||
+        serviceInfo.serviceDescription ||
+        serviceInfo.description ||
+        '',
+      extent:
+        (await this.toMapExtent(details?.extent)) ||
+        (await this.toMapExtent(serviceInfo.fullExtent)),
+      ...(isVector
+        ? { hasAttributes: false, attributes: [] }
+        : { tiled: isCache || tiled }),
+    };
+
+    this.setLayers((prev) => [...prev, entry]);
+
+    return entry;
+  }
+
+  /**
+   * Handles the addition of the selected layers of an ArcGIS REST service
+   * and fits the view to their combined extent.
+   * @param {string} url - The service URL.
+   * @param {Array<string>} selectedLayers - IDs of the layers to add (see `getAvailableLayers`).
+   * @param {Object} [options={}] - Layer options passed to `addArcGISLayer`.
+   * @returns {Promise<void>}
+   * @throws {Error} If fetching or processing the ArcGIS layers fails.
+   */
+  async handleArcGISLayers(url, selectedLayers, options = {}) {
+    if (!this.map) {
+      console.error('Map is not ready, wait for full initialization');
+      return;
+    }
+
+    try {
+      const serviceInfo = await this.fetchServiceInfo(url);
+      if (!serviceInfo)
+        throw new Error('Cannot fetch ArcGIS REST service! Check your URL.');
+
+      let combinedExtent = null;
+
+      for (const layerId of selectedLayers) {
+        const { extent } = await this.addArcGISLayer(
+          serviceInfo,
+          layerId,
+          options
+        );
+        if (extent) {
+          combinedExtent = combinedExtent
+            ? extendExtent(combinedExtent, extent)
+            : [...extent];
+        }
+      }
+
+      if (combinedExtent) {
+        this.map.getView().fit(combinedExtent, {
+          size: this.map.getSize(),
+          maxZoom: 18,
+          padding: [20, 20, 20, 20],
+        });
+      }
+    } catch (error) {
+      console.error('Error handling ArcGIS REST layer:', error);
+      throw error;
+    }
+  }
+}
+
+export { parseArcGISUrl };
+export default ArcGISRestHandler;
@@ -1,3 +1,6 @@
+import { createCustomBasemap } from '../constants/basemaps';
+import { removeCustomBasemap } from '../utils/customBasemaps';
+
 /**
  * A utility class to handle operations on basemap layers for an OpenLayers map.
  */
@@ -42,6 +45,37 @@ class BasemapHandler {
     );
   }
 
+  /**
+   * Adds a basemap created by the user and makes it the active one.
+   *
+   * @param {import('../utils/customBasemaps').CustomBasemap} definition - The stored basemap definition.
+   */
+  addBasemap(definition) {
+    const basemap = createCustomBasemap(definition);
+    basemap.layer.setZIndex(-1);
+
+    this.setBasemaps((prevBasemaps) => [...prevBasemaps, basemap]);
+    this.changeBasemap(basemap.id);
+  }
+
+  /**
+   * Removes a basemap created by the user from the map and from the browser storage.
+   *
+   * @param {string} id - The unique identifier of the basemap to remove.
+   */
+  removeBasemap(id) {
+    removeCustomBasemap(id);
+
+    this.setBasemaps((prevBasemaps) =>
+      prevBasemaps.filter((bm) => {
+        if (bm.id !== id) return true;
+
+        if (this.map) this.map.removeLayer(bm.layer);
+        return false;
+      })
+    );
+  }
+
   /**
    * Sets the ZIndex of all basemap layers to ensure they are behind other layers.
    */
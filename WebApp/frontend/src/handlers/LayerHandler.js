@@ -1,9 +1,10 @@
-import { FetchGeoJSON } from './VectorHandler';
+import { FetchGeoJSON, watchVectorTileAttributes } from './VectorHandler';
 import Style from 'ol/style/Style';
 import Fill from 'ol/style/Fill';
 import Stroke from 'ol/style/Stroke';
 import Text from 'ol/style/Text';
 import { getBaseColor } from '../styles/VectorStyles';
+import { revokeObjectUrls } from '../utils/vectorFileReaders';
 
 /**
  * Class to handle toggling visibility and actions related to map layers
@@ -39,7 +40,25 @@ class ToggleLayerVisibility {
               // Retrieves the data source for the vector layer
               const source = layer.layer.getSource();
 
-              if (source.getFeatures().length === 0) {
+              // Vector tile layers load their tiles when shown, their attributes are read from the first tiles
+              if (layer.isVectorTile && !layer.hasAttributes) {
+                watchVectorTileAttributes(layer.layer, (attributes) =>
+                  this.setLayers((prev) =>
+                    prev.map((l) =>
+                      l.id === layerId
+                        ? {
+                            ...l,
+                            hasAttributes: attributes.length > 0,
+                            attributes,
+                          }
+                        : l
+                    )
+                  )
+                );
+              }
+
+              // Layers loading their own features (e.g. WFS, vector tiles) have no API URL
+              if (layer.apiUrl && source.getFeatures().length === 0) {
                 // Marks the layer as loading by updating its state
                 this.setLayers((prev) =>
                   prev.map((l) =>
@@ -77,6 +96,65 @@ class ToggleLayerVisibility {
   }
 }
 
+/**
+ * Class to handle the options of the layer menu: opacity, refresh and removal
+ *
+ * @param {Object} map - A reference to the map object
+ * @param {Array} layers - Current state of layers with metadata
+ * @param {Function} setLayers - Method to update the layer state
+ */
+class LayerOptionsHandler {
+  constructor(map, layers, setLayers) {
+    this.map = map;
+    this.layers = layers;
+    this.setLayers = setLayers;
+  }
+
+  /**
+   * Changes the opacity of a layer
+   *
+   * @param {string} layerId - Unique identifier for the layer
+   * @param {number} opacity - Opacity between 0 and 1
+   */
+  setOpacity(layerId, opacity) {
+    const entry = this.layers.find((layer) => layer.id === layerId);
+    if (!entry || !entry.layer) return;
+
+    entry.layer.setOpacity(opacity);
+    this.setLayers((prev) =>
+      prev.map((layer) =>
+        layer.id === layerId ? { ...layer, opacity } : layer
+      )
+    );
+  }
+
+  /**
+   * Reloads the data of a layer from its source (tiles, images or features)
+   *
+   * @param {string} layerId - Unique identifier for the layer
+   */
+  refresh(layerId) {
+    const entry = this.layers.find((layer) => layer.id === layerId);
+    const source = entry?.layer?.getSource();
+    if (source) source.refresh();
+  }
+
+  /**
+   * Removes a layer from the map and from the layer state, revoking the object URLs
+   * of its KMZ icons
+   *
+   * @param {string} layerId - Unique identifier for the layer
+   */
+  remove(layerId) {
+    const entry = this.layers.find((layer) => layer.id === layerId);
+    if (!entry) return;
+
+    if (this.map && entry.layer) this.map.removeLayer(entry.layer);
+    revokeObjectUrls(entry.objectUrls);
+    this.setLayers((prev) => prev.filter((layer) => layer.id !== layerId));
+  }
+}
+
 /**
  * Class to handle layer-related functionalities (e.g., color picker and styles)
  */
@@ -237,4 +315,10 @@ const generateLayerStyle = (feature, activeColor, columnName = null) => {
   return geometryStyle;
 };
 
-export { ToggleLayerVisibility, StyleHandler, LabelHandler, reorderLayers };
+export {
+  ToggleLayerVisibility,
+  LayerOptionsHandler,
+  StyleHandler,
+  LabelHandler,
+  reorderLayers,
+};
@@ -24,6 +24,28 @@ class LayerZoom {
     // Find the target layer in the layersState array using the provided layerId.
     const targetLayer = this.layersState.find((layer) => layer.id === layerId);
 
+    // Vector tile layers keep no features, their extent comes from the configuration or the backend.
+    if (targetLayer && targetLayer.isVectorTile) {
+      this.zoomToVectorTileExtent(targetLayer);
+      return;
+    }
+
+    // Raster layers (e.g. WMS/WMTS) zoom to the extent advertised in the capabilities.
+    if (targetLayer && !(targetLayer.layer instanceof VectorLayer)) {
+      if (!targetLayer.extent) {
+        console.error(
+          `Cannot zoom: Layer with id "${layerId}" has no known extent.`
+        );
+        return;
+      }
+      this.map.getView().fit(targetLayer.extent, {
+        size: this.map.getSize(),
+        maxZoom: 18,
+        padding: [20, 20, 20, 20],
+      });
+      return;
+    }
+
     // Check if the target layer exists and is an instance of OpenLayers' VectorLayer.
     if (targetLayer && targetLayer.layer instanceof VectorLayer) {
       // Get the source object of the layer, which contains the features and their geometries.
@@ -32,6 +54,16 @@ class LayerZoom {
       // Get the extent (bounding box) of the features in the source layer.
       const extent = source.getExtent();
 
+      // Layers loaded by extent (e.g. WFS) fall back to the extent advertised by the service.
+      if (source.getFeatures().length === 0 && targetLayer.extent) {
+        this.map.getView().fit(targetLayer.extent, {
+          size: this.map.getSize(),
+          maxZoom: 18,
+          padding: [20, 20, 20, 20],
+        });
+        return;
+      }
+
       // Validate the extent. Ensure it exists, contains valid numbers, and features are present in the layer.
       if (!extent || extent.every(isNaN) || source.getFeatures().length === 0) {
         console.error(
@@ -51,6 +83,55 @@ class LayerZoom {
     }
   }
 
+  /**
+   * Zooms to a vector tile layer: to its configured extent, to the extent of its table
+   * reported by the backend (`extentUrl`), or else to the extent of its tile grid.
+   *
+   * @param {Object} targetLayer - The layer state entry of the vector tile layer.
+   */
+  zoomToVectorTileExtent(targetLayer) {
+    const gridExtent = targetLayer.layer.getSource().getTileGrid().getExtent();
+
+    if (targetLayer.extent || !targetLayer.extentUrl) {
+      this.zoomToExtent(targetLayer.extent || gridExtent);
+      return;
+    }
+
+    fetch(targetLayer.extentUrl)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+      })
+      .then((data) => this.zoomToExtent(data.extent || gridExtent))
+      .catch((error) => {
+        console.error(
+          `Error fetching the extent of layer "${targetLayer.id}":`,
+          error
+        );
+        this.zoomToExtent(gridExtent);
+      });
+  }
+
+  /**
+   * Zooms the map to an extent, e.g. the combined extent of the layers added by an upload.
+   *
+   * @param {Array<number>} extent - The extent in the map projection.
+   */
+  zoomToExtent(extent) {
+    if (!extent || extent.some((value) => !isFinite(value))) {
+      console.error('Cannot zoom: the extent is empty or invalid.');
+      return;
+    }
+
+    this.map.getView().fit(extent, {
+      size: this.map.getSize(),
+      maxZoom: 18,
+      padding: [20, 20, 20, 20],
+    });
+  }
+
   /**
    * Zooms the map to the extent of a specific feature matched by its properties.
    *
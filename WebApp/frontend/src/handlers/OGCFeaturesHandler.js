@@ -0,0 +1,373 @@
+import VectorLayer from 'ol/layer/Vector';
+import VectorSource from 'ol/source/Vector';
+import GeoJSON from 'ol/format/GeoJSON';
+import { transformExtent } from 'ol/proj';
+import {
+  extend as extendExtent,
+  containsExtent,
+  getIntersection,
+  isEmpty,
+} from 'ol/extent';
+import { unByKey } from 'ol/Observable';
+import { v4 as uuidv4 } from 'uuid';
+import { buildRequestUrl, fetchWithProxy } from '../utils/ogcUtils';
+import { baseVectorStyle } from '../styles/VectorStyles';
+
+/**
+ * Number of features requested per page of an items request.
+ * @type {number}
+ */
+const OGC_API_PAGE_SIZE = 1000;
+
+/**
+ * Maximum number of features loaded for the visible extent.
+ * @type {number}
+ */
+const OGC_API_MAX_FEATURES = 5000;
+
+/**
+ * Query parameters set by the client, which property filters cannot override.
+ * @type {Array<string>}
+ */
+const RESERVED_QUERY_PARAMS = [
+  'f',
+  'bbox',
+  'limit',
+  'offset',
+  'crs',
+  'bbox-crs',
+];
+
+/**
+ * Splits an OGC API URL into the landing page URL and an optional collection ID,
+ * e.g. `.../ogc/collections/rivers/items?f=json` into `.../ogc` and `rivers`.
+ * @param {string} url - The URL entered by the user.
+ * @returns {{baseUrl: string, collectionId: string|null}} The parts.
+ */
+const parseOGCApiUrl = (url) => {
+  const path = (url || '').trim().split(/[?#]/)[0].replace(/\/+$/, '');
+  const match = path.match(/^(.*?)\/collections(?:\/([^/]+)(?:\/items)?)?$/);
+
+  return match
+    ? {
+        baseUrl: match[1],
+        collectionId: match[2] ? decodeURIComponent(match[2]) : null,
+      }
+    : { baseUrl: path, collectionId: null };
+};
+
+/**
+ * Handles the integration of OGC API - Features collections as vector layers on a map.
+ * The features of the visible extent are requested as GeoJSON in CRS84, following
+ * the `next` links of the responses, and reloaded when the map view moves.
+ * @class
+ */
+class OGCFeaturesHandler {
+  /**
+   * @param {Object} map - The map instance to which the collections will be added.
+   * @param {Function} setLayers - A setter function to manage the state of map layers.
+   */
+  constructor(map, setLayers) {
+    this.map = map;
+    this.setLayers = setLayers;
+  }
+
+  /**
+   * Fetches a JSON resource of an OGC API.
+   * @param {string} url - The resource URL.
+   * @param {Object} [options={}] - Additional `fetch` options.
+   * @returns {Promise<Object>} The parsed response.
+   * @throws {Error} If the request fails or the response is not JSON.
+   */
+  async fetchJson(url, options = {}) {
+    const response = await fetchWithProxy(url, {
+      ...options,
+      headers: { Accept: 'application/geo+json, application/json' },
+    });
+    return response.json();
+  }
+
+  /**
+   * Fetches the feature collections listed by an OGC API - Features server.
+   * @param {string} url - The landing page URL, or the URL of the collections or of a collection.
+   * @returns {Promise<Array<Object>>} Collections with their name (ID), title, abstract and
+   * geographic extent, or an empty array if the URL is not an OGC API - Features service.
+   */
+  async fetchCollections(url) {
+    const { baseUrl } = parseOGCApiUrl(url);
+
+    try {
+      const listing = await this.fetchJson(
+        buildRequestUrl(`${baseUrl}/collections`, { f: 'json' })
+      );
+      if (!Array.isArray(listing?.collections)) return [];
+
+      return listing.collections
+        .filter(
+          (collection) =>
+            !collection.itemType || collection.itemType === 'feature'
+        )
+        .map((collection) => {
+          const bbox = collection.extent?.spatial?.bbox?.[0];
+          return {
+            name: collection.id,
+            title: collection.title || collection.id,
+            abstract: collection.description || '',
+            geographicBbox:
+              Array.isArray(bbox) && bbox.length >= 4
+                ? // 3D extents list the minimum and maximum height after the coordinates
+                  bbox.length === 6
+                  ? [bbox[0], bbox[1], bbox[3], bbox[4]]
+                  : bbox.slice(0, 4)
+                : null,
+          };
+        });
+    } catch (error) {
+      console.error('Error fetching OGC API collections:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Builds the first items request URL of a collection for an extent.
+   * @param {string} baseUrl - The landing page URL.
+   * @param {string} collectionId - The collection ID.
+   * @param {Array<number>} bbox - The extent in CRS84.
+   * @param {Object<string, string>} filters - Property filters, as `property=value` query parameters.
+   * @returns {string} The request URL.
+   */
+  buildItemsUrl(baseUrl, collectionId, bbox, filters) {
+    return buildRequestUrl(
+      `${baseUrl}/collections/${encodeURIComponent(collectionId)}/items`,
+      {
+        ...Object.fromEntries(
+          Object.entries(filters).filter(
+            ([key]) => !RESERVED_QUERY_PARAMS.includes(key.toLowerCase())
+          )
+        ),
+        f: 'json',
+        limit: OGC_API_PAGE_SIZE,
+        bbox: bbox.map((value) => value.toFixed(6)).join(','),
+      }
+    );
+  }
+
+  /**
+   * Requests the features of an extent, following the `next` links of the responses.
+   * @param {string} url - The first items request URL.
+   * @param {AbortSignal} signal - Signal cancelling the requests.
+   * @returns {Promise<{features: Array<Object>, complete: boolean}>} The GeoJSON features,
+   * and whether all of them were loaded within `OGC_API_MAX_FEATURES`.
+   */
+  async fetchItems(url, signal) {
+    const features = [];
+    let pageUrl = url;
+
+    while (pageUrl && features.length < OGC_API_MAX_FEATURES) {
+      const page = await this.fetchJson(pageUrl, { signal });
+      features.push(...(page.features || []));
+
+      const next = (page.links || []).find(
+        (link) => link.rel === 'next' && (!link.type || /json/i.test(link.type))
+      );
+      pageUrl =
+        next && page.features?.length ? new URL(next.href, pageUrl).href : null;
+    }
+
+    return { features, complete: !pageUrl };
+  }
+
+  /**
+   * Updates properties of a layer entry in the layers state.
+   * @param {string} layerId - The ID of the layer entry.
+   * @param {Object} changes - The properties to update.
+   */
+  updateEntry(layerId, changes) {
+    this.setLayers((prev) =>
+      prev.map((layer) =>
+        layer.id === layerId ? { ...layer, ...changes } : layer
+      )
+    );
+  }
+
+  /**
+   * Creates a vector layer for a collection, adds it to the map and appends its entry to the layers state.
+   * The features of the visible extent are loaded on `moveend` and when the layer is shown;
+   * a reload is skipped while the view stays within an extent whose features were all loaded.
+   * @param {string} baseUrl - The landing page URL.
+   * @param {Object} collection - The collection returned by `fetchCollections`.
+   * @param {Object<string, string>} [filters={}] - Property filters passed in the query string.
+   * @returns {Object} The created layer entry.
+   */
+  addCollectionLayer(baseUrl, collection, filters = {}) {
+    const id = uuidv4();
+    const format = new GeoJSON();
+    let controller = null;
+    let loaded = null;
+
+    // Called on the first render and after `refresh()`, later loads are triggered by `moveend`
+    const source = new VectorSource({
+      loader: () => {
+        loaded = null;
+        load();
+      },
+    });
+    const newLayer = new VectorLayer({ source, style: baseVectorStyle() });
+
+    const load = async () => {
+      if (!newLayer.getVisible()) return;
+
+      const view = this.map.getView();
+      const viewExtent = view.calculateExtent(this.map.getSize());
+      if (loaded?.complete && containsExtent(loaded.extent, viewExtent)) return;
+
+      const bbox = getIntersection(
+        transformExtent(viewExtent, view.getProjection(), 'EPSG:4326'),
+        [-180, -90, 180, 90]
+      );
+      if (isEmpty(bbox)) return;
+
+      controller?.abort();
+      controller = new AbortController();
+      const { signal } = controller;
+      this.updateEntry(id, { loading: true });
+
+      try {
+        const { features, complete } = await this.fetchItems(
+          this.buildItemsUrl(baseUrl, collection.name, bbox, filters),
+          signal
+        );
+        if (!complete) {
+          console.warn(
+            `OGC API layer ${collection.name}: feature limit of ${OGC_API_MAX_FEATURES} reached, zoom in to load all features.`
+          );
+        }
+
+        source.removeFeatures(source.getFeatures());
+        source.addFeatures(
+          format.readFeatures(
+            { type: 'FeatureCollection', features },
+            {
+              dataProjection: 'EPSG:4326',
+              featureProjection: view.getProjection(),
+            }
+          )
+        );
+        loaded = { extent: viewExtent, complete };
+
+        const attributes = Object.keys(
+          source.getFeatures()[0]?.getProperties() || {}
+        ).filter((attribute) => attribute !== 'geometry');
+        this.updateEntry(id, {
+          loading: false,
+          hasAttributes: attributes.length > 0,
+          attributes,
+        });
+      } catch (error) {
+        if (signal.aborted) return;
+        console.error('Error loading OGC API features:', error);
+        this.updateEntry(id, { loading: false });
+      }
+    };
+
+    const listenerKeys = [
+      this.map.on('moveend', () => {
+        // Stops listening once the layer has been removed from the map
+        if (!this.map.getLayers().getArray().includes(newLayer)) {
+          controller?.abort();
+          unByKey(listenerKeys);
+          return;
+        }
+        load();
+      }),
+      newLayer.on('change:visible', load),
+    ];
+
+    newLayer.setZIndex(1);
+    this.map.addLayer(newLayer);
+
+    const entry = {
+      id,
+      name: collection.title,
+      layer: newLayer,
+      isVector: true,
+      hasAttributes: false,
+      attributes: [],
+      active: true,
+      type: 'ogcapi',
+      url: baseUrl,
+      layerName: collection.name,
+      title: collection.title,
+      abstract: collection.abstract,
+      filters,
+      extent: collection.geographicBbox
+        ? transformExtent(
+            collection.geographicBbox,
+            'EPSG:4326',
+            this.map.getView().getProjection()
+          )
+        : null,
+    };
+
+    this.setLayers((prev) => [...prev, entry]);
+
+    return entry;
+  }
+
+  /**
+   * Handles the addition of the selected collections and fits the view to their combined extent.
+   * @param {string} url - The landing page URL.
+   * @param {Array<string>} selectedLayers - IDs of the collections to add.
+   * @param {Object<string, string>} [filters={}] - Property filters passed in the query string.
+   * @returns {Promise<void>}
+   * @throws {Error} If fetching or processing the collections fails.
+   */
+  async handleOGCFeaturesLayers(url, selectedLayers, filters = {}) {
+    if (!this.map) {
+      console.error('Map is not ready, wait for full initialization');
+      return;
+    }
+
+    try {
+      const { baseUrl } = parseOGCApiUrl(url);
+      const collections = await this.fetchCollections(baseUrl);
+      if (collections.length === 0)
+        throw new Error('Cannot fetch OGC API collections! Check your URL.');
+
+      let combinedExtent = null;
+
+      for (const name of selectedLayers) {
+        const collection = collections.find((item) => item.name === name);
+        if (!collection) {
+          console.error(`Collection "${name}" not found in the OGC API.`);
+          continue;
+        }
+
+        const { extent } = this.addCollectionLayer(
+          baseUrl,
+          collection,
+          filters
+        );
+        if (extent) {
+          combinedExtent = combinedExtent
+            ? extendExtent(combinedExtent, extent)
+            : [...extent];
+        }
+      }
+
+      if (combinedExtent) {
+        this.map.getView().fit(combinedExtent, {
+          size: this.map.getSize(),
+          maxZoom: 18,
+          padding: [20, 20, 20, 20],
+        });
+      }
+    } catch (error) {
+      console.error('Error handling OGC API layer:', error);
+      throw error;
+    }
+  }
+}
+
+export { parseOGCApiUrl };
+export default OGCFeaturesHandler;
@@ -5,21 +5,147 @@ import Style from 'ol/style/Style';
 import Fill from 'ol/style/Fill';
 import Stroke from 'ol/style/Stroke';
 import { baseVectorStyle } from '../styles/VectorStyles';
+import { ensureProjection } from '../utils/projectionRegistry';
+import { v4 as uuidv4 } from 'uuid';
 
 /**
- * Handles the upload of a GeoJSON vector file and adds it as a layer to the map.
+ * Lists an uploaded layer in the layers state.
+ * @param {string} layerName - Name of the layer.
+ * @param {VectorLayer} vectorLayer - The layer.
+ * @param {Array<import('ol/Feature').default>} features - Its features.
+ * @param {Function} setLayers - Function to update the layers state.
+ * @param {Array<string>} [objectUrls=[]] - Object URLs used by the features, revoked when the layer is removed.
+ */
+const addLayerEntry = (
+  layerName,
+  vectorLayer,
+  features,
+  setLayers,
+  objectUrls = []
+) => {
+  // Union of the attributes of all features, which do not have to share a schema
+  const attributes = [
+    ...new Set(
+      features.flatMap((feature) =>
+        Object.keys(feature.getProperties()).filter(
+          (attr) => attr !== feature.getGeometryName()
+        )
+      )
+    ),
+  ];
+
+  setLayers((prevLayers) => [
+    ...prevLayers,
+    {
+      id: `vector-${uuidv4()}`,
+      name: layerName,
+      layer: vectorLayer,
+      isVector: true,
+      hasAttributes: attributes.length > 0,
+      attributes,
+      objectUrls,
+      active: true,
+    },
+  ]);
+};
+
+/**
+ * Adds the features of a layer parsed in the worker to a vector source in chunks,
+ * so that the map stays responsive while a large file is loaded.
+ * @param {import('../utils/vectorParser').ParsedVectorLayer} parsedLayer - The parsed layer.
+ * @param {VectorSource} vectorSource - The source the features are added to.
+ * @param {Function} [onProgress] - Called with the progress of the parser.
+ * @returns {Promise<void>} Resolves once all features are added.
+ * @throws {Error} If the CRS of the layer is not supported.
+ */
+const addParsedFeatures = async (
+  { parser, layerId, crs, action },
+  vectorSource,
+  onProgress
+) => {
+  if (!(await ensureProjection(crs))) {
+    throw new Error(`The coordinate reference system ${crs} is not supported.`);
+  }
+
+  const format = new GeoJSON();
+  const timestamp = Date.now();
+  let index = 0;
+  await parser.build(layerId, {
+    crs,
+    action,
+    onProgress,
+    onChunk: (chunk) =>
+      new Promise((resolve) => {
+        const features = format.readFeatures({
+          type: 'FeatureCollection',
+          features: chunk,
+        });
+        features.forEach((feature) => {
+          if (!feature.get('id'))
+            feature.setId(`feature-${timestamp}-${index}`);
+          index += 1;
+        });
+        vectorSource.addFeatures(features);
+        // Lets the map render before the next chunk is read
+        requestAnimationFrame(() => resolve());
+      }),
+  });
+};
+
+/**
+ * Handles the upload of a vector file and adds it as a layer to the map.
+ * GeoJSON layers (also read from Shapefiles, tables and GeoPackages) are parsed and
+ * reprojected from their source CRS in the worker (see `VectorParser`) and added in chunks;
+ * the layer is only listed once all its features are added, and removed if the upload is
+ * cancelled. Formats read by OpenLayers (KML, GPX) pass their features already in the map projection.
+ * The extent of the added features is returned, so that an upload of several layers can zoom to them.
  *
- * @param {Object} geoJsonData - The loaded GeoJSON data.
+ * @param {Array<import('ol/Feature').default>|import('../utils/vectorParser').ParsedVectorLayer} data - The features
+ * read from the file, or the layer parsed in the worker.
+ * @param {string} fileName - Name of the file, the layer is named after it.
  * @param {Object} map - The OpenLayers map instance.
  * @param {Function} setLayers - Function to update the layers state.
+ * @param {Object} [options={}] - Upload options.
+ * @param {Function} [options.onProgress] - Called with the progress of a layer parsed in the worker.
+ * @param {Array<string>} [options.objectUrls] - Object URLs of the KMZ icons used by the features,
+ * kept with the layer so that they are revoked when it is removed.
+ * @returns {Promise<Array<number>>} The extent of the layer in the map projection, once it is added.
+ * @throws {Error} If the CRS is not supported, the worker fails or the upload is cancelled.
  */
-const handleVectorUpload = (geoJsonData, fileName, map, setLayers) => {
+const handleVectorUpload = async (
+  data,
+  fileName,
+  map,
+  setLayers,
+  { onProgress, objectUrls } = {}
+) => {
   const layerName = fileName.replace(/\.[^/.]+$/, '');
-  const features = new GeoJSON().readFeatures(geoJsonData, {
-    featureProjection: 'EPSG:3857',
-  });
 
-  features.forEach((feature, index) => {
+  if (data.parser) {
+    const vectorSource = new VectorSource();
+    const vectorLayer = new VectorLayer({
+      source: vectorSource,
+      style: baseVectorStyle(),
+    });
+    map.addLayer(vectorLayer);
+
+    try {
+      await addParsedFeatures(data, vectorSource, onProgress);
+    } catch (error) {
+      map.removeLayer(vectorLayer);
+      throw error;
+    }
+
+    addLayerEntry(
+      layerName,
+      vectorLayer,
+      vectorSource.getFeatures(),
+      setLayers
+    );
+    return vectorSource.getExtent();
+  }
+
+  data.forEach((feature, index) => {
     const properties = feature.getProperties();
     if (!properties.id) {
       feature.setId(`feature-${Date.now()}-${index}`);
@@ -27,7 +153,7 @@ const handleVectorUpload = (geoJsonData, fileName, map, setLayers) => {
   });
 
   const vectorSource = new VectorSource({
-    features,
+    features: data,
   });
 
   const vectorLayer = new VectorLayer({
@@ -37,25 +163,8 @@ const handleVectorUpload = (geoJsonData, fileName, map, setLayers) => {
 
   map.addLayer(vectorLayer);
 
-  const attributes =
-    features.length > 0
-      ? Object.keys(features[0].getProperties()).filter(
-          (attr) => attr !== 'geometry'
-        )
-      : [];
-
-  setLayers((prevLayers) => [
-    ...prevLayers,
-    {
-      id: `vector-${Date.now()}`,
-      name: layerName,
-      layer: vectorLayer,
-      isVector: true,
-      hasAttributes: attributes.length > 0,
-      attributes,
-      active: true,
-    },
-  ]);
+  addLayerEntry(layerName, vectorLayer, data, setLayers, objectUrls);
+  return vectorSource.getExtent();
 };
 
 export default handleVectorUpload;
@@ -1,5 +1,6 @@
 import { Vector as VectorLayer } from 'ol/layer';
 import GeoJSON from 'ol/format/GeoJSON';
+import { unByKey } from 'ol/Observable';
 
 // Class to handle geometry simplification based on zoom levels
 class SimplifyGeometry {
@@ -129,4 +130,60 @@ class FetchGeoJSON {
   }
 }
 
-export { SimplifyGeometry, FetchGeoJSON };
+/**
+ * Vector tile layers waiting for their first tile with features, see `watchVectorTileAttributes`.
+ * @type {WeakSet<import('ol/layer/VectorTile').default>}
+ */
+const pendingAttributeWatches = new WeakSet();
+
+/**
+ * Reads the attribute names of a vector tile layer from the first loaded tile containing features.
+ * Vector tile sources keep no feature collection, so the attributes are only known once tiles load.
+ * A layer shown again before such a tile loads keeps its pending watch instead of adding another one.
+ * @param {import('ol/layer/VectorTile').default} vectorTileLayer - The vector tile layer.
+ * @param {Function} onAttributes - Called once with the attribute names.
+ */
+const watchVectorTileAttributes = (vectorTileLayer, onAttributes) => {
+  if (pendingAttributeWatches.has(vectorTileLayer)) return;
+  pendingAttributeWatches.add(vectorTileLayer);
+
+  const key = vectorTileLayer.getSource().on('tileloadend', (event) => {
+    const feature = event.tile.getFeatures?.()[0];
+    if (!feature) return;
+
+    unByKey(key);
+    pendingAttributeWatches.delete(vectorTileLayer);
+    onAttributes(
+      Object.keys(feature.getProperties()).filter(
+        (attribute) => attribute !== 'geometry'
+      )
+    );
+  });
+};
+
+/**
+ * Returns the features of a vector tile layer rendered in the visible extent of the map.
+ * Features crossing tile borders are split between tiles, so the parts are merged by their
+ * feature ID, or by their properties when the tiles carry no IDs.
+ * @param {Object} map - The map instance.
+ * @param {import('ol/layer/VectorTile').default} vectorTileLayer - The vector tile layer.
+ * @returns {Array<import('ol/render/Feature').default>} The features.
+ */
+const getVisibleTileFeatures = (map, vectorTileLayer) => {
+  const extent = map.getView().calculateExtent(map.getSize());
+  const features = new Map();
+
+  vectorTileLayer.getFeaturesInExtent(extent).forEach((feature) => {
+    const key = feature.getId() ?? JSON.stringify(feature.getProperties());
+    if (!features.has(key)) features.set(key, feature);
+  });
+
+  return Array.from(features.values());
+};
+
+export {
+  SimplifyGeometry,
+  FetchGeoJSON,
+  watchVectorTileAttributes,
+  getVisibleTileFeatures,
+};
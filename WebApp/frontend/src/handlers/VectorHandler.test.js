@@ -0,0 +1,33 @@
+import VectorTileLayer from 'ol/layer/VectorTile';
+import VectorTileSource from 'ol/source/VectorTile';
+import RenderFeature from 'ol/render/Feature';
+import { watchVectorTileAttributes } from './VectorHandler';
+
+const tileLoadEnd = (features) => ({
+  type: 'tileloadend',
+  tile: { getFeatures: () => features },
+});
+
+describe('watchVectorTileAttributes', () => {
+  test('reads the attributes once from the first tile with features', () => {
+    const layer = new VectorTileLayer({ source: new VectorTileSource({}) });
+    const onAttributes = jest.fn();
+
+    watchVectorTileAttributes(layer, onAttributes);
+    watchVectorTileAttributes(layer, onAttributes);
+    expect(layer.getSource().getListeners('tileloadend')).toHaveLength(1);
+
+    layer.getSource().dispatchEvent(tileLoadEnd([]));
+    expect(onAttributes).not.toHaveBeenCalled();
+
+    const feature = new RenderFeature('Point', [0, 0], [], 2, {
+      name: 'a',
+      length: 1,
+    });
+    layer.getSource().dispatchEvent(tileLoadEnd([feature]));
+    layer.getSource().dispatchEvent(tileLoadEnd([feature]));
+    expect(onAttributes).toHaveBeenCalledTimes(1);
+    expect(onAttributes).toHaveBeenCalledWith(['name', 'length']);
+    expect(layer.getSource().getListeners('tileloadend')).toBe(undefined);
+  });
+});
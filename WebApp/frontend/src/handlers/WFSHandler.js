@@ -0,0 +1,464 @@
+import VectorLayer from 'ol/layer/Vector';
+import VectorSource from 'ol/source/Vector';
+import GeoJSON from 'ol/format/GeoJSON';
+import WFS from 'ol/format/WFS';
+import { bbox as bboxStrategy } from 'ol/loadingstrategy';
+import { get as getProjection, transformExtent } from 'ol/proj';
+import { extend as extendExtent } from 'ol/extent';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  buildRequestUrl,
+  normalizeCrsCode,
+  fetchWithProxy,
+} from '../utils/ogcUtils';
+import { ensureAnyProjection } from '../utils/projectionRegistry';
+import { baseVectorStyle } from '../styles/VectorStyles';
+
+/**
+ * WFS versions to negotiate, in order of preference.
+ * @type {Array<string>}
+ */
+const WFS_VERSIONS = ['2.0.0', '1.1.0', '1.0.0'];
+
+/**
+ * Maximum number of features requested per GetFeature request.
+ * @type {number}
+ */
+const WFS_MAX_FEATURES = 5000;
+
+/**
+ * Returns the direct child elements of an element with the given local name, in any namespace.
+ * @param {Element} element - The parent element.
+ * @param {string} localName - The local name of the children.
+ * @returns {Array<Element>} The matching child elements.
+ */
+const childElements = (element, localName) =>
+  Array.from(element.children).filter((child) => child.localName === localName);
+
+/**
+ * Returns the trimmed text of the first direct child element with the given local name.
+ * @param {Element} element - The parent element.
+ * @param {string} localName - The local name of the child.
+ * @returns {string} The text content, or an empty string if there is no such child.
+ */
+const childText = (element, localName) =>
+  childElements(element, localName)[0]?.textContent.trim() || '';
+
+/**
+ * Handles the integration of WFS feature types as vector layers on a map.
+ * Features are requested for the visible extent only (bbox loading strategy),
+ * as GeoJSON when the server supports it, otherwise as GML.
+ * @class
+ */
+class WFSHandler {
+  /**
+   * @param {Object} map - The map instance to which WFS layers will be added.
+   * @param {Function} setLayers - A setter function to manage the state of map layers.
+   */
+  constructor(map, setLayers) {
+    this.map = map;
+    this.setLayers = setLayers;
+  }
+
+  /**
+   * Returns the WFS version of a capabilities document.
+   * @param {XMLDocument} capabilities - The capabilities XML document.
+   * @returns {string|null} The version, or null if the document is not WFS capabilities.
+   */
+  getVersion(capabilities) {
+    const root = capabilities?.documentElement;
+    if (!root || root.localName !== 'WFS_Capabilities') return null;
+
+    return root.getAttribute('version') || '1.0.0';
+  }
+
+  /**
+   * Fetches the WFS GetCapabilities document from the server.
+   * Negotiates the version: WFS 2.0.0 is requested first, then 1.1.0 and 1.0.0.
+   * @param {string} url - The URL of the WFS server.
+   * @returns {Promise<XMLDocument|null>} A promise resolving to the capabilities document, or null if fetching fails.
+   */
+  async fetchCapabilities(url) {
+    for (const version of WFS_VERSIONS) {
+      try {
+        const response = await fetchWithProxy(
+          buildRequestUrl(url, {
+            SERVICE: 'WFS',
+            REQUEST: 'GetCapabilities',
+            VERSION: version,
+          })
+        );
+        const text = await response.text();
+
+        const parser = new DOMParser();
+        const capabilities = parser.parseFromString(text, 'text/xml');
+        if (this.getVersion(capabilities)) return capabilities;
+
+        console.warn(`No WFS ${version} capabilities returned.`);
+      } catch (error) {
+        console.error(`Error fetching WFS ${version} Capabilities:`, error);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Extracts the GetFeature output formats advertised for the whole service.
+   * @param {XMLDocument} capabilities - The capabilities XML document.
+   * @returns {Array<string>} The output formats.
+   */
+  getServiceOutputFormats(capabilities) {
+    // WFS 1.1.0/2.0.0: ows:Operation[name=GetFeature]/ows:Parameter[name=outputFormat]
+    const operation = Array.from(
+      capabilities.getElementsByTagNameNS('*', 'Operation')
+    ).find((element) => element.getAttribute('name') === 'GetFeature');
+    const parameter =
+      operation &&
+      Array.from(operation.getElementsByTagNameNS('*', 'Parameter')).find(
+        (element) =>
+          (element.getAttribute('name') || '').toLowerCase() === 'outputformat'
+      );
+    if (parameter) {
+      return Array.from(parameter.getElementsByTagNameNS('*', 'Value')).map(
+        (value) => value.textContent.trim()
+      );
+    }
+
+    // WFS 1.0.0: Capability/Request/GetFeature/ResultFormat/<format element>
+    const resultFormat = capabilities.getElementsByTagNameNS(
+      '*',
+      'ResultFormat'
+    )[0];
+    return resultFormat
+      ? Array.from(resultFormat.children).map((element) => element.localName)
+      : [];
+  }
+
+  /**
+   * Extracts the feature types advertised in the capabilities.
+   * @param {XMLDocument} capabilities - The capabilities XML document.
+   * @returns {Array<Object>} Feature types with their name, title, abstract, CRSs, geographic extent and output formats.
+   */
+  getFeatureTypes(capabilities) {
+    const serviceFormats = this.getServiceOutputFormats(capabilities);
+    const featureTypeList = capabilities.getElementsByTagNameNS(
+      '*',
+      'FeatureTypeList'
+    )[0];
+    if (!featureTypeList) return [];
+
+    return childElements(featureTypeList, 'FeatureType').map((element) => {
+      const name = childText(element, 'Name');
+      const crsList = [
+        'DefaultCRS',
+        'DefaultSRS',
+        'SRS',
+        'OtherCRS',
+        'OtherSRS',
+      ].flatMap((tagName) =>
+        childElements(element, tagName).map((crs) => crs.textContent.trim())
+      );
+      const outputFormats = childElements(element, 'OutputFormats').flatMap(
+        (formats) =>
+          childElements(formats, 'Format').map((format) =>
+            format.textContent.trim()
+          )
+      );
+
+      return {
+        name,
+        title: childText(element, 'Title') || name,
+        abstract: childText(element, 'Abstract'),
+        crsList,
+        geographicBbox: this.parseGeographicBoundingBox(element),
+        outputFormats: outputFormats.length ? outputFormats : serviceFormats,
+      };
+    });
+  }
+
+  /**
+   * Parses the geographic extent of a feature type from `WGS84BoundingBox`
+   * (WFS 1.1.0/2.0.0) or `LatLongBoundingBox` (WFS 1.0.0).
+   * @param {Element} element - The `<FeatureType>` element.
+   * @returns {Array<number>|null} The extent in lon/lat order, or null if not advertised.
+   */
+  parseGeographicBoundingBox(element) {
+    const wgs84 = childElements(element, 'WGS84BoundingBox')[0];
+    if (wgs84) {
+      const extent = [
+        ...childText(wgs84, 'LowerCorner').split(/\s+/),
+        ...childText(wgs84, 'UpperCorner').split(/\s+/),
+      ].map(parseFloat);
+      return extent.length === 4 && !extent.some(isNaN) ? extent : null;
+    }
+
+    const latLong = childElements(element, 'LatLongBoundingBox')[0];
+    if (latLong) {
+      const extent = ['minx', 'miny', 'maxx', 'maxy'].map((attribute) =>
+        parseFloat(latLong.getAttribute(attribute))
+      );
+      return extent.some(isNaN) ? null : extent;
+    }
+
+    return null;
+  }
+
+  /**
+   * Fetches the feature types of a WFS server.
+   * @param {string} url - The URL of the WFS server.
+   * @returns {Promise<Array<Object>>} A promise resolving to the feature types, or an empty array if the URL is not a WFS service.
+   */
+  async fetchFeatureTypes(url) {
+    const capabilities = await this.fetchCapabilities(url);
+    return capabilities ? this.getFeatureTypes(capabilities) : [];
+  }
+
+  /**
+   * Chooses the output format and the matching OpenLayers parser.
+   * GeoJSON is preferred; otherwise GML for the WFS version is requested.
+   * @param {Array<string>} outputFormats - The output formats supported for the feature type.
+   * @param {string} version - The WFS version.
+   * @returns {{outputFormat: string|undefined, format: import('ol/format/Feature').default}} The output format and its parser.
+   */
+  chooseOutputFormat(outputFormats, version) {
+    const json =
+      outputFormats.find((format) =>
+        ['application/json', 'application/geo+json'].includes(
+          format.toLowerCase()
+        )
+      ) || outputFormats.find((format) => /json/i.test(format));
+    if (json) return { outputFormat: json, format: new GeoJSON() };
+
+    // Without an explicit format the server returns its default GML version
+    return { outputFormat: undefined, format: new WFS({ version }) };
+  }
+
+  /**
+   * Chooses the CRS to request features in: the map projection if supported,
+   * then EPSG:4326, then the first CRS known to OpenLayers, then the first CRS
+   * found in the EPSG registry, which is registered on the way.
+   * Codes are requested in the `EPSG:XXXX` form, for which servers use east/north axis order.
+   * @param {Array<string>} crsList - The CRSs advertised for the feature type.
+   * @returns {Promise<string|undefined>} The normalized CRS code.
+   */
+  async chooseProjection(crsList) {
+    const mapProjection = this.map.getView().getProjection().getCode();
+    const codes = crsList.map(normalizeCrsCode);
+
+    if (codes.includes(mapProjection)) return mapProjection;
+    if (codes.includes('EPSG:4326')) return 'EPSG:4326';
+    return (
+      codes.find((code) => getProjection(code)) ||
+      (await ensureAnyProjection(codes))
+    );
+  }
+
+  /**
+   * Builds a GetFeature request URL for an extent.
+   * @param {string} url - The URL of the WFS server.
+   * @param {Object} options - Request options.
+   * @param {string} options.typeName - The feature type name.
+   * @param {string} options.version - The WFS version.
+   * @param {string} options.crs - The CRS of the requested features and of the extent.
+   * @param {string} [options.outputFormat] - The output format.
+   * @param {Array<number>} extent - The extent in the requested CRS.
+   * @returns {string} The request URL.
+   */
+  buildGetFeatureUrl(url, { typeName, version, crs, outputFormat }, extent) {
+    return buildRequestUrl(url, {
+      SERVICE: 'WFS',
+      REQUEST: 'GetFeature',
+      VERSION: version,
+      [version === '2.0.0' ? 'TYPENAMES' : 'TYPENAME']: typeName,
+      [version === '2.0.0' ? 'COUNT' : 'MAXFEATURES']: WFS_MAX_FEATURES,
+      SRSNAME: crs,
+      OUTPUTFORMAT: outputFormat,
+      BBOX: `${extent.join(',')},${crs}`,
+    });
+  }
+
+  /**
+   * Creates a vector source loading the features of a feature type for the visible extent.
+   * The layer entry is updated with the feature attributes after each load.
+   * @param {string} url - The URL of the WFS server.
+   * @param {Object} requestOptions - Options passed to `buildGetFeatureUrl`.
+   * @param {import('ol/format/Feature').default} format - The parser of the responses.
+   * @param {string} layerId - The ID of the layer entry.
+   * @returns {VectorSource} The vector source.
+   */
+  createSource(url, requestOptions, format, layerId) {
+    const source = new VectorSource({
+      format,
+      strategy: bboxStrategy,
+      loader: async (extent, resolution, projection, success, failure) => {
+        this.updateEntry(layerId, { loading: true });
+        try {
+          const requestExtent = transformExtent(
+            extent,
+            projection,
+            requestOptions.crs
+          );
+          const response = await fetchWithProxy(
+            this.buildGetFeatureUrl(url, requestOptions, requestExtent)
+          );
+          const text = await response.text();
+
+          const features = format.readFeatures(text, {
+            dataProjection: requestOptions.crs,
+            featureProjection: projection,
+          });
+          if (features.length >= WFS_MAX_FEATURES) {
+            console.warn(
+              `WFS layer ${requestOptions.typeName}: feature limit of ${WFS_MAX_FEATURES} reached, zoom in to load all features.`
+            );
+          }
+          source.addFeatures(features);
+
+          const attributes = Object.keys(
+            source.getFeatures()[0]?.getProperties() || {}
+          ).filter((attribute) => attribute !== 'geometry');
+          this.updateEntry(layerId, {
+            loading: false,
+            hasAttributes: attributes.length > 0,
+            attributes,
+          });
+          success(features);
+        } catch (error) {
+          console.error('Error loading WFS features:', error);
+          source.removeLoadedExtent(extent);
+          this.updateEntry(layerId, { loading: false });
+          failure();
+        }
+      },
+    });
+    return source;
+  }
+
+  /**
+   * Updates properties of a layer entry in the layers state.
+   * @param {string} layerId - The ID of the layer entry.
+   * @param {Object} changes - The properties to update.
+   */
+  updateEntry(layerId, changes) {
+    this.setLayers((prev) =>
+      prev.map((layer) =>
+        layer.id === layerId ? { ...layer, ...changes } : layer
+      )
+    );
+  }
+
+  /**
+   * Creates a vector layer for a feature type, adds it to the map and appends its entry to the layers state.
+   * @param {string} url - The URL of the WFS server.
+   * @param {Object} featureType - The feature type returned by `getFeatureTypes`.
+   * @param {string} version - The negotiated WFS version.
+   * @returns {Promise<Object>} A promise resolving to the created layer entry.
+   * @throws {Error} If the feature type has no usable projection.
+   */
+  async addWFSLayer(url, featureType, version) {
+    const crs = await this.chooseProjection(featureType.crsList);
+    if (!crs)
+      throw new Error(
+        `Not supported projection for layer: ${featureType.name}`
+      );
+
+    const { outputFormat, format } = this.chooseOutputFormat(
+      featureType.outputFormats,
+      version
+    );
+    const id = uuidv4();
+
+    const newLayer = new VectorLayer({
+      source: this.createSource(
+        url,
+        { typeName: featureType.name, version, crs, outputFormat },
+        format,
+        id
+      ),
+      style: baseVectorStyle(),
+    });
+    newLayer.setZIndex(1);
+    this.map.addLayer(newLayer);
+
+    const entry = {
+      id,
+      name: featureType.title,
+      layer: newLayer,
+      isVector: true,
+      hasAttributes: false,
+      attributes: [],
+      active: true,
+      type: 'wfs',
+      url,
+      layerName: featureType.name,
+      version,
+      crs,
+      outputFormat,
+      extent: featureType.geographicBbox
+        ? transformExtent(
+            featureType.geographicBbox,
+            'EPSG:4326',
+            this.map.getView().getProjection()
+          )
+        : null,
+    };
+
+    this.setLayers((prev) => [...prev, entry]);
+
+    return entry;
+  }
+
+  /**
+   * Handles the addition of the selected WFS feature types and fits the view to their combined extent.
+   * @param {string} url - The URL of the WFS server.
+   * @param {Array<string>} selectedLayers - Names of the feature types to add.
+   * @returns {Promise<void>}
+   * @throws {Error} If fetching or processing the WFS layers fails.
+   */
+  async handleWFSLayers(url, selectedLayers) {
+    if (!this.map) {
+      console.error('Map is not ready, wait for full initialization');
+      return;
+    }
+
+    try {
+      const capabilities = await this.fetchCapabilities(url);
+      if (!capabilities)
+        throw new Error('Cannot fetch WFS capabilities! Check your URL.');
+
+      const version = this.getVersion(capabilities);
+      const featureTypes = this.getFeatureTypes(capabilities);
+      let combinedExtent = null;
+
+      for (const name of selectedLayers) {
+        const featureType = featureTypes.find((type) => type.name === name);
+        if (!featureType) {
+          console.error(
+            `Feature type "${name}" not found in WFS Capabilities.`
+          );
+          continue;
+        }
+
+        const { extent } = await this.addWFSLayer(url, featureType, version);
+        if (extent) {
+          combinedExtent = combinedExtent
+            ? extendExtent(combinedExtent, extent)
+            : [...extent];
+        }
+      }
+
+      if (combinedExtent) {
+        this.map.getView().fit(combinedExtent, {
+          size: this.map.getSize(),
+          maxZoom: 18,
+          padding: [20, 20, 20, 20],
+        });
+      }
+    } catch (error) {
+      console.error('Error handling WFS layer:', error);
+      throw error;
+    }
+  }
+}
+
+export default WFSHandler;
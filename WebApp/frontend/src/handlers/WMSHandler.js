@@ -1,13 +1,61 @@
 import TileLayer from 'ol/layer/Tile';
+import ImageLayer from 'ol/layer/Image';
 import TileWMS from 'ol/source/TileWMS';
-import {
-  get as getProjection,
-  Projection,
-  transformExtent,
-  addProjection,
-} from 'ol/proj';
-import proj4 from 'proj4';
+import ImageWMS from 'ol/source/ImageWMS';
+import { createForProjection } from 'ol/tilegrid';
+import { get as getProjection, transformExtent } from 'ol/proj';
+import { extend as extendExtent } from 'ol/extent';
 import { v4 as uuidv4 } from 'uuid';
+import {
+  parseDimensionValues,
+  findClosestValue,
+} from '../utils/dimensionUtils';
+import {
+  buildRequestUrl,
+  normalizeCrsCode,
+  isNorthEastAxisOrder,
+  resolveServiceUrl,
+  fetchWithProxy,
+} from '../utils/ogcUtils';
+import { DEFAULT_WMS_OPTIONS, RESERVED_WMS_PARAMS } from '../constants/wms';
+import {
+  loadEpsgDefinitions,
+  ensureProjection,
+  ensureAnyProjection,
+} from '../utils/projectionRegistry';
+
+/**
+ * WMS versions to negotiate, in order of preference.
+ * @type {Array<string>}
+ */
+const WMS_VERSIONS = ['1.3.0', '1.1.1'];
+
+/**
+ * Dimensions supported by the time/elevation controls, mapped to their request parameters.
+ * @type {Object<string, string>}
+ */
+const DIMENSION_PARAMS = {
+  time: 'TIME',
+  elevation: 'ELEVATION',
+};
+
+/**
+ * Returns the direct child elements of an element with the given tag name.
+ * @param {Element} element - The parent element.
+ * @param {string} tagName - The tag name to match.
+ * @returns {Array<Element>} The matching child elements.
+ */
+const childElements = (element, tagName) =>
+  Array.from(element.children).filter((child) => child.tagName === tagName);
+
+/**
+ * Returns the trimmed text of the first direct child element with the given tag name.
+ * @param {Element} element - The parent element.
+ * @param {string} tagName - The tag name to match.
+ * @returns {string|undefined} The text content, or undefined if there is no such child.
+ */
+const childText = (element, tagName) =>
+  childElements(element, tagName)[0]?.textContent.trim();
 
 /**
  * Handles the integration and management of WMS layers on a map.
@@ -25,30 +73,211 @@ class WMSHandler {
     this.setShowAddWMSLayerModal = setShowAddWMSLayerModal;
   }
 
+  /**
+   * Builds the layer hierarchy of a WMS GetCapabilities response.
+   * Inheritable properties (CRS, bounding boxes, scale range, styles, dimensions, queryable flag)
+   * are resolved from the parent layers as described by the WMS specification.
+   * @param {XMLDocument} capabilities - The WMS capabilities XML document.
+   * @returns {Array<Object>} The top-level layer nodes, each with its nested `children`.
+   */
+  getLayerTree(capabilities) {
+    const capability = capabilities.getElementsByTagName('Capability')[0];
+    if (!capability) return [];
+
+    const version = this.getVersion(capabilities);
+    return childElements(capability, 'Layer').map((layerElement) =>
+      this.parseLayerNode(
+        layerElement,
+        {
+          crsList: [],
+          bbox: {},
+          geographicBbox: null,
+          minScale: null,
+          maxScale: null,
+          dimensions: {},
+        },
+        version
+      )
+    );
+  }
+
+  /**
+   * Returns the WMS version of a capabilities document.
+   * @param {XMLDocument} capabilities - The capabilities XML document.
+   * @returns {string|null} The version (e.g. '1.3.0' or '1.1.1'), or null if the document is not WMS capabilities.
+   */
+  getVersion(capabilities) {
+    const root = capabilities?.documentElement;
+    if (!root) return null;
+
+    if (root.localName === 'WMS_Capabilities') {
+      return root.getAttribute('version') || '1.3.0';
+    }
+    if (root.localName === 'WMT_MS_Capabilities') {
+      return root.getAttribute('version') || '1.1.1';
+    }
+    return null;
+  }
+
+  /**
+   * Parses the bounding boxes of a layer into extents with east/north axis order.
+   * In WMS 1.3.0 the axis order follows the CRS definition, so coordinates of
+   * lat/lon CRSs such as EPSG:4326 are swapped.
+   * @param {Element} layerElement - The `<Layer>` element.
+   * @param {string} version - The WMS version of the document.
+   * @returns {Object<string, Array<number>>} Extents keyed by normalized CRS code.
+   */
+  parseBoundingBoxes(layerElement, version) {
+    const bbox = {};
+    childElements(layerElement, 'BoundingBox').forEach((bboxElement) => {
+      const crs =
+        bboxElement.getAttribute('CRS') || bboxElement.getAttribute('SRS');
+      const minx = parseFloat(bboxElement.getAttribute('minx'));
+      const miny = parseFloat(bboxElement.getAttribute('miny'));
+      const maxx = parseFloat(bboxElement.getAttribute('maxx'));
+      const maxy = parseFloat(bboxElement.getAttribute('maxy'));
+      if (!crs || [minx, miny, maxx, maxy].some(isNaN)) return;
+
+      bbox[normalizeCrsCode(crs)] =
+        version === '1.3.0' && isNorthEastAxisOrder(crs)
+          ? [miny, minx, maxy, maxx]
+          : [minx, miny, maxx, maxy];
+    });
+    return bbox;
+  }
+
+  /**
+   * Parses the geographic extent of a layer from `EX_GeographicBoundingBox` (WMS 1.3.0)
+   * or `LatLonBoundingBox` (WMS 1.1.1).
+   * @param {Element} layerElement - The `<Layer>` element.
+   * @returns {Array<number>|null} The extent in lon/lat order, or null if not advertised.
+   */
+  parseGeographicBoundingBox(layerElement) {
+    const geographic = childElements(
+      layerElement,
+      'EX_GeographicBoundingBox'
+    )[0];
+    if (geographic) {
+      const extent = [
+        'westBoundLongitude',
+        'southBoundLatitude',
+        'eastBoundLongitude',
+        'northBoundLatitude',
+      ].map((tagName) => parseFloat(childText(geographic, tagName)));
+      return extent.some(isNaN) ? null : extent;
+    }
+
+    const latLon = childElements(layerElement, 'LatLonBoundingBox')[0];
+    if (latLon) {
+      const extent = ['minx', 'miny', 'maxx', 'maxy'].map((attribute) =>
+        parseFloat(latLon.getAttribute(attribute))
+      );
+      return extent.some(isNaN) ? null : extent;
+    }
+
+    return null;
+  }
+
+  /**
+   * Parses the time and elevation dimensions of a layer.
+   * Reads both `<Dimension>` with inline values (WMS 1.3.0) and `<Dimension>`
+   * declarations combined with `<Extent>` values (WMS 1.1.1).
+   * @param {Element} layerElement - The `<Layer>` element.
+   * @param {Object} inheritedDimensions - Dimensions inherited from the parent layer.
+   * @returns {Object<string, Object>} Dimensions keyed by name, each with `units`, `default` and `values`.
+   */
+  parseDimensions(layerElement, inheritedDimensions) {
+    const dimensions = { ...inheritedDimensions };
+
+    [
+      ...childElements(layerElement, 'Dimension'),
+      ...childElements(layerElement, 'Extent'),
+    ].forEach((element) => {
+      const name = (element.getAttribute('name') || '').toLowerCase();
+      if (!DIMENSION_PARAMS[name]) return;
+
+      const existing = dimensions[name] || {};
+      const text = element.textContent.trim();
+
+      dimensions[name] = {
+        units: element.getAttribute('units') || existing.units || '',
+        default: element.getAttribute('default') || existing.default || null,
+        values: text ? parseDimensionValues(text, name) : existing.values || [],
+      };
+    });
+
+    return dimensions;
+  }
+
+  /**
+   * Parses a single `<Layer>` element and its sub-layers.
+   * @param {Element} layerElement - The `<Layer>` element.
+   * @param {Object} inherited - Properties inherited from the parent layer.
+   * @param {string} version - The WMS version of the document.
+   * @returns {Object} The layer node.
+   */
+  parseLayerNode(layerElement, inherited, version) {
+    const name = childText(layerElement, 'Name') || null;
+    // WMS 1.1.1 lists the supported systems in <SRS>, possibly space-separated
+    const ownCrs = [
+      ...childElements(layerElement, 'CRS'),
+      ...childElements(layerElement, 'SRS'),
+    ].flatMap((crs) => crs.textContent.trim().split(/\s+/).filter(Boolean));
+
+    const bbox = {
+      ...inherited.bbox,
+      ...this.parseBoundingBoxes(layerElement, version),
+    };
+
+    const minScale = parseFloat(childText(layerElement, 'MinScaleDenominator'));
+    const maxScale = parseFloat(childText(layerElement, 'MaxScaleDenominator'));
+
+    const node = {
+      name,
+      title: childText(layerElement, 'Title') || name || 'Untitled layer',
+      abstract: childText(layerElement, 'Abstract') || '',
+      crsList: Array.from(new Set([...inherited.crsList, ...ownCrs])),
+      bbox,
+      geographicBbox:
+        this.parseGeographicBoundingBox(layerElement) ||
+        inherited.geographicBbox,
+      minScale: isNaN(minScale) ? inherited.minScale : minScale,
+      maxScale: isNaN(maxScale) ? inherited.maxScale : maxScale,
+      queryable: this.isQueryable(layerElement),
+      styles: this.parseStyles(layerElement),
+      dimensions: this.parseDimensions(layerElement, inherited.dimensions),
+    };
+
+    node.children = childElements(layerElement, 'Layer').map((child) =>
+      this.parseLayerNode(child, node, version)
+    );
+
+    return node;
+  }
+
+  /**
+   * Flattens a layer tree into the list of its named (requestable) layers.
+   * @param {Array<Object>} nodes - Layer nodes as returned by `getLayerTree`.
+   * @returns {Array<Object>} The named layer nodes, in document order.
+   */
+  flattenLayerTree(nodes) {
+    return nodes.flatMap((node) => [
+      ...(node.name ? [node] : []),
+      ...this.flattenLayerTree(node.children),
+    ]);
+  }
+
   /**
    * Extracts a list of available layers from WMS GetCapabilities response.
    * @param {XMLDocument} capabilities - The WMS capabilities XML document.
-   * @returns {Array<Object>} An array of unique layers with their name and title.
+   * @returns {Array<Object>} An array of unique layers with their name, title and abstract.
    * @throws {Error} If an error occurs during parsing.
    */
   getAvailableLayers(capabilities) {
     try {
-      const layers = capabilities.getElementsByTagName('Layer');
-      const availableLayers = [];
-
-      for (let i = 0; i < layers.length; i++) {
-        const layerName =
-          layers[i].getElementsByTagName('Name')[0]?.textContent;
-        const title =
-          layers[i].getElementsByTagName('Title')[0]?.textContent || layerName;
-
-        if (layerName) {
-          availableLayers.push({
-            name: layerName,
-            title,
-          });
-        }
-      }
+      const availableLayers = this.flattenLayerTree(
+        this.getLayerTree(capabilities)
+      ).map(({ name, title, abstract }) => ({ name, title, abstract }));
 
       const uniqueLayers = Array.from(
         new Map(availableLayers.map((layer) => [layer.name, layer])).values()
@@ -63,6 +292,23 @@ class WMSHandler {
     }
   }
 
+  /**
+   * Fetches the layer hierarchy of a WMS server.
+   * @param {string} url - The URL of the WMS server.
+   * @returns {Promise<Array<Object>>} A promise resolving to the top-level layer nodes.
+   */
+  async fetchLayerTree(url) {
+    try {
+      const capabilities = await this.fetchCapabilities(url);
+      if (!capabilities) return [];
+
+      return this.getLayerTree(capabilities);
+    } catch (error) {
+      console.error('Error fetching layer tree:', error);
+      return [];
+    }
+  }
+
   /**
    * Fetches and parses the list of available layers from a WMS server.
    * @param {string} url - The URL of the WMS server.
@@ -83,97 +329,453 @@ class WMSHandler {
 
   /**
    * Fetches the WMS GetCapabilities document from the server.
+   * Negotiates the version: WMS 1.3.0 is requested first, then WMS 1.1.1.
+   * A server may answer with another version than requested; the version of the
+   * returned document is used (see `getVersion`). For WMS 1.3.0 the EPSG registry is
+   * loaded as well, as its axis orders are needed to read the bounding boxes.
    * @param {string} url - The URL of the WMS server.
    * @returns {Promise<XMLDocument|null>} A promise resolving to the WMS capabilities document, or null if fetching fails.
-   * @throws {Error} If the fetch fails or encounters CORS issues.
    */
   async fetchCapabilities(url) {
-    try {
-      let response = await fetch(`${url}?SERVICE=WMS&REQUEST=GetCapabilities`, {
-        mode: 'cors',
-      });
-
-      if (!response.ok) {
-        console.warn('Direct fetch failed, trying with proxy...');
-        const corsProxy = 'https://cors-anywhere.herokuapp.com/';
-        const proxiedUrl = `${corsProxy}${url}`;
-        response = await fetch(
-          `${proxiedUrl}?SERVICE=WMS&REQUEST=GetCapabilities`,
-          { mode: 'cors' }
+    for (const version of WMS_VERSIONS) {
+      try {
+        const response = await fetchWithProxy(
+          buildRequestUrl(url, {
+            SERVICE: 'WMS',
+            REQUEST: 'GetCapabilities',
+            VERSION: version,
+          })
         );
+        const text = await response.text();
+
+        const parser = new DOMParser();
+        const capabilities = parser.parseFromString(text, 'text/xml');
+        const documentVersion = this.getVersion(capabilities);
+        if (documentVersion === '1.3.0') {
+          await loadEpsgDefinitions().catch((error) =>
+            console.error('Error loading EPSG definitions:', error)
+          );
+        }
+        if (documentVersion) return capabilities;
 
-        if (!response.ok) throw new Error('CORS fetch failed even with proxy.');
+        console.warn(`No WMS ${version} capabilities returned.`);
+      } catch (error) {
+        console.error(`Error fetching WMS ${version} Capabilities:`, error);
       }
+    }
+    return null;
+  }
 
-      const text = await response.text();
+  /**
+   * Extracts the GetFeatureInfo output formats advertised by the WMS server.
+   * @param {XMLDocument} capabilities - The WMS capabilities XML document.
+   * @returns {Array<string>} The supported info formats (MIME types).
+   */
+  getFeatureInfoFormats(capabilities) {
+    const request = capabilities.getElementsByTagName('GetFeatureInfo')[0];
+    if (!request) return [];
 
-      const parser = new DOMParser();
-      const capabilities = parser.parseFromString(text, 'text/xml');
-      return capabilities;
-    } catch (error) {
-      console.error('Error fetching WMS Capabilities:', error);
-      return null;
+    return Array.from(request.getElementsByTagName('Format')).map((format) =>
+      format.textContent.trim()
+    );
+  }
+
+  /**
+   * Extracts the GetMap output formats advertised by the WMS server.
+   * @param {XMLDocument} capabilities - The WMS capabilities XML document.
+   * @returns {Array<string>} The supported image formats (MIME types).
+   */
+  getMapFormats(capabilities) {
+    const request = capabilities.getElementsByTagName('GetMap')[0];
+    if (!request) return [];
+
+    return Array.from(request.getElementsByTagName('Format')).map((format) =>
+      format.textContent.trim()
+    );
+  }
+
+  /**
+   * Checks whether a layer element is queryable, honouring the attribute inherited from parent layers.
+   * @param {Element} layerElement - The `<Layer>` element from the capabilities document.
+   * @returns {boolean} True if GetFeatureInfo requests are supported for the layer.
+   */
+  isQueryable(layerElement) {
+    let element = layerElement;
+    while (element && element.tagName === 'Layer') {
+      const queryable = element.getAttribute('queryable');
+      if (queryable !== null) return queryable === '1' || queryable === 'true';
+      element = element.parentElement;
+    }
+    return false;
+  }
+
+  /**
+   * Extracts the styles of a layer, including styles inherited from parent layers,
+   * together with the legend graphic URL advertised for each style.
+   * @param {Element} layerElement - The `<Layer>` element from the capabilities document.
+   * @returns {Array<Object>} Styles with their name, title and optional legend URL.
+   */
+  parseStyles(layerElement) {
+    const styles = [];
+    let element = layerElement;
+
+    while (element && element.tagName === 'Layer') {
+      childElements(element, 'Style').forEach((styleElement) => {
+        const name = childText(styleElement, 'Name');
+        if (!name || styles.some((style) => style.name === name)) return;
+
+        const onlineResource = styleElement
+          .getElementsByTagName('LegendURL')[0]
+          ?.getElementsByTagName('OnlineResource')[0];
+        const legendUrl =
+          onlineResource?.getAttributeNS(
+            'http://www.w3.org/1999/xlink',
+            'href'
+          ) ||
+          onlineResource?.getAttribute('xlink:href') ||
+          null;
+
+        styles.push({
+          name,
+          title: childText(styleElement, 'Title') || name,
+          legendUrl,
+        });
+      });
+      element = element.parentElement;
     }
+
+    return styles;
+  }
+
+  /**
+   * Returns the legend graphic URL for a WMS layer entry and its chosen style.
+   * Uses the `LegendURL` from the capabilities and falls back to a GetLegendGraphic request.
+   * @param {Object} layerEntry - The WMS layer entry from the layers state.
+   * @returns {string|undefined} The legend image URL.
+   */
+  getLegendUrl(layerEntry) {
+    const style = (layerEntry.styles || []).find(
+      (s) => s.name === layerEntry.style
+    );
+    if (style?.legendUrl) return resolveServiceUrl(style.legendUrl);
+
+    const source = layerEntry.layer?.getSource();
+    if (!source || typeof source.getLegendUrl !== 'function') return undefined;
+
+    return source.getLegendUrl(undefined, {
+      ...(layerEntry.version && { VERSION: layerEntry.version }),
+      ...(layerEntry.style && { STYLE: layerEntry.style }),
+    });
+  }
+
+  /**
+   * Changes the style of a WMS layer and stores it on the layer entry.
+   * @param {string} layerId - The ID of the WMS layer entry.
+   * @param {string} styleName - The name of the style to apply (empty for the server default).
+   */
+  setLayerStyle(layerId, styleName) {
+    this.setLayers((prev) =>
+      prev.map((layerEntry) => {
+        if (layerEntry.id !== layerId) return layerEntry;
+
+        layerEntry.layer.getSource().updateParams({ STYLES: styleName });
+        return { ...layerEntry, style: styleName };
+      })
+    );
+  }
+
+  /**
+   * Sets the value of a time or elevation dimension on every WMS layer supporting it.
+   * Each layer receives its supported value closest to the requested one.
+   * @param {string} dimensionName - The dimension name (`time` or `elevation`).
+   * @param {string} value - The requested dimension value.
+   */
+  setDimensionValue(dimensionName, value) {
+    const param = DIMENSION_PARAMS[dimensionName];
+    if (!param) return;
+
+    this.setLayers((prev) =>
+      prev.map((layerEntry) => {
+        const dimension = layerEntry.dimensions?.[dimensionName];
+        if (layerEntry.type !== 'wms' || !dimension) return layerEntry;
+
+        const layerValue = findClosestValue(
+          dimension.values,
+          value,
+          dimensionName
+        );
+        layerEntry.layer.getSource().updateParams({ [param]: layerValue });
+
+        return {
+          ...layerEntry,
+          dimensionValues: {
+            ...layerEntry.dimensionValues,
+            [dimensionName]: layerValue,
+          },
+        };
+      })
+    );
   }
 
   /**
    * Parses the WMS Capabilities document to extract information for a specific layer.
    * @param {XMLDocument} capabilities - The WMS capabilities XML document.
    * @param {string} targetLayer - The name of the target layer to retrieve details for.
-   * @returns {Object} An object containing details about the layer, including CRS and bounding box.
+   * @returns {Object} An object containing details about the layer, including title, abstract, CRS, bounding boxes, queryable flag, styles, scale range and dimensions.
    * @throws {Error} If the target layer is not found.
    */
   parseCapabilities(capabilities, targetLayer) {
-    const layers = capabilities.getElementsByTagName('Layer');
-    for (let i = 0; i < layers.length; i++) {
-      const layerName = layers[i].getElementsByTagName('Name')[0]?.textContent;
-      if (layerName === targetLayer) {
-        const crsElements = layers[i].getElementsByTagName('CRS');
-        const crsList = Array.from(crsElements).map((crs) => crs.textContent);
-
-        const bboxElements = layers[i].getElementsByTagName('BoundingBox');
-        const bbox = {};
-        Array.from(bboxElements).forEach((bboxElement) => {
-          const crs =
-            bboxElement.getAttribute('CRS') || bboxElement.getAttribute('SRS');
-          const minx = parseFloat(bboxElement.getAttribute('minx'));
-          const miny = parseFloat(bboxElement.getAttribute('miny'));
-          const maxx = parseFloat(bboxElement.getAttribute('maxx'));
-          const maxy = parseFloat(bboxElement.getAttribute('maxy'));
-          bbox[crs] = [minx, miny, maxx, maxy];
-        });
-
-        return {
-          layerName,
-          crsList,
-          bbox,
-        };
-      }
+    const layer = this.flattenLayerTree(this.getLayerTree(capabilities)).find(
+      (node) => node.name === targetLayer
+    );
+
+    if (layer) {
+      const {
+        title,
+        abstract,
+        crsList,
+        bbox,
+        geographicBbox,
+        queryable,
+        styles,
+        minScale,
+        maxScale,
+        dimensions,
+      } = layer;
+      return {
+        layerName: layer.name,
+        title,
+        abstract,
+        crsList,
+        bbox,
+        geographicBbox,
+        queryable,
+        styles,
+        minScale,
+        maxScale,
+        dimensions: Object.fromEntries(
+          Object.entries(dimensions).filter(
+            ([, dimension]) => dimension.values.length > 0
+          )
+        ),
+      };
     }
 
     throw new Error(`Layer "${targetLayer}" not found in WMS Capabilities.`);
   }
 
   /**
-   * Ensures that a projection is registered in the map for a given CRS code.
-   * @param {string} crsCode - The CRS code (e.g., 'EPSG:4326') to ensure is registered.
-   * @param {string} crsDef - The projection definition string in proj4 format.
+   * Restricts the visibility of a layer to the scale range advertised in the capabilities.
+   * @param {Object} layer - The OpenLayers layer.
+   * @param {number|null} minScale - The `MinScaleDenominator` of the layer.
+   * @param {number|null} maxScale - The `MaxScaleDenominator` of the layer.
+   */
+  applyScaleRange(layer, minScale, maxScale) {
+    // Scale denominators refer to the standardized 0.28 mm rendering pixel
+    const metersPerUnit =
+      this.map.getView().getProjection().getMetersPerUnit() || 1;
+    const toResolution = (scale) => (scale * 0.00028) / metersPerUnit;
+
+    if (minScale) layer.setMinResolution(toResolution(minScale));
+    if (maxScale) layer.setMaxResolution(toResolution(maxScale));
+  }
+
+  /**
+   * Ensures that a projection is registered in proj4 and OpenLayers for a given CRS code.
+   * Without a definition, it is looked up in proj4 and in the bundled EPSG registry.
+   * @param {string} crsCode - The CRS code (e.g., 'EPSG:2180') to ensure is registered.
+   * @param {string} [crsDef] - The projection definition string in proj4 format.
+   * @returns {Promise<Object|null>} The OpenLayers projection, or null if the CRS is unknown.
    */
   ensureProjection(crsCode, crsDef) {
-    if (!getProjection(crsCode)) {
-      proj4.defs(crsCode, crsDef);
-      addProjection(new Projection({ code: crsCode }));
+    return ensureProjection(crsCode, crsDef);
+  }
+
+  /**
+   * Chooses the CRS to request a layer in: the map projection if the layer supports it,
+   * then EPSG:3857, then the first CRS known to OpenLayers, then the first CRS
+   * found in the EPSG registry, which is registered on the way.
+   * @param {Array<string>} crsList - The CRSs supported by the layer.
+   * @returns {Promise<string|undefined>} The normalized CRS code.
+   */
+  async chooseLayerProjection(crsList) {
+    const mapProjection = this.map.getView().getProjection().getCode();
+    const codes = crsList.map(normalizeCrsCode);
+
+    if (codes.includes(mapProjection)) return mapProjection;
+    if (codes.includes('EPSG:3857')) return 'EPSG:3857';
+    return (
+      codes.find((code) => getProjection(code)) ||
+      (await ensureAnyProjection(codes))
+    );
+  }
+
+  /**
+   * Computes the extent of a layer in the map projection from its capabilities.
+   * Prefers a bounding box in the map projection, then the geographic bounding box,
+   * then any bounding box in a CRS known to OpenLayers.
+   * @param {Object} layerInfo - Layer details returned by `parseCapabilities`.
+   * @returns {Array<number>|null} The extent, or null if it cannot be determined.
+   */
+  getLayerExtent(layerInfo) {
+    const mapProjection = this.map.getView().getProjection();
+    const { bbox, geographicBbox } = layerInfo;
+
+    if (bbox[mapProjection.getCode()]) return bbox[mapProjection.getCode()];
+    if (geographicBbox) {
+      return transformExtent(geographicBbox, 'EPSG:4326', mapProjection);
+    }
+
+    const crs = Object.keys(bbox).find((code) => getProjection(code));
+    return crs ? transformExtent(bbox[crs], crs, mapProjection) : null;
+  }
+
+  /**
+   * Creates the OpenLayers layer for a WMS layer: a tiled `TileWMS` layer or a
+   * single-image `ImageWMS` layer, depending on the rendering options.
+   * @param {string} url - The URL of the WMS server.
+   * @param {Object} params - The GetMap parameters (LAYERS, STYLES, VERSION).
+   * @param {string} projection - The CRS to request the images in.
+   * @param {import('../constants/wms').WMSRenderOptions} renderOptions - The rendering options.
+   * @returns {TileLayer|ImageLayer} The created layer.
+   */
+  createWMSLayerObject(url, params, projection, renderOptions) {
+    const { tiled, format, transparent, tileSize, vendorParams } =
+      renderOptions;
+
+    const vendor = Object.fromEntries(
+      Object.entries(vendorParams || {}).filter(
+        ([key]) => !RESERVED_WMS_PARAMS.includes(key.toUpperCase())
+      )
+    );
+
+    const sourceOptions = {
+      url: resolveServiceUrl(url),
+      params: {
+        ...vendor,
+        ...params,
+        FORMAT: format,
+        TRANSPARENT: transparent,
+      },
+      projection,
+    };
+
+    if (!tiled) {
+      return new ImageLayer({
+        source: new ImageWMS({ ...sourceOptions, ratio: 1 }),
+      });
     }
+
+    return new TileLayer({
+      source: new TileWMS({
+        ...sourceOptions,
+        ...(tileSize !== 256 && {
+          tileGrid: createForProjection(projection, undefined, tileSize),
+        }),
+      }),
+    });
+  }
+
+  /**
+   * Creates a WMS layer, adds it to the map and appends its entry to the layers state.
+   * The rendering options are stored on the entry.
+   * @param {string} url - The URL of the WMS server.
+   * @param {Object} layerInfo - Layer details returned by `parseCapabilities`.
+   * @param {Object} options - Layer options.
+   * @param {string} options.version - The negotiated WMS version.
+   * @param {Array<string>} options.infoFormats - GetFeatureInfo formats supported by the server.
+   * @param {string} [options.style=''] - The name of the style to render the layer with.
+   * @param {boolean} [options.tiled] - Request tiles or a single image (see `DEFAULT_WMS_OPTIONS`).
+   * @param {string} [options.format] - The GetMap output format.
+   * @param {boolean} [options.transparent] - Whether to request transparent images.
+   * @param {number} [options.tileSize] - Tile size in pixels.
+   * @param {Object<string, string>} [options.vendorParams] - Additional vendor-specific parameters.
+   * @returns {Promise<Object>} A promise resolving to the created layer entry.
+   * @throws {Error} If the layer has no usable projection.
+   */
+  async createWMSLayer(
+    url,
+    layerInfo,
+    { version, infoFormats, style = '', ...rest }
+  ) {
+    const { layerName } = layerInfo;
+    const layerProjection = await this.chooseLayerProjection(layerInfo.crsList);
+    const renderOptions = {
+      ...DEFAULT_WMS_OPTIONS,
+      ...Object.fromEntries(
+        Object.entries(rest).filter(([, value]) => value !== undefined)
+      ),
+    };
+
+    if (!layerProjection)
+      throw new Error(
+        `None of the projections of layer ${layerName} is supported: ${layerInfo.crsList.join(', ')}`
+      );
+
+    const newLayer = this.createWMSLayerObject(
+      url,
+      { LAYERS: layerName, STYLES: style, VERSION: version },
+      layerProjection,
+      renderOptions
+    );
+
+    this.applyScaleRange(newLayer, layerInfo.minScale, layerInfo.maxScale);
+    newLayer.setZIndex(1);
+    this.map.addLayer(newLayer);
+
+    const entry = {
+      id: uuidv4(),
+      name: layerName,
+      layer: newLayer,
+      isVector: false,
+      active: true,
+      type: 'wms',
+      url,
+      layerName,
+      title: layerInfo.title,
+      abstract: layerInfo.abstract,
+      version,
+      queryable: layerInfo.queryable,
+      infoFormats,
+      styles: layerInfo.styles,
+      style,
+      dimensions: layerInfo.dimensions,
+      dimensionValues: {},
+      extent: this.getLayerExtent(layerInfo),
+      tiled: renderOptions.tiled,
+      format: renderOptions.format,
+      transparent: renderOptions.transparent,
+      tileSize: renderOptions.tileSize,
+      vendorParams: renderOptions.vendorParams,
+    };
+
+    this.setLayers((prev) => [...prev, entry]);
+
+    return entry;
+  }
+
+  /**
+   * Fits the map view to an extent.
+   * @param {Array<number>} extent - The extent in the map projection.
+   */
+  fitToExtent(extent) {
+    this.map.getView().fit(extent, {
+      size: this.map.getSize(),
+      maxZoom: 18,
+      padding: [20, 20, 20, 20],
+    });
   }
 
   /**
    * Handles the addition and integration of WMS layers into the map.
+   * The view is fitted to the combined extent of all added layers.
    * @param {string} url - The URL of the WMS server.
    * @param {Array<string>} selectedLayers - Array of layer names to be added.
+   * @param {Object<string, Object>} [layerOptions={}] - Per-layer options keyed by layer name: `style` and the rendering options (see `createWMSLayer`).
    * @returns {Promise<Array<Object>>} A promise resolving to a list of available layers after processing.
    * @throws {Error} If fetching or processing the WMS layers fails.
    */
-  async handleWMSLayers(url, selectedLayers) {
+  async handleWMSLayers(url, selectedLayers, layerOptions = {}) {
     if (!this.map) {
       console.error('Map is not ready, wait for full initialization');
       return;
@@ -185,66 +787,28 @@ class WMSHandler {
         throw new Error('Cannot fetch capabilities! Check your URL.');
 
       const availableLayers = this.getAvailableLayers(capabilities);
+      const version = this.getVersion(capabilities);
+      const infoFormats = this.getFeatureInfoFormats(capabilities);
 
-      const addedLayers = [];
       let combinedExtent = null;
 
       for (const layerName of selectedLayers) {
-        const { crsList, bbox } = this.parseCapabilities(
-          capabilities,
-          layerName
-        );
-        const mapProjection = this.map.getView().getProjection().getCode();
-
-        const layerProjection = crsList.includes(mapProjection)
-          ? mapProjection
-          : crsList.includes('EPSG:3857')
-            ? 'EPSG:3857'
-            : crsList[0];
-
-        if (!layerProjection)
-          throw new Error(`Not supported projection for layer: ${layerName}`);
-
-        const newLayer = new TileLayer({
-          source: new TileWMS({
-            url,
-            params: {
-              LAYERS: layerName,
-              FORMAT: 'image/png',
-              CRS: layerProjection,
-              TRANSPARENT: true,
-            },
-          }),
+        const layerInfo = this.parseCapabilities(capabilities, layerName);
+        const { extent } = await this.createWMSLayer(url, layerInfo, {
+          ...layerOptions[layerName],
+          version,
+          infoFormats,
         });
 
-        newLayer.setZIndex(1);
-        this.map.addLayer(newLayer);
-
-        this.setLayers((prev) => [
-          ...prev,
-          {
-            id: uuidv4(),
-            name: layerName,
-            layer: newLayer,
-            isVector: false,
-            active: true,
-          },
-        ]);
-
-        addedLayers.push(newLayer);
-
-        if (bbox) {
-          const layerExtent = bbox[mapProjection];
-          if (layerExtent) {
-            combinedExtent = combinedExtent
-              ? [...combinedExtent, ...layerExtent]
-              : layerExtent;
-          }
+        if (extent) {
+          combinedExtent = combinedExtent
+            ? extendExtent(combinedExtent, extent)
+            : [...extent];
         }
       }
 
       if (combinedExtent) {
-        this.map.getView().fit(combinedExtent, { size: this.map.getSize() });
+        this.fitToExtent(combinedExtent);
       }
 
       return availableLayers;
@@ -259,12 +823,18 @@ class WMSHandler {
    * @param {Object} layerData - The data object containing the layer name and URL.
    * @param {string} layerData.name - The name of the layer to be added.
    * @param {string} layerData.url - The URL of the WMS server.
+   * @param {string} [layerData.style] - The name of the style to render the layer with.
+   * @param {boolean} [layerData.tiled] - Request tiles or a single image.
+   * @param {string} [layerData.format] - The GetMap output format.
+   * @param {boolean} [layerData.transparent] - Whether to request transparent images.
+   * @param {number} [layerData.tileSize] - Tile size in pixels.
+   * @param {Object<string, string>} [layerData.vendorParams] - Additional vendor-specific parameters.
    * @param {boolean} [skipFit=false] - Indicates whether to skip adjusting the map's view to the layer's extent.
    * @returns {Promise<Object|null>} A promise resolving to the bounding box information or null on failure.
    * @throws {Error} If the addition of the WMS layer fails.
    */
   async addWMSLayer(layerData, skipFit = false) {
-    const { name, url } = layerData;
+    const { name, url, ...options } = layerData;
 
     if (!this.map) {
       console.error('Map is not ready, wait for full initialization');
@@ -277,54 +847,18 @@ class WMSHandler {
       if (!capabilities)
         throw new Error('Cannot fetch capabilities! Check your URL.');
 
-      const { crsList, bbox } = this.parseCapabilities(capabilities, name);
-      const mapProjection = this.map.getView().getProjection().getCode();
-
-      const layerProjection = crsList.includes(mapProjection)
-        ? mapProjection
-        : crsList.includes('EPSG:3857')
-          ? 'EPSG:3857'
-          : crsList[0];
-
-      if (!layerProjection)
-        throw new Error(`Not supported projection for layer: ${name}`);
-
-      if (!getProjection(layerProjection)) {
-        const crsDefinition = proj4.defs(layerProjection);
-        if (!crsDefinition)
-          throw new Error(`Projection ${layerProjection} is not supported.`);
-        this.ensureProjection(layerProjection, crsDefinition);
-      }
-
-      const newLayer = new TileLayer({
-        source: new TileWMS({
-          url,
-          params: {
-            LAYERS: name,
-            FORMAT: 'image/png',
-            CRS: layerProjection,
-            TRANSPARENT: true,
-          },
-          serverType: 'geoserver',
-        }),
+      const layerInfo = this.parseCapabilities(capabilities, name);
+      const { extent } = await this.createWMSLayer(url, layerInfo, {
+        ...options,
+        version: this.getVersion(capabilities),
+        infoFormats: this.getFeatureInfoFormats(capabilities),
       });
 
-      newLayer.setZIndex(1);
-
-      this.map.addLayer(newLayer);
-
-      this.setLayers((prev) => [
-        ...prev,
-        {
-          id: uuidv4(),
-          name,
-          layer: newLayer,
-          isVector: false,
-          active: true,
-        },
-      ]);
+      if (!skipFit && extent) {
+        this.fitToExtent(extent);
+      }
 
-      return { bbox };
+      return { bbox: layerInfo.bbox, extent };
     } catch (error) {
       console.error('Error adding WMS layer:', error);
       alert(`Error adding WMS layer: ${error.message}`);
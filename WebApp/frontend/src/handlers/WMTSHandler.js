@@ -0,0 +1,317 @@
+import TileLayer from 'ol/layer/Tile';
+import WMTS, { optionsFromCapabilities } from 'ol/source/WMTS';
+import WMTSCapabilities from 'ol/format/WMTSCapabilities';
+import { get as getProjection, transformExtent } from 'ol/proj';
+import { extend as extendExtent } from 'ol/extent';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  buildRequestUrl,
+  normalizeCrsCode,
+  resolveServiceUrl,
+  fetchWithProxy,
+} from '../utils/ogcUtils';
+import {
+  ensureProjection,
+  hasNorthEastAxis,
+} from '../utils/projectionRegistry';
+
+/**
+ * Returns a copy of the capabilities whose matrix set has the X and Y of its
+ * `TopLeftCorner`s switched. North/east systems of the bundled registry are
+ * registered with east/north axes, so OpenLayers does not switch the corners
+ * itself, although the capabilities give them northing first.
+ * @param {Object} capabilities - The parsed WMTS capabilities.
+ * @param {string} identifier - The tile matrix set identifier.
+ * @returns {Object} The capabilities with the corners in x/y order.
+ */
+const switchTopLeftCorners = (capabilities, identifier) => ({
+  ...capabilities,
+  Contents: {
+    ...capabilities.Contents,
+    TileMatrixSet: capabilities.Contents.TileMatrixSet.map((set) =>
+      set.Identifier === identifier
+        ? {
+            ...set,
+            TileMatrix: set.TileMatrix.map((matrix) => ({
+              ...matrix,
+              TopLeftCorner: [matrix.TopLeftCorner[1], matrix.TopLeftCorner[0]],
+            })),
+          }
+        : set
+    ),
+  },
+});
+
+/**
+ * Handles the integration and management of WMTS layers on a map.
+ * @class
+ */
+class WMTSHandler {
+  /**
+   * @param {Object} map - The map instance to which WMTS layers will be added.
+   * @param {Function} setLayers - A setter function to manage the state of map layers.
+   */
+  constructor(map, setLayers) {
+    this.map = map;
+    this.setLayers = setLayers;
+  }
+
+  /**
+   * Checks whether a parsed XML document is a WMTS capabilities document.
+   * @param {XMLDocument} document - The parsed capabilities document.
+   * @returns {boolean} True if the document describes a WMTS service.
+   */
+  static isWMTSCapabilities(document) {
+    const root = document?.documentElement;
+    if (!root || root.localName !== 'Capabilities') return false;
+
+    return (
+      root.getElementsByTagNameNS('*', 'Contents').length > 0 &&
+      root.getElementsByTagNameNS('*', 'TileMatrixSet').length > 0
+    );
+  }
+
+  /**
+   * Fetches the raw WMTS GetCapabilities document from the server.
+   * @param {string} url - The URL of the WMTS server.
+   * @returns {Promise<XMLDocument|null>} A promise resolving to the capabilities XML document, or null if fetching fails.
+   */
+  async fetchCapabilitiesDocument(url) {
+    try {
+      const response = await fetchWithProxy(
+        buildRequestUrl(url, { SERVICE: 'WMTS', REQUEST: 'GetCapabilities' })
+      );
+      const text = await response.text();
+      const parser = new DOMParser();
+      return parser.parseFromString(text, 'text/xml');
+    } catch (error) {
+      console.error('Error fetching WMTS Capabilities:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Fetches and parses the WMTS GetCapabilities document.
+   * @param {string} url - The URL of the WMTS server.
+   * @returns {Promise<Object|null>} A promise resolving to the parsed capabilities object, or null on failure.
+   */
+  async fetchCapabilities(url) {
+    const document = await this.fetchCapabilitiesDocument(url);
+    if (!document || !WMTSHandler.isWMTSCapabilities(document)) return null;
+
+    try {
+      return new WMTSCapabilities().read(document);
+    } catch (error) {
+      console.error('Error parsing WMTS Capabilities:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Extracts the list of available layers from parsed WMTS capabilities.
+   * @param {Object} capabilities - The parsed WMTS capabilities.
+   * @returns {Array<Object>} Layers with their identifier, title, styles, formats and tile matrix sets.
+   */
+  getAvailableLayers(capabilities) {
+    const layers = capabilities?.Contents?.Layer || [];
+    const matrixSets = capabilities?.Contents?.TileMatrixSet || [];
+    const mapProjection = this.map?.getView().getProjection().getCode();
+
+    return layers.map((layer) => {
+      const layerMatrixSets = (layer.TileMatrixSetLink || []).map((link) => {
+        const matrixSet = matrixSets.find(
+          (set) => set.Identifier === link.TileMatrixSet
+        );
+        return {
+          identifier: link.TileMatrixSet,
+          crs: normalizeCrsCode(matrixSet?.SupportedCRS),
+        };
+      });
+
+      const styles = (layer.Style || []).map((style) => ({
+        name: style.Identifier,
+        title: style.Title || style.Identifier,
+        isDefault: !!style.isDefault,
+      }));
+
+      const formats = layer.Format?.length
+        ? layer.Format
+        : Array.from(
+            new Set(
+              (layer.ResourceURL || [])
+                .filter((resource) => resource.resourceType === 'tile')
+                .map((resource) => resource.format)
+            )
+          );
+
+      return {
+        name: layer.Identifier,
+        title: layer.Title || layer.Identifier,
+        abstract: layer.Abstract || '',
+        wgs84BoundingBox: layer.WGS84BoundingBox || null,
+        matrixSets: layerMatrixSets,
+        defaultMatrixSet: this.chooseMatrixSet(layerMatrixSets, mapProjection),
+        styles,
+        defaultStyle:
+          (styles.find((style) => style.isDefault) || styles[0])?.name || '',
+        formats,
+        defaultFormat: formats.includes('image/png') ? 'image/png' : formats[0],
+      };
+    });
+  }
+
+  /**
+   * Picks the tile matrix set best suited for the map projection.
+   * Prefers a set in the map projection, then any set whose CRS is known to OpenLayers.
+   * @param {Array<Object>} matrixSets - Matrix sets linked to the layer (identifier and normalized CRS).
+   * @param {string} mapProjection - The code of the map view projection.
+   * @returns {string|undefined} The identifier of the chosen matrix set.
+   */
+  chooseMatrixSet(matrixSets, mapProjection) {
+    const matching = matrixSets.find((set) => set.crs === mapProjection);
+    if (matching) return matching.identifier;
+
+    const supported = matrixSets.find((set) => getProjection(set.crs));
+    return (supported || matrixSets[0])?.identifier;
+  }
+
+  /**
+   * Creates a WMTS tile layer from parsed capabilities and adds it to the map.
+   * @param {Object} capabilities - The parsed WMTS capabilities.
+   * @param {Object} layerConfig - The layer selection.
+   * @param {string} layerConfig.name - The layer identifier.
+   * @param {string} [layerConfig.matrixSet] - The tile matrix set identifier.
+   * @param {string} [layerConfig.style] - The style identifier.
+   * @param {string} [layerConfig.format] - The tile image format.
+   * @param {string} url - The URL of the WMTS server.
+   * @returns {TileLayer} The created layer.
+   * @throws {Error} If the layer or its tile matrix set cannot be used.
+   */
+  addWMTSLayer(capabilities, layerConfig, url) {
+    const { name, matrixSet, style, format } = layerConfig;
+
+    const matrixSetInfo = capabilities.Contents.TileMatrixSet.find(
+      (set) => set.Identifier === matrixSet
+    );
+    const crs = normalizeCrsCode(matrixSetInfo?.SupportedCRS);
+    if (matrixSetInfo && !getProjection(crs)) {
+      throw new Error(`Projection ${crs} is not supported.`);
+    }
+
+    const switchCorners =
+      matrixSetInfo &&
+      hasNorthEastAxis(crs) &&
+      !getProjection(crs).getAxisOrientation().startsWith('ne');
+    const options = optionsFromCapabilities(
+      switchCorners
+        ? switchTopLeftCorners(capabilities, matrixSet)
+        : capabilities,
+      {
+        layer: name,
+        matrixSet,
+        ...(format && { format }),
+        crossOrigin: 'anonymous',
+      }
+    );
+    if (!options)
+      throw new Error(`Layer "${name}" not found in WMTS Capabilities.`);
+
+    if (style) options.style = style;
+    options.urls = options.urls.map(resolveServiceUrl);
+
+    const newLayer = new TileLayer({
+      source: new WMTS(options),
+    });
+
+    newLayer.setZIndex(1);
+    this.map.addLayer(newLayer);
+
+    const layerInfo = capabilities.Contents.Layer.find(
+      (layer) => layer.Identifier === name
+    );
+    const extent = layerInfo?.WGS84BoundingBox
+      ? transformExtent(
+          layerInfo.WGS84BoundingBox,
+          'EPSG:4326',
+          this.map.getView().getProjection()
+        )
+      : null;
+
+    this.setLayers((prev) => [
+      ...prev,
+      {
+        id: uuidv4(),
+        name: layerInfo?.Title || name,
+        layer: newLayer,
+        isVector: false,
+        active: true,
+        type: 'wmts',
+        url,
+        layerName: name,
+        title: layerInfo?.Title || name,
+        abstract: layerInfo?.Abstract || '',
+        extent,
+        matrixSet: options.matrixSet,
+        style: options.style,
+        format: options.format,
+      },
+    ]);
+
+    return newLayer;
+  }
+
+  /**
+   * Handles the addition of the selected WMTS layers and fits the view to their combined extent.
+   * @param {string} url - The URL of the WMTS server.
+   * @param {Array<Object>} selectedLayers - Layer selections (name, matrixSet, style, format).
+   * @returns {Promise<void>}
+   * @throws {Error} If fetching or processing the WMTS layers fails.
+   */
+  async handleWMTSLayers(url, selectedLayers) {
+    if (!this.map) {
+      console.error('Map is not ready, wait for full initialization');
+      return;
+    }
+
+    try {
+      const capabilities = await this.fetchCapabilities(url);
+      if (!capabilities)
+        throw new Error('Cannot fetch WMTS capabilities! Check your URL.');
+
+      const mapProjection = this.map.getView().getProjection();
+      let combinedExtent = null;
+
+      for (const layerConfig of selectedLayers) {
+        const matrixSet = capabilities.Contents.TileMatrixSet.find(
+          (set) => set.Identifier === layerConfig.matrixSet
+        );
+        await ensureProjection(normalizeCrsCode(matrixSet?.SupportedCRS));
+
+        this.addWMTSLayer(capabilities, layerConfig, url);
+
+        const layerInfo = capabilities.Contents.Layer.find(
+          (layer) => layer.Identifier === layerConfig.name
+        );
+        if (layerInfo?.WGS84BoundingBox) {
+          const layerExtent = transformExtent(
+            layerInfo.WGS84BoundingBox,
+            'EPSG:4326',
+            mapProjection
+          );
+          combinedExtent = combinedExtent
+            ? extendExtent(combinedExtent, layerExtent)
+            : layerExtent;
+        }
+      }
+
+      if (combinedExtent) {
+        this.map.getView().fit(combinedExtent, { size: this.map.getSize() });
+      }
+    } catch (error) {
+      console.error('Error handling WMTS layer:', error);
+      throw error;
+    }
+  }
+}
+
+export default WMTSHandler;
@@ -3,3 +3,25 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { TextDecoder, TextEncoder } from 'util';
+
+// jsdom implements neither text decoding (used by shpjs) nor Web Workers, object URLs
+// and ResizeObserver (used by OpenLayers)
+global.TextDecoder = global.TextDecoder || TextDecoder;
+global.TextEncoder = global.TextEncoder || TextEncoder;
+class WorkerMock {
+  postMessage() {}
+  terminate() {}
+  addEventListener() {}
+  removeEventListener() {}
+}
+global.Worker = global.Worker || WorkerMock;
+global.ResizeObserver =
+  global.ResizeObserver ||
+  class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+URL.createObjectURL = URL.createObjectURL || (() => 'blob:mock');
+URL.revokeObjectURL = URL.revokeObjectURL || (() => {});
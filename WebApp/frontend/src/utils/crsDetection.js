@@ -0,0 +1,213 @@
+import proj4 from 'proj4';
+import { transformExtent } from 'ol/proj';
+import { normalizeCrsCode } from './ogcUtils';
+import { ensureProjection, loadEpsgDefinitions } from './projectionRegistry';
+import { getCustomCrsList } from './customCrs';
+
+/**
+ * Sidecar projection files, mapped to their MIME type (for `react-dropzone`).
+ * @type {Object<string, Array<string>>}
+ */
+const PRJ_FILE_TYPES = {
+  'application/x-esri-prj': ['.prj'],
+};
+
+/**
+ * Margin in degrees around the area of use of a CRS within which data is still plausible.
+ * @type {number}
+ */
+const AREA_OF_USE_MARGIN = 0.5;
+
+/**
+ * Extent of valid WGS84 coordinates as [west, south, east, north].
+ * @type {Array<number>}
+ */
+const WGS84_EXTENT = [-180, -90, 180, 90];
+
+/**
+ * Extent of valid Web Mercator coordinates as [minX, minY, maxX, maxY].
+ * @type {Array<number>}
+ */
+const WEB_MERCATOR_EXTENT = [
+  -20037508.34, -20048966.1, 20037508.34, 20048966.1,
+];
+
+/**
+ * @typedef {Object} CrsDetection
+ * @property {string} code - Code of the detected CRS, e.g. `EPSG:2180`.
+ * @property {string} source - Where the CRS was read from: `crs` (the legacy GeoJSON member),
+ * `prj` (a sidecar `.prj` file), `coordinates` (guessed from the coordinate range) or `default`.
+ */
+
+/**
+ * Checks whether an extent lies within another one.
+ * @param {Array<number>} extent - The inner extent.
+ * @param {Array<number>} bounds - The outer extent.
+ * @param {number} [margin=0] - Tolerance added around the outer extent.
+ * @returns {boolean} True if the extent is contained.
+ */
+const isWithin = (extent, bounds, margin = 0) =>
+  extent.every(isFinite) &&
+  extent[0] >= bounds[0] - margin &&
+  extent[1] >= bounds[1] - margin &&
+  extent[2] <= bounds[2] + margin &&
+  extent[3] <= bounds[3] + margin;
+
+/**
+ * Reads the CRS of the WKT in a `.prj` file. The EPSG code is taken from the
+ * authority of the root element (WKT1 `AUTHORITY`, WKT2 `ID`), or matched by
+ * name against the bundled registry (for ESRI WKT, which has no authority);
+ * otherwise the WKT itself is registered under a `PRJ:` code.
+ * @param {string} text - Content of the `.prj` file.
+ * @returns {Promise<string|null>} The CRS code, or null if the WKT cannot be read.
+ */
+const readPrjCrs = async (text) => {
+  const wkt = (text || '').trim();
+  const authority =
+    /AUTHORITY\[\s*"EPSG"\s*,\s*"?(\d+)"?\s*\]\s*\]$/i.exec(wkt) ||
+    /ID\[\s*"EPSG"\s*,\s*(\d+)\s*\]\s*\]$/i.exec(wkt);
+  if (authority) return `EPSG:${authority[1]}`;
+
+  const nameMatch =
+    /^(?:PROJCS|GEOGCS|PROJCRS|GEOGCRS|GEODCRS|BASEGEOGCRS)\[\s*"([^"]+)"/i.exec(
+      wkt
+    );
+  if (!nameMatch) return null;
+
+  const name = nameMatch[1];
+  if (/^GCS_WGS_1984$|^WGS[ _]?84$/i.test(name)) return 'EPSG:4326';
+  if (/^WGS_1984_Web_Mercator/i.test(name)) return 'EPSG:3857';
+
+  const simplify = (value) => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+  try {
+    const definitions = await loadEpsgDefinitions();
+    const entry = Object.entries(definitions).find(
+      ([, definition]) => simplify(definition.name) === simplify(name)
+    );
+    if (entry) return entry[0];
+  } catch (error) {
+    console.error('Error loading EPSG definitions:', error);
+  }
+
+  const code = `PRJ:${name.replace(/[^\w.-]/g, '_')}`;
+  try {
+    return (await ensureProjection(code, wkt)) ? code : null;
+  } catch (error) {
+    console.error(`Error registering the .prj CRS ${name}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Checks whether projected coordinates fall within the area of use of a CRS,
+ * by transforming the corners of their extent to WGS84.
+ * @param {Array<number>} extent - The data extent.
+ * @param {string|Object} definition - The proj4 definition of the CRS.
+ * @param {Array<number>} bbox - Area of use in WGS84 as [west, south, east, north].
+ * @returns {boolean} True if all corners lie within the area of use.
+ */
+const fitsAreaOfUse = (extent, definition, bbox) => {
+  try {
+    const corners = [
+      [extent[0], extent[1]],
+      [extent[0], extent[3]],
+      [extent[2], extent[1]],
+      [extent[2], extent[3]],
+    ].map((corner) => proj4(definition, 'WGS84', corner));
+    return corners.every(([lon, lat]) =>
+      isWithin([lon, lat, lon, lat], bbox, AREA_OF_USE_MARGIN)
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Guesses the CRS of a data extent from its coordinate range: WGS84 when it fits
+ * longitudes and latitudes, otherwise the first regional system of the bundled
+ * registry or of the custom definitions whose area of use contains it, then Web
+ * Mercator. World-wide systems such as World Mercator come last, since their
+ * coordinates cannot be told from the far more common Web Mercator ones.
+ * @param {Array<number>} extent - The data extent.
+ * @returns {Promise<string|null>} The CRS code, or null if no system fits.
+ */
+const guessCrsFromExtent = async (extent) => {
+  if (isWithin(extent, WGS84_EXTENT)) return 'EPSG:4326';
+
+  let candidates = [];
+  try {
+    const definitions = await loadEpsgDefinitions();
+    candidates = Object.entries(definitions).map(([code, entry]) => ({
+      code,
+      definition: entry.proj4,
+      bbox: entry.bbox,
+    }));
+  } catch (error) {
+    console.error('Error loading EPSG definitions:', error);
+  }
+  getCustomCrsList()
+    .filter((custom) => custom.bbox)
+    .forEach(({ code, definition, bbox }) =>
+      candidates.push({ code, definition, bbox })
+    );
+
+  const isWorldWide = ({ bbox }) => bbox[2] - bbox[0] >= 360;
+  const findMatch = (list) =>
+    list.find(({ definition, bbox }) =>
+      fitsAreaOfUse(extent, definition, bbox)
+    );
+
+  const match = findMatch(candidates.filter((item) => !isWorldWide(item)));
+  if (match) return match.code;
+  if (isWithin(extent, WEB_MERCATOR_EXTENT)) return 'EPSG:3857';
+  return findMatch(candidates.filter(isWorldWide))?.code ?? null;
+};
+
+/**
+ * Detects the CRS of GeoJSON data, from the legacy `crs` member, then the CRS
+ * of a sidecar `.prj` file, then the coordinate range. Falls back to WGS84.
+ * @param {Object} layer - What is known of the data.
+ * @param {string|null} layer.crsName - Name in the legacy `crs` member.
+ * @param {Array<number>|null} layer.extent - Extent of the coordinates, see `getGeoJSONExtent`.
+ * @param {string|null} [prjCrs=null] - Code of the CRS read from a `.prj` file (see `readPrjCrs`).
+ * @returns {Promise<CrsDetection>} The detected CRS.
+ */
+const detectCrs = async ({ crsName, extent }, prjCrs = null) => {
+  if (crsName) return { code: normalizeCrsCode(crsName), source: 'crs' };
+  if (prjCrs) return { code: prjCrs, source: 'prj' };
+
+  const guessed = extent && (await guessCrsFromExtent(extent));
+  return guessed
+    ? { code: guessed, source: 'coordinates' }
+    : { code: 'EPSG:4326', source: 'default' };
+};
+
+/**
+ * Checks whether a data extent is plausible for a CRS: it has to transform to valid
+ * WGS84 coordinates within the area of use of the CRS, when one is known.
+ * @param {Array<number>|null} extent - The data extent in the CRS.
+ * @param {string} code - The CRS code.
+ * @returns {Promise<string|null>} A warning message, or null if the extent is plausible.
+ */
+const getExtentWarning = async (extent, code) => {
+  if (!extent) return null;
+
+  const projection = await ensureProjection(code);
+  if (!projection)
+    return `The coordinate reference system ${code} is not supported.`;
+
+  let wgs84Extent;
+  try {
+    wgs84Extent = transformExtent(extent, projection, 'EPSG:4326');
+  } catch (error) {
+    wgs84Extent = [NaN, NaN, NaN, NaN];
+  }
+  const areaOfUse = projection.getWorldExtent() || WGS84_EXTENT;
+
+  return isWithin(wgs84Extent, WGS84_EXTENT) &&
+    isWithin(wgs84Extent, areaOfUse, AREA_OF_USE_MARGIN)
+    ? null
+    : `The data extent lies outside the area of use of ${code}; the layer may not show in the right place.`;
+};
+
+export { PRJ_FILE_TYPES, readPrjCrs, detectCrs, getExtentWarning };
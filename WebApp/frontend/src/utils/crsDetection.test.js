@@ -0,0 +1,94 @@
+import { readPrjCrs, detectCrs, getExtentWarning } from './crsDetection';
+
+const CS92_WKT =
+  'PROJCS["ETRF2000-PL / CS92",GEOGCS["ETRF2000-PL",DATUM["ETRF2000_Poland",SPHEROID["GRS 1980",6378137,298.257222101]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],PARAMETER["latitude_of_origin",0],PARAMETER["central_meridian",19],PARAMETER["scale_factor",0.9993],PARAMETER["false_easting",500000],PARAMETER["false_northing",-5300000],UNIT["metre",1],AUTHORITY["EPSG","2180"]]';
+
+// Warsaw in EPSG:2180
+const WARSAW_CS92_EXTENT = [630000, 480000, 640000, 490000];
+
+describe('readPrjCrs', () => {
+  test('reads the EPSG authority of the root element', async () => {
+    await expect(readPrjCrs(CS92_WKT)).resolves.toBe('EPSG:2180');
+    await expect(
+      readPrjCrs(
+        'GEOGCRS["WGS 84",DATUM["World Geodetic System 1984",ELLIPSOID["WGS 84",6378137,298.257223563]],CS[ellipsoidal,2],ID["EPSG",4326]]'
+      )
+    ).resolves.toBe('EPSG:4326');
+  });
+
+  test('matches ESRI WKT by name', async () => {
+    await expect(
+      readPrjCrs(
+        'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]'
+      )
+    ).resolves.toBe('EPSG:4326');
+    await expect(
+      readPrjCrs(CS92_WKT.replace(/,AUTHORITY\["EPSG","2180"\]\]$/, ']'))
+    ).resolves.toBe('EPSG:2180');
+  });
+
+  test('cannot read text that is not WKT', async () => {
+    await expect(readPrjCrs('')).resolves.toBe(null);
+    await expect(readPrjCrs('not a projection')).resolves.toBe(null);
+  });
+});
+
+describe('detectCrs', () => {
+  test('prefers the crs member, then the .prj file', async () => {
+    await expect(
+      detectCrs(
+        { crsName: 'urn:ogc:def:crs:EPSG::2180', extent: [0, 0, 1, 1] },
+        'EPSG:3857'
+      )
+    ).resolves.toEqual({ code: 'EPSG:2180', source: 'crs' });
+    await expect(
+      detectCrs({ crsName: null, extent: [0, 0, 1, 1] }, 'EPSG:3857')
+    ).resolves.toEqual({ code: 'EPSG:3857', source: 'prj' });
+  });
+
+  test('guesses WGS84 from longitudes and latitudes', async () => {
+    await expect(
+      detectCrs({ crsName: null, extent: [14, 49, 24, 55] })
+    ).resolves.toEqual({ code: 'EPSG:4326', source: 'coordinates' });
+  });
+
+  test('guesses a registry system from its area of use', async () => {
+    await expect(
+      detectCrs({ crsName: null, extent: WARSAW_CS92_EXTENT })
+    ).resolves.toEqual({ code: 'EPSG:2180', source: 'coordinates' });
+  });
+
+  test('falls back to Web Mercator, then to WGS84', async () => {
+    await expect(
+      detectCrs({
+        crsName: null,
+        extent: [-15000000, -4000000, -14000000, -3000000],
+      })
+    ).resolves.toEqual({ code: 'EPSG:3857', source: 'coordinates' });
+    await expect(detectCrs({ crsName: null, extent: null })).resolves.toEqual({
+      code: 'EPSG:4326',
+      source: 'default',
+    });
+    await expect(
+      detectCrs({ crsName: null, extent: [0, 0, 1e9, 1e9] })
+    ).resolves.toEqual({ code: 'EPSG:4326', source: 'default' });
+  });
+});
+
+describe('getExtentWarning', () => {
+  test('accepts an extent within the area of use', async () => {
+    await expect(
+      getExtentWarning(WARSAW_CS92_EXTENT, 'EPSG:2180')
+    ).resolves.toBe(null);
+    await expect(getExtentWarning(null, 'EPSG:2180')).resolves.toBe(null);
+  });
+
+  test('warns about an extent outside the area of use', async () => {
+    await expect(
+      getExtentWarning([14, 49, 24, 55], 'EPSG:2180')
+    ).resolves.toMatch(/outside the area of use of EPSG:2180/);
+    await expect(getExtentWarning([0, 0, 1, 1], 'EPSG:999999')).resolves.toBe(
+      'The coordinate reference system EPSG:999999 is not supported.'
+    );
+  });
+});
@@ -0,0 +1,130 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * localStorage key of the basemaps added by the user.
+ * @type {string}
+ */
+const CUSTOM_BASEMAPS_KEY = 'gisWebApp.customBasemaps';
+
+/**
+ * @typedef {Object} CustomBasemap
+ * @property {string} id - Identifier of the basemap, prefixed with `custom-`.
+ * @property {string} name - Display name.
+ * @property {string} url - Tile URL template with `{z}`, `{x}` and `{y}` or `{-y}` placeholders.
+ * @property {string} scheme - `xyz` (rows counted from the top) or `tms` (rows counted from the bottom).
+ * @property {string} attribution - Attribution shown on the map.
+ * @property {number} minZoom - Lowest zoom level of the tiles.
+ * @property {number} maxZoom - Highest zoom level of the tiles, deeper levels are upscaled.
+ * @property {number} opacity - Layer opacity between 0 and 1.
+ */
+
+/**
+ * Converts a basemap URL template to the XYZ form read by OpenLayers:
+ * TMS rows are counted from the bottom, so `{y}` is replaced with `{-y}`.
+ * @param {string} url - The URL template.
+ * @param {string} scheme - `xyz` or `tms`.
+ * @returns {string} The XYZ URL template.
+ */
+const toXyzUrl = (url, scheme) =>
+  scheme === 'tms' ? url.replace(/\{y\}/g, '{-y}') : url;
+
+/**
+ * Checks a basemap definition.
+ * @param {Object} basemap - The definition (url, minZoom, maxZoom, opacity).
+ * @throws {Error} If the URL template or the zoom and opacity values are invalid.
+ */
+const validateBasemap = ({ url, minZoom, maxZoom, opacity }) => {
+  if (!/^https?:\/\//i.test(url || ''))
+    throw new Error('The URL must start with http:// or https://.');
+  if (!url.includes('{z}') || !url.includes('{x}') || !/\{-?y\}/.test(url))
+    throw new Error(
+      'The URL must contain the {z}, {x} and {y} (or {-y}) placeholders.'
+    );
+  if (
+    ![minZoom, maxZoom].every(Number.isInteger) ||
+    minZoom < 0 ||
+    maxZoom > 30 ||
+    minZoom > maxZoom
+  )
+    throw new Error(
+      'The zoom levels must be whole numbers, 0 <= min zoom <= max zoom <= 30.'
+    );
+  if (!(opacity >= 0 && opacity <= 1))
+    throw new Error('The opacity must be between 0 and 1.');
+};
+
+/**
+ * Returns the basemaps stored in the browser.
+ * @returns {Array<CustomBasemap>} The custom basemaps.
+ */
+const getCustomBasemapList = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CUSTOM_BASEMAPS_KEY));
+    return Array.isArray(stored)
+      ? stored.filter(
+          (basemap) =>
+            basemap &&
+            typeof basemap.id === 'string' &&
+            typeof basemap.url === 'string'
+        )
+      : [];
+  } catch (error) {
+    console.error('Error reading custom basemaps:', error);
+    return [];
+  }
+};
+
+/**
+ * Validates and stores a new basemap.
+ * @param {Object} basemap - The definition (name, url, scheme, attribution, minZoom, maxZoom, opacity).
+ * @returns {CustomBasemap} The stored basemap.
+ * @throws {Error} If the definition fails `validateBasemap`.
+ */
+const saveCustomBasemap = ({
+  name,
+  url,
+  scheme = 'xyz',
+  attribution = '',
+  minZoom = 0,
+  maxZoom = 19,
+  opacity = 1,
+}) => {
+  const basemap = {
+    id: `custom-${uuidv4()}`,
+    name: (name || '').trim() || 'Custom basemap',
+    url: (url || '').trim(),
+    scheme: scheme === 'tms' ? 'tms' : 'xyz',
+    attribution: (attribution || '').trim(),
+    minZoom,
+    maxZoom,
+    opacity,
+  };
+  validateBasemap(basemap);
+
+  localStorage.setItem(
+    CUSTOM_BASEMAPS_KEY,
+    JSON.stringify([...getCustomBasemapList(), basemap])
+  );
+  return basemap;
+};
+
+/**
+ * Removes a basemap from the browser storage.
+ * @param {string} id - The basemap ID.
+ */
+const removeCustomBasemap = (id) => {
+  localStorage.setItem(
+    CUSTOM_BASEMAPS_KEY,
+    JSON.stringify(
+      getCustomBasemapList().filter((basemap) => basemap.id !== id)
+    )
+  );
+};
+
+export {
+  toXyzUrl,
+  validateBasemap,
+  getCustomBasemapList,
+  saveCustomBasemap,
+  removeCustomBasemap,
+};
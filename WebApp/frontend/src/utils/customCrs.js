@@ -0,0 +1,152 @@
+import proj4 from 'proj4';
+
+/**
+ * localStorage key of the custom CRS definitions added by the user.
+ * @type {string}
+ */
+const CUSTOM_CRS_KEY = 'gisWebApp.customCrs';
+
+/**
+ * Allowed form of custom CRS codes, e.g. `LOCAL:SITE_GRID` or `EPSG:2039`.
+ * @type {RegExp}
+ */
+const CRS_CODE_PATTERN = /^[A-Za-z][\w.-]*:[\w.-]+$/;
+
+/**
+ * @typedef {Object} CustomCrs
+ * @property {string} code - Identifier of the CRS, e.g. `LOCAL:SITE_GRID`.
+ * @property {string} name - Display name.
+ * @property {string} definition - The proj4 or WKT definition.
+ * @property {Array<number>|null} bbox - Validity extent in WGS84 as [west, south, east, north].
+ */
+
+/**
+ * Checks a validity extent.
+ * @param {Array<number>} bbox - The extent as [west, south, east, north].
+ * @returns {boolean} True if the extent is a valid WGS84 rectangle.
+ */
+const isValidBbox = (bbox) =>
+  Array.isArray(bbox) &&
+  bbox.length === 4 &&
+  bbox.every((value) => typeof value === 'number' && isFinite(value)) &&
+  bbox[0] >= -180 &&
+  bbox[2] <= 180 &&
+  bbox[1] >= -90 &&
+  bbox[3] <= 90 &&
+  bbox[0] < bbox[2] &&
+  bbox[1] < bbox[3];
+
+/**
+ * Tests a proj4 or WKT definition by projecting a point of the validity extent
+ * (its centre, or 0,0 without an extent) and transforming it back to WGS84.
+ * @param {string} definition - The proj4 or WKT definition.
+ * @param {Array<number>|null} [bbox=null] - The validity extent in WGS84.
+ * @returns {{lonLat: Array<number>, projected: Array<number>, roundTripError: number}} The test point, its projected coordinates and the round-trip error in degrees.
+ * @throws {Error} If the definition cannot be parsed or does not transform the test point.
+ */
+const testCrsDefinition = (definition, bbox = null) => {
+  if (!definition || !definition.trim())
+    throw new Error('The definition is empty.');
+  if (bbox && !isValidBbox(bbox))
+    throw new Error(
+      'The validity extent must be west < east and south < north in WGS84 degrees.'
+    );
+
+  const lonLat = bbox
+    ? [(bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2]
+    : [0, 0];
+
+  let projected;
+  let back;
+  try {
+    projected = proj4('EPSG:4326', definition.trim(), lonLat);
+    back = proj4(definition.trim(), 'EPSG:4326', projected);
+  } catch (error) {
+    throw new Error(`Invalid definition: ${error.message || error}`);
+  }
+
+  if (![...projected, ...back].every(isFinite))
+    throw new Error('The definition does not transform the test point.');
+
+  return {
+    lonLat,
+    projected,
+    roundTripError: Math.hypot(back[0] - lonLat[0], back[1] - lonLat[1]),
+  };
+};
+
+/**
+ * Returns the custom CRS definitions stored in the browser.
+ * @returns {Array<CustomCrs>} The custom definitions.
+ */
+const getCustomCrsList = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CUSTOM_CRS_KEY));
+    return Array.isArray(stored)
+      ? stored.filter(
+          (crs) =>
+            crs &&
+            CRS_CODE_PATTERN.test(crs.code) &&
+            typeof crs.definition === 'string'
+        )
+      : [];
+  } catch (error) {
+    console.error('Error reading custom CRS definitions:', error);
+    return [];
+  }
+};
+
+/**
+ * Returns a custom CRS definition by its code.
+ * @param {string} code - The CRS code.
+ * @returns {CustomCrs|undefined} The definition.
+ */
+const getCustomCrs = (code) =>
+  getCustomCrsList().find((crs) => crs.code === code);
+
+/**
+ * Validates and stores a custom CRS definition, replacing one with the same code.
+ * @param {Object} crs - The definition (code, name, definition, bbox).
+ * @returns {CustomCrs} The stored definition.
+ * @throws {Error} If the code is malformed or the definition fails `testCrsDefinition`.
+ */
+const saveCustomCrs = ({ code, name, definition, bbox = null }) => {
+  const trimmedCode = (code || '').trim();
+  if (!CRS_CODE_PATTERN.test(trimmedCode))
+    throw new Error(
+      'The code must have the form AUTHORITY:IDENTIFIER, e.g. LOCAL:SITE_GRID.'
+    );
+
+  testCrsDefinition(definition, bbox);
+
+  const crs = {
+    code: trimmedCode,
+    name: (name || '').trim() || trimmedCode,
+    definition: definition.trim(),
+    bbox: bbox || null,
+  };
+  const list = getCustomCrsList().filter((item) => item.code !== crs.code);
+  localStorage.setItem(CUSTOM_CRS_KEY, JSON.stringify([...list, crs]));
+  return crs;
+};
+
+/**
+ * Removes a custom CRS definition from the browser storage.
+ * A projection that is already registered stays available until the page is reloaded.
+ * @param {string} code - The CRS code.
+ */
+const removeCustomCrs = (code) => {
+  localStorage.setItem(
+    CUSTOM_CRS_KEY,
+    JSON.stringify(getCustomCrsList().filter((crs) => crs.code !== code))
+  );
+};
+
+export {
+  CRS_CODE_PATTERN,
+  testCrsDefinition,
+  getCustomCrsList,
+  getCustomCrs,
+  saveCustomCrs,
+  removeCustomCrs,
+};
@@ -0,0 +1,247 @@
+/**
+ * Maximum number of discrete values produced when expanding a dimension range,
+ * so that very long or very fine intervals do not freeze the page.
+ * @type {number}
+ */
+const MAX_DIMENSION_VALUES = 1000;
+
+/**
+ * Parses an ISO 8601 duration (e.g. `P1D`, `PT6H`, `P1Y2M`).
+ * @param {string} duration - The duration string.
+ * @returns {Object|null} The duration parts, or null if the string is not a valid duration.
+ */
+const parseISODuration = (duration) => {
+  const match = duration
+    .trim()
+    .match(
+      /^P(?:(\d+(?:\.\d+)?)Y)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)W)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/
+    );
+  if (!match) return null;
+
+  const [, years, months, weeks, days, hours, minutes, seconds] = match.map(
+    (part) => (part === undefined ? 0 : parseFloat(part))
+  );
+  const total = years + months + weeks + days + hours + minutes + seconds;
+  if (total === 0) return null;
+
+  return {
+    years,
+    months,
+    days: days + weeks * 7,
+    hours,
+    minutes,
+    seconds,
+    hasTime: hours + minutes + seconds > 0,
+  };
+};
+
+/**
+ * Adds a parsed ISO 8601 duration to a date (in UTC).
+ * @param {Date} date - The start date.
+ * @param {Object} duration - The duration returned by `parseISODuration`.
+ * @returns {Date} A new date.
+ */
+const addDuration = (date, duration) => {
+  const result = new Date(date.getTime());
+  result.setUTCFullYear(result.getUTCFullYear() + duration.years);
+  result.setUTCMonth(result.getUTCMonth() + duration.months);
+  result.setUTCDate(result.getUTCDate() + duration.days);
+  result.setTime(
+    result.getTime() +
+      ((duration.hours * 60 + duration.minutes) * 60 + duration.seconds) * 1000
+  );
+  return result;
+};
+
+/**
+ * Returns the length of a duration in milliseconds, if it does not depend on the
+ * date it is added to (no years or months).
+ * @param {Object} duration - The duration returned by `parseISODuration`.
+ * @returns {number|null} The length, or null for calendar durations.
+ */
+const getFixedDurationLength = (duration) =>
+  duration.years || duration.months
+    ? null
+    : (((duration.days * 24 + duration.hours) * 60 + duration.minutes) * 60 +
+        duration.seconds) *
+      1000;
+
+/**
+ * Parses a time value of a dimension, resolving the `current`/`present` keywords.
+ * @param {string} value - The time value.
+ * @returns {Date} The parsed date (invalid if the value cannot be parsed).
+ */
+const parseTime = (value) =>
+  ['current', 'present', 'now'].includes(value.toLowerCase())
+    ? new Date()
+    : new Date(value);
+
+/**
+ * Converts a dimension value to a number for comparisons: a timestamp for times.
+ * @param {string} value - The value.
+ * @param {string} name - The dimension name.
+ * @returns {number} The number (NaN if the value cannot be parsed).
+ */
+const toDimensionNumber = (value, name) =>
+  name.toLowerCase() === 'time'
+    ? parseTime(value).getTime()
+    : parseFloat(value);
+
+/**
+ * Expands a `start/end/period` time interval into discrete ISO 8601 values.
+ * Date-only intervals with a date-only period keep the date-only format.
+ * Only the last `MAX_DIMENSION_VALUES` values are kept, as the latest times
+ * (usually the default one) matter most.
+ * @param {string} start - Interval start.
+ * @param {string} end - Interval end.
+ * @param {string} period - ISO 8601 duration between values.
+ * @returns {Array<string>} The expanded values.
+ */
+const expandTimeInterval = (start, end, period) => {
+  const duration = parseISODuration(period);
+  const startDate = parseTime(start);
+  const endDate = parseTime(end);
+  if (!duration || isNaN(startDate) || isNaN(endDate)) return [start];
+
+  const dateOnly = !start.includes('T') && !duration.hasTime;
+  const format = (date) =>
+    dateOnly ? date.toISOString().slice(0, 10) : date.toISOString();
+
+  // Fixed periods skip straight to the values that are kept
+  const length = getFixedDurationLength(duration);
+  const skipped = length
+    ? Math.max(
+        0,
+        Math.floor((endDate - startDate) / length) - MAX_DIMENSION_VALUES + 1
+      )
+    : 0;
+
+  const values = [];
+  for (
+    let date = new Date(startDate.getTime() + skipped * (length || 0));
+    date <= endDate;
+    date = addDuration(date, duration)
+  ) {
+    values.push(format(date));
+    if (values.length > MAX_DIMENSION_VALUES) values.shift();
+  }
+  return values;
+};
+
+/**
+ * Expands a `min/max/resolution` numeric interval into discrete values,
+ * keeping the last `MAX_DIMENSION_VALUES` values.
+ * @param {string} min - Interval minimum.
+ * @param {string} max - Interval maximum.
+ * @param {string} resolution - Step between values.
+ * @returns {Array<string>} The expanded values.
+ */
+const expandNumericInterval = (min, max, resolution) => {
+  const start = parseFloat(min);
+  const end = parseFloat(max);
+  const step = parseFloat(resolution);
+  if (isNaN(start) || isNaN(end) || !(step > 0)) return [min, max];
+
+  const count = Math.floor((end - start) / step + 1e-9) + 1;
+  const values = [];
+  for (
+    let index = Math.max(0, count - MAX_DIMENSION_VALUES);
+    index < count;
+    index += 1
+  ) {
+    values.push(String(Number((start + index * step).toFixed(10))));
+  }
+  return values;
+};
+
+/**
+ * Sorts dimension values chronologically (time) or numerically (elevation).
+ * @param {Array<string>} values - The values to sort.
+ * @param {string} name - The dimension name.
+ * @returns {Array<string>} A new sorted array.
+ */
+const sortDimensionValues = (values, name) =>
+  [...values].sort(
+    (a, b) => toDimensionNumber(a, name) - toDimensionNumber(b, name)
+  );
+
+/**
+ * Parses the content of a WMS `<Dimension>` (1.3.0) or `<Extent>` (1.1.1) element
+ * into a list of discrete values. Supports value lists, `start/end/period`
+ * intervals and any combination of both.
+ * Intervals without a period cannot be enumerated and yield their bounds.
+ * The values are sorted, and only the latest `MAX_DIMENSION_VALUES` are kept
+ * even when the element lists them out of order.
+ * @param {string} text - The element text.
+ * @param {string} name - The dimension name (`time` or `elevation`).
+ * @returns {Array<string>} The sorted discrete dimension values.
+ */
+const parseDimensionValues = (text, name) => {
+  const isTime = name.toLowerCase() === 'time';
+
+  const values = text
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .flatMap((item) => {
+      const [start, end, period] = item.split('/').map((part) => part.trim());
+      if (end === undefined) return [start];
+      if (!period || period === '0') return [start, end];
+      return isTime
+        ? expandTimeInterval(start, end, period)
+        : expandNumericInterval(start, end, period);
+    });
+
+  return sortDimensionValues(Array.from(new Set(values)), name).slice(
+    -MAX_DIMENSION_VALUES
+  );
+};
+
+/**
+ * Finds the value of a layer closest to the requested value, so that layers
+ * with different time steps stay in sync when a common slider is moved.
+ * @param {Array<string>} values - The values supported by the layer.
+ * @param {string} value - The requested value.
+ * @param {string} name - The dimension name.
+ * @returns {string|undefined} The closest supported value.
+ */
+const findClosestValue = (values, value, name) => {
+  if (values.includes(value)) return value;
+
+  const target = toDimensionNumber(value, name);
+
+  return values.reduce(
+    (closest, candidate) =>
+      closest === undefined ||
+      Math.abs(toDimensionNumber(candidate, name) - target) <
+        Math.abs(toDimensionNumber(closest, name) - target)
+        ? candidate
+        : closest,
+    undefined
+  );
+};
+
+/**
+ * Finds the index of the default value of a dimension among its values. Values are
+ * compared as numbers, since expanded intervals and capabilities write the same time
+ * differently (`…T00:00:00.000Z`, `…T00:00:00Z`), and `current` selects the time closest
+ * to now. Without a usable default the last value is selected.
+ * @param {Array<string>} values - The sorted values.
+ * @param {string|null} defaultValue - The default value advertised in the capabilities.
+ * @param {string} name - The dimension name.
+ * @returns {number} The index of the default value.
+ */
+const findDefaultIndex = (values, defaultValue, name) => {
+  if (!defaultValue || isNaN(toDimensionNumber(defaultValue, name)))
+    return values.length - 1;
+  return values.indexOf(findClosestValue(values, defaultValue, name));
+};
+
+export {
+  MAX_DIMENSION_VALUES,
+  parseISODuration,
+  parseDimensionValues,
+  sortDimensionValues,
+  findClosestValue,
+  findDefaultIndex,
+};
@@ -0,0 +1,155 @@
+import {
+  MAX_DIMENSION_VALUES,
+  parseISODuration,
+  parseDimensionValues,
+  sortDimensionValues,
+  findClosestValue,
+  findDefaultIndex,
+} from './dimensionUtils';
+
+describe('parseISODuration', () => {
+  test('reads date and time parts', () => {
+    expect(parseISODuration('P1Y2M1W3DT4H5M6S')).toEqual({
+      years: 1,
+      months: 2,
+      days: 10,
+      hours: 4,
+      minutes: 5,
+      seconds: 6,
+      hasTime: true,
+    });
+    expect(parseISODuration('P1D').hasTime).toBe(false);
+  });
+
+  test('rejects invalid and zero durations', () => {
+    expect(parseISODuration('1D')).toBe(null);
+    expect(parseISODuration('PT0S')).toBe(null);
+  });
+});
+
+describe('parseDimensionValues', () => {
+  test('reads value lists and intervals', () => {
+    expect(
+      parseDimensionValues(
+        '2024-01-01, 2024-02-01/2024-02-03/P1D, 2024-01-01',
+        'time'
+      )
+    ).toEqual(['2024-01-01', '2024-02-01', '2024-02-02', '2024-02-03']);
+    expect(parseDimensionValues('0/10/5', 'elevation')).toEqual([
+      '0',
+      '5',
+      '10',
+    ]);
+  });
+
+  test('keeps date-time values as ISO 8601 timestamps', () => {
+    expect(
+      parseDimensionValues(
+        '2024-01-01T00:00:00Z/2024-01-01T02:00:00Z/PT1H',
+        'time'
+      )
+    ).toEqual([
+      '2024-01-01T00:00:00.000Z',
+      '2024-01-01T01:00:00.000Z',
+      '2024-01-01T02:00:00.000Z',
+    ]);
+  });
+
+  test('yields the bounds of intervals without a period', () => {
+    expect(parseDimensionValues('2020-01-01/2024-01-01', 'time')).toEqual([
+      '2020-01-01',
+      '2024-01-01',
+    ]);
+  });
+
+  test('keeps the latest values of long intervals', () => {
+    const values = parseDimensionValues(
+      '2000-01-01T00:00:00Z/2024-12-31T00:00:00Z/PT1H',
+      'time'
+    );
+    expect(values).toHaveLength(MAX_DIMENSION_VALUES);
+    expect(values[values.length - 1]).toBe('2024-12-31T00:00:00.000Z');
+    expect(values[values.length - 2]).toBe('2024-12-30T23:00:00.000Z');
+  });
+
+  test('keeps the latest values of long calendar intervals', () => {
+    const values = parseDimensionValues('1900-01-01/2024-12-01/P1M', 'time');
+    expect(values).toHaveLength(MAX_DIMENSION_VALUES);
+    expect(values[values.length - 1]).toBe('2024-12-01');
+  });
+
+  test('keeps the highest values of long numeric intervals', () => {
+    const values = parseDimensionValues('0/5000/1', 'elevation');
+    expect(values).toHaveLength(MAX_DIMENSION_VALUES);
+    expect(values[0]).toBe('4001');
+    expect(values[values.length - 1]).toBe('5000');
+  });
+
+  test('keeps the latest values of long lists given out of order', () => {
+    const levels = Array.from(
+      { length: MAX_DIMENSION_VALUES + 100 },
+      (_, index) => String(1000 + index)
+    ).reverse();
+    const values = parseDimensionValues(levels.join(','), 'elevation');
+    expect(values).toHaveLength(MAX_DIMENSION_VALUES);
+    expect(values[0]).toBe('1100');
+    expect(values[values.length - 1]).toBe('2099');
+
+    const days = ['2024-03-01', '2024-01-01', '2023-12-31', '2024-02-01'];
+    expect(parseDimensionValues(days.join(','), 'time')).toEqual([
+      '2023-12-31',
+      '2024-01-01',
+      '2024-02-01',
+      '2024-03-01',
+    ]);
+  });
+
+  test('does not accumulate rounding errors', () => {
+    expect(parseDimensionValues('0/1/0.1', 'elevation')).toHaveLength(11);
+  });
+});
+
+describe('sortDimensionValues', () => {
+  test('sorts times chronologically and elevations numerically', () => {
+    expect(
+      sortDimensionValues(['2024-03-01', '2023-12-31', '2024-01-15'], 'time')
+    ).toEqual(['2023-12-31', '2024-01-15', '2024-03-01']);
+    expect(sortDimensionValues(['100', '20', '3'], 'elevation')).toEqual([
+      '3',
+      '20',
+      '100',
+    ]);
+  });
+});
+
+describe('findClosestValue', () => {
+  test('finds the closest supported value', () => {
+    const values = ['2024-01-01', '2024-01-10', '2024-01-20'];
+    expect(findClosestValue(values, '2024-01-12', 'time')).toBe('2024-01-10');
+    expect(findClosestValue(values, '2024-01-20', 'time')).toBe('2024-01-20');
+    expect(findClosestValue(['0', '100'], '70', 'elevation')).toBe('100');
+    expect(findClosestValue([], '70', 'elevation')).toBe(undefined);
+  });
+});
+
+describe('findDefaultIndex', () => {
+  const values = [
+    '2024-01-01T00:00:00.000Z',
+    '2024-01-02T00:00:00.000Z',
+    '2024-01-03T00:00:00.000Z',
+  ];
+
+  test('matches a default written differently', () => {
+    expect(findDefaultIndex(values, '2024-01-02T00:00:00Z', 'time')).toBe(1);
+    expect(findDefaultIndex(values, '2024-01-02', 'time')).toBe(1);
+  });
+
+  test('resolves current to the time closest to now', () => {
+    expect(findDefaultIndex(values, 'current', 'time')).toBe(2);
+  });
+
+  test('falls back to the last value', () => {
+    expect(findDefaultIndex(values, null, 'time')).toBe(2);
+    expect(findDefaultIndex(values, 'unknown', 'time')).toBe(2);
+  });
+});
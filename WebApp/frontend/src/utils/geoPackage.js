@@ -0,0 +1,182 @@
+import initSqlJs from 'sql.js';
+import sqlWasmUrl from 'sql.js/dist/sql-wasm-browser.wasm';
+import WKB from 'ol/format/WKB';
+import GeoJSON from 'ol/format/GeoJSON';
+import { readFile } from './vectorFileReaders';
+
+/**
+ * GeoPackage files, mapped to their MIME type (for `react-dropzone`).
+ * @type {Object<string, Array<string>>}
+ */
+const GEOPACKAGE_FILE_TYPES = {
+  'application/geopackage+sqlite3': ['.gpkg'],
+};
+
+/**
+ * Sizes of the envelope of a GeoPackage geometry header, by the envelope indicator of its flags.
+ * @type {Array<number>}
+ */
+const ENVELOPE_SIZES = [0, 32, 48, 48, 64];
+
+/**
+ * Promise of the SQLite module, loaded once on the first GeoPackage.
+ * @type {Promise<Object>|null}
+ */
+let sqlModulePromise = null;
+
+/**
+ * @typedef {Object} GeoPackageTable
+ * @property {string} name - Name of the feature table.
+ * @property {string} title - Identifier of the table in `gpkg_contents`, or its name.
+ * @property {string} geometryColumn - Name of the geometry column.
+ * @property {string} geometryType - Geometry type name, e.g. `MULTIPOLYGON`.
+ * @property {string} crs - CRS code, e.g. `EPSG:2180`.
+ * @property {number} count - Number of rows.
+ */
+
+/**
+ * Quotes an SQLite identifier.
+ * @param {string} name - The identifier.
+ * @returns {string} The quoted identifier.
+ */
+const quoteIdentifier = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+/**
+ * Runs a query and returns its rows as objects.
+ * @param {Object} db - The sql.js database.
+ * @param {string} sql - The query.
+ * @returns {Array<Object>} The rows.
+ */
+const queryRows = (db, sql) => {
+  const [result] = db.exec(sql);
+  if (!result) return [];
+  return result.values.map((row) =>
+    Object.fromEntries(result.columns.map((column, i) => [column, row[i]]))
+  );
+};
+
+/**
+ * Opens a GeoPackage file with SQLite compiled to WebAssembly.
+ * The database must be closed with `db.close()` once it is no longer needed.
+ * @param {File} file - The GeoPackage file.
+ * @returns {Promise<Object>} The sql.js database.
+ * @throws {Error} If the file is not an SQLite database.
+ */
+const openGeoPackage = async (file) => {
+  if (!sqlModulePromise) {
+    sqlModulePromise = initSqlJs({ locateFile: () => sqlWasmUrl });
+  }
+  const SQL = await sqlModulePromise;
+  const buffer = await readFile(file, 'arrayBuffer');
+
+  try {
+    const db = new SQL.Database(new Uint8Array(buffer));
+    db.exec('SELECT 1 FROM sqlite_master LIMIT 1');
+    return db;
+  } catch (error) {
+    throw new Error(`${file.name} is not a GeoPackage: ${error.message}`);
+  }
+};
+
+/**
+ * Lists the feature tables of a GeoPackage with their geometry type, CRS and row count.
+ * @param {Object} db - The sql.js database.
+ * @returns {Array<GeoPackageTable>} The feature tables.
+ * @throws {Error} If the database has no GeoPackage metadata tables.
+ */
+const listGeoPackageTables = (db) => {
+  let rows;
+  try {
+    rows = queryRows(
+      db,
+      `SELECT c.table_name, c.identifier, g.column_name, g.geometry_type_name,
+              g.srs_id, s.organization, s.organization_coordsys_id
+       FROM gpkg_contents c
+       JOIN gpkg_geometry_columns g ON g.table_name = c.table_name
+       LEFT JOIN gpkg_spatial_ref_sys s ON s.srs_id = g.srs_id
+       WHERE c.data_type = 'features'
+       ORDER BY c.table_name`
+    );
+  } catch (error) {
+    throw new Error('The file has no GeoPackage feature tables.');
+  }
+
+  return rows.map((row) => ({
+    name: row.table_name,
+    title: row.identifier || row.table_name,
+    geometryColumn: row.column_name,
+    geometryType: row.geometry_type_name,
+    // Undefined cartesian (-1) and geographic (0) systems are read as WGS84
+    crs:
+      row.organization && row.organization_coordsys_id > 0
+        ? `${row.organization.toUpperCase()}:${row.organization_coordsys_id}`
+        : 'EPSG:4326',
+    count: queryRows(
+      db,
+      `SELECT COUNT(*) AS count FROM ${quoteIdentifier(row.table_name)}`
+    )[0].count,
+  }));
+};
+
+/**
+ * Decodes a GeoPackage geometry blob: a `GP` header with the flags, the SRS ID and
+ * an optional envelope, followed by the geometry in WKB.
+ * @param {Uint8Array} blob - The geometry blob.
+ * @returns {Object|null} The GeoJSON geometry, or null for empty or invalid blobs.
+ */
+const decodeGeoPackageGeometry = (blob) => {
+  if (!(blob instanceof Uint8Array) || blob.length < 8) return null;
+  if (blob[0] !== 0x47 || blob[1] !== 0x50) return null;
+
+  const flags = blob[3];
+  const isEmpty = (flags >> 4) & 1;
+  const envelopeSize = ENVELOPE_SIZES[(flags >> 1) & 0b111];
+  if (isEmpty || envelopeSize === undefined) return null;
+
+  try {
+    const geometry = new WKB().readGeometry(blob.subarray(8 + envelopeSize));
+    return geometry ? new GeoJSON().writeGeometryObject(geometry) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Reads a feature table of a GeoPackage as GeoJSON. The other columns become
+ * attributes (binary columns are left out) and the CRS of the table is set in
+ * the legacy `crs` member, which the upload review detects it from (see `detectCrs`).
+ * @param {Object} db - The sql.js database.
+ * @param {GeoPackageTable} table - The feature table.
+ * @returns {import('./vectorFileReaders').VectorFileLayer} The layer of the table.
+ */
+const readGeoPackageTable = (db, table) => {
+  const features = queryRows(
+    db,
+    `SELECT * FROM ${quoteIdentifier(table.name)}`
+  ).map((row) => ({
+    type: 'Feature',
+    geometry: decodeGeoPackageGeometry(row[table.geometryColumn]),
+    properties: Object.fromEntries(
+      Object.entries(row).filter(
+        ([column, value]) =>
+          column !== table.geometryColumn && !(value instanceof Uint8Array)
+      )
+    ),
+  }));
+
+  return {
+    fileName: `${table.title}.gpkg`,
+    data: {
+      type: 'FeatureCollection',
+      crs: { type: 'name', properties: { name: table.crs } },
+      features,
+    },
+  };
+};
+
+export {
+  GEOPACKAGE_FILE_TYPES,
+  openGeoPackage,
+  listGeoPackageTables,
+  readGeoPackageTable,
+};
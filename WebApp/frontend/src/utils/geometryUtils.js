@@ -0,0 +1,375 @@
+import polygonClipping from 'polygon-clipping';
+
+/**
+ * Problems a geometry can have, see `getGeometryIssue`.
+ * @type {Object<string, string>}
+ */
+const GEOMETRY_ISSUES = {
+  empty: 'empty',
+  invalid: 'invalid',
+  selfIntersection: 'selfIntersection',
+};
+
+/**
+ * GeoJSON geometry types and the nesting depth of their coordinates.
+ * @type {Object<string, number>}
+ */
+const COORDINATE_DEPTHS = {
+  Point: 0,
+  MultiPoint: 1,
+  LineString: 1,
+  MultiLineString: 2,
+  Polygon: 2,
+  MultiPolygon: 3,
+};
+
+/**
+ * Computes the extent of the raw coordinates of GeoJSON data, in its own CRS.
+ * @param {Object} data - A GeoJSON feature collection, feature or geometry.
+ * @returns {Array<number>|null} The extent as [minX, minY, maxX, maxY], or null without coordinates.
+ */
+const getGeoJSONExtent = (data) => {
+  const extent = [Infinity, Infinity, -Infinity, -Infinity];
+
+  const visitCoordinates = (coordinates) => {
+    if (!Array.isArray(coordinates)) return;
+    if (typeof coordinates[0] === 'number') {
+      const [x, y] = coordinates;
+      if (!isFinite(x) || !isFinite(y)) return;
+      extent[0] = Math.min(extent[0], x);
+      extent[1] = Math.min(extent[1], y);
+      extent[2] = Math.max(extent[2], x);
+      extent[3] = Math.max(extent[3], y);
+      return;
+    }
+    coordinates.forEach(visitCoordinates);
+  };
+
+  const visit = (object) => {
+    if (!object) return;
+    if (object.type === 'FeatureCollection') object.features?.forEach(visit);
+    else if (object.type === 'Feature') visit(object.geometry);
+    else if (object.type === 'GeometryCollection')
+      object.geometries?.forEach(visit);
+    else visitCoordinates(object.coordinates);
+  };
+
+  visit(data);
+  return isFinite(extent[0]) ? extent : null;
+};
+
+/**
+ * Checks whether a position has finite X and Y coordinates.
+ * @param {Array<number>} position - The position.
+ * @returns {boolean} True for a valid position.
+ */
+const isValidPosition = (position) =>
+  Array.isArray(position) &&
+  position.length >= 2 &&
+  position
+    .slice(0, 2)
+    .every((value) => typeof value === 'number' && isFinite(value));
+
+/**
+ * Checks whether two positions have the same X and Y.
+ * @param {Array<number>} a - The first position.
+ * @param {Array<number>} b - The second position.
+ * @returns {boolean} True for equal positions.
+ */
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+/**
+ * Removes invalid positions and repeated consecutive positions from a list.
+ * @param {Array<Array<number>>} positions - The positions.
+ * @returns {Array<Array<number>>} The cleaned positions.
+ */
+const cleanPositions = (positions) =>
+  (Array.isArray(positions) ? positions : [])
+    .filter(isValidPosition)
+    .filter(
+      (position, index, valid) =>
+        index === 0 || !samePosition(position, valid[index - 1])
+    );
+
+/**
+ * Orientation of the triangle of three positions.
+ * @returns {number} Positive if counter-clockwise, negative if clockwise, 0 if collinear.
+ */
+const orientation = (a, b, c) =>
+  (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+
+/**
+ * Checks whether a position collinear with a segment lies on it.
+ * @returns {boolean} True if `c` lies within the bounding box of `a`-`b`.
+ */
+const onSegment = (a, b, c) =>
+  Math.min(a[0], b[0]) <= c[0] &&
+  c[0] <= Math.max(a[0], b[0]) &&
+  Math.min(a[1], b[1]) <= c[1] &&
+  c[1] <= Math.max(a[1], b[1]);
+
+/**
+ * Checks whether the segments `a`-`b` and `c`-`d` touch or cross.
+ * @returns {boolean} True if they intersect.
+ */
+const segmentsIntersect = (a, b, c, d) => {
+  const o1 = orientation(a, b, c);
+  const o2 = orientation(a, b, d);
+  const o3 = orientation(c, d, a);
+  const o4 = orientation(c, d, b);
+
+  if (
+    ((o1 > 0 && o2 < 0) || (o1 < 0 && o2 > 0)) &&
+    ((o3 > 0 && o4 < 0) || (o3 < 0 && o4 > 0))
+  )
+    return true;
+  return (
+    (o1 === 0 && onSegment(a, b, c)) ||
+    (o2 === 0 && onSegment(a, b, d)) ||
+    (o3 === 0 && onSegment(c, d, a)) ||
+    (o4 === 0 && onSegment(c, d, b))
+  );
+};
+
+/**
+ * Checks whether a closed ring crosses or touches itself. Segments are swept
+ * by their minimum X, so only segments overlapping in X are compared.
+ * @param {Array<Array<number>>} ring - The ring, its last position equal to the first.
+ * @returns {boolean} True if two non-adjacent segments intersect.
+ */
+const ringSelfIntersects = (positions) => {
+  // Repeated positions would make adjacent segments look like crossing ones
+  const ring = cleanPositions(positions);
+  const count = ring.length - 1;
+  const segments = Array.from({ length: count }, (_, index) => {
+    const a = ring[index];
+    const b = ring[index + 1];
+    return {
+      index,
+      a,
+      b,
+      minX: Math.min(a[0], b[0]),
+      maxX: Math.max(a[0], b[0]),
+    };
+  }).sort((s1, s2) => s1.minX - s2.minX);
+
+  for (let i = 0; i < segments.length; i += 1) {
+    const s1 = segments[i];
+    for (
+      let j = i + 1;
+      j < segments.length && segments[j].minX <= s1.maxX;
+      j += 1
+    ) {
+      const s2 = segments[j];
+      const gap = Math.abs(s1.index - s2.index);
+      if (gap === 1 || gap === count - 1) continue;
+      if (segmentsIntersect(s1.a, s1.b, s2.a, s2.b)) return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Checks whether the coordinates of a geometry are nested to the depth of its type
+ * and all positions are valid.
+ * @param {Array} coordinates - The coordinates.
+ * @param {number} depth - The expected nesting depth, see `COORDINATE_DEPTHS`.
+ * @returns {boolean} True for well-formed coordinates.
+ */
+const isWellFormed = (coordinates, depth) =>
+  depth === 0
+    ? isValidPosition(coordinates)
+    : Array.isArray(coordinates) &&
+      coordinates.every((part) => isWellFormed(part, depth - 1));
+
+/**
+ * Checks whether the coordinates of a geometry are empty. A list holding anything
+ * else than nested lists is a (possibly invalid) position, not an empty one.
+ * @param {Array} coordinates - The coordinates.
+ * @returns {boolean} True if there is no position.
+ */
+const hasNoPosition = (coordinates) =>
+  !Array.isArray(coordinates) ||
+  coordinates.length === 0 ||
+  (coordinates.every(Array.isArray) && coordinates.every(hasNoPosition));
+
+/**
+ * Checks a polygon: every ring needs at least four positions and the same first and last position.
+ * @param {Array<Array<Array<number>>>} rings - The rings of the polygon.
+ * @returns {string|null} `invalid`, `selfIntersection` or null.
+ */
+const getPolygonIssue = (rings) => {
+  if (
+    rings.length === 0 ||
+    rings.some(
+      (ring) => ring.length < 4 || !samePosition(ring[0], ring[ring.length - 1])
+    )
+  )
+    return GEOMETRY_ISSUES.invalid;
+  return rings.some(ringSelfIntersects)
+    ? GEOMETRY_ISSUES.selfIntersection
+    : null;
+};
+
+/**
+ * Finds the problem of a GeoJSON geometry: no geometry or no coordinates (`empty`),
+ * an unknown type, invalid positions, lines with less than two positions or unclosed
+ * rings (`invalid`), or polygon rings crossing themselves (`selfIntersection`).
+ * @param {Object|null} geometry - The GeoJSON geometry.
+ * @returns {string|null} The issue, see `GEOMETRY_ISSUES`, or null for a valid geometry.
+ */
+const getGeometryIssue = (geometry) => {
+  if (!geometry) return GEOMETRY_ISSUES.empty;
+
+  if (geometry.type === 'GeometryCollection') {
+    const geometries = geometry.geometries || [];
+    if (geometries.length === 0) return GEOMETRY_ISSUES.empty;
+    const issues = geometries.map(getGeometryIssue);
+    return (
+      issues.find((issue) => issue === GEOMETRY_ISSUES.invalid) ||
+      issues.find((issue) => issue === GEOMETRY_ISSUES.selfIntersection) ||
+      (issues.every(Boolean) ? GEOMETRY_ISSUES.empty : null)
+    );
+  }
+
+  const depth = COORDINATE_DEPTHS[geometry.type];
+  if (depth === undefined) return GEOMETRY_ISSUES.invalid;
+  if (hasNoPosition(geometry.coordinates)) return GEOMETRY_ISSUES.empty;
+  if (!isWellFormed(geometry.coordinates, depth))
+    return GEOMETRY_ISSUES.invalid;
+
+  switch (geometry.type) {
+    case 'LineString':
+      return geometry.coordinates.length < 2 ? GEOMETRY_ISSUES.invalid : null;
+    case 'MultiLineString':
+      return geometry.coordinates.some((line) => line.length < 2)
+        ? GEOMETRY_ISSUES.invalid
+        : null;
+    case 'Polygon':
+      return getPolygonIssue(geometry.coordinates);
+    case 'MultiPolygon': {
+      const issues = geometry.coordinates.map(getPolygonIssue);
+      return (
+        issues.find((issue) => issue === GEOMETRY_ISSUES.invalid) ||
+        issues.find(Boolean) ||
+        null
+      );
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Cleans and closes the rings of a polygon; rings left with less than four positions are dropped.
+ * @param {Array<Array<Array<number>>>} rings - The rings.
+ * @returns {Array<Array<Array<number>>>} The closed rings.
+ */
+const closeRings = (rings) =>
+  (Array.isArray(rings) ? rings : [])
+    .map(cleanPositions)
+    .map((ring) =>
+      ring.length > 0 && !samePosition(ring[0], ring[ring.length - 1])
+        ? [...ring, ring[0]]
+        : ring
+    )
+    .filter((ring) => ring.length >= 4);
+
+/**
+ * Wraps the polygons resulting from a fix in a Polygon or MultiPolygon.
+ * @param {Array<Array<Array<Array<number>>>>} polygons - The polygons.
+ * @returns {Object|null} The GeoJSON geometry, or null without polygon.
+ */
+const toPolygonGeometry = (polygons) => {
+  if (polygons.length === 0) return null;
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+};
+
+/**
+ * Resolves the self-intersections of polygons by their union, which splits
+ * crossing rings into valid polygons.
+ * @param {Array<Array<Array<Array<number>>>>} polygons - The polygons (outer ring first).
+ * @returns {Array<Array<Array<Array<number>>>>} The valid polygons.
+ */
+const resolvePolygons = (polygons) => {
+  const closed = polygons
+    .map(closeRings)
+    .filter((rings) => rings.length > 0 && rings[0].length >= 4);
+  if (closed.length === 0) return [];
+  try {
+    return polygonClipping.union(...closed);
+  } catch (error) {
+    console.error('Error fixing polygon geometry:', error);
+    return closed;
+  }
+};
+
+/**
+ * Fixes a GeoJSON geometry where possible: drops invalid and repeated positions,
+ * lines with less than two positions and degenerate rings, closes open rings and
+ * splits self-intersecting polygons into valid ones.
+ * @param {Object|null} geometry - The GeoJSON geometry.
+ * @returns {Object|null} The fixed geometry, or null if nothing valid is left.
+ */
+const fixGeometry = (geometry) => {
+  if (!geometry) return null;
+
+  let fixed;
+  switch (geometry.type) {
+    case 'Point':
+      fixed = isValidPosition(geometry.coordinates) ? geometry : null;
+      break;
+    case 'MultiPoint': {
+      const points = cleanPositions(geometry.coordinates);
+      fixed =
+        points.length > 0 ? { type: 'MultiPoint', coordinates: points } : null;
+      break;
+    }
+    case 'LineString': {
+      const line = cleanPositions(geometry.coordinates);
+      fixed =
+        line.length >= 2 ? { type: 'LineString', coordinates: line } : null;
+      break;
+    }
+    case 'MultiLineString': {
+      const lines = (geometry.coordinates || [])
+        .map(cleanPositions)
+        .filter((line) => line.length >= 2);
+      fixed =
+        lines.length > 0
+          ? { type: 'MultiLineString', coordinates: lines }
+          : null;
+      break;
+    }
+    case 'Polygon':
+      fixed = toPolygonGeometry(resolvePolygons([geometry.coordinates]));
+      break;
+    case 'MultiPolygon':
+      fixed = toPolygonGeometry(resolvePolygons(geometry.coordinates || []));
+      break;
+    case 'GeometryCollection': {
+      const geometries = (geometry.geometries || [])
+        .map(fixGeometry)
+        .filter(Boolean);
+      fixed =
+        geometries.length > 0
+          ? { type: 'GeometryCollection', geometries }
+          : null;
+      break;
+    }
+    default:
+      fixed = null;
+  }
+
+  // Rings of the union may still touch at a vertex, which is accepted
+  const issue = fixed && getGeometryIssue(fixed);
+  return fixed &&
+    issue !== GEOMETRY_ISSUES.empty &&
+    issue !== GEOMETRY_ISSUES.invalid
+    ? fixed
+    : null;
+};
+
+export { GEOMETRY_ISSUES, getGeoJSONExtent, getGeometryIssue, fixGeometry };
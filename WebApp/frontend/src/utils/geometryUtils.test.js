@@ -0,0 +1,242 @@
+import {
+  GEOMETRY_ISSUES,
+  getGeoJSONExtent,
+  getGeometryIssue,
+  fixGeometry,
+} from './geometryUtils';
+
+const square = [
+  [0, 0],
+  [10, 0],
+  [10, 10],
+  [0, 10],
+  [0, 0],
+];
+const bowtie = [
+  [0, 0],
+  [10, 10],
+  [10, 0],
+  [0, 10],
+  [0, 0],
+];
+
+describe('getGeoJSONExtent', () => {
+  test('spans the coordinates of all features', () => {
+    expect(
+      getGeoJSONExtent({
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2] } },
+          {
+            type: 'Feature',
+            geometry: {
+              type: 'LineString',
+              coordinates: [
+                [-5, 4],
+                [3, -1],
+              ],
+            },
+          },
+        ],
+      })
+    ).toEqual([-5, -1, 3, 4]);
+  });
+
+  test('visits geometry collections and skips non-finite positions', () => {
+    expect(
+      getGeoJSONExtent({
+        type: 'GeometryCollection',
+        geometries: [
+          { type: 'Point', coordinates: [1, 1] },
+          { type: 'Point', coordinates: [NaN, 5] },
+          { type: 'Point', coordinates: [2, 3] },
+        ],
+      })
+    ).toEqual([1, 1, 2, 3]);
+  });
+
+  test('is null without coordinates', () => {
+    expect(getGeoJSONExtent({ type: 'FeatureCollection', features: [] })).toBe(
+      null
+    );
+    expect(getGeoJSONExtent(null)).toBe(null);
+  });
+});
+
+describe('getGeometryIssue', () => {
+  test('accepts valid geometries', () => {
+    expect(getGeometryIssue({ type: 'Point', coordinates: [1, 2] })).toBe(null);
+    expect(getGeometryIssue({ type: 'Polygon', coordinates: [square] })).toBe(
+      null
+    );
+    expect(
+      getGeometryIssue({
+        type: 'LineString',
+        coordinates: [
+          [0, 0],
+          [1, 1],
+        ],
+      })
+    ).toBe(null);
+  });
+
+  test('reports missing geometries and coordinates as empty', () => {
+    expect(getGeometryIssue(null)).toBe(GEOMETRY_ISSUES.empty);
+    expect(getGeometryIssue({ type: 'Polygon', coordinates: null })).toBe(
+      GEOMETRY_ISSUES.empty
+    );
+    expect(getGeometryIssue({ type: 'MultiPolygon', coordinates: [[]] })).toBe(
+      GEOMETRY_ISSUES.empty
+    );
+    expect(
+      getGeometryIssue({ type: 'GeometryCollection', geometries: [] })
+    ).toBe(GEOMETRY_ISSUES.empty);
+  });
+
+  test('reports unknown types, bad positions, short lines and open rings as invalid', () => {
+    expect(
+      getGeometryIssue({ type: 'Circle', coordinates: [0, 0], radius: 1 })
+    ).toBe(GEOMETRY_ISSUES.invalid);
+    expect(getGeometryIssue({ type: 'Point', coordinates: ['a', 1] })).toBe(
+      GEOMETRY_ISSUES.invalid
+    );
+    expect(
+      getGeometryIssue({ type: 'LineString', coordinates: [[0, 0]] })
+    ).toBe(GEOMETRY_ISSUES.invalid);
+    expect(
+      getGeometryIssue({ type: 'Polygon', coordinates: [square.slice(0, 4)] })
+    ).toBe(GEOMETRY_ISSUES.invalid);
+  });
+
+  test('detects self-intersecting rings', () => {
+    expect(getGeometryIssue({ type: 'Polygon', coordinates: [bowtie] })).toBe(
+      GEOMETRY_ISSUES.selfIntersection
+    );
+    expect(
+      getGeometryIssue({
+        type: 'MultiPolygon',
+        coordinates: [[square], [bowtie]],
+      })
+    ).toBe(GEOMETRY_ISSUES.selfIntersection);
+  });
+
+  test('does not take repeated positions for crossings', () => {
+    const ring = [
+      [0, 0],
+      [10, 0],
+      [10, 0],
+      [10, 10],
+      [0, 10],
+      [0, 0],
+    ];
+    expect(getGeometryIssue({ type: 'Polygon', coordinates: [ring] })).toBe(
+      null
+    );
+  });
+
+  test('reports the worst issue of a geometry collection', () => {
+    expect(
+      getGeometryIssue({
+        type: 'GeometryCollection',
+        geometries: [
+          { type: 'Polygon', coordinates: [bowtie] },
+          { type: 'LineString', coordinates: [[0, 0]] },
+        ],
+      })
+    ).toBe(GEOMETRY_ISSUES.invalid);
+    expect(
+      getGeometryIssue({
+        type: 'GeometryCollection',
+        geometries: [null, { type: 'Point', coordinates: [0, 0] }],
+      })
+    ).toBe(null);
+  });
+});
+
+describe('fixGeometry', () => {
+  test('splits a self-intersecting polygon into valid polygons', () => {
+    const fixed = fixGeometry({ type: 'Polygon', coordinates: [bowtie] });
+    expect(fixed.type).toBe('MultiPolygon');
+    expect(fixed.coordinates).toHaveLength(2);
+    expect(getGeometryIssue(fixed)).toBe(null);
+  });
+
+  test('closes open rings and drops repeated and invalid positions', () => {
+    const fixed = fixGeometry({
+      type: 'Polygon',
+      coordinates: [
+        [
+          [0, 0],
+          [10, 0],
+          [10, 0],
+          [10, 10],
+          [NaN, 3],
+          [0, 10],
+        ],
+      ],
+    });
+    expect(fixed.type).toBe('Polygon');
+    expect(getGeometryIssue(fixed)).toBe(null);
+    const [ring] = fixed.coordinates;
+    expect(ring[0]).toEqual(ring[ring.length - 1]);
+    expect(ring).toHaveLength(5);
+  });
+
+  test('drops short lines and keeps the valid ones', () => {
+    expect(
+      fixGeometry({
+        type: 'MultiLineString',
+        coordinates: [
+          [[0, 0]],
+          [
+            [0, 0],
+            [0, 0],
+            [1, 1],
+          ],
+        ],
+      })
+    ).toEqual({
+      type: 'MultiLineString',
+      coordinates: [
+        [
+          [0, 0],
+          [1, 1],
+        ],
+      ],
+    });
+  });
+
+  test('returns null when nothing valid is left', () => {
+    expect(fixGeometry(null)).toBe(null);
+    expect(fixGeometry({ type: 'Circle', coordinates: [0, 0] })).toBe(null);
+    expect(fixGeometry({ type: 'LineString', coordinates: [[0, 0]] })).toBe(
+      null
+    );
+    expect(
+      fixGeometry({
+        type: 'Polygon',
+        coordinates: [
+          [
+            [0, 0],
+            [1, 1],
+            [0, 0],
+          ],
+        ],
+      })
+    ).toBe(null);
+  });
+
+  test('fixes the members of a geometry collection', () => {
+    const fixed = fixGeometry({
+      type: 'GeometryCollection',
+      geometries: [
+        { type: 'Point', coordinates: [1, 1] },
+        { type: 'LineString', coordinates: [[0, 0]] },
+      ],
+    });
+    expect(fixed).toEqual({
+      type: 'GeometryCollection',
+      geometries: [{ type: 'Point', coordinates: [1, 1] }],
+    });
+  });
+});
@@ -0,0 +1,204 @@
+import { get as getProjection } from 'ol/proj';
+import { OGC_PROXY_URL } from '../constants/api';
+import { hasNorthEastAxis } from './projectionRegistry';
+
+/**
+ * Origins of services that could only be reached through the backend proxy.
+ * Tiles, feature info and legends of those services are routed through the proxy as well.
+ * @type {Set<string>}
+ */
+const proxiedOrigins = new Set();
+
+/**
+ * Builds an OGC request URL by merging the given parameters into the query
+ * string of a service URL. Parameters already present in the URL are replaced
+ * (case-insensitively), so both bare endpoints and URLs copied together with
+ * a query string can be used.
+ *
+ * @param {string} url - The base URL of the service.
+ * @param {Object<string, string|number|boolean>} params - Request parameters to set.
+ * @returns {string} The URL with the parameters applied.
+ */
+const buildRequestUrl = (url, params) => {
+  const [base, query = ''] = url.split('?');
+  const keys = Object.keys(params).map((key) => key.toUpperCase());
+
+  const kept = query
+    .split('&')
+    .filter((pair) => pair && !keys.includes(pair.split('=')[0].toUpperCase()));
+
+  const added = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+
+  return `${base}?${[...kept, ...added].join('&')}`;
+};
+
+/**
+ * Parses vendor-specific request parameters entered as `key=value` pairs
+ * separated by `&` or new lines (e.g. `dpi=96&format_options=antialias:text`).
+ * Pairs without a key are ignored.
+ *
+ * @param {string} text - The parameters text.
+ * @returns {Object<string, string>} The parameters keyed by name.
+ */
+const parseVendorParams = (text) =>
+  Object.fromEntries(
+    (text || '')
+      .split(/[&\n]/)
+      .map((pair) => pair.trim())
+      .filter(Boolean)
+      .map((pair) => {
+        const [key, ...value] = pair.split('=');
+        return [key.trim(), value.join('=').trim()];
+      })
+      .filter(([key]) => key)
+  );
+
+/**
+ * Normalizes CRS identifiers used in capabilities documents to the
+ * `EPSG:XXXX` form used by OpenLayers and proj4.
+ * Handles OGC URNs, OGC HTTP URIs and the legacy Google Mercator aliases.
+ *
+ * @param {string} code - The CRS identifier, e.g. `urn:ogc:def:crs:EPSG::2180`.
+ * @returns {string} The normalized code, e.g. `EPSG:2180`.
+ */
+const normalizeCrsCode = (code) => {
+  if (!code) return code;
+
+  const trimmed = code.trim();
+
+  const urnMatch = trimmed.match(/^urn:(?:x-)?ogc:def:crs:EPSG:[^:]*:(\d+)$/i);
+  if (urnMatch) return normalizeCrsCode(`EPSG:${urnMatch[1]}`);
+
+  const uriMatch = trimmed.match(
+    /opengis\.net\/def\/crs\/EPSG\/[^/]+\/(\d+)$/i
+  );
+  if (uriMatch) return normalizeCrsCode(`EPSG:${uriMatch[1]}`);
+
+  if (/^urn:ogc:def:crs:OGC:.*:CRS84$/i.test(trimmed)) return 'EPSG:4326';
+
+  const upper = trimmed.toUpperCase();
+  if (upper === 'CRS:84') return 'EPSG:4326';
+  if (['EPSG:900913', 'EPSG:102100', 'EPSG:102113'].includes(upper)) {
+    return 'EPSG:3857';
+  }
+
+  return upper.startsWith('EPSG:') ? upper : trimmed;
+};
+
+/**
+ * Checks whether a CRS uses north/east (lat/lon) axis order, which WMS 1.3.0
+ * and WFS 1.1+/2.0 honour for coordinates in requests and bounding boxes.
+ * Geographic CRSs from the EPSG registry are lat/lon, `CRS:84` is lon/lat.
+ * Systems from the bundled registry are recognized before they are registered,
+ * once the registry is loaded.
+ * @param {string} code - The CRS identifier as written in the document.
+ * @returns {boolean} True if the first axis is north.
+ */
+const isNorthEastAxisOrder = (code) => {
+  if (!code || /CRS:?84$/i.test(code.trim())) return false;
+
+  const normalized = normalizeCrsCode(code);
+  if (hasNorthEastAxis(normalized)) return true;
+
+  const projection = getProjection(normalized);
+  if (!projection) return false;
+
+  return (
+    projection.getAxisOrientation().startsWith('ne') ||
+    projection.getUnits() === 'degrees'
+  );
+};
+
+/**
+ * Returns the origin of a URL.
+ * @param {string} url - The URL.
+ * @returns {string|null} The origin, or null if the URL is invalid.
+ */
+const getOrigin = (url) => {
+  try {
+    return new URL(url, window.location.href).origin;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Checks whether a URL already points to the backend proxy.
+ * @param {string} url - The URL.
+ * @returns {boolean} True for proxy URLs.
+ */
+const isProxyUrl = (url) => url.startsWith(OGC_PROXY_URL);
+
+/**
+ * Wraps a URL so that it is requested through the backend proxy.
+ * Curly braces are kept unescaped so that WMTS REST templates still work.
+ * @param {string} url - The target URL.
+ * @returns {string} The proxy URL.
+ */
+const buildProxyUrl = (url) =>
+  `${OGC_PROXY_URL}?url=${encodeURIComponent(url)
+    .replace(/%7B/gi, '{')
+    .replace(/%7D/gi, '}')}`;
+
+/**
+ * Returns the URL to use for a service resource: the proxy URL if the service
+ * could previously only be reached through the proxy, the URL itself otherwise.
+ * @param {string} url - The service or resource URL.
+ * @returns {string} The URL to request.
+ */
+const resolveServiceUrl = (url) =>
+  url && !isProxyUrl(url) && proxiedOrigins.has(getOrigin(url))
+    ? buildProxyUrl(url)
+    : url;
+
+/**
+ * Fetches a service resource, falling back to the backend proxy when the direct
+ * request fails (usually because the server does not send CORS headers).
+ * Services that needed the proxy are remembered, see `resolveServiceUrl`.
+ * @param {string} url - The URL to fetch.
+ * @param {Object} [options={}] - Additional `fetch` options.
+ * @returns {Promise<Response>} The successful response.
+ * @throws {Error} If the request fails both directly and through the proxy.
+ */
+const fetchWithProxy = async (url, options = {}) => {
+  if (isProxyUrl(url)) {
+    const response = await fetch(url, options);
+    if (!response.ok)
+      throw new Error(`Proxy request failed with status ${response.status}.`);
+    return response;
+  }
+
+  const origin = getOrigin(url);
+  if (!proxiedOrigins.has(origin)) {
+    try {
+      const response = await fetch(url, { mode: 'cors', ...options });
+      if (response.ok) return response;
+      console.warn(
+        `Direct fetch failed with status ${response.status}, trying with proxy...`
+      );
+    } catch (error) {
+      console.warn('Direct fetch failed, trying with proxy...', error);
+    }
+  }
+
+  const response = await fetch(buildProxyUrl(url), options);
+  if (!response.ok)
+    throw new Error(
+      `Fetch failed even with proxy (status ${response.status}).`
+    );
+
+  proxiedOrigins.add(origin);
+  return response;
+};
+
+export {
+  buildRequestUrl,
+  parseVendorParams,
+  normalizeCrsCode,
+  isNorthEastAxisOrder,
+  buildProxyUrl,
+  resolveServiceUrl,
+  fetchWithProxy,
+};
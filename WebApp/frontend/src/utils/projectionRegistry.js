@@ -0,0 +1,173 @@
+import proj4 from 'proj4';
+import { register } from 'ol/proj/proj4';
+import { get as getProjection, transformExtent } from 'ol/proj';
+import { getCustomCrs, getCustomCrsList } from './customCrs';
+
+/**
+ * Promise of the lazily loaded EPSG definitions.
+ * @type {Promise<Object<string, Object>>|null}
+ */
+let definitionsPromise = null;
+
+/**
+ * The EPSG definitions once loaded, for synchronous lookups (see `hasNorthEastAxis`).
+ * @type {Object<string, import('../constants/epsgDefinitions').EpsgDefinition>|null}
+ */
+let loadedDefinitions = null;
+
+/**
+ * Loads the bundled EPSG definitions. The definitions are split into a separate
+ * chunk and only downloaded the first time an unknown CRS is encountered.
+ * @returns {Promise<Object<string, import('../constants/epsgDefinitions').EpsgDefinition>>} The definitions keyed by EPSG code.
+ */
+const loadEpsgDefinitions = () => {
+  if (!definitionsPromise) {
+    definitionsPromise = import('../constants/epsgDefinitions')
+      .then((module) => {
+        loadedDefinitions = module.epsgDefinitions;
+        return loadedDefinitions;
+      })
+      .catch((error) => {
+        definitionsPromise = null;
+        throw error;
+      });
+  }
+  return definitionsPromise;
+};
+
+/**
+ * Checks whether the first axis of a CRS points north according to the `axis` of its
+ * entry in the bundled EPSG registry. WMS 1.3.0 and WFS 1.1+/2.0 use this axis order
+ * for coordinates, while registered projections keep east/north coordinates.
+ * The registry has to be loaded first (see `loadEpsgDefinitions`).
+ * @param {string} code - The CRS code in the `EPSG:XXXX` form.
+ * @returns {boolean} True for north/east (or lat/lon) systems.
+ */
+const hasNorthEastAxis = (code) => loadedDefinitions?.[code]?.axis === 'neu';
+
+/**
+ * Sets the extents of a registered projection from its area of use,
+ * so that OpenLayers can build tile grids and clip reprojected tiles.
+ * @param {import('ol/proj/Projection').default} projection - The projection.
+ * @param {Array<number>} bbox - Area of use in WGS84 as [west, south, east, north].
+ */
+const applyProjectionExtent = (projection, bbox) => {
+  projection.setWorldExtent(bbox);
+  projection.setExtent(
+    projection.getUnits() === 'degrees'
+      ? [-180, -90, 180, 90]
+      : transformExtent(bbox, 'EPSG:4326', projection, 8)
+  );
+};
+
+/**
+ * Registers a proj4 definition in proj4 and OpenLayers.
+ * @param {string} code - The CRS code.
+ * @param {string|Object} definition - The proj4 definition.
+ * @param {Array<number>} [bbox] - Area of use in WGS84, used for the projection extent.
+ * @returns {import('ol/proj/Projection').default} The registered projection.
+ */
+const registerDefinition = (code, definition, bbox) => {
+  proj4.defs(code, definition);
+  register(proj4);
+
+  const projection = getProjection(code);
+  if (bbox) applyProjectionExtent(projection, bbox);
+  return projection;
+};
+
+/**
+ * Ensures that a projection is registered in proj4 and OpenLayers.
+ * Looks up the definition in proj4 first, then in the user's custom definitions
+ * (see `utils/customCrs`), then in the bundled EPSG registry.
+ * @param {string} code - The CRS code in the `EPSG:XXXX` form.
+ * @param {string} [definition] - A proj4 definition to register instead of looking it up.
+ * @returns {Promise<import('ol/proj/Projection').default|null>} The projection, or null if no definition is known.
+ */
+const ensureProjection = async (code, definition) => {
+  if (!code) return null;
+
+  const existing = getProjection(code);
+  if (existing) return existing;
+
+  if (definition) return registerDefinition(code, definition);
+  if (proj4.defs(code)) return registerDefinition(code, proj4.defs(code));
+
+  const custom = getCustomCrs(code);
+  if (custom) {
+    try {
+      return registerDefinition(code, custom.definition, custom.bbox);
+    } catch (error) {
+      console.error(`Error registering custom CRS ${code}:`, error);
+      return null;
+    }
+  }
+
+  try {
+    const definitions = await loadEpsgDefinitions();
+    const entry = definitions[code];
+    return entry ? registerDefinition(code, entry.proj4, entry.bbox) : null;
+  } catch (error) {
+    console.error('Error loading EPSG definitions:', error);
+    return null;
+  }
+};
+
+/**
+ * Registers the first projection of a list that can be registered.
+ * @param {Array<string>} codes - CRS codes in the `EPSG:XXXX` form, in order of preference.
+ * @returns {Promise<string|undefined>} The code of the registered projection.
+ */
+const ensureAnyProjection = async (codes) => {
+  for (const code of codes) {
+    if (await ensureProjection(code)) return code;
+  }
+  return undefined;
+};
+
+/**
+ * Lists the coordinate reference systems the user can choose from:
+ * the built-in ones, the bundled EPSG registry and the custom definitions.
+ * @returns {Promise<Array<{label: string, options: Array<{code: string, name: string}>}>>} The systems grouped for a select.
+ */
+const getCrsOptions = async () => {
+  const groups = [
+    {
+      label: 'Built-in',
+      options: [
+        { code: 'EPSG:4326', name: 'WGS 84' },
+        { code: 'EPSG:3857', name: 'WGS 84 / Pseudo-Mercator' },
+      ],
+    },
+  ];
+
+  try {
+    const definitions = await loadEpsgDefinitions();
+    groups.push({
+      label: 'EPSG',
+      options: Object.entries(definitions).map(([code, { name }]) => ({
+        code,
+        name,
+      })),
+    });
+  } catch (error) {
+    console.error('Error loading EPSG definitions:', error);
+  }
+
+  const custom = getCustomCrsList();
+  if (custom.length) {
+    groups.push({
+      label: 'Custom',
+      options: custom.map(({ code, name }) => ({ code, name })),
+    });
+  }
+  return groups;
+};
+
+export {
+  loadEpsgDefinitions,
+  hasNorthEastAxis,
+  ensureProjection,
+  ensureAnyProjection,
+  getCrsOptions,
+};
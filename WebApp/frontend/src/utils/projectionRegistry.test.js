@@ -0,0 +1,34 @@
+import { epsgDefinitions } from '../constants/epsgDefinitions';
+import { loadEpsgDefinitions, hasNorthEastAxis } from './projectionRegistry';
+
+describe('epsgDefinitions', () => {
+  test('declares the name, definition, area of use and axis order of every system', () => {
+    Object.values(epsgDefinitions).forEach((entry) => {
+      expect(entry).toEqual({
+        name: expect.any(String),
+        proj4: expect.stringMatching(/^\+proj=/),
+        bbox: [
+          expect.any(Number),
+          expect.any(Number),
+          expect.any(Number),
+          expect.any(Number),
+        ],
+        axis: expect.stringMatching(/^(enu|neu)$/),
+      });
+      expect(entry.proj4).not.toMatch(/\+axis=/);
+    });
+  });
+});
+
+describe('hasNorthEastAxis', () => {
+  test('reads the axis order from the loaded registry', async () => {
+    expect(hasNorthEastAxis('EPSG:2180')).toBe(false);
+
+    await loadEpsgDefinitions();
+    expect(hasNorthEastAxis('EPSG:2180')).toBe(true);
+    expect(hasNorthEastAxis('EPSG:4258')).toBe(true);
+    expect(hasNorthEastAxis('EPSG:2154')).toBe(false);
+    expect(hasNorthEastAxis('EPSG:25834')).toBe(false);
+    expect(hasNorthEastAxis('EPSG:999999')).toBe(false);
+  });
+});
@@ -0,0 +1,216 @@
+import { v4 as uuidv4 } from 'uuid';
+import { predefinedServices } from '../constants/services';
+
+/**
+ * localStorage key of the service connections added by the user.
+ * @type {string}
+ */
+const USER_SERVICES_KEY = 'gisWebApp.serviceCatalog';
+
+/**
+ * localStorage key of the recently used services.
+ * @type {string}
+ */
+const RECENT_SERVICES_KEY = 'gisWebApp.recentServices';
+
+/**
+ * Maximum number of recently used services kept.
+ * @type {number}
+ */
+const MAX_RECENT_SERVICES = 5;
+
+/**
+ * Service types accepted in the catalog.
+ * @type {Array<string>}
+ */
+const SERVICE_TYPES = ['auto', 'WMS', 'WMTS', 'WFS', 'OGCAPI', 'ArcGIS'];
+
+/**
+ * Validates a service connection and brings it to the catalog format.
+ * @param {Object} service - The service connection, e.g. read from an imported file.
+ * @returns {Object|null} The normalized connection, or null if it has no valid URL.
+ */
+const normalizeService = (service) => {
+  if (!service || typeof service.url !== 'string' || !service.url.trim()) {
+    return null;
+  }
+
+  const url = service.url.trim();
+  try {
+    new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const type = SERVICE_TYPES.find(
+    (serviceType) =>
+      serviceType.toLowerCase() === String(service.type || 'auto').toLowerCase()
+  );
+
+  return {
+    id: typeof service.id === 'string' && service.id ? service.id : uuidv4(),
+    name:
+      typeof service.name === 'string' && service.name.trim()
+        ? service.name.trim()
+        : new URL(url).hostname,
+    url,
+    type: type || 'auto',
+    defaultLayers: Array.isArray(service.defaultLayers)
+      ? service.defaultLayers.filter((layer) => typeof layer === 'string')
+      : [],
+  };
+};
+
+/**
+ * Reads a list of services from localStorage.
+ * @param {string} key - The storage key.
+ * @returns {Array<Object>} The stored services, or an empty array if none are stored or the data is invalid.
+ */
+const readServices = (key) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(stored)
+      ? stored.map(normalizeService).filter(Boolean)
+      : [];
+  } catch (error) {
+    console.error(`Error reading ${key} from localStorage:`, error);
+    return [];
+  }
+};
+
+/**
+ * Writes a list of services to localStorage.
+ * @param {string} key - The storage key.
+ * @param {Array<Object>} services - The services to store.
+ */
+const writeServices = (key, services) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(services));
+  } catch (error) {
+    console.error(`Error writing ${key} to localStorage:`, error);
+  }
+};
+
+/**
+ * Returns the service catalog: the predefined services followed by the services added by the user.
+ * Predefined services are flagged with `predefined: true` and cannot be removed.
+ * @returns {Array<Object>} The service connections.
+ */
+const getServiceCatalog = () => [
+  ...predefinedServices
+    .map(normalizeService)
+    .filter(Boolean)
+    .map((service) => ({ ...service, predefined: true })),
+  ...readServices(USER_SERVICES_KEY),
+];
+
+/**
+ * Adds a service connection to the user catalog.
+ * A saved connection with the same URL and type is replaced.
+ * @param {Object} service - The service connection (name, url, type, defaultLayers).
+ * @returns {Object} The saved connection.
+ * @throws {Error} If the service URL is invalid.
+ */
+const saveUserService = (service) => {
+  const normalized = normalizeService(service);
+  if (!normalized) throw new Error('Invalid service URL.');
+
+  const services = readServices(USER_SERVICES_KEY).filter(
+    (saved) =>
+      saved.id !== normalized.id &&
+      !(saved.url === normalized.url && saved.type === normalized.type)
+  );
+  writeServices(USER_SERVICES_KEY, [...services, normalized]);
+  return normalized;
+};
+
+/**
+ * Removes a service connection from the user catalog.
+ * @param {string} id - ID of the connection.
+ */
+const removeUserService = (id) => {
+  writeServices(
+    USER_SERVICES_KEY,
+    readServices(USER_SERVICES_KEY).filter((service) => service.id !== id)
+  );
+};
+
+/**
+ * Returns the recently used services, most recent first.
+ * @returns {Array<Object>} The recent service connections.
+ */
+const getRecentServices = () => readServices(RECENT_SERVICES_KEY);
+
+/**
+ * Records the use of a service, moving it to the top of the recent services.
+ * @param {Object} service - The used service (name, url, type).
+ */
+const addRecentService = (service) => {
+  const normalized = normalizeService({ ...service, id: undefined });
+  if (!normalized) return;
+
+  const recent = getRecentServices().filter(
+    (item) => item.url !== normalized.url
+  );
+  writeServices(
+    RECENT_SERVICES_KEY,
+    [normalized, ...recent].slice(0, MAX_RECENT_SERVICES)
+  );
+};
+
+/**
+ * Serializes the user catalog to JSON for export.
+ * @returns {string} The JSON document.
+ */
+const exportServiceCatalog = () =>
+  JSON.stringify(
+    {
+      services: readServices(USER_SERVICES_KEY).map(
+        ({ name, url, type, defaultLayers }) => ({
+          name,
+          url,
+          type,
+          defaultLayers,
+        })
+      ),
+    },
+    null,
+    2
+  );
+
+/**
+ * Imports service connections from a JSON document into the user catalog.
+ * Accepts the format produced by `exportServiceCatalog` or a plain array of services.
+ * Connections already in the catalog (same URL and type) are updated.
+ * @param {string} text - The JSON document.
+ * @returns {number} The number of imported connections.
+ * @throws {Error} If the document is not valid JSON or contains no valid services.
+ */
+const importServiceCatalog = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  const services = (Array.isArray(data) ? data : data?.services || [])
+    .map((service) => normalizeService({ ...service, id: undefined }))
+    .filter(Boolean);
+  if (services.length === 0)
+    throw new Error('The file does not contain any valid services.');
+
+  services.forEach(saveUserService);
+  return services.length;
+};
+
+export {
+  MAX_RECENT_SERVICES,
+  getServiceCatalog,
+  saveUserService,
+  removeUserService,
+  getRecentServices,
+  addRecentService,
+  exportServiceCatalog,
+  importServiceCatalog,
+};
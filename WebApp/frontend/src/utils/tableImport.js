@@ -0,0 +1,298 @@
+import Papa from 'papaparse';
+import readXlsxFile, { readSheetNames } from 'read-excel-file';
+import WKT from 'ol/format/WKT';
+import GeoJSON from 'ol/format/GeoJSON';
+import { getFileExtension, readFile } from './vectorFileReaders';
+import {
+  DAY_FIRST_DATE_PATTERN,
+  isEmptyValue,
+  isNumberText,
+  inferValueType,
+} from './valueTypes';
+
+/**
+ * Table files imported through the import wizard, mapped to their MIME types (for `react-dropzone`).
+ * @type {Object<string, Array<string>>}
+ */
+const TABLE_FILE_TYPES = {
+  'text/csv': ['.csv'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': [
+    '.xlsx',
+  ],
+};
+
+/**
+ * Field delimiters offered for CSV files; an empty value lets the parser detect it.
+ * @type {Array<{value: string, label: string}>}
+ */
+const CSV_DELIMITERS = [
+  { value: '', label: 'Auto-detect' },
+  { value: ',', label: 'Comma (,)' },
+  { value: ';', label: 'Semicolon (;)' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe (|)' },
+];
+
+/**
+ * Text encodings offered for CSV files.
+ * @type {Array<string>}
+ */
+const CSV_ENCODINGS = ['utf-8', 'windows-1250', 'iso-8859-2', 'windows-1252'];
+
+/**
+ * Column names guessed as the X, Y or geometry column of a table.
+ * @type {Object<string, RegExp>}
+ */
+const GEOMETRY_COLUMN_PATTERNS = {
+  x: /^(x|lon|lng|long|longitude|easting|dlugosc|długość)$/i,
+  y: /^(y|lat|latitude|northing|szerokosc|szerokość)$/i,
+  geometry: /^(wkt|geom|geometry|the_geom|shape|geojson)$/i,
+};
+
+/**
+ * @typedef {Object} Table
+ * @property {Array<string>} headers - Unique column names, read from the first row.
+ * @property {Array<Array<*>>} rows - The data rows.
+ * @property {Array<string>} sheetNames - Sheets of an XLSX file, empty for CSV files.
+ * @property {boolean} decimalComma - Whether numbers are read with a decimal comma by default:
+ * for CSV files delimited by something else than a comma.
+ */
+
+/**
+ * Checks whether a file is imported through the import wizard.
+ * @param {string} fileName - The file name.
+ * @returns {boolean} True for CSV and XLSX files.
+ */
+const isTableFile = (fileName) =>
+  Object.values(TABLE_FILE_TYPES).flat().includes(getFileExtension(fileName));
+
+/**
+ * Names the columns after the header row; empty names are replaced with
+ * `column_<n>` and repeated names get a numeric suffix.
+ * @param {Array<*>} headerRow - The first row.
+ * @returns {Array<string>} The column names.
+ */
+const readHeaders = (headerRow) => {
+  const seen = new Set();
+  return headerRow.map((cell, index) => {
+    const base = String(cell ?? '').trim() || `column_${index + 1}`;
+    let name = base;
+    for (let suffix = 2; seen.has(name); suffix += 1)
+      name = `${base}_${suffix}`;
+    seen.add(name);
+    return name;
+  });
+};
+
+/**
+ * Reads a CSV or XLSX file as a table whose first row holds the column names.
+ * @param {File} file - The file.
+ * @param {Object} [options={}] - Reading options.
+ * @param {string} [options.delimiter=''] - CSV field delimiter, detected when empty.
+ * @param {string} [options.encoding='utf-8'] - CSV text encoding.
+ * @param {string} [options.sheet] - XLSX sheet name, the first sheet by default.
+ * @returns {Promise<Table>} The table.
+ * @throws {Error} If the file cannot be parsed or has no rows.
+ */
+const readTable = async (
+  file,
+  { delimiter = '', encoding = 'utf-8', sheet } = {}
+) => {
+  let data;
+  let sheetNames = [];
+  let decimalComma = false;
+
+  if (getFileExtension(file.name) === '.xlsx') {
+    try {
+      sheetNames = await readSheetNames(file);
+      data = await readXlsxFile(file, { sheet: sheet || sheetNames[0] });
+    } catch (error) {
+      throw new Error(`Cannot read ${file.name}: ${error.message}`);
+    }
+  } else {
+    const text = await readFile(file, 'text', encoding);
+    const result = Papa.parse(text, { delimiter, skipEmptyLines: 'greedy' });
+    if (result.data.length === 0 && result.errors.length > 0)
+      throw new Error(`Cannot read ${file.name}: ${result.errors[0].message}`);
+    data = result.data;
+    decimalComma = result.meta.delimiter !== ',';
+  }
+
+  if (data.length === 0) throw new Error(`${file.name} is empty.`);
+
+  const [headerRow, ...rows] = data;
+  return { headers: readHeaders(headerRow), rows, sheetNames, decimalComma };
+};
+
+/**
+ * Guesses the coordinate and geometry columns from the column names.
+ * @param {Array<string>} headers - The column names.
+ * @returns {{x: string, y: string, geometry: string}} The guessed column names, or empty strings.
+ */
+const guessGeometryColumns = (headers) =>
+  Object.fromEntries(
+    Object.entries(GEOMETRY_COLUMN_PATTERNS).map(([key, pattern]) => [
+      key,
+      headers.find((header) => pattern.test(header.trim())) || '',
+    ])
+  );
+
+/**
+ * Guesses the geometry source of a table from its guessed columns: the X/Y columns,
+ * or a geometry column read as GeoJSON when its first value looks like an object, as WKT otherwise.
+ * @param {Table} table - The table.
+ * @param {{x: string, y: string, geometry: string}} columns - The guessed columns, see `guessGeometryColumns`.
+ * @returns {string} `xy`, `wkt` or `geojson`.
+ */
+const guessGeometryType = ({ headers, rows }, columns) => {
+  if (!columns.geometry || (columns.x && columns.y)) return 'xy';
+  const sample = rows[0]?.[headers.indexOf(columns.geometry)];
+  return /^\s*\{/.test(String(sample)) ? 'geojson' : 'wkt';
+};
+
+/**
+ * Infers the types of all columns of a table.
+ * @param {Table} table - The table.
+ * @param {boolean} [decimalComma=table.decimalComma] - Whether a comma is accepted as the decimal separator.
+ * @returns {Object<string, string>} The type of each column, by column name.
+ */
+const inferColumnTypes = (table, decimalComma = table.decimalComma) =>
+  Object.fromEntries(
+    table.headers.map((header, index) => [
+      header,
+      inferValueType(
+        table.rows.map((row) => row[index]),
+        { decimalComma }
+      ),
+    ])
+  );
+
+/**
+ * Converts a cell to the type of its column. Dates become ISO 8601 strings.
+ * @param {*} value - The cell value.
+ * @param {string} type - `number`, `boolean`, `date` or `string`.
+ * @param {boolean} [decimalComma=false] - Whether a comma is read as the decimal separator.
+ * @returns {*} The converted value, null for empty or unconvertible cells.
+ */
+const convertValue = (value, type, decimalComma = false) => {
+  if (isEmptyValue(value)) return null;
+  const text = String(value).trim();
+
+  switch (type) {
+    case 'number': {
+      if (typeof value === 'number') return value;
+      const number = isNumberText(text, decimalComma)
+        ? Number(text.replace(',', '.'))
+        : NaN;
+      return isFinite(number) ? number : null;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? value : text.toLowerCase() === 'true';
+    case 'date': {
+      if (value instanceof Date) return value.toISOString();
+      const dayFirst = DAY_FIRST_DATE_PATTERN.exec(text);
+      return dayFirst
+        ? `${dayFirst[3]}-${dayFirst[2].padStart(2, '0')}-${dayFirst[1].padStart(2, '0')}`
+        : text;
+    }
+    default:
+      return value instanceof Date ? value.toISOString() : text;
+  }
+};
+
+/**
+ * Reads the geometry of a WKT or GeoJSON cell.
+ * @param {*} value - The cell value.
+ * @param {string} format - `wkt` or `geojson`.
+ * @returns {Object|null} The GeoJSON geometry, or null if the cell cannot be read.
+ */
+const readGeometryCell = (value, format) => {
+  if (isEmptyValue(value)) return null;
+  try {
+    if (format === 'wkt') {
+      return new GeoJSON().writeGeometryObject(
+        new WKT().readGeometry(String(value))
+      );
+    }
+    const geometry = typeof value === 'string' ? JSON.parse(value) : value;
+    return geometry && typeof geometry.type === 'string' ? geometry : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Builds a GeoJSON feature collection from a table. Points are created from the
+ * X/Y columns, or geometries read from a WKT or GeoJSON column; the other columns
+ * become attributes converted to their types. The source CRS is set in the legacy
+ * `crs` member, which the upload review detects it from (see `detectCrs`); without it
+ * the CRS is detected from the coordinates.
+ * @param {Table} table - The table.
+ * @param {Object} options - Import options.
+ * @param {string} options.geometryType - `xy`, `wkt` or `geojson`.
+ * @param {Object<string, string>} options.columns - The `x` and `y`, or the `geometry` column names.
+ * @param {Object<string, string>} options.types - Column types, see `inferColumnTypes`.
+ * @param {string} [options.crs] - Code of the source CRS.
+ * @param {boolean} [options.decimalComma=table.decimalComma] - Whether a comma is read as the decimal separator.
+ * @returns {{data: Object, skipped: number}} The GeoJSON data and the number of rows skipped
+ * for a missing or invalid geometry.
+ */
+const buildFeatureCollection = (
+  { headers, rows, decimalComma: defaultDecimalComma },
+  { geometryType, columns, types, crs, decimalComma = defaultDecimalComma }
+) => {
+  const geometryColumns =
+    geometryType === 'xy' ? [columns.x, columns.y] : [columns.geometry];
+  const indexOf = (name) => headers.indexOf(name);
+  let skipped = 0;
+
+  const features = rows.flatMap((row) => {
+    let geometry;
+    if (geometryType === 'xy') {
+      const x = convertValue(row[indexOf(columns.x)], 'number', decimalComma);
+      const y = convertValue(row[indexOf(columns.y)], 'number', decimalComma);
+      geometry =
+        x !== null && y !== null
+          ? { type: 'Point', coordinates: [x, y] }
+          : null;
+    } else {
+      geometry = readGeometryCell(row[indexOf(columns.geometry)], geometryType);
+    }
+
+    if (!geometry) {
+      skipped += 1;
+      return [];
+    }
+
+    const properties = Object.fromEntries(
+      headers
+        .filter((header) => !geometryColumns.includes(header))
+        .map((header) => [
+          header,
+          convertValue(row[indexOf(header)], types[header], decimalComma),
+        ])
+    );
+    return [{ type: 'Feature', geometry, properties }];
+  });
+
+  return {
+    data: {
+      type: 'FeatureCollection',
+      ...(crs && { crs: { type: 'name', properties: { name: crs } } }),
+      features,
+    },
+    skipped,
+  };
+};
+
+export {
+  TABLE_FILE_TYPES,
+  CSV_DELIMITERS,
+  CSV_ENCODINGS,
+  isTableFile,
+  readTable,
+  guessGeometryColumns,
+  guessGeometryType,
+  inferColumnTypes,
+  buildFeatureCollection,
+};
@@ -0,0 +1,178 @@
+import {
+  isTableFile,
+  readTable,
+  guessGeometryColumns,
+  guessGeometryType,
+  inferColumnTypes,
+  buildFeatureCollection,
+} from './tableImport';
+
+const csvFile = (text, name = 'points.csv') =>
+  new File([text], name, { type: 'text/csv' });
+
+describe('isTableFile', () => {
+  test('recognizes CSV and XLSX files', () => {
+    expect(isTableFile('points.CSV')).toBe(true);
+    expect(isTableFile('points.xlsx')).toBe(true);
+    expect(isTableFile('points.geojson')).toBe(false);
+  });
+});
+
+describe('readTable', () => {
+  test('reads the header row and detects the delimiter', async () => {
+    const table = await readTable(csvFile('id;name;\n1;a;x\n2;b;y\n'));
+    expect(table.headers).toEqual(['id', 'name', 'column_3']);
+    expect(table.rows).toEqual([
+      ['1', 'a', 'x'],
+      ['2', 'b', 'y'],
+    ]);
+    expect(table.decimalComma).toBe(true);
+  });
+
+  test('does not read a decimal comma in comma-delimited files', async () => {
+    const table = await readTable(csvFile('x,x\n"1,5",2\n'));
+    expect(table.headers).toEqual(['x', 'x_2']);
+    expect(table.decimalComma).toBe(false);
+  });
+
+  test('rejects empty files', async () => {
+    await expect(readTable(csvFile(''))).rejects.toThrow();
+  });
+});
+
+describe('guessGeometryColumns', () => {
+  test('guesses the coordinate and geometry columns by name', () => {
+    expect(guessGeometryColumns(['id', 'Lon', 'LAT'])).toEqual({
+      x: 'Lon',
+      y: 'LAT',
+      geometry: '',
+    });
+    expect(guessGeometryColumns(['id', 'WKT'])).toEqual({
+      x: '',
+      y: '',
+      geometry: 'WKT',
+    });
+  });
+});
+
+describe('guessGeometryType', () => {
+  test('prefers the coordinates, then tells GeoJSON from WKT', () => {
+    const table = (value) => ({ headers: ['geom'], rows: [[value]] });
+    const columns = { x: '', y: '', geometry: 'geom' };
+    expect(
+      guessGeometryType(table('{"type":"Point","coordinates":[1,2]}'), columns)
+    ).toBe('geojson');
+    expect(guessGeometryType(table('POINT (1 2)'), columns)).toBe('wkt');
+    expect(
+      guessGeometryType(table(''), { x: 'x', y: 'y', geometry: 'geom' })
+    ).toBe('xy');
+  });
+});
+
+describe('inferColumnTypes', () => {
+  const table = {
+    headers: ['teryt', 'area', 'name'],
+    rows: [
+      ['0201011', '1,5', 'a'],
+      ['1465011', '2,25', 'b'],
+    ],
+    decimalComma: true,
+  };
+
+  test('keeps codes as strings and reads decimal commas of the table', () => {
+    expect(inferColumnTypes(table)).toEqual({
+      teryt: 'string',
+      area: 'number',
+      name: 'string',
+    });
+  });
+
+  test('can override the decimal separator of the table', () => {
+    expect(inferColumnTypes(table, false).area).toBe('string');
+  });
+});
+
+describe('buildFeatureCollection', () => {
+  const table = {
+    headers: ['x', 'y', 'teryt', 'area', 'active'],
+    rows: [
+      ['21,01', '52,23', '1465011', '1,5', 'true'],
+      ['', '50,06', '1261011', '2', 'false'],
+    ],
+    decimalComma: true,
+  };
+  const options = {
+    geometryType: 'xy',
+    columns: { x: 'x', y: 'y' },
+    types: { teryt: 'string', area: 'number', active: 'boolean' },
+  };
+
+  test('builds points and converts the attributes to their types', () => {
+    const { data, skipped } = buildFeatureCollection(table, {
+      ...options,
+      crs: 'EPSG:4326',
+    });
+    expect(skipped).toBe(1);
+    expect(data.crs).toEqual({
+      type: 'name',
+      properties: { name: 'EPSG:4326' },
+    });
+    expect(data.features).toEqual([
+      {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [21.01, 52.23] },
+        properties: { teryt: '1465011', area: 1.5, active: true },
+      },
+    ]);
+  });
+
+  test('leaves out the crs member without a CRS', () => {
+    expect(buildFeatureCollection(table, options).data.crs).toBe(undefined);
+  });
+
+  test('does not read a decimal comma when told not to', () => {
+    const { data } = buildFeatureCollection(table, {
+      ...options,
+      decimalComma: false,
+    });
+    expect(data.features).toEqual([]);
+  });
+
+  test('reads WKT and GeoJSON geometry columns', () => {
+    const geometryTable = {
+      headers: ['geom', 'name'],
+      rows: [
+        ['POINT (1 2)', 'a'],
+        ['not a geometry', 'b'],
+        ['', 'c'],
+      ],
+      decimalComma: false,
+    };
+    const { data, skipped } = buildFeatureCollection(geometryTable, {
+      geometryType: 'wkt',
+      columns: { geometry: 'geom' },
+      types: { name: 'string' },
+    });
+    expect(skipped).toBe(2);
+    expect(data.features[0].geometry).toEqual({
+      type: 'Point',
+      coordinates: [1, 2],
+    });
+
+    const geoJSON = buildFeatureCollection(
+      {
+        ...geometryTable,
+        rows: [['{"type":"Point","coordinates":[3,4]}', 'a']],
+      },
+      {
+        geometryType: 'geojson',
+        columns: { geometry: 'geom' },
+        types: { name: 'string' },
+      }
+    );
+    expect(geoJSON.data.features[0].geometry).toEqual({
+      type: 'Point',
+      coordinates: [3, 4],
+    });
+  });
+});
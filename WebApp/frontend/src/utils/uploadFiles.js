@@ -0,0 +1,159 @@
+import {
+  getFileExtension,
+  readFile,
+  readVectorFile,
+} from './vectorFileReaders';
+import {
+  isTableFile,
+  readTable,
+  guessGeometryColumns,
+  guessGeometryType,
+  inferColumnTypes,
+  buildFeatureCollection,
+} from './tableImport';
+import {
+  openGeoPackage,
+  listGeoPackageTables,
+  readGeoPackageTable,
+} from './geoPackage';
+import { readPrjCrs } from './crsDetection';
+
+/**
+ * @typedef {Object} UploadFile
+ * @property {File} file - The data file.
+ * @property {File|null} prjFile - The `.prj` file describing its CRS, if one was dropped with it.
+ */
+
+/**
+ * @typedef {Object} UploadFileLayer
+ * @property {string} fileName - Name of the file the layer was read from.
+ * @property {Object|Array<import('ol/Feature').default>|File} data - The data of the layer
+ * (see `VectorFileLayer`), or the GeoJSON file itself, which is parsed in the worker.
+ * @property {string|null} prjCrs - Code of the CRS of the `.prj` file dropped with the file.
+ * @property {Array<string>} warnings - Problems found while reading the file.
+ * @property {Array<string>} [objectUrls] - Object URLs of the KMZ icons used by the features.
+ */
+
+/**
+ * Returns the name of a file without its extension, for pairing sidecar files.
+ * @param {string} fileName - The file name.
+ * @returns {string} The lower-case base name.
+ */
+const getBaseName = (fileName) =>
+  fileName.replace(/\.[^/.]+$/, '').toLowerCase();
+
+/**
+ * Pairs dropped data files with their `.prj` files by base name (`roads.prj` describes
+ * `roads.geojson`); a single `.prj` file dropped with a single data file describes it
+ * whatever its name.
+ * @param {Array<File>} files - The dropped files.
+ * @returns {{uploads: Array<UploadFile>, unmatchedPrjFiles: Array<File>}} The data files and
+ * the `.prj` files without a data file.
+ */
+const groupUploadFiles = (files) => {
+  const isPrj = (file) => getFileExtension(file.name) === '.prj';
+  const prjFiles = files.filter(isPrj);
+  const dataFiles = files.filter((file) => !isPrj(file));
+
+  const uploads = dataFiles.map((file) => ({
+    file,
+    prjFile:
+      dataFiles.length === 1 && prjFiles.length === 1
+        ? prjFiles[0]
+        : prjFiles.find(
+            (prjFile) => getBaseName(prjFile.name) === getBaseName(file.name)
+          ) || null,
+  }));
+
+  return {
+    uploads,
+    unmatchedPrjFiles: prjFiles.filter(
+      (prjFile) => !uploads.some((upload) => upload.prjFile === prjFile)
+    ),
+  };
+};
+
+/**
+ * Reads a CSV or XLSX file without the `TableImportWizard`: the geometry columns are
+ * guessed from their names, the column types inferred and the CRS is detected later
+ * from the coordinates.
+ * @param {File} file - The table file.
+ * @returns {Promise<Array<Object>>} The layer of the file, with its `warnings`.
+ * @throws {Error} If no coordinate or geometry columns are recognized.
+ */
+const readTableLayers = async (file) => {
+  const table = await readTable(file);
+  const columns = guessGeometryColumns(table.headers);
+  const geometryType = guessGeometryType(table, columns);
+  if (geometryType === 'xy' && !(columns.x && columns.y)) {
+    throw new Error(
+      `No coordinate or geometry columns were recognized in ${file.name}; drop it on its own to choose them in the import wizard.`
+    );
+  }
+
+  const { data, skipped } = buildFeatureCollection(table, {
+    geometryType,
+    columns,
+    types: inferColumnTypes(table),
+  });
+  return [
+    {
+      fileName: file.name,
+      data,
+      warnings:
+        skipped > 0
+          ? [`${skipped} rows without a valid geometry were skipped.`]
+          : [],
+    },
+  ];
+};
+
+/**
+ * Reads all feature tables of a GeoPackage without the `GeoPackageImport` table selection.
+ * @param {File} file - The GeoPackage file.
+ * @returns {Promise<Array<import('./vectorFileReaders').VectorFileLayer>>} A layer per feature table.
+ * @throws {Error} If the file is not a GeoPackage or has no feature tables.
+ */
+const readGeoPackageLayers = async (file) => {
+  const db = await openGeoPackage(file);
+  try {
+    const tables = listGeoPackageTables(db);
+    if (tables.length === 0)
+      throw new Error(`${file.name} has no feature tables.`);
+    return tables.map((table) => readGeoPackageTable(db, table));
+  } finally {
+    db.close();
+  }
+};
+
+/**
+ * Reads the layers of a dropped file in any supported format, choosing the defaults
+ * the interactive imports would otherwise ask for. GeoJSON files are passed on as they
+ * are, to be parsed in the worker.
+ * @param {UploadFile} upload - The data file and its `.prj` file.
+ * @param {import('./vectorFileReaders').VectorFileOptions} [options={}] - Reading options.
+ * @returns {Promise<Array<UploadFileLayer>>} The layers of the file.
+ * @throws {Error} If the format is not supported or the file cannot be read.
+ */
+const readUploadFile = async ({ file, prjFile }, options = {}) => {
+  const prjCrs = prjFile ? await readPrjCrs(await readFile(prjFile)) : null;
+
+  let layers;
+  if (isTableFile(file.name)) {
+    layers = await readTableLayers(file);
+  } else if (getFileExtension(file.name) === '.gpkg') {
+    layers = await readGeoPackageLayers(file);
+  } else if (getFileExtension(file.name) === '.geojson') {
+    layers = [{ fileName: file.name, data: file }];
+  } else {
+    layers = await readVectorFile(file, options);
+  }
+
+  return layers.map((layer) => ({
+    warnings: [],
+    ...layer,
+    prjCrs,
+  }));
+};
+
+export { groupUploadFiles, readUploadFile };
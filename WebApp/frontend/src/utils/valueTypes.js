@@ -0,0 +1,102 @@
+/**
+ * Numbers with a dot as the decimal separator.
+ * @type {RegExp}
+ */
+const NUMBER_PATTERN = /^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Numbers with a comma as the decimal separator (`1,5`), only accepted where a comma
+ * cannot be a thousands separator or a field delimiter.
+ * @type {RegExp}
+ */
+const DECIMAL_COMMA_NUMBER_PATTERN = /^[-+]?(\d+(,\d*)?|,\d+)$/;
+
+/**
+ * Integers with a leading zero, such as postal codes or TERYT identifiers (`0201011`),
+ * which would lose their zeros as numbers.
+ * @type {RegExp}
+ */
+const LEADING_ZERO_PATTERN = /^[-+]?0\d/;
+
+/**
+ * ISO 8601 dates, optionally with a time and a time zone.
+ * @type {RegExp}
+ */
+const ISO_DATE_PATTERN =
+  /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Day-first dates (`dd.mm.yyyy`, also with `/` or `-`).
+ * @type {RegExp}
+ */
+const DAY_FIRST_DATE_PATTERN = /^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/;
+
+/**
+ * Checks whether a value is empty.
+ * @param {*} value - The value.
+ * @returns {boolean} True for null, undefined and blank strings.
+ */
+const isEmptyValue = (value) =>
+  value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * Checks whether a text is a number.
+ * @param {string} text - The trimmed text.
+ * @param {boolean} [decimalComma=false] - Whether a comma is accepted as the decimal separator.
+ * @returns {boolean} True for numbers.
+ */
+const isNumberText = (text, decimalComma = false) =>
+  NUMBER_PATTERN.test(text) ||
+  (decimalComma && DECIMAL_COMMA_NUMBER_PATTERN.test(text));
+
+/**
+ * Infers the type of a column or attribute from its non-empty values. Texts with
+ * a leading zero are not numbers, so that codes keep their zeros.
+ * @param {Array<*>} values - The values.
+ * @param {Object} [options={}] - Inference options.
+ * @param {boolean} [options.decimalComma=false] - Whether a comma is accepted as the decimal separator.
+ * @returns {string} `number`, `boolean`, `date` or `string`.
+ */
+const inferValueType = (values, { decimalComma = false } = {}) => {
+  const filled = values.filter((value) => !isEmptyValue(value));
+  if (filled.length === 0) return 'string';
+
+  const matches = (test) => filled.every(test);
+  if (
+    matches(
+      (value) =>
+        typeof value === 'number' ||
+        (typeof value === 'string' &&
+          isNumberText(value.trim(), decimalComma) &&
+          !LEADING_ZERO_PATTERN.test(value.trim()))
+    )
+  )
+    return 'number';
+  if (
+    matches(
+      (value) =>
+        typeof value === 'boolean' ||
+        /^(true|false)$/i.test(String(value).trim())
+    )
+  )
+    return 'boolean';
+  if (
+    matches(
+      (value) =>
+        value instanceof Date ||
+        ISO_DATE_PATTERN.test(String(value).trim()) ||
+        DAY_FIRST_DATE_PATTERN.test(String(value).trim())
+    )
+  )
+    return 'date';
+  return 'string';
+};
+
+export {
+  NUMBER_PATTERN,
+  ISO_DATE_PATTERN,
+  DAY_FIRST_DATE_PATTERN,
+  isEmptyValue,
+  isNumberText,
+  inferValueType,
+};
@@ -0,0 +1,36 @@
+import { isNumberText, inferValueType } from './valueTypes';
+
+describe('isNumberText', () => {
+  test('accepts a decimal comma only when asked to', () => {
+    expect(isNumberText('1.5')).toBe(true);
+    expect(isNumberText('-2e3')).toBe(true);
+    expect(isNumberText('1,5')).toBe(false);
+    expect(isNumberText('1,5', true)).toBe(true);
+    expect(isNumberText('1.234,5', true)).toBe(false);
+  });
+});
+
+describe('inferValueType', () => {
+  test('infers numbers, booleans, dates and strings', () => {
+    expect(inferValueType(['1', 2, ' 3.5 ', '', null])).toBe('number');
+    expect(inferValueType(['true', 'FALSE', false])).toBe('boolean');
+    expect(inferValueType(['2024-01-31', '31.01.2024', new Date()])).toBe(
+      'date'
+    );
+    expect(inferValueType(['1', 'a'])).toBe('string');
+    expect(inferValueType(['', null, undefined])).toBe('string');
+  });
+
+  test('keeps codes with leading zeros as strings', () => {
+    expect(inferValueType(['0201011', '1465011'])).toBe('string');
+    expect(inferValueType(['00-950', '02-001'])).toBe('string');
+    expect(inferValueType(['0', '0.5', '10'])).toBe('number');
+  });
+
+  test('reads a decimal comma only when asked to', () => {
+    expect(inferValueType(['1,234', '2,5'])).toBe('string');
+    expect(inferValueType(['1,234', '2,5'], { decimalComma: true })).toBe(
+      'number'
+    );
+  });
+});
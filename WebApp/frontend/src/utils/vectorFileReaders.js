@@ -0,0 +1,290 @@
+import { parseZip } from 'shpjs';
+import JSZip from 'jszip';
+import KML from 'ol/format/KML';
+import GPX from 'ol/format/GPX';
+import { parseGeoJSON } from './vectorValidation';
+
+/**
+ * File extensions accepted by the vector upload, mapped to their MIME types (for `react-dropzone`).
+ * @type {Object<string, Array<string>>}
+ */
+const VECTOR_FILE_TYPES = {
+  'application/geo+json': ['.geojson'],
+  'application/zip': ['.zip'],
+  'application/vnd.google-earth.kml+xml': ['.kml'],
+  'application/vnd.google-earth.kmz': ['.kmz'],
+  'application/gpx+xml': ['.gpx'],
+};
+
+/**
+ * Layers a GPX file is split into, by the geometry type OpenLayers reads its elements as.
+ * @type {Array<{geometryType: string, label: string}>}
+ */
+const GPX_LAYERS = [
+  { geometryType: 'Point', label: 'waypoints' },
+  { geometryType: 'LineString', label: 'routes' },
+  { geometryType: 'MultiLineString', label: 'tracks' },
+];
+
+/**
+ * Image files of a KMZ archive used as placemark icons.
+ * @type {RegExp}
+ */
+const KMZ_IMAGE_PATTERN = /\.(png|jpe?g|gif|bmp|webp|svg)$/i;
+
+/**
+ * @typedef {Object} VectorFileLayer
+ * @property {string} fileName - Name of the file the layer was read from, e.g. `roads.shp` for a Shapefile of a zip archive.
+ * @property {Object|Array<import('ol/Feature').default>} data - The GeoJSON data of the layer,
+ * or its features in EPSG:3857 for the formats read by OpenLayers (KML, GPX).
+ * @property {Array<string>} [objectUrls] - Object URLs of the icons of a KMZ archive used by the
+ * features, to be revoked with `revokeObjectUrls` once the layer is removed or not imported.
+ */
+
+/**
+ * @typedef {Object} VectorFileOptions
+ * @property {boolean} [keepKmlStyles=false] - Keeps the styles, icons and labels of KML placemarks
+ * instead of the default layer style.
+ */
+
+/**
+ * Returns the lower-case extension of a file name, including the dot.
+ * @param {string} fileName - The file name.
+ * @returns {string} The extension, e.g. `.zip`, or an empty string.
+ */
+const getFileExtension = (fileName) => {
+  const match = /\.[^/.]+$/.exec(fileName || '');
+  return match ? match[0].toLowerCase() : '';
+};
+
+/**
+ * Reads a file with a `FileReader`.
+ * @param {File} file - The file.
+ * @param {string} [as='text'] - `text` or `arrayBuffer`.
+ * @param {string} [encoding='utf-8'] - Encoding of a text file, e.g. `windows-1250`.
+ * @returns {Promise<string|ArrayBuffer>} The file content.
+ */
+const readFile = (file, as = 'text', encoding = 'utf-8') =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () =>
+      reject(reader.error || new Error(`Cannot read ${file.name}.`));
+    if (as === 'arrayBuffer') reader.readAsArrayBuffer(file);
+    else reader.readAsText(file, encoding);
+  });
+
+/**
+ * Reads a GeoJSON file.
+ * @param {File} file - The file.
+ * @returns {Promise<Array<VectorFileLayer>>} The layer of the file.
+ * @throws {Error} If the file is not valid JSON or not a GeoJSON object.
+ */
+const readGeoJSON = async (file) => [
+  { fileName: file.name, data: parseGeoJSON(await readFile(file), file.name) },
+];
+
+/**
+ * Reads the Shapefiles of a zip archive (`.shp` with its `.dbf`, `.shx`, `.prj` and `.cpg`).
+ * Attributes are decoded with the encoding named in the `.cpg` file (e.g. `UTF-8` or `1250`),
+ * UTF-8 without it, and geometries are transformed from the CRS of the `.prj` file to WGS84.
+ * @param {File} file - The zip file.
+ * @returns {Promise<Array<VectorFileLayer>>} One layer per Shapefile of the archive.
+ * @throws {Error} If the archive contains no Shapefile or its `.prj` CRS is not supported.
+ */
+const readShapefile = async (file) => {
+  const buffer = await readFile(file, 'arrayBuffer');
+
+  let result;
+  try {
+    result = await parseZip(buffer);
+  } catch (error) {
+    const message = `${error.message || error}`;
+    throw new Error(
+      /no layers found/i.test(message)
+        ? `${file.name} does not contain a Shapefile.`
+        : `Cannot read the Shapefile ${file.name}: ${message}`
+    );
+  }
+
+  // Shapefiles are named after their path in the archive, without the extension
+  return (Array.isArray(result) ? result : [result]).map(
+    ({ fileName, ...data }) => ({
+      fileName: fileName ? `${fileName.split('/').pop()}.shp` : file.name,
+      data,
+    })
+  );
+};
+
+/**
+ * Reads the placemarks of a KML document; their name and description are kept as attributes.
+ * @param {string} text - The KML document.
+ * @param {string} fileName - Name of the file the document was read from.
+ * @param {VectorFileOptions} options - Reading options.
+ * @param {Object<string, string>} [iconUrls={}] - Object URLs of the icons embedded in a KMZ archive,
+ * by the absolute URL their relative `href` resolves to.
+ * @returns {Array<VectorFileLayer>} The layer of the document.
+ * @throws {Error} If the document contains no placemark.
+ */
+const readKMLDocument = (text, fileName, options, iconUrls = {}) => {
+  const format = new KML({
+    extractStyles: Boolean(options.keepKmlStyles),
+    iconUrlFunction: (href) => iconUrls[href] || href,
+  });
+  const features = format.readFeatures(text, {
+    featureProjection: 'EPSG:3857',
+  });
+  if (features.length === 0)
+    throw new Error(`${fileName} does not contain any placemark.`);
+
+  return [{ fileName, data: features }];
+};
+
+/**
+ * Reads a KML file.
+ * @param {File} file - The file.
+ * @param {VectorFileOptions} options - Reading options.
+ * @returns {Promise<Array<VectorFileLayer>>} The layer of the file.
+ */
+const readKML = async (file, options) =>
+  readKMLDocument(await readFile(file), file.name, options);
+
+/**
+ * Revokes object URLs created for the icons of a KMZ archive.
+ * @param {Array<string>} [objectUrls=[]] - The object URLs.
+ */
+const revokeObjectUrls = (objectUrls = []) =>
+  objectUrls.forEach((url) => URL.revokeObjectURL(url));
+
+/**
+ * Reads a KMZ archive: its main KML document (`doc.kml`, or the first KML file)
+ * and, when the styles are kept, the icons embedded next to it, as object URLs
+ * returned with the layer (they are revoked if the archive cannot be read).
+ * @param {File} file - The KMZ file.
+ * @param {VectorFileOptions} options - Reading options.
+ * @returns {Promise<Array<VectorFileLayer>>} The layer of the archive.
+ * @throws {Error} If the archive cannot be opened or contains no KML document or placemark.
+ */
+const readKMZ = async (file, options) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(await readFile(file, 'arrayBuffer'));
+  } catch (error) {
+    throw new Error(`Cannot open ${file.name}: ${error.message}`);
+  }
+
+  const entries = Object.values(zip.files).filter((entry) => !entry.dir);
+  const documents = entries.filter((entry) => /\.kml$/i.test(entry.name));
+  const main =
+    documents.find((entry) => /(^|\/)doc\.kml$/i.test(entry.name)) ||
+    documents[0];
+  if (!main) throw new Error(`${file.name} does not contain a KML document.`);
+
+  // OpenLayers resolves the relative icon hrefs of the document against the page URL
+  const folder = main.name.slice(0, main.name.lastIndexOf('/') + 1);
+  const iconUrls = {};
+  try {
+    if (options.keepKmlStyles) {
+      // Settles every icon before failing, so that none is created after the URLs are revoked
+      const results = await Promise.allSettled(
+        entries
+          .filter(
+            (entry) =>
+              entry.name.startsWith(folder) &&
+              KMZ_IMAGE_PATTERN.test(entry.name)
+          )
+          .map(async (entry) => {
+            const blob = new Blob([await entry.async('arraybuffer')], {
+              type: /\.svg$/i.test(entry.name) ? 'image/svg+xml' : '',
+            });
+            const href = new URL(
+              entry.name.slice(folder.length),
+              window.location.href
+            ).href;
+            iconUrls[href] = URL.createObjectURL(blob);
+          })
+      );
+      const failure = results.find((result) => result.status === 'rejected');
+      if (failure) throw failure.reason;
+    }
+
+    const layers = readKMLDocument(
+      await main.async('string'),
+      file.name,
+      options,
+      iconUrls
+    );
+    return layers.map((layer) => ({
+      ...layer,
+      objectUrls: Object.values(iconUrls),
+    }));
+  } catch (error) {
+    revokeObjectUrls(Object.values(iconUrls));
+    throw error;
+  }
+};
+
+/**
+ * Reads a GPX file, split into separate layers of waypoints, routes and tracks.
+ * Their name, description and the other GPX elements are kept as attributes.
+ * @param {File} file - The file.
+ * @returns {Promise<Array<VectorFileLayer>>} One layer per non-empty group.
+ * @throws {Error} If the file contains no waypoint, route or track.
+ */
+const readGPX = async (file) => {
+  const features = new GPX().readFeatures(await readFile(file), {
+    featureProjection: 'EPSG:3857',
+  });
+
+  const groups = GPX_LAYERS.map(({ geometryType, label }) => ({
+    label,
+    features: features.filter(
+      (feature) => feature.getGeometry()?.getType() === geometryType
+    ),
+  })).filter((group) => group.features.length > 0);
+  if (groups.length === 0)
+    throw new Error(
+      `${file.name} does not contain any waypoint, route or track.`
+    );
+
+  const baseName = file.name.replace(/\.[^/.]+$/, '');
+  return groups.map((group) => ({
+    fileName:
+      groups.length > 1 ? `${baseName} (${group.label}).gpx` : file.name,
+    data: group.features,
+  }));
+};
+
+/**
+ * Reads a vector file in one of the supported formats (see `VECTOR_FILE_TYPES`).
+ * @param {File} file - The file.
+ * @param {VectorFileOptions} [options={}] - Reading options.
+ * @returns {Promise<Array<VectorFileLayer>>} The layers of the file.
+ * @throws {Error} If the format is not supported or the file cannot be read.
+ */
+const readVectorFile = (file, options = {}) => {
+  switch (getFileExtension(file.name)) {
+    case '.geojson':
+      return readGeoJSON(file);
+    case '.zip':
+      return readShapefile(file);
+    case '.kml':
+      return readKML(file, options);
+    case '.kmz':
+      return readKMZ(file, options);
+    case '.gpx':
+      return readGPX(file);
+    default:
+      return Promise.reject(
+        new Error(`The format of ${file.name} is not supported.`)
+      );
+  }
+};
+
+export {
+  VECTOR_FILE_TYPES,
+  getFileExtension,
+  readFile,
+  readVectorFile,
+  revokeObjectUrls,
+};
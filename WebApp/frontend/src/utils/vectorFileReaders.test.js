@@ -0,0 +1,66 @@
+import JSZip from 'jszip';
+import { readVectorFile, revokeObjectUrls } from './vectorFileReaders';
+
+const placemark = `
+  <Placemark>
+    <Style><IconStyle><Icon><href>files/icon.png</href></Icon></IconStyle></Style>
+    <Point><coordinates>21,52</coordinates></Point>
+  </Placemark>`;
+
+const createKMZ = async (body) => {
+  const zip = new JSZip();
+  zip.file(
+    'doc.kml',
+    `<kml xmlns="http://www.opengis.net/kml/2.2"><Document>${body}</Document></kml>`
+  );
+  zip.file('files/icon.png', new Uint8Array([137, 80, 78, 71]));
+  return new File([await zip.generateAsync({ type: 'uint8array' })], 'a.kmz');
+};
+
+describe('readVectorFile', () => {
+  let createObjectURL;
+  let revokeObjectURL;
+
+  beforeEach(() => {
+    let count = 0;
+    createObjectURL = jest
+      .spyOn(URL, 'createObjectURL')
+      .mockImplementation(() => `blob:icon-${(count += 1)}`);
+    revokeObjectURL = jest
+      .spyOn(URL, 'revokeObjectURL')
+      .mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('returns the object URLs of the KMZ icons with the layer', async () => {
+    const [layer] = await readVectorFile(await createKMZ(placemark), {
+      keepKmlStyles: true,
+    });
+
+    expect(layer.objectUrls).toEqual(['blob:icon-1']);
+    expect(
+      layer.data[0].getStyle()(layer.data[0], 1)[0].getImage().getSrc()
+    ).toBe('blob:icon-1');
+    expect(revokeObjectURL).not.toHaveBeenCalled();
+
+    revokeObjectUrls(layer.objectUrls);
+    expect(revokeObjectURL).toHaveBeenCalledWith('blob:icon-1');
+  });
+
+  test('revokes the object URLs of a KMZ archive that cannot be read', async () => {
+    await expect(
+      readVectorFile(await createKMZ(''), { keepKmlStyles: true })
+    ).rejects.toThrow('a.kmz does not contain any placemark.');
+
+    expect(createObjectURL).toHaveBeenCalledTimes(1);
+    expect(revokeObjectURL).toHaveBeenCalledWith('blob:icon-1');
+  });
+
+  test('creates no object URLs when the styles are not kept', async () => {
+    const [layer] = await readVectorFile(await createKMZ(placemark));
+
+    expect(layer.objectUrls).toEqual([]);
+    expect(createObjectURL).not.toHaveBeenCalled();
+  });
+});
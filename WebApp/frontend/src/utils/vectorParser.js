@@ -0,0 +1,176 @@
+import proj4 from 'proj4';
+
+/**
+ * @typedef {Object} ParsedLayerSummary
+ * @property {number} layerId - Id of the layer kept by the worker.
+ * @property {string|null} crsName - Name in the legacy `crs` member of the data.
+ * @property {Array<number>|null} extent - Extent of the coordinates in the source CRS.
+ * @property {import('./vectorValidation').ValidationReport} report - The validation report.
+ */
+
+/**
+ * @typedef {Object} ParsedVectorLayer
+ * @property {VectorParser} parser - The parser keeping the layer.
+ * @property {number} layerId - Id of the layer kept by the worker.
+ * @property {string} crs - Code of the source CRS chosen for the layer.
+ * @property {string} action - What to do with the problem features, see `PROBLEM_ACTIONS`.
+ */
+
+/**
+ * @typedef {Object} ParserProgress
+ * @property {string} stage - `reading`, `parsing`, `validating` or `adding`.
+ * @property {number} [loaded] - Bytes read or features added so far.
+ * @property {number} [total] - File size or number of features.
+ */
+
+/**
+ * Parses, validates and reprojects GeoJSON layers in a Web Worker
+ * (see `workers/vectorParser.worker.js`), so that large uploads do not freeze the page.
+ * The worker is started on the first request; `terminate` cancels all pending requests.
+ */
+class VectorParser {
+  constructor() {
+    this.worker = null;
+    this.nextRequestId = 1;
+    this.requests = new Map();
+  }
+
+  /**
+   * Starts the worker if it is not running.
+   * @returns {Worker} The worker.
+   */
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(
+        new URL('../workers/vectorParser.worker.js', import.meta.url)
+      );
+      this.worker.onmessage = (e) => this.handleMessage(e.data);
+      this.worker.onerror = (e) => {
+        console.error('Vector parser worker error:', e);
+        this.rejectAll(new Error(e.message || 'The file parser stopped.'));
+      };
+    }
+    return this.worker;
+  }
+
+  /**
+   * Dispatches a message of the worker to the request it answers.
+   * @param {Object} message - The message.
+   */
+  handleMessage(message) {
+    const request = this.requests.get(message.id);
+    if (!request) return;
+
+    switch (message.type) {
+      case 'progress':
+        request.onProgress?.(message);
+        break;
+      case 'chunk':
+        request.onProgress?.({
+          stage: 'adding',
+          loaded: message.loaded,
+          total: message.total,
+        });
+        // A failing chunk aborts the build, which would otherwise wait for its acknowledgement
+        Promise.resolve()
+          .then(() => request.onChunk?.(message.features))
+          .then(
+            () => this.worker?.postMessage({ type: 'ack', id: message.id }),
+            (error) => {
+              this.worker?.postMessage({ type: 'abort', id: message.id });
+              this.requests.delete(message.id);
+              request.reject(error);
+            }
+          );
+        break;
+      case 'result':
+        this.requests.delete(message.id);
+        request.resolve(message.result);
+        break;
+      case 'error':
+        this.requests.delete(message.id);
+        request.reject(new Error(message.message));
+        break;
+      default:
+    }
+  }
+
+  /**
+   * Sends a request to the worker.
+   * @param {Object} message - The request.
+   * @param {Object} [callbacks={}] - The `onProgress` and `onChunk` callbacks of the request.
+   * @returns {Promise<*>} The result of the request.
+   */
+  send(message, callbacks = {}) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextRequestId++;
+      this.requests.set(id, { ...callbacks, resolve, reject });
+      this.getWorker().postMessage({ ...message, id });
+    });
+  }
+
+  /**
+   * Parses a GeoJSON file, or takes GeoJSON data read on the main thread, and validates it.
+   * @param {File|Object} source - The GeoJSON file or data.
+   * @param {string} fileName - Name of the file the layer is read from.
+   * @param {Function} [onProgress] - Called with the `ParserProgress`.
+   * @returns {Promise<ParsedLayerSummary>} The summary of the layer.
+   */
+  load(source, fileName, onProgress) {
+    return this.send(
+      source instanceof File
+        ? { type: 'load', file: source, fileName }
+        : { type: 'load', data: source, fileName },
+      { onProgress }
+    );
+  }
+
+  /**
+   * Builds a parsed layer: resolves its problem features and sends its features
+   * transformed to EPSG:3857 in chunks. The worker releases the layer afterwards.
+   * @param {number} layerId - Id of the layer.
+   * @param {Object} options - Build options.
+   * @param {string} options.crs - Code of the source CRS, registered in proj4.
+   * @param {string} options.action - What to do with the problem features, see `PROBLEM_ACTIONS`.
+   * @param {Function} options.onChunk - Called with each chunk of GeoJSON features; the next
+   * chunk is sent once the returned value (or promise) has resolved. If it throws or rejects,
+   * the build is aborted and rejected with its error.
+   * @param {Function} [options.onProgress] - Called with the `ParserProgress`.
+   * @returns {Promise<{count: number}>} The number of features built.
+   */
+  build(layerId, { crs, action, onChunk, onProgress }) {
+    return this.send(
+      {
+        type: 'build',
+        layerId,
+        definition: crs === 'EPSG:3857' ? null : proj4.defs(crs),
+        action,
+      },
+      { onChunk, onProgress }
+    );
+  }
+
+  /**
+   * Rejects all pending requests.
+   * @param {Error} error - The rejection reason.
+   */
+  rejectAll(error) {
+    this.requests.forEach((request) => request.reject(error));
+    this.requests.clear();
+  }
+
+  /**
+   * Stops the worker, dropping its layers and cancelling the pending requests.
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    const error = new Error('The upload was cancelled.');
+    error.name = 'AbortError';
+    this.rejectAll(error);
+  }
+}
+
+export default VectorParser;
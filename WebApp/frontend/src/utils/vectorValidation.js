@@ -0,0 +1,252 @@
+import GeoJSON from 'ol/format/GeoJSON';
+import {
+  GEOMETRY_ISSUES,
+  getGeometryIssue,
+  fixGeometry,
+} from './geometryUtils';
+import { inferValueType } from './valueTypes';
+
+/**
+ * What to do with the features whose geometry has a problem.
+ * @type {Array<{value: string, label: string}>}
+ */
+const PROBLEM_ACTIONS = [
+  {
+    value: 'keep',
+    label:
+      'Import them as they are, without the geometries that cannot be read',
+  },
+  { value: 'fix', label: 'Fix them, skipping those that cannot be fixed' },
+  { value: 'skip', label: 'Skip them' },
+];
+
+/**
+ * GeoJSON object types a file can hold at its root.
+ * @type {Array<string>}
+ */
+const GEOJSON_TYPES = [
+  'FeatureCollection',
+  'Feature',
+  'Point',
+  'MultiPoint',
+  'LineString',
+  'MultiLineString',
+  'Polygon',
+  'MultiPolygon',
+  'GeometryCollection',
+];
+
+/**
+ * @typedef {Object} ValidationReport
+ * @property {number} featureCount - Number of features.
+ * @property {Object<string, number>} geometryTypes - Number of features by geometry type.
+ * @property {boolean} mixedTypes - Whether the layer mixes points, lines and polygons.
+ * @property {Array<{index: number, issue: string}>} problems - Features whose geometry has
+ * a problem, see `GEOMETRY_ISSUES`.
+ * @property {Object<string, number>} issueCounts - Number of problem features by issue.
+ * @property {Object<string, string>} schema - Union of the property keys of all features
+ * with their inferred type (`number`, `boolean`, `date` or `string`).
+ */
+
+/**
+ * Parses the text of a GeoJSON file and checks the type of its root object.
+ * @param {string} text - The file content.
+ * @param {string} fileName - Name of the file, used in the error messages.
+ * @returns {Object} The GeoJSON data.
+ * @throws {Error} If the text is not valid JSON or not a GeoJSON object.
+ */
+const parseGeoJSON = (text, fileName) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${fileName} is not valid JSON: ${error.message}`);
+  }
+
+  if (!GEOJSON_TYPES.includes(data?.type))
+    throw new Error(
+      `${fileName} is not a GeoJSON object: the type ${JSON.stringify(data?.type ?? null)} is not supported.`
+    );
+  if (data.type === 'FeatureCollection' && !Array.isArray(data.features))
+    throw new Error(`${fileName} is a FeatureCollection without features.`);
+
+  return data;
+};
+
+/**
+ * Returns the features of GeoJSON data as GeoJSON features.
+ * @param {Object} data - A GeoJSON feature collection, feature or geometry.
+ * @returns {Array<Object>} The features.
+ */
+const getGeoJSONFeatures = (data) => {
+  if (!data) return [];
+  if (data.type === 'FeatureCollection') return data.features || [];
+  if (data.type === 'Feature') return [data];
+  return [{ type: 'Feature', geometry: data, properties: {} }];
+};
+
+/**
+ * Reads the geometry and properties of each feature of a layer, whether it is
+ * GeoJSON data or OpenLayers features.
+ * @param {Object|Array<import('ol/Feature').default>} data - The layer data.
+ * @returns {Array<{geometry: Object|null, properties: Object}>} The geometries (GeoJSON) and properties.
+ */
+const readFeatureParts = (data) => {
+  if (!Array.isArray(data)) {
+    return getGeoJSONFeatures(data).map((feature) => ({
+      geometry: feature?.geometry || null,
+      properties: feature?.properties || {},
+    }));
+  }
+
+  const format = new GeoJSON();
+  return data.map((feature) => {
+    const { [feature.getGeometryName()]: geometry, ...properties } =
+      feature.getProperties();
+    return {
+      geometry: geometry ? format.writeGeometryObject(geometry) : null,
+      properties,
+    };
+  });
+};
+
+/**
+ * Returns the family of a geometry type.
+ * @param {string} type - The GeoJSON geometry type.
+ * @returns {string} `point`, `line`, `polygon` or `collection`.
+ */
+const getGeometryFamily = (type) => {
+  if (/Point$/.test(type)) return 'point';
+  if (/LineString$/.test(type)) return 'line';
+  if (/Polygon$/.test(type)) return 'polygon';
+  return 'collection';
+};
+
+/**
+ * Validates the features of an uploaded layer before it is added to the map:
+ * counts them by geometry type, finds empty, invalid and self-intersecting
+ * geometries and infers the attribute schema from the properties of all features.
+ * @param {Object|Array<import('ol/Feature').default>} data - The GeoJSON data, or the features read from the file.
+ * @returns {ValidationReport} The report.
+ */
+const validateVectorLayer = (data) => {
+  const parts = readFeatureParts(data);
+  const geometryTypes = {};
+  const problems = [];
+  const issueCounts = Object.fromEntries(
+    Object.values(GEOMETRY_ISSUES).map((issue) => [issue, 0])
+  );
+  const values = {};
+
+  parts.forEach(({ geometry, properties }, index) => {
+    if (geometry?.type) {
+      geometryTypes[geometry.type] = (geometryTypes[geometry.type] || 0) + 1;
+    }
+
+    const issue = getGeometryIssue(geometry);
+    if (issue) {
+      problems.push({ index, issue });
+      issueCounts[issue] += 1;
+    }
+
+    Object.entries(properties).forEach(([key, value]) => {
+      (values[key] = values[key] || []).push(value);
+    });
+  });
+
+  const families = new Set(Object.keys(geometryTypes).map(getGeometryFamily));
+
+  return {
+    featureCount: parts.length,
+    geometryTypes,
+    mixedTypes: families.size > 1,
+    problems,
+    issueCounts,
+    schema: Object.fromEntries(
+      Object.entries(values).map(([key, keyValues]) => [
+        key,
+        inferValueType(keyValues),
+      ])
+    ),
+  };
+};
+
+/**
+ * Checks whether OpenLayers can read a GeoJSON geometry; it throws on unknown
+ * types and on missing coordinates, which would stop the import of a whole layer.
+ * @param {GeoJSON} format - The GeoJSON format.
+ * @param {Object|null} geometry - The geometry.
+ * @returns {boolean} True if the geometry can be read (or is null).
+ */
+const isReadableGeometry = (format, geometry) => {
+  if (!geometry) return true;
+  try {
+    format.readGeometry(geometry);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Applies the chosen action to the problem features of a layer. Kept GeoJSON features
+ * whose geometry OpenLayers cannot read are imported without a geometry.
+ * @param {Object|Array<import('ol/Feature').default>} data - The GeoJSON data, or the features read from the file.
+ * @param {ValidationReport} report - The report of the layer, see `validateVectorLayer`.
+ * @param {string} action - `keep`, `fix` or `skip`, see `PROBLEM_ACTIONS`.
+ * @returns {Object|Array<import('ol/Feature').default>} The data without the skipped features
+ * and with the fixed geometries; GeoJSON data becomes a feature collection keeping its `crs` member.
+ */
+const resolveProblemFeatures = (data, report, action) => {
+  if (report.problems.length === 0) return data;
+  // Features read by OpenLayers always have a readable geometry
+  if (action === 'keep' && Array.isArray(data)) return data;
+
+  const problemIndexes = new Set(report.problems.map(({ index }) => index));
+
+  if (Array.isArray(data)) {
+    const format = new GeoJSON();
+    return data.filter((feature, index) => {
+      if (!problemIndexes.has(index)) return true;
+      if (action === 'skip') return false;
+
+      const geometry = feature.getGeometry();
+      const fixed = fixGeometry(
+        geometry ? format.writeGeometryObject(geometry) : null
+      );
+      if (!fixed) return false;
+      feature.setGeometry(format.readGeometry(fixed));
+      return true;
+    });
+  }
+
+  const format = new GeoJSON();
+  const features = getGeoJSONFeatures(data).flatMap((feature, index) => {
+    if (!problemIndexes.has(index)) return [feature];
+    if (action === 'skip') return [];
+    if (action === 'keep') {
+      return [
+        isReadableGeometry(format, feature?.geometry)
+          ? feature
+          : { ...feature, type: 'Feature', geometry: null },
+      ];
+    }
+
+    const fixed = fixGeometry(feature?.geometry || null);
+    return fixed ? [{ ...feature, geometry: fixed }] : [];
+  });
+
+  return {
+    type: 'FeatureCollection',
+    ...(data.crs && { crs: data.crs }),
+    features,
+  };
+};
+
+export {
+  PROBLEM_ACTIONS,
+  parseGeoJSON,
+  getGeoJSONFeatures,
+  validateVectorLayer,
+  resolveProblemFeatures,
+};
@@ -0,0 +1,162 @@
+import Feature from 'ol/Feature';
+import Point from 'ol/geom/Point';
+import LineString from 'ol/geom/LineString';
+import GeoJSON from 'ol/format/GeoJSON';
+import {
+  parseGeoJSON,
+  getGeoJSONFeatures,
+  validateVectorLayer,
+  resolveProblemFeatures,
+} from './vectorValidation';
+
+const bowtie = {
+  type: 'Polygon',
+  coordinates: [
+    [
+      [0, 0],
+      [10, 10],
+      [10, 0],
+      [0, 10],
+      [0, 0],
+    ],
+  ],
+};
+
+const feature = (geometry, properties = {}) => ({
+  type: 'Feature',
+  geometry,
+  properties,
+});
+
+const layer = {
+  type: 'FeatureCollection',
+  crs: { type: 'name', properties: { name: 'EPSG:2180' } },
+  features: [
+    feature({ type: 'Point', coordinates: [1, 2] }, { name: 'a', count: 1 }),
+    feature(bowtie, { name: 'b', count: '2', active: 'true' }),
+    feature({ type: 'Polygon', coordinates: null }, { name: 'c' }),
+    feature({ type: 'Circle', coordinates: [0, 0], radius: 5 }),
+  ],
+};
+
+describe('parseGeoJSON', () => {
+  test('parses GeoJSON objects', () => {
+    expect(
+      parseGeoJSON('{"type":"Point","coordinates":[1,2]}', 'a.geojson')
+    ).toEqual({
+      type: 'Point',
+      coordinates: [1, 2],
+    });
+  });
+
+  test('names the file and the problem in its errors', () => {
+    expect(() => parseGeoJSON('{', 'a.geojson')).toThrow(
+      /^a\.geojson is not valid JSON/
+    );
+    expect(() => parseGeoJSON('{"type":"Topology"}', 'a.geojson')).toThrow(
+      'a.geojson is not a GeoJSON object: the type "Topology" is not supported.'
+    );
+    expect(() =>
+      parseGeoJSON('{"type":"FeatureCollection"}', 'a.geojson')
+    ).toThrow('a.geojson is a FeatureCollection without features.');
+  });
+});
+
+describe('getGeoJSONFeatures', () => {
+  test('wraps features and bare geometries', () => {
+    const point = { type: 'Point', coordinates: [0, 0] };
+    expect(getGeoJSONFeatures(feature(point))).toEqual([feature(point)]);
+    expect(getGeoJSONFeatures(point)).toEqual([feature(point)]);
+    expect(getGeoJSONFeatures(null)).toEqual([]);
+  });
+});
+
+describe('validateVectorLayer', () => {
+  test('counts geometry types, finds problems and infers the schema', () => {
+    const report = validateVectorLayer(layer);
+    expect(report.featureCount).toBe(4);
+    expect(report.geometryTypes).toEqual({ Point: 1, Polygon: 2, Circle: 1 });
+    expect(report.mixedTypes).toBe(true);
+    expect(report.problems).toEqual([
+      { index: 1, issue: 'selfIntersection' },
+      { index: 2, issue: 'empty' },
+      { index: 3, issue: 'invalid' },
+    ]);
+    expect(report.issueCounts).toEqual({
+      empty: 1,
+      invalid: 1,
+      selfIntersection: 1,
+    });
+    expect(report.schema).toEqual({
+      name: 'string',
+      count: 'number',
+      active: 'boolean',
+    });
+  });
+
+  test('reads OpenLayers features', () => {
+    const features = [
+      new Feature({ geometry: new Point([0, 0]), name: 'a' }),
+      new Feature({ geometry: new Point([1, 1]), name: 'b' }),
+    ];
+    const report = validateVectorLayer(features);
+    expect(report.geometryTypes).toEqual({ Point: 2 });
+    expect(report.mixedTypes).toBe(false);
+    expect(report.problems).toEqual([]);
+    expect(report.schema).toEqual({ name: 'string' });
+  });
+});
+
+describe('resolveProblemFeatures', () => {
+  const report = validateVectorLayer(layer);
+
+  test('keeps the features without the geometries OpenLayers cannot read', () => {
+    const resolved = resolveProblemFeatures(layer, report, 'keep');
+    expect(resolved.crs).toEqual(layer.crs);
+    expect(resolved.features.map((item) => item.geometry)).toEqual([
+      layer.features[0].geometry,
+      bowtie,
+      null,
+      null,
+    ]);
+    expect(resolved.features[2].properties).toEqual({ name: 'c' });
+    expect(() => new GeoJSON().readFeatures(resolved)).not.toThrow();
+  });
+
+  test('skips the problem features', () => {
+    const resolved = resolveProblemFeatures(layer, report, 'skip');
+    expect(resolved.features).toEqual([layer.features[0]]);
+  });
+
+  test('fixes the problem features and skips those that cannot be fixed', () => {
+    const resolved = resolveProblemFeatures(layer, report, 'fix');
+    expect(resolved.features).toHaveLength(2);
+    expect(resolved.features[1].geometry.type).toBe('MultiPolygon');
+    expect(resolved.features[1].properties).toEqual(
+      layer.features[1].properties
+    );
+  });
+
+  test('returns data without problems as it is', () => {
+    const data = { type: 'FeatureCollection', features: [layer.features[0]] };
+    expect(
+      resolveProblemFeatures(data, validateVectorLayer(data), 'skip')
+    ).toBe(data);
+  });
+
+  test('filters OpenLayers features', () => {
+    const features = [
+      new Feature({ geometry: new Point([0, 0]) }),
+      new Feature({ geometry: new LineString([[0, 0]]) }),
+      new Feature(),
+    ];
+    const featureReport = validateVectorLayer(features);
+    expect(featureReport.problems).toHaveLength(2);
+    expect(resolveProblemFeatures(features, featureReport, 'keep')).toBe(
+      features
+    );
+    expect(resolveProblemFeatures(features, featureReport, 'skip')).toEqual([
+      features[0],
+    ]);
+  });
+});
@@ -0,0 +1,174 @@
+import proj4 from 'proj4';
+import { getGeoJSONExtent } from '../utils/geometryUtils';
+import {
+  parseGeoJSON,
+  getGeoJSONFeatures,
+  validateVectorLayer,
+  resolveProblemFeatures,
+} from '../utils/vectorValidation';
+
+/**
+ * Web Worker parsing, validating and reprojecting uploaded GeoJSON layers off the
+ * main thread (see `utils/vectorParser`). Parsed layers are kept here until they
+ * are built, so that only their summary and then chunks of features are sent back.
+ */
+
+/**
+ * Number of features sent to the main thread at a time.
+ * @type {number}
+ */
+const CHUNK_SIZE = 2000;
+
+/**
+ * Parsed layers with their validation report, by layer id.
+ * @type {Map<number, {data: Object, report: Object}>}
+ */
+const layers = new Map();
+
+/**
+ * Resolvers of the chunks waiting to be acknowledged by the main thread, by request id;
+ * called with false when the main thread aborts the build.
+ * @type {Map<number, Function>}
+ */
+const acknowledgements = new Map();
+
+let nextLayerId = 1;
+
+/**
+ * Reads a file as text, reporting the progress.
+ * @param {File} file - The file.
+ * @param {Function} onProgress - Called with the bytes read and the file size.
+ * @returns {Promise<string>} The file content.
+ */
+const readText = (file, onProgress) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onprogress = (e) => onProgress(e.loaded, e.total);
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () =>
+      reject(reader.error || new Error(`Cannot read ${file.name}.`));
+    reader.readAsText(file);
+  });
+
+/**
+ * Transforms the coordinates of a GeoJSON geometry.
+ * @param {Object|null} geometry - The geometry.
+ * @param {Function} transform - Transforms an [x, y] position.
+ * @returns {Object|null} The transformed geometry.
+ */
+const transformGeometry = (geometry, transform) => {
+  if (!geometry) return geometry;
+  if (geometry.type === 'GeometryCollection') {
+    return {
+      ...geometry,
+      geometries: (geometry.geometries || []).map((member) =>
+        transformGeometry(member, transform)
+      ),
+    };
+  }
+
+  const transformCoordinates = (coordinates) => {
+    if (!Array.isArray(coordinates)) return coordinates;
+    return typeof coordinates[0] === 'number'
+      ? [...transform(coordinates.slice(0, 2)), ...coordinates.slice(2)]
+      : coordinates.map(transformCoordinates);
+  };
+  return {
+    ...geometry,
+    coordinates: transformCoordinates(geometry.coordinates),
+  };
+};
+
+/**
+ * Parses a GeoJSON file, or takes GeoJSON data read on the main thread,
+ * validates it and keeps it until it is built.
+ * @param {Object} message - The request.
+ * @param {Function} post - Posts a message for the request.
+ * @returns {Promise<Object>} The summary of the layer.
+ */
+const load = async ({ file, data, fileName }, post) => {
+  let layerData = data;
+  if (file) {
+    const text = await readText(file, (loaded, total) =>
+      post({ type: 'progress', stage: 'reading', loaded, total })
+    );
+    post({ type: 'progress', stage: 'parsing' });
+    layerData = parseGeoJSON(text, fileName);
+  }
+
+  post({ type: 'progress', stage: 'validating' });
+  const report = validateVectorLayer(layerData);
+  const layerId = nextLayerId++;
+  layers.set(layerId, { data: layerData, report });
+
+  return {
+    layerId,
+    crsName: layerData.crs?.properties?.name || null,
+    extent: getGeoJSONExtent(layerData),
+    report,
+  };
+};
+
+/**
+ * Resolves the problem features of a layer, transforms it to EPSG:3857 and sends
+ * its features in chunks, each sent once the previous one has been acknowledged.
+ * @param {Object} message - The request.
+ * @param {Function} post - Posts a message for the request.
+ * @returns {Promise<{count: number}>} The number of features sent.
+ */
+const build = async ({ id, layerId, definition, action }, post) => {
+  const layer = layers.get(layerId);
+  if (!layer) throw new Error('The layer is no longer available.');
+  layers.delete(layerId);
+
+  const features = getGeoJSONFeatures(
+    resolveProblemFeatures(layer.data, layer.report, action)
+  );
+  const converter = definition ? proj4(definition, 'EPSG:3857') : null;
+  const transform = converter
+    ? (position) => converter.forward(position)
+    : null;
+
+  for (let start = 0; start < features.length; start += CHUNK_SIZE) {
+    const chunk = features.slice(start, start + CHUNK_SIZE).map((feature) =>
+      transform
+        ? {
+            ...feature,
+            geometry: transformGeometry(feature.geometry, transform),
+          }
+        : feature
+    );
+    const acknowledged = new Promise((resolve) =>
+      acknowledgements.set(id, resolve)
+    );
+    post({
+      type: 'chunk',
+      features: chunk,
+      loaded: Math.min(start + CHUNK_SIZE, features.length),
+      total: features.length,
+    });
+    if (!(await acknowledged)) throw new Error('The build was aborted.');
+  }
+
+  return { count: features.length };
+};
+
+globalThis.onmessage = async ({ data: message }) => {
+  const post = (reply) => globalThis.postMessage({ ...reply, id: message.id });
+
+  if (message.type === 'ack' || message.type === 'abort') {
+    acknowledgements.get(message.id)?.(message.type === 'ack');
+    acknowledgements.delete(message.id);
+    return;
+  }
+
+  try {
+    const result =
+      message.type === 'load'
+        ? await load(message, post)
+        : await build(message, post);
+    post({ type: 'result', result });
+  } catch (error) {
+    post({ type: 'error', message: error.message });
+  }
+};
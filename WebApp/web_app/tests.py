@@ -1,3 +1,279 @@
-from django.test import TestCase
+from itertools import count
+from unittest import mock
 
-# Create your tests here.
+from django.core.cache import cache
+from django.test import SimpleTestCase, override_settings
+
+
+class FakeResponse:
+    """
+    Stand-in for a streamed requests.Response.
+    :param chunks: Iterable of the body chunks, read lazily by iter_content.
+    :param status_code: HTTP status code.
+    :param headers: Response headers.
+    """
+
+    def __init__(self, chunks=(), status_code=200, headers=None):
+        self.chunks = chunks
+        self.status_code = status_code
+        self.headers = headers or {}
+        self.closed = False
+
+    @property
+    def is_redirect(self):
+        return self.status_code in (301, 302, 303, 307, 308) and "Location" in self.headers
+
+    def iter_content(self, chunk_size=1):
+        return iter(self.chunks)
+
+    def close(self):
+        self.closed = True
+
+    def __enter__(self):
+        return self
+
+    def __exit__(self, *args):
+        self.close()
+
+
+@override_settings(
+    OGC_PROXY_ALLOWED_HOSTS=[".geoportal.gov.pl", "ahocevar.com"],
+    OGC_PROXY_MAX_RESPONSE_SIZE=1024,
+    OGC_PROXY_CAPABILITIES_CACHE_TIMEOUT=60,
+)
+class OgcProxyTests(SimpleTestCase):
+    proxy_url = "/WebApp/api/proxy/"
+    capabilities_url = "https://mapy.geoportal.gov.pl/wss/service/WMS?SERVICE=WMS&REQUEST=GetCapabilities"
+
+    def setUp(self):
+        cache.clear()
+        patcher = mock.patch("web_app.utils.requests.get")
+        self.get = patcher.start()
+        self.addCleanup(patcher.stop)
+
+    def test_forwards_requests_to_allowed_hosts(self):
+        self.get.return_value = FakeResponse([b"<xml/>"], headers={"Content-Type": "text/xml"})
+
+        response = self.client.get(self.proxy_url, {"url": "https://ahocevar.com/wms?SERVICE=WMS", "REQUEST": "GetMap"})
+
+        self.assertEqual(response.status_code, 200)
+        self.assertEqual(response.content, b"<xml/>")
+        self.assertEqual(response["Content-Type"], "text/xml")
+        self.assertEqual(self.get.call_args.args[0], "https://ahocevar.com/wms?SERVICE=WMS&REQUEST=GetMap")
+        self.assertFalse(self.get.call_args.kwargs["allow_redirects"])
+
+    def test_rejects_hosts_not_on_the_allowlist(self):
+        for url in (
+            "https://example.com/wms",
+            "https://geoportal.gov.pl.example.com/wms",
+            "https://notahocevar.com/wms",
+        ):
+            with self.subTest(url=url):
+                response = self.client.get(self.proxy_url, {"url": url})
+                self.assertEqual(response.status_code, 403)
+
+        self.get.assert_not_called()
+
+    def test_rejects_missing_urls_and_other_schemes(self):
+        self.assertEqual(self.client.get(self.proxy_url).status_code, 400)
+        self.assertEqual(self.client.get(self.proxy_url, {"url": "file:///etc/passwd"}).status_code, 400)
+        self.get.assert_not_called()
+
+    def test_rejects_redirects_to_hosts_not_on_the_allowlist(self):
+        redirect = FakeResponse(status_code=302, headers={"Location": "http://169.254.169.254/latest/meta-data/"})
+        self.get.return_value = redirect
+
+        response = self.client.get(self.proxy_url, {"url": "https://ahocevar.com/wms"})
+
+        self.assertEqual(response.status_code, 403)
+        self.assertEqual(self.get.call_count, 1)
+        self.assertTrue(redirect.closed)
+
+    def test_follows_redirects_to_allowed_hosts(self):
+        self.get.side_effect = [
+            FakeResponse(status_code=301, headers={"Location": "https://mapy.geoportal.gov.pl/wms"}),
+            FakeResponse([b"ok"]),
+        ]
+
+        response = self.client.get(self.proxy_url, {"url": "https://ahocevar.com/wms"})
+
+        self.assertEqual(response.status_code, 200)
+        self.assertEqual(self.get.call_args.args[0], "https://mapy.geoportal.gov.pl/wms")
+
+    def test_stops_after_too_many_redirects(self):
+        self.get.side_effect = lambda *args, **kwargs: FakeResponse(
+            status_code=302, headers={"Location": "https://ahocevar.com/wms"}
+        )
+
+        response = self.client.get(self.proxy_url, {"url": "https://ahocevar.com/wms"})
+
+        self.assertEqual(response.status_code, 502)
+        self.assertEqual(self.get.call_count, 4)
+
+    def test_rejects_responses_declared_too_large(self):
+        body = mock.MagicMock()
+        self.get.return_value = FakeResponse(body, headers={"Content-Length": "2048"})
+
+        response = self.client.get(self.proxy_url, {"url": "https://ahocevar.com/wms"})
+
+        self.assertEqual(response.status_code, 413)
+        body.__iter__.assert_not_called()
+
+    def test_cuts_off_oversized_responses(self):
+        chunks_read = count()
+
+        def endless_body():
+            while True:
+                next(chunks_read)
+                yield b"x" * 512
+
+        self.get.return_value = FakeResponse(endless_body())
+
+        response = self.client.get(self.proxy_url, {"url": "https://ahocevar.com/wms"})
+
+        self.assertEqual(response.status_code, 413)
+        self.assertEqual(next(chunks_read), 3)
+
+    def test_serves_capabilities_from_the_cache(self):
+        self.get.return_value = FakeResponse([b"<Capabilities/>"], headers={"Content-Type": "text/xml"})
+
+        first = self.client.get(self.proxy_url, {"url": self.capabilities_url})
+        self.get.return_value = FakeResponse([b"<Changed/>"])
+        second = self.client.get(self.proxy_url, {"url": self.capabilities_url})
+
+        self.assertEqual(self.get.call_count, 1)
+        self.assertEqual(second.status_code, 200)
+        self.assertEqual(second.content, first.content)
+        self.assertEqual(second["Content-Type"], "text/xml")
+
+    def test_does_not_cache_other_requests_or_errors(self):
+        self.get.side_effect = lambda *args, **kwargs: FakeResponse([b"tile"])
+        self.client.get(self.proxy_url, {"url": "https://ahocevar.com/wmts?REQUEST=GetTile"})
+        self.client.get(self.proxy_url, {"url": "https://ahocevar.com/wmts?REQUEST=GetTile"})
+        self.assertEqual(self.get.call_count, 2)
+
+        self.get.side_effect = lambda *args, **kwargs: FakeResponse([b"error"], status_code=500)
+        self.client.get(self.proxy_url, {"url": self.capabilities_url})
+        self.client.get(self.proxy_url, {"url": self.capabilities_url})
+        self.assertEqual(self.get.call_count, 4)
+
+
+class FakeCursor:
+    """
+    Stand-in for a database cursor recording the executed queries.
+    :param columns: Column names reported in the description of every query.
+    :param rows: Rows returned by the successive fetchone calls.
+    """
+
+    def __init__(self, columns, rows):
+        self.description = [(column,) for column in columns]
+        self.rows = list(rows)
+        self.queries = []
+
+    def execute(self, sql, params=None):
+        self.queries.append((sql, params))
+
+    def fetchone(self):
+        return self.rows.pop(0)
+
+    def __enter__(self):
+        return self
+
+    def __exit__(self, *args):
+        pass
+
+
+@override_settings(
+    VECTOR_TILE_LAYERS={
+        "rivers": {
+            "schema": "hydro",
+            "table": 'Rivers"; DROP TABLE users; --',
+            "id_column": "gid",
+        },
+    },
+    VECTOR_TILE_MAX_ZOOM=14,
+    VECTOR_TILE_CACHE_TIMEOUT=60,
+)
+class VectorTileTests(SimpleTestCase):
+    def setUp(self):
+        cache.clear()
+        sources = mock.patch.dict("web_app.utils._vector_tile_sources", clear=True)
+        sources.start()
+        self.addCleanup(sources.stop)
+        patcher = mock.patch("web_app.utils.connection")
+        self.connection = patcher.start()
+        self.addCleanup(patcher.stop)
+
+    def use_cursor(self, *rows):
+        cursor = FakeCursor(["gid", "geom", "name", 'odd"name'], [(2180,), *rows])
+        self.connection.cursor.return_value = cursor
+        return cursor
+
+    def test_rejects_unknown_layers(self):
+        for url in ("/WebApp/api/tiles/users/0/0/0.pbf", "/WebApp/api/tiles/users/extent/"):
+            with self.subTest(url=url):
+                response = self.client.get(url)
+                self.assertEqual(response.status_code, 404)
+                self.assertEqual(response.json()["error"], "Layer 'users' is not served as vector tiles.")
+
+        self.connection.cursor.assert_not_called()
+
+    def test_rejects_tiles_out_of_range(self):
+        for z, x, y in ((15, 0, 0), (1, 2, 0), (1, 0, 2), (0, 1, 0)):
+            with self.subTest(tile=(z, x, y)):
+                response = self.client.get(f"/WebApp/api/tiles/rivers/{z}/{x}/{y}.pbf")
+                self.assertEqual(response.status_code, 404)
+
+        self.assertEqual(self.client.get("/WebApp/api/tiles/rivers/1/-1/0.pbf").status_code, 404)
+        self.connection.cursor.assert_not_called()
+
+    def test_quotes_identifiers_and_passes_values_as_parameters(self):
+        cursor = self.use_cursor((b"tile",))
+
+        response = self.client.get("/WebApp/api/tiles/rivers/14/9166/5406.pbf")
+
+        self.assertEqual(response.status_code, 200)
+        self.assertEqual(response.content, b"tile")
+        self.assertEqual(response["Content-Type"], "application/vnd.mapbox-vector-tile")
+
+        table = '"hydro"."Rivers""; DROP TABLE users; --"'
+        self.assertEqual(cursor.queries[0], (f"SELECT * FROM {table} LIMIT 0", None))
+        self.assertEqual(cursor.queries[1][1], ["hydro", 'Rivers"; DROP TABLE users; --', "geom"])
+
+        sql, params = cursor.queries[2]
+        self.assertIn(f"FROM {table} t, bounds", sql)
+        self.assertIn(', t."name", t."odd""name", t."gid"', sql)
+        self.assertEqual(params, [14, 9166, 5406, 2180, "rivers", "gid"])
+
+    def test_caches_tiles(self):
+        self.use_cursor((b"tile",))
+
+        self.client.get("/WebApp/api/tiles/rivers/3/4/2.pbf")
+        response = self.client.get("/WebApp/api/tiles/rivers/3/4/2.pbf")
+
+        self.assertEqual(response.content, b"tile")
+        self.assertEqual(response["Cache-Control"], "public, max-age=60")
+        self.assertEqual(self.connection.cursor.call_count, 2)
+
+    def test_serves_empty_tiles(self):
+        self.use_cursor((None,))
+
+        response = self.client.get("/WebApp/api/tiles/rivers/0/0/0.pbf")
+
+        self.assertEqual(response.status_code, 200)
+        self.assertEqual(response.content, b"")
+
+    def test_serves_the_extent_of_the_table(self):
+        cursor = self.use_cursor((1.5, 2.0, 3.0, 4.5))
+
+        response = self.client.get("/WebApp/api/tiles/rivers/extent/")
+
+        self.assertEqual(response.json(), {"extent": [1.5, 2.0, 3.0, 4.5]})
+        self.assertEqual(cursor.queries[2][1], [2180])
+
+    def test_serves_no_extent_for_empty_tables(self):
+        self.use_cursor((None, None, None, None))
+
+        response = self.client.get("/WebApp/api/tiles/rivers/extent/")
+
+        self.assertEqual(response.json(), {"extent": None})
@@ -1,7 +1,10 @@
 from django.urls import path
-from .views import korytarze_ekologiczne, jcwprzeczne
+from .views import korytarze_ekologiczne, jcwprzeczne, ogc_proxy, vector_tile, vector_tile_extent
 
 urlpatterns = [
     path('api/layers/korytarze/', korytarze_ekologiczne, name='korytarze_ekologiczne'),
     path('api/layers/jcwprzeczne/', jcwprzeczne, name='jcwprzeczne'),
+    path('api/proxy/', ogc_proxy, name='ogc_proxy'),
+    path('api/tiles/<str:layer>/<int:z>/<int:x>/<int:y>.pbf', vector_tile, name='vector_tile'),
+    path('api/tiles/<str:layer>/extent/', vector_tile_extent, name='vector_tile_extent'),
 ]
\ No newline at end of file
@@ -1,6 +1,11 @@
 from django.http import JsonResponse
 from django.db import connection
+from django.conf import settings
+from django.core.cache import cache
+from urllib.parse import urlsplit, urlunsplit, parse_qsl, urlencode
+import hashlib
 import json
+import requests
 
 class BaseModel:
     @staticmethod
@@ -49,3 +54,300 @@ def execute_geojson_query(sql_query):
 
     except Exception as e:
         return JsonResponse({"error": str(e), "message": "Error occurred while processing data."})
+
+
+
+class ProxyError(Exception):
+    """
+    Error raised when a proxied OGC request is rejected or fails.
+    :param message: Description of the error.
+    :param status: HTTP status code returned to the client.
+    """
+
+    def __init__(self, message, status=400):
+        super().__init__(message)
+        self.status = status
+
+
+def is_host_allowed(host):
+    """
+    Checks the host against OGC_PROXY_ALLOWED_HOSTS.
+    Entries starting with a dot also match all subdomains.
+    :param host: Host name of the target URL.
+    :return: True if requests to the host may be proxied.
+    """
+    host = (host or "").lower()
+    for allowed in settings.OGC_PROXY_ALLOWED_HOSTS:
+        allowed = allowed.lower()
+        if allowed.startswith("."):
+            if host == allowed[1:] or host.endswith(allowed):
+                return True
+        elif host == allowed:
+            return True
+    return False
+
+
+def build_proxy_target_url(url, params):
+    """
+    Builds the upstream URL from the target URL and the additional query parameters
+    sent to the proxy (OpenLayers appends request parameters to the proxy URL).
+    Parameters in the target URL are replaced case-insensitively by the additional ones.
+    :param url: Target URL passed in the `url` parameter.
+    :param params: List of (key, value) pairs of the remaining query parameters.
+    :return: The upstream URL.
+    """
+    if not url:
+        raise ProxyError("Missing 'url' parameter.")
+
+    parts = urlsplit(url)
+    if parts.scheme not in ("http", "https"):
+        raise ProxyError("Only http and https URLs can be proxied.")
+    if not is_host_allowed(parts.hostname):
+        raise ProxyError(f"Host '{parts.hostname}' is not allowed.", status=403)
+
+    keys = {key.upper() for key, _ in params}
+    query = [
+        (key, value)
+        for key, value in parse_qsl(parts.query, keep_blank_values=True)
+        if key.upper() not in keys
+    ] + list(params)
+
+    target_url = urlunsplit(
+        (parts.scheme, parts.netloc, parts.path, urlencode(query), "")
+    )
+    if len(target_url) > settings.OGC_PROXY_MAX_URL_LENGTH:
+        raise ProxyError("Target URL is too long.", status=414)
+
+    return target_url
+
+
+def is_capabilities_request(url):
+    """
+    Checks whether the URL is an OGC GetCapabilities request.
+    :param url: Upstream URL.
+    :return: True for GetCapabilities requests.
+    """
+    return any(
+        key.upper() == "REQUEST" and value.lower() == "getcapabilities"
+        for key, value in parse_qsl(urlsplit(url).query)
+    )
+
+
+def fetch_ogc_resource(url, max_redirects=3):
+    """
+    Fetches an OGC resource (capabilities, tile, feature info, legend) from an allowed host.
+    Redirects are followed manually so that every hop is checked against the allowlist,
+    and the response body is limited to OGC_PROXY_MAX_RESPONSE_SIZE bytes.
+    GetCapabilities responses are cached for OGC_PROXY_CAPABILITIES_CACHE_TIMEOUT seconds.
+    :param url: Upstream URL, already validated by build_proxy_target_url.
+    :param max_redirects: Maximum number of redirects to follow.
+    :return: Tuple (content, content_type, status).
+    """
+    cache_key = None
+    if is_capabilities_request(url):
+        cache_key = "ogc-proxy:" + hashlib.sha256(url.encode("utf-8")).hexdigest()
+        cached = cache.get(cache_key)
+        if cached:
+            return cached
+
+    for _ in range(max_redirects + 1):
+        try:
+            response = requests.get(
+                url,
+                timeout=settings.OGC_PROXY_TIMEOUT,
+                stream=True,
+                allow_redirects=False,
+            )
+        except requests.Timeout:
+            raise ProxyError("Upstream server timed out.", status=504)
+        except requests.RequestException as e:
+            raise ProxyError(f"Upstream request failed: {e}", status=502)
+
+        if not response.is_redirect:
+            break
+
+        url = requests.compat.urljoin(url, response.headers.get("Location", ""))
+        response.close()
+        if not is_host_allowed(urlsplit(url).hostname):
+            raise ProxyError("Redirect to a host that is not allowed.", status=403)
+    else:
+        raise ProxyError("Too many redirects.", status=502)
+
+    max_size = settings.OGC_PROXY_MAX_RESPONSE_SIZE
+    with response:
+        declared_size = int(response.headers.get("Content-Length") or 0)
+        if declared_size > max_size:
+            raise ProxyError("Upstream response is too large.", status=413)
+
+        content = bytearray()
+        for chunk in response.iter_content(chunk_size=64 * 1024):
+            content.extend(chunk)
+            if len(content) > max_size:
+                raise ProxyError("Upstream response is too large.", status=413)
+
+    result = (
+        bytes(content),
+        response.headers.get("Content-Type", "application/octet-stream"),
+        response.status_code,
+    )
+
+    if cache_key and response.status_code == 200:
+        cache.set(cache_key, result, settings.OGC_PROXY_CAPABILITIES_CACHE_TIMEOUT)
+
+    return result
+
+
+class VectorTileError(Exception):
+    """
+    Error raised when a vector tile request is rejected or cannot be generated.
+    :param message: Description of the error.
+    :param status: HTTP status code returned to the client.
+    """
+
+    def __init__(self, message, status=400):
+        super().__init__(message)
+        self.status = status
+
+
+_vector_tile_sources = {}
+
+
+def quote_identifier(name):
+    """
+    Quotes a PostgreSQL identifier, doubling the quotes it contains
+    (connection.ops.quote_name leaves them as they are).
+    :param name: Schema, table or column name.
+    :return: The quoted identifier.
+    """
+    return '"' + name.replace('"', '""') + '"'
+
+
+def get_vector_tile_source(layer):
+    """
+    Resolves a layer of VECTOR_TILE_LAYERS to its quoted table, geometry and attribute columns.
+    The attribute columns and the SRID of the geometry column are read once and memoized.
+    :param layer: Layer name used in the tile URL.
+    :return: Dict with the quoted 'table', 'geometry', 'id' (or None) and 'columns', the unquoted 'id_name' and the 'srid'.
+    """
+    config = settings.VECTOR_TILE_LAYERS.get(layer)
+    if config is None:
+        raise VectorTileError(f"Layer '{layer}' is not served as vector tiles.", status=404)
+    if layer in _vector_tile_sources:
+        return _vector_tile_sources[layer]
+
+    quote = quote_identifier
+    schema = config.get("schema", "public")
+    geometry_column = config.get("geometry_column", "geom")
+    id_column = config.get("id_column")
+    table = f"{quote(schema)}.{quote(config['table'])}"
+
+    try:
+        with connection.cursor() as cursor:
+            cursor.execute(f"SELECT * FROM {table} LIMIT 0")
+            table_columns = [col[0] for col in cursor.description]
+            cursor.execute("SELECT Find_SRID(%s, %s, %s)", [schema, config["table"], geometry_column])
+            srid = cursor.fetchone()[0]
+    except Exception as e:
+        raise VectorTileError(f"Error reading layer '{layer}': {e}", status=500)
+
+    columns = [
+        column for column in config.get("columns", table_columns)
+        if column in table_columns and column not in (geometry_column, id_column)
+    ]
+
+    source = {
+        "table": table,
+        "geometry": quote(geometry_column),
+        "id": quote(id_column) if id_column else None,
+        "id_name": id_column,
+        "columns": [quote(column) for column in columns],
+        "srid": srid,
+    }
+    _vector_tile_sources[layer] = source
+    return source
+
+
+def fetch_vector_tile(layer, z, x, y):
+    """
+    Generates a Mapbox Vector Tile of a VECTOR_TILE_LAYERS table with ST_AsMVT.
+    Geometries are transformed to EPSG:3857 and clipped to the tile with a 64 pixel buffer,
+    only rows intersecting the tile envelope (in the table SRID, so the spatial index is used) are read.
+    Tiles are cached for VECTOR_TILE_CACHE_TIMEOUT seconds.
+    :param layer: Layer name used in the tile URL, also the name of the layer inside the tile.
+    :param z: Zoom level.
+    :param x: Tile column.
+    :param y: Tile row, counted from the top (XYZ scheme).
+    :return: The tile content, empty if no feature intersects the tile.
+    """
+    if z > settings.VECTOR_TILE_MAX_ZOOM or x >= 2 ** z or y >= 2 ** z:
+        raise VectorTileError(f"Tile {z}/{x}/{y} is out of range.", status=404)
+
+    cache_key = f"vector_tile:{layer}:{z}:{x}:{y}"
+    tile = cache.get(cache_key)
+    if tile is not None:
+        return tile
+
+    source = get_vector_tile_source(layer)
+    selected = [f"t.{column}" for column in source["columns"]]
+    if source["id"]:
+        selected.append(f"t.{source['id']}")
+    attributes = "".join(f", {column}" for column in selected)
+    feature_id = ", %s" if source["id"] else ""
+    sql_query = f"""
+        WITH bounds AS (SELECT ST_TileEnvelope(%s, %s, %s) AS envelope),
+        mvtgeom AS (
+            SELECT ST_AsMVTGeom(ST_Transform(t.{source['geometry']}, 3857), bounds.envelope, 4096, 64, true) AS mvt_geometry
+                {attributes}
+            FROM {source['table']} t, bounds
+            WHERE t.{source['geometry']} && ST_Transform(bounds.envelope, %s)
+        )
+        SELECT ST_AsMVT(mvtgeom.*, %s, 4096, 'mvt_geometry'{feature_id})
+        FROM mvtgeom WHERE mvt_geometry IS NOT NULL
+    """
+    params = [z, x, y, source["srid"], layer]
+    if source["id"]:
+        params.append(source["id_name"])
+
+    try:
+        with connection.cursor() as cursor:
+            cursor.execute(sql_query, params)
+            row = cursor.fetchone()
+    except Exception as e:
+        raise VectorTileError(f"Error generating tile: {e}", status=500)
+
+    tile = bytes(row[0]) if row and row[0] is not None else b""
+    cache.set(cache_key, tile, settings.VECTOR_TILE_CACHE_TIMEOUT)
+    return tile
+
+
+def fetch_vector_tile_extent(layer):
+    """
+    Reads the extent of a VECTOR_TILE_LAYERS table in EPSG:3857, used to zoom to the layer.
+    The extent is cached for VECTOR_TILE_CACHE_TIMEOUT seconds.
+    :param layer: Layer name used in the tile URL.
+    :return: List [minx, miny, maxx, maxy], or None if the table has no geometries.
+    """
+    cache_key = f"vector_tile_extent:{layer}"
+    cached = cache.get(cache_key)
+    if cached is not None:
+        return cached or None
+
+    source = get_vector_tile_source(layer)
+    sql_query = f"""
+        SELECT ST_XMin(extent), ST_YMin(extent), ST_XMax(extent), ST_YMax(extent)
+        FROM (
+            SELECT ST_Transform(ST_SetSRID(ST_Extent(t.{source['geometry']})::geometry, %s), 3857) AS extent
+            FROM {source['table']} t
+        ) bounds
+    """
+
+    try:
+        with connection.cursor() as cursor:
+            cursor.execute(sql_query, [source["srid"]])
+            row = cursor.fetchone()
+    except Exception as e:
+        raise VectorTileError(f"Error reading the extent of layer '{layer}': {e}", status=500)
+
+    extent = [float(value) for value in row] if row and None not in row else []
+    cache.set(cache_key, extent, settings.VECTOR_TILE_CACHE_TIMEOUT)
+    return extent or None
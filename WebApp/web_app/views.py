@@ -1,4 +1,14 @@
-from .utils import execute_geojson_query
+from django.conf import settings
+from django.http import HttpResponse, JsonResponse
+from .utils import (
+    execute_geojson_query,
+    build_proxy_target_url,
+    fetch_ogc_resource,
+    fetch_vector_tile,
+    fetch_vector_tile_extent,
+    ProxyError,
+    VectorTileError,
+)
 
 
 def korytarze_ekologiczne(request):
@@ -8,3 +18,50 @@ def korytarze_ekologiczne(request):
 def jcwprzeczne(request):
     sql_query = 'SELECT *, ST_AsGeoJSON(geom) as geometry FROM public."JCWPRzeczne"'
     return execute_geojson_query(sql_query)
+
+
+def ogc_proxy(request):
+    """
+    Forwards OGC requests (GetCapabilities, GetMap/GetTile, GetFeatureInfo, GetLegendGraphic)
+    to allowed hosts for services that do not send CORS headers.
+    The target is passed in the `url` parameter; any other query parameters are added to it.
+    """
+    if request.method != "GET":
+        return JsonResponse({"error": "Method not allowed.", "message": "Only GET requests can be proxied."}, status=405)
+
+    params = [(key, value) for key, value in request.GET.items() if key != "url"]
+    try:
+        target_url = build_proxy_target_url(request.GET.get("url"), params)
+        content, content_type, status = fetch_ogc_resource(target_url)
+    except ProxyError as e:
+        return JsonResponse({"error": str(e), "message": "Error occurred while proxying the request."}, status=e.status)
+
+    return HttpResponse(content, content_type=content_type, status=status)
+
+
+def vector_tile(request, layer, z, x, y):
+    """
+    Serves a Mapbox Vector Tile of a table declared in VECTOR_TILE_LAYERS
+    (/WebApp/api/tiles/<layer>/<z>/<x>/<y>.pbf, XYZ tile scheme in EPSG:3857).
+    """
+    try:
+        tile = fetch_vector_tile(layer, z, x, y)
+    except VectorTileError as e:
+        return JsonResponse({"error": str(e), "message": "Error occurred while generating the vector tile."}, status=e.status)
+
+    response = HttpResponse(tile, content_type="application/vnd.mapbox-vector-tile")
+    response["Cache-Control"] = f"public, max-age={settings.VECTOR_TILE_CACHE_TIMEOUT}"
+    return response
+
+
+def vector_tile_extent(request, layer):
+    """
+    Returns the extent of a table declared in VECTOR_TILE_LAYERS in EPSG:3857
+    (/WebApp/api/tiles/<layer>/extent/), null if the table has no geometries.
+    """
+    try:
+        extent = fetch_vector_tile_extent(layer)
+    except VectorTileError as e:
+        return JsonResponse({"error": str(e), "message": "Error occurred while reading the layer extent."}, status=e.status)
+
+    return JsonResponse({"extent": extent})